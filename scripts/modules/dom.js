@@ -2,6 +2,16 @@ import eventBus from './eventBus.js';
 import accessibility from './accessibility.js';
 import performanceOptimizer from './performance.js';
 import securityManager from './security.js';
+import { settingsManager } from './settings.js';
+import { Task, TASK_PRIORITIES } from './models.js';
+import {
+    getDueState,
+    formatDueDate,
+    generateUniqueId,
+    describeRecurrence,
+    getTrackedTime,
+    formatDuration
+} from './utils.js';
 
 /**
  * DOM manipulation and event delegation module
@@ -11,6 +21,9 @@ class DOMManager {
         this.elements = {};
         this.delegateHandlers = new Map();
         this.initialized = false;
+        this.taskTemplates = []; // Offered by the new task input, see setTaskTemplates()
+        this.pendingTaskTemplateId = null; // Template picked for the task being typed
+        this.encryptionEnabled = false; // Picks the encryption menu action, see setEncryptionState()
     }
 
     /**
@@ -37,6 +50,8 @@ class DOMManager {
             // Form elements
             todoForm: 'todo-form',
             todoInput: 'todo-input',
+            taskTemplateBtn: 'task-template-btn',
+            taskTemplateMenu: 'task-template-menu',
             
             // Column elements
             todoList: 'todo-list',
@@ -82,12 +97,30 @@ class DOMManager {
             switchBoardBtn: 'switch-board-btn',
             newBoardMenuBtn: 'new-board-menu-btn',
             manageBoardsMenuBtn: 'manage-boards-menu-btn',
+            manageLabelsMenuBtn: 'manage-labels-menu-btn',
+            manageColumnsMenuBtn: 'manage-columns-menu-btn',
+            manageSwimlanesMenuBtn: 'manage-swimlanes-menu-btn',
             preferencesBtn: 'preferences-btn',
             browseArchiveBtn: 'browse-archive-btn',
+            browseTrashBtn: 'browse-trash-btn',
+            taskTemplatesMenuBtn: 'task-templates-menu-btn',
+            encryptionMenuBtn: 'encryption-menu-btn',
+            disableEncryptionMenuBtn: 'disable-encryption-menu-btn',
             
             // Developer menu buttons
             forceRefreshBtn: 'force-refresh-btn',
             resetAppMenuBtn: 'reset-app-menu-btn',
+            
+            // Notices
+            storageBanner: 'storage-banner',
+
+            // Unlock screen
+            unlockScreen: 'unlock-screen',
+            unlockForm: 'unlock-form',
+            unlockInput: 'unlock-input',
+            unlockError: 'unlock-error',
+            unlockSubmit: 'unlock-submit',
+            unlockReset: 'unlock-reset',
         };
 
         this.elements = {};
@@ -139,6 +172,12 @@ class DOMManager {
                     case 'archive':
                         eventBus.emit('task:archive', { taskId });
                         break;
+                    case 'move-to-board':
+                        eventBus.emit('task:moveToBoard', { taskId });
+                        break;
+                    case 'copy-to-board':
+                        eventBus.emit('task:copyToBoard', { taskId });
+                        break;
                     case 'complete':
                         eventBus.emit('task:complete', { taskId });
                         break;
@@ -148,6 +187,15 @@ class DOMManager {
                     case 'reset':
                         eventBus.emit('task:reset', { taskId });
                         break;
+                    case 'details':
+                        eventBus.emit('task:details:requested', { taskId });
+                        break;
+                    case 'timer':
+                        eventBus.emit('task:timer:toggle', { taskId });
+                        break;
+                    case 'filter-tag':
+                        eventBus.emit('filter:tag', { tag: element.dataset.tag });
+                        break;
                 }
             } catch (error) {
                 console.error('❌ Error in task action handler:', error);
@@ -193,6 +241,48 @@ class DOMManager {
             }
         });
 
+        // Delegate swimlane collapse toggles
+        this.delegate('click', '[data-lane-toggle]', (event, element) => {
+            try {
+                eventBus.emit('swimlane:toggle', { lane: element.dataset.laneToggle });
+            } catch (error) {
+                console.error('❌ Error in swimlane toggle handler:', error);
+                eventBus.emit('error:handler', { 
+                    context: 'Swimlane Toggle', 
+                    error: error.message,
+                    element: element?.id || 'unknown'
+                });
+            }
+        });
+
+        // Delegate bulk action bar buttons
+        this.delegate('click', '[data-bulk-action]', (event, element) => {
+            try {
+                eventBus.emit('tasks:bulk', { action: element.dataset.bulkAction });
+            } catch (error) {
+                console.error('❌ Error in bulk action handler:', error);
+                eventBus.emit('error:handler', { 
+                    context: 'Bulk Action', 
+                    error: error.message,
+                    element: element?.id || 'unknown'
+                });
+            }
+        });
+
+        // Delegate "select column" buttons in column headers
+        this.delegate('click', '[data-select-column]', (event, element) => {
+            try {
+                eventBus.emit('column:select', { columnId: element.dataset.selectColumn });
+            } catch (error) {
+                console.error('❌ Error in column select handler:', error);
+                eventBus.emit('error:handler', { 
+                    context: 'Column Select', 
+                    error: error.message,
+                    element: element?.id || 'unknown'
+                });
+            }
+        });
+
         // Delegate drag and drop events with error boundaries
         this.delegate('dragstart', '.task-card', (event, element) => {
             try {
@@ -223,6 +313,7 @@ class DOMManager {
                 console.log('🎯 Drag ended:', { taskId });
                 
                 element.classList.remove('dragging');
+                this.closeBoardSelectorDropdown(); // Opened when the card was dragged over it
                 eventBus.emit('drag:end', { element });
             } catch (error) {
                 console.error('❌ Error in dragend handler:', error);
@@ -250,7 +341,7 @@ class DOMManager {
                     event.preventDefault();
                     const text = this.elements.todoInput?.value?.trim();
                     if (text) {
-                        eventBus.emit('task:create', { text });
+                        eventBus.emit('task:create', { text, templateId: this.pendingTaskTemplateId });
                     }
                 } catch (error) {
                     console.error('❌ Error in form submission handler:', error);
@@ -262,6 +353,7 @@ class DOMManager {
                 }
             });
         }
+        this.setupTaskTemplatePicker();
 
         // Import/Export buttons with error boundaries
         if (this.elements.importButton) {
@@ -438,6 +530,10 @@ class DOMManager {
                     // Close dropdown after switching
                     this.closeBoardSelectorDropdown();
                     break;
+                case 'all':
+                    eventBus.emit('board:showAll');
+                    this.closeBoardSelectorDropdown();
+                    break;
                 case 'create':
                     eventBus.emit('board:create:request');
                     // Close dropdown after action
@@ -459,6 +555,57 @@ class DOMManager {
                     break;
             }
         });
+
+        // Dragging a card onto the selector opens it; dropping on another board moves
+        // the task there, or copies it when Ctrl or Alt is held
+        const isDraggingTask = () => !!document.querySelector('.task-card.dragging');
+        
+        this.delegate('dragenter', '#board-selector-btn', () => {
+            if (isDraggingTask()) {
+                this.openBoardSelectorDropdown();
+            }
+        });
+        
+        this.delegate('dragover', '.board-selector-item', (event, element) => {
+            if (!isDraggingTask() || !element.dataset.boardId || element.classList.contains('active')) return;
+            event.preventDefault();
+            event.dataTransfer.dropEffect = event.ctrlKey || event.altKey ? 'copy' : 'move';
+            element.classList.add('drag-over');
+        });
+        
+        this.delegate('dragleave', '.board-selector-item', (event, element) => {
+            if (!element.contains(event.relatedTarget)) {
+                element.classList.remove('drag-over');
+            }
+        });
+        
+        this.delegate('drop', '.board-selector-item', (event, element) => {
+            event.preventDefault();
+            element.classList.remove('drag-over');
+            
+            const taskId = event.dataTransfer.getData('text/plain');
+            const boardId = element.dataset.boardId;
+            if (!taskId || !boardId || element.classList.contains('active')) return;
+            
+            eventBus.emit(event.ctrlKey || event.altKey ? 'task:copyToBoard' : 'task:moveToBoard', { taskId, boardId });
+            this.closeBoardSelectorDropdown();
+        });
+    }
+
+    /**
+     * Open the board selector dropdown
+     */
+    openBoardSelectorDropdown() {
+        const dropdown = this.elements.boardSelectorMenu;
+        if (dropdown && !dropdown.classList.contains('show')) {
+            dropdown.classList.add('show');
+            dropdown.style.display = 'block';
+            
+            const trigger = this.elements.boardSelectorBtn;
+            if (trigger) {
+                trigger.setAttribute('aria-expanded', 'true');
+            }
+        }
     }
 
     /**
@@ -546,6 +693,27 @@ class DOMManager {
             });
         }
 
+        if (this.elements.manageLabelsMenuBtn) {
+            this.elements.manageLabelsMenuBtn.addEventListener('click', () => {
+                eventBus.emit('labels:manage');
+                this.hideMenuPanel();
+            });
+        }
+
+        if (this.elements.manageColumnsMenuBtn) {
+            this.elements.manageColumnsMenuBtn.addEventListener('click', () => {
+                eventBus.emit('columns:manage');
+                this.hideMenuPanel();
+            });
+        }
+
+        if (this.elements.manageSwimlanesMenuBtn) {
+            this.elements.manageSwimlanesMenuBtn.addEventListener('click', () => {
+                eventBus.emit('swimlanes:manage');
+                this.hideMenuPanel();
+            });
+        }
+
         if (this.elements.preferencesBtn) {
             this.elements.preferencesBtn.addEventListener('click', () => {
                 eventBus.emit('settings:show');
@@ -560,6 +728,34 @@ class DOMManager {
             });
         }
 
+        if (this.elements.browseTrashBtn) {
+            this.elements.browseTrashBtn.addEventListener('click', () => {
+                eventBus.emit('trash:browse');
+                this.hideMenuPanel();
+            });
+        }
+
+        if (this.elements.taskTemplatesMenuBtn) {
+            this.elements.taskTemplatesMenuBtn.addEventListener('click', () => {
+                eventBus.emit('taskTemplates:manage');
+                this.hideMenuPanel();
+            });
+        }
+
+        if (this.elements.encryptionMenuBtn) {
+            this.elements.encryptionMenuBtn.addEventListener('click', () => {
+                eventBus.emit(this.encryptionEnabled ? 'encryption:changePassphrase' : 'encryption:enable');
+                this.hideMenuPanel();
+            });
+        }
+
+        if (this.elements.disableEncryptionMenuBtn) {
+            this.elements.disableEncryptionMenuBtn.addEventListener('click', () => {
+                eventBus.emit('encryption:disable');
+                this.hideMenuPanel();
+            });
+        }
+
         // Developer menu items
         if (this.elements.forceRefreshBtn) {
             this.elements.forceRefreshBtn.addEventListener('click', () => {
@@ -630,6 +826,9 @@ class DOMManager {
         const columns = document.querySelectorAll('.board-column__content');
         
         columns.forEach(column => {
+            // Columns are rebuilt per board, so only wire up new ones
+            if (column.dataset.dropZone) return;
+            column.dataset.dropZone = 'true';
             
             column.addEventListener('dragover', (event) => {
                 event.preventDefault();
@@ -649,15 +848,57 @@ class DOMManager {
                 
                 const taskId = event.dataTransfer.getData('text/plain');
                 const targetStatus = column.dataset.status;
+                const targetColumnId = column.dataset.columnId;
+                const closestLane = event.target.closest ? event.target.closest('.swimlane') : null;
+                const lane = closestLane && column.contains(closestLane) ? closestLane : null;
                 
+                if (!taskId || (!targetStatus && !targetColumnId)) return;
+                
+                const data = { taskId, targetStatus };
+                if (targetColumnId) {
+                    data.targetColumnId = targetColumnId;
+                }
+                if (lane) {
+                    data.targetLane = lane.dataset.lane;
+                }
                 
-                if (taskId && targetStatus) {
-                    eventBus.emit('task:drop', { taskId, targetStatus });
+                // Where among the other cards the task was dropped, for manual ordering
+                const position = this.getDropPosition(lane || column, taskId, event.clientY);
+                if (position) {
+                    data.previousTaskId = position.previousTaskId;
+                    data.nextTaskId = position.nextTaskId;
                 }
+                
+                eventBus.emit('task:drop', data);
             });
         });
     }
 
+    /**
+     * Find the cards a dragged task was dropped between
+     * @param {HTMLElement} container - Column content or swimlane the task was dropped in
+     * @param {string} taskId - Dragged task ID
+     * @param {number} clientY - Vertical pointer position of the drop
+     * @returns {Object|null} { previousTaskId, nextTaskId } or null if there are no other cards
+     */
+    getDropPosition(container, taskId, clientY) {
+        const cards = Array.from(container.querySelectorAll('.task-card'))
+            .filter(card => card.dataset.taskId && card.dataset.taskId !== taskId);
+        
+        if (cards.length === 0) return null;
+        
+        const nextIndex = cards.findIndex(card => {
+            const rect = card.getBoundingClientRect();
+            return clientY < rect.top + rect.height / 2;
+        });
+        const index = nextIndex === -1 ? cards.length : nextIndex;
+        
+        return {
+            previousTaskId: index > 0 ? cards[index - 1].dataset.taskId : null,
+            nextTaskId: index < cards.length ? cards[index].dataset.taskId : null
+        };
+    }
+
     /**
      * Delegate event handler
      * @param {string} eventType - Event type to delegate
@@ -698,8 +939,13 @@ class DOMManager {
         }
         
         
+        const dueState = getDueState(task);
+        
         const card = document.createElement('div');
         card.className = `task-card task-card--${task.status}`;
+        if (dueState) {
+            card.classList.add(`task-card--${dueState}`);
+        }
         card.draggable = true;
         card.dataset.taskId = task.id;
         card.id = `task-${task.id}`; // Ensure unique DOM ID
@@ -725,6 +971,16 @@ class DOMManager {
         }
         cardText.textContent = task.text; // Use textContent for safety
         
+        const priority = task.priority || 'none';
+        if (priority !== 'none') {
+            const priorityLabel = priority.charAt(0).toUpperCase() + priority.slice(1);
+            const cardPriority = document.createElement('span');
+            cardPriority.className = `task-card__priority task-card__priority--${priority}`;
+            cardPriority.title = `Priority: ${priorityLabel}`;
+            cardPriority.textContent = priorityLabel;
+            cardContent.appendChild(cardPriority);
+        }
+        
         const cardMeta = document.createElement('div');
         cardMeta.className = 'task-card__meta';
         
@@ -736,9 +992,82 @@ class DOMManager {
         cardId.className = 'task-card__id';
         cardId.textContent = `#${task.id.slice(-6)}`;
         
+        const tags = task.tags || [];
+        let cardTags = null;
+        if (tags.length > 0) {
+            cardTags = document.createElement('div');
+            cardTags.className = 'task-card__tags';
+            tags.forEach(tag => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'task-tag';
+                chip.setAttribute('data-action', 'filter-tag');
+                chip.setAttribute('data-tag', tag);
+                chip.title = `Show only tasks tagged ${tag}`;
+                chip.textContent = tag;
+                cardTags.appendChild(chip);
+            });
+        }
+        
         cardMeta.appendChild(cardDate);
+        if (task.dueDate) {
+            const cardDue = document.createElement('span');
+            cardDue.className = 'task-card__due';
+            if (dueState) {
+                cardDue.classList.add(`task-card__due--${dueState}`);
+            }
+            cardDue.textContent = `Due: ${formatDueDate(task.dueDate, task.dueTime)}`;
+            cardMeta.appendChild(cardDue);
+        }
+        const timeEntries = task.timeEntries || [];
+        const runningEntry = timeEntries.find(entry => !entry.end);
+        const stoppedTime = getTrackedTime(timeEntries.filter(entry => entry.end));
+        if (runningEntry || stoppedTime > 0) {
+            const cardTime = document.createElement('span');
+            cardTime.className = 'task-card__time';
+            cardTime.title = runningEntry ? 'Timer running' : 'Tracked time';
+            if (runningEntry) {
+                cardTime.classList.add('task-card__time--running');
+                cardTime.dataset.trackedMs = String(stoppedTime);
+                cardTime.dataset.runningSince = runningEntry.start;
+            }
+            cardTime.textContent = `⏱ ${formatDuration(getTrackedTime(timeEntries))}`;
+            cardMeta.appendChild(cardTime);
+        }
+        const recurrenceLabel = describeRecurrence(task.recurrence);
+        if (recurrenceLabel) {
+            const cardRecurrence = document.createElement('span');
+            cardRecurrence.className = 'task-card__recurrence';
+            cardRecurrence.title = `Repeats: ${recurrenceLabel}`;
+            cardRecurrence.setAttribute('aria-label', `Repeats: ${recurrenceLabel}`);
+            cardRecurrence.textContent = '🔁';
+            cardMeta.appendChild(cardRecurrence);
+        }
+        const checklist = task.checklist || [];
+        if (checklist.length > 0 && settingsManager.get('showTaskProgress')) {
+            const doneCount = checklist.filter(item => item.done).length;
+            const cardProgress = document.createElement('span');
+            cardProgress.className = 'task-card__progress';
+            if (doneCount === checklist.length) {
+                cardProgress.classList.add('task-card__progress--complete');
+            }
+            cardProgress.title = `Checklist: ${doneCount} of ${checklist.length} done`;
+            cardProgress.textContent = `☑ ${doneCount}/${checklist.length}`;
+            cardMeta.appendChild(cardProgress);
+        }
+        if (task.notes) {
+            const cardNotes = document.createElement('span');
+            cardNotes.className = 'task-card__notes';
+            cardNotes.title = 'Has notes';
+            cardNotes.setAttribute('aria-label', 'Has notes');
+            cardNotes.textContent = '🗒';
+            cardMeta.appendChild(cardNotes);
+        }
         cardMeta.appendChild(cardId);
         cardContent.appendChild(cardText);
+        if (cardTags) {
+            cardContent.appendChild(cardTags);
+        }
         cardContent.appendChild(cardMeta);
         
         const cardActions = document.createElement('div');
@@ -747,6 +1076,24 @@ class DOMManager {
         const primaryActions = document.createElement('div');
         primaryActions.className = 'task-card__actions-primary';
         
+        const timerAction = runningEntry ? 'Stop timer' : 'Start timer';
+        const timerBtn = document.createElement('button');
+        timerBtn.className = runningEntry ? 'task-timer-btn task-timer-btn--running' : 'task-timer-btn';
+        timerBtn.setAttribute('data-action', 'timer');
+        timerBtn.setAttribute('data-task-id', task.id);
+        timerBtn.setAttribute('title', timerAction);
+        timerBtn.setAttribute('aria-pressed', runningEntry ? 'true' : 'false');
+        timerBtn.setAttribute('aria-label', `${timerAction} for task: ${task.text}`);
+        timerBtn.textContent = runningEntry ? '⏸️' : '▶️';
+        
+        const detailsBtn = document.createElement('button');
+        detailsBtn.className = 'task-details-btn';
+        detailsBtn.setAttribute('data-action', 'details');
+        detailsBtn.setAttribute('data-task-id', task.id);
+        detailsBtn.setAttribute('title', 'Task details');
+        detailsBtn.setAttribute('aria-label', `Open details for task: ${task.text}`);
+        detailsBtn.textContent = '📝';
+        
         const editBtn = document.createElement('button');
         editBtn.className = 'task-edit-btn'; // Use class name that tests expect
         editBtn.setAttribute('data-action', 'edit');
@@ -763,6 +1110,8 @@ class DOMManager {
         deleteBtn.setAttribute('aria-label', `Delete task: ${task.text}`);
         deleteBtn.textContent = '🗑️';
         
+        primaryActions.appendChild(timerBtn);
+        primaryActions.appendChild(detailsBtn);
         primaryActions.appendChild(editBtn);
         primaryActions.appendChild(deleteBtn);
         
@@ -1092,6 +1441,310 @@ class DOMManager {
         if (this.elements.todoInput) {
             this.elements.todoInput.value = '';
         }
+        this.pendingTaskTemplateId = null;
+        this.hideTaskTemplateMenu();
+    }
+
+    /**
+     * Show the banner that warns about storage problems
+     * It stays until hidden or the page is reloaded.
+     * @param {string} message - Banner text
+     */
+    showStorageBanner(message) {
+        const banner = this.elements.storageBanner;
+        if (!banner) return;
+        
+        banner.textContent = message;
+        banner.hidden = false;
+    }
+
+    /**
+     * Hide the storage banner
+     */
+    hideStorageBanner() {
+        if (this.elements.storageBanner) {
+            this.elements.storageBanner.hidden = true;
+        }
+    }
+
+    /**
+     * Show whether stored data is encrypted in the menu
+     * @param {boolean} enabled - True if encryption is on
+     */
+    setEncryptionState(enabled) {
+        this.encryptionEnabled = enabled;
+        if (this.elements.encryptionMenuBtn) {
+            this.elements.encryptionMenuBtn.textContent = enabled ? 'Change Passphrase' : 'Encrypt Data';
+        }
+        if (this.elements.disableEncryptionMenuBtn) {
+            this.elements.disableEncryptionMenuBtn.hidden = !enabled;
+        }
+    }
+
+    /**
+     * Show the unlock screen until encrypted data is unlocked
+     * Errors thrown by unlock or reset are shown on the screen, which stays open.
+     * @param {Function} unlock - Called with the passphrase; rejects if it is wrong
+     * @param {Function} reset - Called after the user confirmed deleting the locked data
+     * @returns {Promise<void>} Resolves once unlock or reset succeeded
+     */
+    showUnlockScreen(unlock, reset) {
+        const { unlockScreen, unlockForm, unlockInput, unlockError, unlockSubmit, unlockReset } = this.elements;
+        if (!unlockScreen || !unlockForm || !unlockInput || !unlockError || !unlockSubmit || !unlockReset) {
+            return Promise.reject(new Error('Unlock screen not found'));
+        }
+
+        return new Promise((resolve) => {
+            const finish = () => {
+                unlockForm.removeEventListener('submit', submitHandler);
+                unlockReset.removeEventListener('click', resetHandler);
+                unlockInput.value = '';
+                unlockScreen.classList.remove('modal-overlay--visible');
+                unlockScreen.hidden = true;
+                resolve();
+            };
+
+            const run = async (action) => {
+                unlockSubmit.disabled = true;
+                unlockReset.disabled = true;
+                unlockError.textContent = '';
+                try {
+                    await action();
+                    finish();
+                } catch (error) {
+                    unlockError.textContent = error.message;
+                    unlockInput.focus();
+                    unlockInput.select();
+                } finally {
+                    unlockSubmit.disabled = false;
+                    unlockReset.disabled = false;
+                }
+            };
+
+            const submitHandler = (event) => {
+                event.preventDefault();
+                run(() => unlock(unlockInput.value));
+            };
+
+            const resetHandler = async () => {
+                const confirmed = await this.showModal(
+                    'Delete All Data',
+                    'Without the passphrase your boards cannot be decrypted. Delete all stored data and start over? This cannot be undone.',
+                    { confirmText: 'Delete All Data' }
+                );
+                if (confirmed) {
+                    run(reset);
+                }
+            };
+
+            unlockForm.addEventListener('submit', submitHandler);
+            unlockReset.addEventListener('click', resetHandler);
+
+            unlockError.textContent = '';
+            unlockScreen.hidden = false;
+            unlockScreen.classList.add('modal-overlay--visible');
+            setTimeout(() => unlockInput.focus(), 100);
+        });
+    }
+
+    /**
+     * Set the task templates offered by the new task input
+     * @param {Array} templates - Task templates
+     */
+    setTaskTemplates(templates) {
+        this.taskTemplates = templates || [];
+        if (this.pendingTaskTemplateId && !this.taskTemplates.some(t => t.id === this.pendingTaskTemplateId)) {
+            this.pendingTaskTemplateId = null;
+        }
+    }
+
+    /**
+     * Wire the new task input's template menu
+     * Typing "/" at the start of the input or clicking the template button lists
+     * templates; picking one fills in its text and the task is created from it.
+     */
+    setupTaskTemplatePicker() {
+        const input = this.elements.todoInput;
+        const menu = this.elements.taskTemplateMenu;
+        if (!input || !menu) {
+            return;
+        }
+
+        input.addEventListener('input', () => {
+            const value = input.value;
+            if (value.startsWith('/')) {
+                this.pendingTaskTemplateId = null;
+                this.showTaskTemplateMenu(value.slice(1));
+            } else {
+                if (value.trim() === '') {
+                    this.pendingTaskTemplateId = null;
+                }
+                this.hideTaskTemplateMenu();
+            }
+        });
+
+        input.addEventListener('keydown', (event) => {
+            if (menu.hidden) {
+                return;
+            }
+            const items = Array.from(menu.querySelectorAll('.task-template-menu__item'));
+            const activeIndex = items.findIndex(item => item.classList.contains('task-template-menu__item--active'));
+
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (items.length > 0) {
+                    const step = event.key === 'ArrowDown' ? 1 : -1;
+                    this.setActiveTaskTemplateItem(items, (activeIndex + step + items.length) % items.length);
+                }
+            } else if (event.key === 'Enter') {
+                // Pick instead of submitting the form
+                event.preventDefault();
+                if (items[activeIndex]) {
+                    items[activeIndex].dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+                }
+            } else if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.hideTaskTemplateMenu();
+            }
+        });
+
+        // Let clicks on the menu land before the input loses focus
+        input.addEventListener('blur', () => setTimeout(() => this.hideTaskTemplateMenu(), 150));
+
+        menu.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            const item = event.target.closest('[data-template-id], [data-template-action]');
+            if (!item) {
+                return;
+            }
+            if (item.getAttribute('data-template-action') === 'manage') {
+                this.hideTaskTemplateMenu();
+                eventBus.emit('taskTemplates:manage');
+                return;
+            }
+            const template = this.taskTemplates.find(t => t.id === item.getAttribute('data-template-id'));
+            if (template) {
+                this.pickTaskTemplate(template);
+            }
+        });
+
+        if (this.elements.taskTemplateBtn) {
+            this.elements.taskTemplateBtn.addEventListener('click', () => {
+                if (menu.hidden) {
+                    this.showTaskTemplateMenu('');
+                    input.focus();
+                } else {
+                    this.hideTaskTemplateMenu();
+                }
+            });
+        }
+    }
+
+    /**
+     * List the task templates whose name or text matches a query
+     * @param {string} query - Text typed after "/"
+     */
+    showTaskTemplateMenu(query) {
+        const menu = this.elements.taskTemplateMenu;
+        if (!menu) {
+            return;
+        }
+
+        const term = query.trim().toLowerCase();
+        const matches = this.taskTemplates
+            .filter(t => !term || t.name.toLowerCase().includes(term) || t.text.toLowerCase().includes(term))
+            // Names starting with the query first
+            .sort((a, b) => Number(!a.name.toLowerCase().startsWith(term)) - Number(!b.name.toLowerCase().startsWith(term)));
+
+        menu.innerHTML = '';
+        matches.forEach((template, index) => {
+            const item = document.createElement('li');
+            item.className = 'task-template-menu__item';
+            item.id = `task-template-option-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('data-template-id', template.id);
+
+            const name = document.createElement('span');
+            name.className = 'task-template-menu__name';
+            name.textContent = template.name;
+            const text = document.createElement('span');
+            text.className = 'task-template-menu__text';
+            text.textContent = template.text;
+
+            item.appendChild(name);
+            item.appendChild(text);
+            menu.appendChild(item);
+        });
+
+        if (matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'task-template-menu__empty';
+            empty.textContent = this.taskTemplates.length === 0 ? 'No task templates yet' : 'No matching templates';
+            menu.appendChild(empty);
+        }
+
+        const manage = document.createElement('li');
+        manage.className = 'task-template-menu__item task-template-menu__manage';
+        manage.setAttribute('role', 'option');
+        manage.setAttribute('data-template-action', 'manage');
+        manage.textContent = 'Manage templates…';
+        menu.appendChild(manage);
+
+        menu.hidden = false;
+        if (this.elements.todoInput) {
+            this.elements.todoInput.setAttribute('aria-expanded', 'true');
+        }
+        this.setActiveTaskTemplateItem(Array.from(menu.querySelectorAll('.task-template-menu__item')), 0);
+    }
+
+    /**
+     * Highlight one item of the task template menu
+     * @param {Array<HTMLElement>} items - Menu items
+     * @param {number} index - Item to highlight
+     */
+    setActiveTaskTemplateItem(items, index) {
+        items.forEach((item, i) => {
+            item.classList.toggle('task-template-menu__item--active', i === index);
+            item.setAttribute('aria-selected', String(i === index));
+        });
+        if (items[index] && this.elements.todoInput) {
+            this.elements.todoInput.setAttribute('aria-activedescendant', items[index].id || '');
+            if (typeof items[index].scrollIntoView === 'function') {
+                items[index].scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+
+    /**
+     * Hide the task template menu
+     */
+    hideTaskTemplateMenu() {
+        const menu = this.elements.taskTemplateMenu;
+        if (menu && !menu.hidden) {
+            menu.hidden = true;
+            menu.innerHTML = '';
+        }
+        if (this.elements.todoInput) {
+            this.elements.todoInput.setAttribute('aria-expanded', 'false');
+            this.elements.todoInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Fill the new task input from a template
+     * The text stays editable; the other fields are added when the task is created.
+     * @param {Object} template - Task template
+     */
+    pickTaskTemplate(template) {
+        const input = this.elements.todoInput;
+        this.hideTaskTemplateMenu();
+        if (!input) {
+            return;
+        }
+        input.value = template.text;
+        this.pendingTaskTemplateId = template.id;
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
     }
 
     /**
@@ -1105,6 +1758,7 @@ class DOMManager {
         const {
             showInput = false,
             inputValue = '',
+            inputType = 'text',
             showCancel = true,
             confirmText = 'Confirm',
             cancelText = 'Cancel',
@@ -1139,7 +1793,10 @@ class DOMManager {
                 modalMessage.textContent = message;
             }
             modalInput.style.display = showInput ? 'block' : 'none';
+            modalInput.type = inputType;
             modalInput.value = inputValue;
+            // Passphrases are taken as typed
+            const readInput = () => (inputType === 'password' ? modalInput.value : modalInput.value.trim());
             modalCancel.style.display = showCancel ? 'block' : 'none';
             modalConfirm.textContent = confirmText;
             modalCancel.textContent = cancelText;
@@ -1147,6 +1804,9 @@ class DOMManager {
             const cleanup = () => {
                 modal.classList.remove('modal-overlay--visible');
                 modal.style.display = 'none';
+                if (inputType === 'password') {
+                    modalInput.value = '';
+                }
                 
                 // Reset z-index
                 modal.style.zIndex = '';
@@ -1167,7 +1827,7 @@ class DOMManager {
             const confirmHandler = (e) => {
                 e.preventDefault();
                 e.stopPropagation();
-                const result = showInput ? modalInput.value.trim() : true;
+                const result = showInput ? readInput() : true;
                 cleanup();
                 resolve(result);
             };
@@ -1191,7 +1851,7 @@ class DOMManager {
 
             const keyHandler = (e) => {
                 if (e.key === 'Enter') {
-                    const result = modalInput.value.trim();
+                    const result = readInput();
                     cleanup();
                     resolve(result);
                 }
@@ -1205,10 +1865,11 @@ class DOMManager {
             
             // Add delay before making visible to ensure handlers are ready
             setTimeout(() => {
-                // Check if archive modal or board management modal is open and adjust z-index to appear above it
+                // Check if archive modal, board management or task templates modal is open and adjust z-index to appear above it
                 const archiveModal = document.getElementById('archive-modal');
                 const boardManagementModal = document.getElementById('board-management-modal');
-                if (archiveModal || boardManagementModal) {
+                const taskTemplatesModal = document.getElementById('task-templates-modal');
+                if (archiveModal || boardManagementModal || taskTemplatesModal) {
                     modal.style.zIndex = 'calc(var(--z-modal) + 10)';
                 }
                 modal.classList.add('modal-overlay--visible');
@@ -1379,8 +2040,8 @@ class DOMManager {
      * @param {Array} boards - All boards (active and archived)
      * @param {Object} currentBoard - Currently selected board
      */
-    showBoardManagementModal(boards, currentBoard) {
-        const modal = this.createBoardManagementModal(boards, currentBoard);
+    showBoardManagementModal(boards, currentBoard, templates = []) {
+        const modal = this.createBoardManagementModal(boards, currentBoard, templates);
         document.body.appendChild(modal);
         
         // Show modal with animation
@@ -1405,9 +2066,10 @@ class DOMManager {
      * Create board management modal element
      * @param {Array} boards - All boards
      * @param {Object} currentBoard - Currently selected board
+     * @param {Array} templates - Board templates, built-in first
      * @returns {HTMLElement} Modal element
      */
-    createBoardManagementModal(boards, currentBoard) {
+    createBoardManagementModal(boards, currentBoard, templates = []) {
         const modal = document.createElement('div');
         modal.className = 'modal-overlay board-management-modal';
         modal.id = 'board-management-modal';
@@ -1437,13 +2099,17 @@ class DOMManager {
         content.className = 'modal-content';
         
         // Create new board section
-        const createSection = this.createNewBoardSection();
+        const createSection = this.createNewBoardSection(templates);
         content.appendChild(createSection);
         
         // Boards list section
         const boardsSection = this.createBoardsListSection(boards, currentBoard);
         content.appendChild(boardsSection);
         
+        // Saved templates section
+        const templatesSection = this.createTemplatesSection(templates);
+        content.appendChild(templatesSection);
+        
         modalBox.appendChild(header);
         modalBox.appendChild(content);
         modal.appendChild(modalBox);
@@ -1453,9 +2119,10 @@ class DOMManager {
 
     /**
      * Create new board section
+     * @param {Array} templates - Board templates to start from
      * @returns {HTMLElement} New board section
      */
-    createNewBoardSection() {
+    createNewBoardSection(templates = []) {
         const section = document.createElement('div');
         section.className = 'new-board-section mb-4 p-3 border rounded';
         
@@ -1506,6 +2173,23 @@ class DOMManager {
         descGroup.appendChild(descLabel);
         descGroup.appendChild(descInput);
         
+        // Template to start from
+        const templateGroup = document.createElement('div');
+        templateGroup.className = 'mb-3';
+        
+        const templateLabel = document.createElement('label');
+        templateLabel.className = 'form-label';
+        templateLabel.textContent = 'Template';
+        templateLabel.setAttribute('for', 'new-board-template');
+        
+        const templateSelect = document.createElement('select');
+        templateSelect.className = 'form-select';
+        templateSelect.id = 'new-board-template';
+        this.fillTemplateOptions(templateSelect, templates);
+        
+        templateGroup.appendChild(templateLabel);
+        templateGroup.appendChild(templateSelect);
+        
         // Board color picker
         const colorGroup = document.createElement('div');
         colorGroup.className = 'mb-3';
@@ -1527,6 +2211,7 @@ class DOMManager {
         
         form.appendChild(nameGroup);
         form.appendChild(descGroup);
+        form.appendChild(templateGroup);
         form.appendChild(colorGroup);
         form.appendChild(submitBtn);
         
@@ -1537,23 +2222,183 @@ class DOMManager {
     }
 
     /**
-     * Create color picker for board colors
-     * @returns {HTMLElement} Color picker element
+     * Fill the new board template select
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array} templates - Board templates, built-in first
      */
-    createColorPicker() {
-        const colorPicker = document.createElement('div');
-        colorPicker.className = 'color-picker d-flex flex-wrap gap-2';
-        
-        // Material Design 3 color palette
-        const colors = [
-            '#6750a4', '#7c4dff', '#3f51b5', '#2196f3', '#03a9f4',
-            '#00bcd4', '#009688', '#4caf50', '#8bc34a', '#cddc39',
-            '#ffeb3b', '#ffc107', '#ff9800', '#ff5722', '#f44336',
-            '#e91e63', '#9c27b0', '#673ab7', '#607d8b', '#795548'
-        ];
+    fillTemplateOptions(select, templates) {
+        const selected = select.value;
+        select.innerHTML = '<option value="">Blank board</option>';
         
-        colors.forEach((color, index) => {
-            const colorOption = document.createElement('button');
+        [['Built-in', true], ['Saved', false]].forEach(([groupName, builtIn]) => {
+            const groupTemplates = templates.filter(template => !!template.builtIn === builtIn);
+            if (groupTemplates.length === 0) {
+                return;
+            }
+            
+            const group = document.createElement('optgroup');
+            group.label = groupName;
+            groupTemplates.forEach(template => {
+                const option = document.createElement('option');
+                option.value = template.id;
+                option.textContent = template.name;
+                option.title = template.description || '';
+                option.setAttribute('data-color', template.color);
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+        
+        if (templates.some(template => template.id === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Create the saved templates section with import and export
+     * @param {Array} templates - Board templates, built-in first
+     * @returns {HTMLElement} Templates section
+     */
+    createTemplatesSection(templates = []) {
+        const section = document.createElement('div');
+        section.className = 'templates-section mt-4';
+        
+        const header = document.createElement('div');
+        header.className = 'd-flex justify-content-between align-items-center mb-3';
+        
+        const sectionTitle = document.createElement('h6');
+        sectionTitle.className = 'mb-0';
+        sectionTitle.textContent = '🧩 Saved Templates';
+        
+        const actions = document.createElement('div');
+        actions.className = 'd-flex gap-2';
+        
+        const importBtn = document.createElement('button');
+        importBtn.type = 'button';
+        importBtn.className = 'btn btn-sm btn-outline-secondary';
+        importBtn.setAttribute('data-action', 'import-templates');
+        importBtn.textContent = 'Import';
+        
+        const exportBtn = document.createElement('button');
+        exportBtn.type = 'button';
+        exportBtn.className = 'btn btn-sm btn-outline-secondary';
+        exportBtn.setAttribute('data-action', 'export-templates');
+        exportBtn.textContent = 'Export';
+        
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.id = 'import-templates-input';
+        fileInput.hidden = true;
+        
+        actions.appendChild(importBtn);
+        actions.appendChild(exportBtn);
+        actions.appendChild(fileInput);
+        header.appendChild(sectionTitle);
+        header.appendChild(actions);
+        
+        const list = document.createElement('div');
+        list.className = 'templates-list';
+        list.id = 'board-templates-list';
+        this.fillTemplatesList(list, templates);
+        
+        section.appendChild(header);
+        section.appendChild(list);
+        
+        return section;
+    }
+
+    /**
+     * Fill the saved templates list
+     * @param {HTMLElement} list - List element
+     * @param {Array} templates - Board templates; built-in ones are skipped
+     */
+    fillTemplatesList(list, templates) {
+        list.innerHTML = '';
+        const saved = templates.filter(template => !template.builtIn);
+        
+        if (saved.length === 0) {
+            const emptyState = document.createElement('div');
+            emptyState.className = 'empty-state text-muted small';
+            emptyState.textContent = 'No saved templates. Use 🧩 on a board to save its columns and labels as a template.';
+            list.appendChild(emptyState);
+            return;
+        }
+        
+        saved.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'board-item-content d-flex align-items-center gap-3 p-2 border rounded mb-2';
+            
+            const colorIndicator = document.createElement('div');
+            colorIndicator.className = 'board-color-indicator';
+            colorIndicator.style.cssText = `
+                width: 12px;
+                height: 12px;
+                background-color: ${template.color};
+                border-radius: 50%;
+                flex-shrink: 0;
+            `;
+            
+            const info = document.createElement('div');
+            info.className = 'board-info flex-grow-1';
+            const name = document.createElement('div');
+            name.className = 'board-name fw-semibold';
+            name.textContent = template.name;
+            const meta = document.createElement('div');
+            meta.className = 'board-meta text-muted small';
+            meta.textContent = `${template.columns.length} columns • ${template.labels.length} labels`;
+            info.appendChild(name);
+            info.appendChild(meta);
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.type = 'button';
+            deleteBtn.className = 'btn btn-sm btn-outline-danger';
+            deleteBtn.setAttribute('data-action', 'delete-template');
+            deleteBtn.setAttribute('data-template-id', template.id);
+            deleteBtn.setAttribute('title', 'Delete template');
+            deleteBtn.textContent = '🗑️';
+            
+            item.appendChild(colorIndicator);
+            item.appendChild(info);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Update the templates shown in an open board management modal
+     * @param {Array} templates - Board templates, built-in first
+     */
+    refreshBoardTemplates(templates) {
+        const select = document.getElementById('new-board-template');
+        if (select) {
+            this.fillTemplateOptions(select, templates);
+        }
+        
+        const list = document.getElementById('board-templates-list');
+        if (list) {
+            this.fillTemplatesList(list, templates);
+        }
+    }
+
+    /**
+     * Create color picker for board colors
+     * @returns {HTMLElement} Color picker element
+     */
+    createColorPicker() {
+        const colorPicker = document.createElement('div');
+        colorPicker.className = 'color-picker d-flex flex-wrap gap-2';
+        
+        // Material Design 3 color palette
+        const colors = [
+            '#6750a4', '#7c4dff', '#3f51b5', '#2196f3', '#03a9f4',
+            '#00bcd4', '#009688', '#4caf50', '#8bc34a', '#cddc39',
+            '#ffeb3b', '#ffc107', '#ff9800', '#ff5722', '#f44336',
+            '#e91e63', '#9c27b0', '#673ab7', '#607d8b', '#795548'
+        ];
+        
+        colors.forEach((color, index) => {
+            const colorOption = document.createElement('button');
             colorOption.type = 'button';
             colorOption.className = 'color-option';
             colorOption.style.cssText = `
@@ -1730,6 +2575,15 @@ class DOMManager {
         duplicateBtn.textContent = '📋';
         boardActions.appendChild(duplicateBtn);
         
+        // Save as template button
+        const templateBtn = document.createElement('button');
+        templateBtn.className = 'btn btn-sm btn-outline-secondary';
+        templateBtn.setAttribute('data-action', 'save-template');
+        templateBtn.setAttribute('data-board-id', board.id);
+        templateBtn.setAttribute('title', 'Save as template');
+        templateBtn.textContent = '🧩';
+        boardActions.appendChild(templateBtn);
+        
         // Archive/Unarchive button
         const archiveBtn = document.createElement('button');
         archiveBtn.className = `btn btn-sm ${board.isArchived ? 'btn-outline-success' : 'btn-outline-warning'}`;
@@ -1840,6 +2694,9 @@ class DOMManager {
                     case 'duplicate':
                         eventBus.emit('board:duplicate', { boardId });
                         break;
+                    case 'save-template':
+                        eventBus.emit('board:saveAsTemplate', { boardId });
+                        break;
                     case 'archive':
                         eventBus.emit('board:archive', { boardId });
                         break;
@@ -1853,6 +2710,46 @@ class DOMManager {
                 }
             }
         });
+        
+        // Picking a template also picks its color
+        const templateSelect = modal.querySelector('#new-board-template');
+        if (templateSelect) {
+            templateSelect.addEventListener('change', () => {
+                const option = templateSelect.options[templateSelect.selectedIndex];
+                const color = option && option.getAttribute('data-color');
+                const colorOption = color && modal.querySelector(`.color-option[data-color="${color}"]`);
+                if (colorOption) {
+                    colorOption.click();
+                }
+            });
+        }
+        
+        // Template actions
+        const templatesInput = modal.querySelector('#import-templates-input');
+        modal.addEventListener('click', (event) => {
+            switch (event.target.getAttribute('data-action')) {
+                case 'delete-template':
+                    eventBus.emit('template:delete', { templateId: event.target.getAttribute('data-template-id') });
+                    break;
+                case 'export-templates':
+                    eventBus.emit('templates:export');
+                    break;
+                case 'import-templates':
+                    if (templatesInput) {
+                        templatesInput.click();
+                    }
+                    break;
+            }
+        });
+        if (templatesInput) {
+            templatesInput.addEventListener('change', () => {
+                const file = templatesInput.files[0];
+                if (file) {
+                    eventBus.emit('templates:import', { file });
+                }
+                templatesInput.value = ''; // Allow importing the same file again
+            });
+        }
     }
 
     /**
@@ -1863,6 +2760,7 @@ class DOMManager {
     handleNewBoardSubmission(form, closeModal) {
         const nameInput = form.querySelector('#new-board-name');
         const descInput = form.querySelector('#new-board-description');
+        const templateSelect = form.querySelector('#new-board-template');
         const selectedColor = form.querySelector('.color-option.selected');
         
         const name = nameInput.value.trim();
@@ -1891,7 +2789,8 @@ class DOMManager {
         eventBus.emit('board:create', {
             name,
             description,
-            color
+            color,
+            templateId: templateSelect ? templateSelect.value || null : null
         });
         
         // Reset form
@@ -2013,10 +2912,13 @@ class DOMManager {
      * Render board selector
      * @param {Array} boards - Available boards
      * @param {Object} currentBoard - Currently selected board
+     * @param {boolean} allBoardsView - Whether the All boards view is shown
      */
-    renderBoardSelector(boards, currentBoard) {
+    renderBoardSelector(boards, currentBoard, allBoardsView = false) {
         // Update current board name
-        if (this.elements.currentBoardName && currentBoard) {
+        if (this.elements.currentBoardName && allBoardsView) {
+            this.elements.currentBoardName.textContent = 'All Boards';
+        } else if (this.elements.currentBoardName && currentBoard) {
             this.elements.currentBoardName.textContent = currentBoard.name;
         }
 
@@ -2034,9 +2936,34 @@ class DOMManager {
                 emptyItem.innerHTML = '<span class="dropdown-item text-muted">No boards available</span>';
                 this.elements.activeBoardsList.appendChild(emptyItem);
             } else {
+                // Virtual view with the tasks of every active board
+                const allItem = document.createElement('li');
+                const allLink = document.createElement('a');
+                allLink.className = `dropdown-item board-selector-item board-selector-item--all ${allBoardsView ? 'active' : ''}`;
+                allLink.href = '#';
+                allLink.setAttribute('data-board-action', 'all');
+                allLink.setAttribute('title', 'Show tasks from all active boards');
+                
+                const allContainer = document.createElement('div');
+                allContainer.className = 'd-flex align-items-center gap-2';
+                
+                const allIcon = document.createElement('span');
+                allIcon.textContent = '🗂️';
+                allIcon.style.cssText = 'width: 16px; text-align: center;';
+                
+                const allText = document.createElement('span');
+                allText.textContent = 'All Boards';
+                allText.className = 'fw-medium';
+                
+                allContainer.appendChild(allIcon);
+                allContainer.appendChild(allText);
+                allLink.appendChild(allContainer);
+                allItem.appendChild(allLink);
+                this.elements.activeBoardsList.appendChild(allItem);
+                
                 // Render each board with enhanced information
                 boards.forEach(board => {
-                    const listItem = this.createBoardSelectorItem(board, currentBoard);
+                    const listItem = this.createBoardSelectorItem(board, allBoardsView ? null : currentBoard);
                     this.elements.activeBoardsList.appendChild(listItem);
                 });
             }
@@ -2422,6 +3349,862 @@ class DOMManager {
         document.addEventListener('keydown', handleEscape);
     }
 
+    /**
+     * Show the trash browser with deleted tasks and boards
+     * @param {Array} trashedBoards - Deleted boards
+     * @param {Array} deletedTasks - Deleted tasks, each with the boardId and boardName it came from
+     * @param {number} retentionDays - Days items stay in the trash
+     */
+    showTrashBrowser(trashedBoards, deletedTasks, retentionDays) {
+        const items = [
+            ...trashedBoards.map(board => ({ type: 'board', id: board.id, text: board.name, deletedDate: board.deletedDate,
+                detail: `Board with ${(board.tasks || []).length} task${(board.tasks || []).length === 1 ? '' : 's'}` })),
+            ...deletedTasks.map(task => ({ type: 'task', id: task.id, boardId: task.boardId, text: task.text, deletedDate: task.deletedDate,
+                detail: `Task on ${task.boardName}` }))
+        ].sort((a, b) => new Date(b.deletedDate) - new Date(a.deletedDate)); // Newest first
+
+        const trashModal = document.createElement('div');
+        trashModal.className = 'modal-overlay archive-modal trash-modal';
+        trashModal.id = 'trash-modal';
+
+        const closeTrash = () => {
+            if (trashModal.parentNode) {
+                trashModal.parentNode.removeChild(trashModal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+        const handleEscape = (event) => {
+            if (event.key === 'Escape') {
+                closeTrash();
+            }
+        };
+
+        const modalBox = document.createElement('div');
+        modalBox.className = 'modal-box archive-modal-box';
+
+        const modalHeader = document.createElement('div');
+        modalHeader.className = 'archive-modal-header';
+
+        const modalTitle = document.createElement('h3');
+        modalTitle.textContent = 'Trash';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'archive-modal-close';
+        closeBtn.setAttribute('aria-label', 'Close trash');
+        closeBtn.textContent = '✕';
+        closeBtn.onclick = closeTrash;
+
+        modalHeader.appendChild(modalTitle);
+        modalHeader.appendChild(closeBtn);
+
+        const modalContent = document.createElement('div');
+        modalContent.className = 'archive-modal-content';
+
+        const trashStats = document.createElement('div');
+        trashStats.className = 'archive-stats';
+
+        const statsText = document.createElement('p');
+        statsText.textContent = `${items.length} deleted item${items.length === 1 ? '' : 's'} - removed for good after ${retentionDays} day${retentionDays === 1 ? '' : 's'}`;
+        trashStats.appendChild(statsText);
+
+        const itemsListDiv = document.createElement('div');
+        itemsListDiv.className = 'archive-tasks-list';
+
+        items.forEach(item => {
+            const itemEl = document.createElement('div');
+            itemEl.className = 'archive-task-item';
+            itemEl.setAttribute('data-trash-type', item.type);
+            itemEl.setAttribute('data-trash-id', item.id);
+
+            const itemContent = document.createElement('div');
+            itemContent.className = 'archive-task-content';
+
+            const itemText = document.createElement('div');
+            itemText.className = 'archive-task-text';
+            itemText.textContent = item.text;
+
+            const itemMeta = document.createElement('div');
+            itemMeta.className = 'archive-task-meta';
+
+            const detailSpan = document.createElement('span');
+            detailSpan.className = 'archive-task-status';
+            detailSpan.textContent = item.detail;
+
+            const dateSpan = document.createElement('span');
+            dateSpan.className = 'archive-task-date';
+            dateSpan.textContent = `Deleted: ${this.formatDate(item.deletedDate)}`;
+
+            itemMeta.appendChild(detailSpan);
+            itemMeta.appendChild(dateSpan);
+
+            itemContent.appendChild(itemText);
+            itemContent.appendChild(itemMeta);
+
+            const itemActions = document.createElement('div');
+            itemActions.className = 'archive-task-actions';
+
+            const target = { type: item.type, id: item.id, boardId: item.boardId };
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-sm btn-outline-primary';
+            restoreBtn.textContent = '↩️ Restore';
+            restoreBtn.setAttribute('title', `Restore ${item.type}`);
+            restoreBtn.onclick = () => eventBus.emit('trash:restore', target);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-sm btn-outline-danger';
+            deleteBtn.textContent = '🗑️ Delete Forever';
+            deleteBtn.setAttribute('title', `Permanently delete ${item.type}`);
+            deleteBtn.onclick = () => eventBus.emit('trash:deleteForever', target);
+
+            itemActions.appendChild(restoreBtn);
+            itemActions.appendChild(deleteBtn);
+
+            itemEl.appendChild(itemContent);
+            itemEl.appendChild(itemActions);
+
+            itemsListDiv.appendChild(itemEl);
+        });
+
+        modalContent.appendChild(trashStats);
+        modalContent.appendChild(itemsListDiv);
+
+        const modalFooter = document.createElement('div');
+        modalFooter.className = 'archive-modal-footer';
+
+        const closeFooterBtn = document.createElement('button');
+        closeFooterBtn.className = 'btn btn-secondary';
+        closeFooterBtn.textContent = 'Close';
+        closeFooterBtn.onclick = closeTrash;
+
+        const emptyBtn = document.createElement('button');
+        emptyBtn.className = 'btn btn-outline-warning';
+        emptyBtn.textContent = 'Empty Trash';
+        emptyBtn.disabled = items.length === 0;
+        emptyBtn.onclick = () => eventBus.emit('trash:empty');
+
+        modalFooter.appendChild(closeFooterBtn);
+        modalFooter.appendChild(emptyBtn);
+
+        modalBox.appendChild(modalHeader);
+        modalBox.appendChild(modalContent);
+        modalBox.appendChild(modalFooter);
+
+        trashModal.appendChild(modalBox);
+
+        document.body.appendChild(trashModal);
+        trashModal.classList.add('modal-overlay--visible');
+
+        // Focus the close button for accessibility
+        setTimeout(() => closeBtn.focus(), 100);
+
+        document.addEventListener('keydown', handleEscape);
+    }
+
+    /**
+     * Close the trash browser if it is open
+     */
+    closeTrashBrowser() {
+        const trashModal = document.getElementById('trash-modal');
+        if (trashModal) {
+            // Close through the button so the Escape listener is removed as well
+            trashModal.querySelector('.archive-modal-close').click();
+        }
+    }
+
+    /**
+     * Show the task templates screen
+     * Lists the templates; New and Edit switch the screen to an editor form.
+     * @param {Array} templates - Task templates
+     */
+    showTaskTemplates(templates) {
+        const templatesModal = document.createElement('div');
+        templatesModal.className = 'modal-overlay archive-modal task-templates-modal';
+        templatesModal.id = 'task-templates-modal';
+
+        const closeTemplates = () => {
+            if (templatesModal.parentNode) {
+                templatesModal.parentNode.removeChild(templatesModal);
+            }
+            document.removeEventListener('keydown', handleEscape);
+        };
+        const handleEscape = (event) => {
+            // Leave Escape to a confirmation dialog shown on top
+            if (event.key === 'Escape' && !document.querySelector('#custom-modal.modal-overlay--visible')) {
+                closeTemplates();
+            }
+        };
+
+        const modalBox = document.createElement('div');
+        modalBox.className = 'modal-box archive-modal-box';
+
+        const modalHeader = document.createElement('div');
+        modalHeader.className = 'archive-modal-header';
+
+        const modalTitle = document.createElement('h3');
+        modalTitle.textContent = 'Task Templates';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'archive-modal-close';
+        closeBtn.setAttribute('aria-label', 'Close task templates');
+        closeBtn.textContent = '✕';
+        closeBtn.onclick = closeTemplates;
+
+        modalHeader.appendChild(modalTitle);
+        modalHeader.appendChild(closeBtn);
+
+        const modalContent = document.createElement('div');
+        modalContent.className = 'archive-modal-content';
+
+        const modalFooter = document.createElement('div');
+        modalFooter.className = 'archive-modal-footer';
+
+        const showList = () => {
+            modalContent.innerHTML = '';
+            modalFooter.innerHTML = '';
+
+            const stats = document.createElement('div');
+            stats.className = 'archive-stats';
+            const statsText = document.createElement('p');
+            statsText.textContent = templates.length === 0
+                ? 'No task templates yet. Templates pre-fill new tasks; type / in the new task box to use one.'
+                : `${templates.length} template${templates.length === 1 ? '' : 's'} - type / in the new task box to use one`;
+            stats.appendChild(statsText);
+
+            const list = document.createElement('div');
+            list.className = 'archive-tasks-list';
+
+            templates.forEach(template => {
+                const itemEl = document.createElement('div');
+                itemEl.className = 'archive-task-item';
+                itemEl.setAttribute('data-template-id', template.id);
+
+                const itemContent = document.createElement('div');
+                itemContent.className = 'archive-task-content';
+
+                const itemText = document.createElement('div');
+                itemText.className = 'archive-task-text';
+                itemText.textContent = template.name;
+
+                const itemMeta = document.createElement('div');
+                itemMeta.className = 'archive-task-meta';
+
+                const textSpan = document.createElement('span');
+                textSpan.className = 'archive-task-status';
+                textSpan.textContent = template.text;
+
+                const detailSpan = document.createElement('span');
+                detailSpan.className = 'archive-task-date';
+                const details = [];
+                if (template.checklist.length > 0) details.push(`${template.checklist.length} checklist item${template.checklist.length === 1 ? '' : 's'}`);
+                if (template.tags.length > 0) details.push(template.tags.join(', '));
+                if (template.priority !== 'none') details.push(`${template.priority} priority`);
+                detailSpan.textContent = details.join(' • ');
+
+                itemMeta.appendChild(textSpan);
+                itemMeta.appendChild(detailSpan);
+                itemContent.appendChild(itemText);
+                itemContent.appendChild(itemMeta);
+
+                const itemActions = document.createElement('div');
+                itemActions.className = 'archive-task-actions';
+
+                const editBtn = document.createElement('button');
+                editBtn.className = 'btn btn-sm btn-outline-primary';
+                editBtn.textContent = '✏️ Edit';
+                editBtn.setAttribute('title', 'Edit template');
+                editBtn.onclick = () => showEditor(template);
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.className = 'btn btn-sm btn-outline-danger';
+                deleteBtn.textContent = '🗑️ Delete';
+                deleteBtn.setAttribute('title', 'Delete template');
+                deleteBtn.onclick = () => eventBus.emit('taskTemplate:delete', { templateId: template.id });
+
+                itemActions.appendChild(editBtn);
+                itemActions.appendChild(deleteBtn);
+                itemEl.appendChild(itemContent);
+                itemEl.appendChild(itemActions);
+                list.appendChild(itemEl);
+            });
+
+            modalContent.appendChild(stats);
+            modalContent.appendChild(list);
+
+            const closeFooterBtn = document.createElement('button');
+            closeFooterBtn.className = 'btn btn-secondary';
+            closeFooterBtn.textContent = 'Close';
+            closeFooterBtn.onclick = closeTemplates;
+
+            const newBtn = document.createElement('button');
+            newBtn.className = 'btn btn-primary';
+            newBtn.textContent = 'New Template';
+            newBtn.onclick = () => showEditor(null);
+
+            modalFooter.appendChild(closeFooterBtn);
+            modalFooter.appendChild(newBtn);
+        };
+
+        const showEditor = (template) => {
+            modalContent.innerHTML = '';
+            modalFooter.innerHTML = '';
+
+            const form = document.createElement('form');
+            form.className = 'task-template-form';
+            form.id = 'task-template-form';
+
+            const addField = (id, labelText, control) => {
+                const group = document.createElement('div');
+                group.className = 'mb-3';
+                const label = document.createElement('label');
+                label.className = 'form-label';
+                label.setAttribute('for', id);
+                label.textContent = labelText;
+                control.id = id;
+                group.appendChild(label);
+                group.appendChild(control);
+                form.appendChild(group);
+                return control;
+            };
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'form-control';
+            nameInput.maxLength = 50;
+            nameInput.required = true;
+            nameInput.value = template ? template.name : '';
+            addField('task-template-name', 'Template name', nameInput);
+
+            const textInput = document.createElement('input');
+            textInput.type = 'text';
+            textInput.className = 'form-control';
+            textInput.maxLength = 200;
+            textInput.required = true;
+            textInput.value = template ? template.text : '';
+            addField('task-template-text', 'Task text', textInput);
+
+            const notesInput = document.createElement('textarea');
+            notesInput.className = 'form-control';
+            notesInput.rows = 3;
+            notesInput.placeholder = 'Markdown';
+            notesInput.value = template ? template.notes : '';
+            addField('task-template-notes', 'Notes', notesInput);
+
+            const checklistInput = document.createElement('textarea');
+            checklistInput.className = 'form-control';
+            checklistInput.rows = 4;
+            checklistInput.placeholder = 'One item per line';
+            checklistInput.value = template ? template.checklist.map(item => item.text).join('\n') : '';
+            addField('task-template-checklist', 'Checklist', checklistInput);
+
+            const tagsInput = document.createElement('input');
+            tagsInput.type = 'text';
+            tagsInput.className = 'form-control';
+            tagsInput.placeholder = 'Comma separated';
+            tagsInput.value = template ? template.tags.join(', ') : '';
+            addField('task-template-tags', 'Tags', tagsInput);
+
+            const prioritySelect = document.createElement('select');
+            prioritySelect.className = 'form-select';
+            TASK_PRIORITIES.forEach(priority => {
+                const option = document.createElement('option');
+                option.value = priority;
+                option.textContent = priority === 'none' ? 'No priority' : priority.charAt(0).toUpperCase() + priority.slice(1);
+                prioritySelect.appendChild(option);
+            });
+            prioritySelect.value = template ? template.priority : 'none';
+            addField('task-template-priority', 'Priority', prioritySelect);
+
+            form.onsubmit = (event) => {
+                event.preventDefault();
+                eventBus.emit('taskTemplate:save', {
+                    templateId: template ? template.id : null,
+                    template: {
+                        name: nameInput.value,
+                        text: textInput.value,
+                        notes: notesInput.value,
+                        checklist: checklistInput.value.split('\n'),
+                        tags: tagsInput.value,
+                        priority: prioritySelect.value
+                    }
+                });
+            };
+
+            modalContent.appendChild(form);
+
+            const backBtn = document.createElement('button');
+            backBtn.className = 'btn btn-secondary';
+            backBtn.textContent = 'Back';
+            backBtn.onclick = showList;
+
+            const saveBtn = document.createElement('button');
+            saveBtn.type = 'submit';
+            saveBtn.className = 'btn btn-primary';
+            saveBtn.textContent = template ? 'Save Template' : 'Create Template';
+            saveBtn.setAttribute('form', 'task-template-form');
+
+            modalFooter.appendChild(backBtn);
+            modalFooter.appendChild(saveBtn);
+
+            setTimeout(() => nameInput.focus(), 100);
+        };
+
+        modalBox.appendChild(modalHeader);
+        modalBox.appendChild(modalContent);
+        modalBox.appendChild(modalFooter);
+        templatesModal.appendChild(modalBox);
+
+        showList();
+        document.body.appendChild(templatesModal);
+        templatesModal.classList.add('modal-overlay--visible');
+
+        // Focus the close button for accessibility
+        setTimeout(() => closeBtn.focus(), 100);
+
+        document.addEventListener('keydown', handleEscape);
+    }
+
+    /**
+     * Close the task templates screen if it is open
+     */
+    closeTaskTemplates() {
+        const templatesModal = document.getElementById('task-templates-modal');
+        if (templatesModal) {
+            // Close through the button so the Escape listener is removed as well
+            templatesModal.querySelector('.archive-modal-close').click();
+        }
+    }
+
+    /**
+     * Show the task detail view
+     * Edits are kept in a local draft and emitted on save
+     * @param {Object} task - Task data
+     * @param {Array<Object>} boardTasks - Tasks on the same board, offered as blockers
+     */
+    showTaskDetail(task, boardTasks = []) {
+        // Only one detail view at a time
+        this.closeTaskDetail();
+        
+        const draft = {
+            notes: task.notes || '',
+            checklist: (task.checklist || []).map(item => ({ ...item })),
+            blockedBy: (task.blockedBy || []).filter(id => boardTasks.some(t => t.id === id))
+        };
+        
+        const detailModal = document.createElement('div');
+        detailModal.className = 'modal-overlay task-detail-modal';
+        detailModal.id = 'task-detail-modal';
+        detailModal.setAttribute('role', 'dialog');
+        detailModal.setAttribute('aria-modal', 'true');
+        detailModal.setAttribute('aria-labelledby', 'task-detail-title');
+        
+        const modalBox = document.createElement('div');
+        modalBox.className = 'modal-box task-detail';
+        
+        // Header
+        const header = document.createElement('div');
+        header.className = 'task-detail__header';
+        
+        const title = document.createElement('h3');
+        title.id = 'task-detail-title';
+        title.className = 'task-detail__title';
+        title.textContent = task.text;
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'task-detail__close';
+        closeBtn.setAttribute('aria-label', 'Close task details');
+        closeBtn.textContent = '✕';
+        closeBtn.addEventListener('click', () => this.closeTaskDetail());
+        
+        header.appendChild(title);
+        header.appendChild(closeBtn);
+        
+        // Content
+        const content = document.createElement('div');
+        content.className = 'task-detail__content';
+        content.appendChild(this.createNotesSection(draft));
+        content.appendChild(this.createChecklistSection(draft));
+        content.appendChild(this.createDependenciesSection(draft, task, boardTasks));
+        content.appendChild(this.createHistorySection(task));
+        
+        // Footer
+        const footer = document.createElement('div');
+        footer.className = 'task-detail__footer';
+        
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn btn-secondary';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => this.closeTaskDetail());
+        
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.textContent = 'Save Changes';
+        saveBtn.addEventListener('click', () => {
+            eventBus.emit('task:details:save', { taskId: task.id, updates: { ...draft } });
+            this.closeTaskDetail();
+        });
+        
+        footer.appendChild(cancelBtn);
+        footer.appendChild(saveBtn);
+        
+        modalBox.appendChild(header);
+        modalBox.appendChild(content);
+        modalBox.appendChild(footer);
+        detailModal.appendChild(modalBox);
+        
+        // Close on overlay click
+        detailModal.addEventListener('click', (event) => {
+            if (event.target === detailModal) {
+                this.closeTaskDetail();
+            }
+        });
+        
+        // Close on escape key
+        this._taskDetailEscapeHandler = (event) => {
+            if (event.key === 'Escape') {
+                this.closeTaskDetail();
+            }
+        };
+        document.addEventListener('keydown', this._taskDetailEscapeHandler);
+        
+        document.body.appendChild(detailModal);
+        detailModal.classList.add('modal-overlay--visible');
+        
+        setTimeout(() => closeBtn.focus(), 100);
+    }
+    
+    /**
+     * Close the task detail view if it is open
+     */
+    closeTaskDetail() {
+        const modal = document.getElementById('task-detail-modal');
+        if (modal) {
+            modal.remove();
+        }
+        if (this._taskDetailEscapeHandler) {
+            document.removeEventListener('keydown', this._taskDetailEscapeHandler);
+            this._taskDetailEscapeHandler = null;
+        }
+    }
+    
+    /**
+     * Create a titled section for the task detail view
+     * @param {string} titleText - Section title
+     * @returns {HTMLElement} Section element
+     */
+    createTaskDetailSection(titleText) {
+        const section = document.createElement('section');
+        section.className = 'task-detail__section';
+        
+        const heading = document.createElement('h4');
+        heading.className = 'task-detail__section-title';
+        heading.textContent = titleText;
+        
+        section.appendChild(heading);
+        return section;
+    }
+    
+    /**
+     * Create the Markdown notes editor for the task detail view
+     * The preview is rendered through securityManager's allowlist sanitizer
+     * @param {Object} draft - Draft task data holding the notes being edited
+     * @returns {HTMLElement} Notes section
+     */
+    createNotesSection(draft) {
+        const section = this.createTaskDetailSection('Notes');
+        
+        const preview = document.createElement('div');
+        preview.className = 'task-notes__preview';
+        
+        const editor = document.createElement('textarea');
+        editor.className = 'form-control task-notes__editor';
+        editor.rows = 6;
+        editor.maxLength = 10000;
+        editor.placeholder = 'Add notes (Markdown supported: **bold**, lists, [links](https://...), ```code```)';
+        editor.setAttribute('aria-label', 'Task notes');
+        editor.value = draft.notes;
+        
+        const toggleBtn = document.createElement('button');
+        toggleBtn.type = 'button';
+        toggleBtn.className = 'btn btn-sm btn-outline-primary task-notes__toggle';
+        
+        const renderPreview = () => {
+            preview.textContent = '';
+            if (draft.notes.trim()) {
+                preview.appendChild(securityManager.renderMarkdown(draft.notes));
+            } else {
+                const empty = document.createElement('p');
+                empty.className = 'task-notes__empty';
+                empty.textContent = 'No notes yet';
+                preview.appendChild(empty);
+            }
+        };
+        
+        // Start in preview mode when there are notes, edit mode otherwise
+        let editing = !draft.notes.trim();
+        const updateMode = () => {
+            editor.style.display = editing ? '' : 'none';
+            preview.style.display = editing ? 'none' : '';
+            toggleBtn.textContent = editing ? 'Preview' : 'Edit';
+            if (!editing) {
+                renderPreview();
+            }
+        };
+        
+        editor.addEventListener('input', () => {
+            draft.notes = editor.value;
+        });
+        
+        toggleBtn.addEventListener('click', () => {
+            editing = !editing;
+            updateMode();
+            if (editing) {
+                editor.focus();
+            }
+        });
+        
+        updateMode();
+        
+        section.querySelector('.task-detail__section-title').appendChild(toggleBtn);
+        section.appendChild(editor);
+        section.appendChild(preview);
+        return section;
+    }
+
+    /**
+     * Create the checklist editor for the task detail view
+     * @param {Object} draft - Draft task data holding the checklist being edited
+     * @returns {HTMLElement} Checklist section
+     */
+    createChecklistSection(draft) {
+        const section = this.createTaskDetailSection('Checklist');
+        
+        const progress = document.createElement('p');
+        progress.className = 'task-checklist__progress';
+        
+        const list = document.createElement('ul');
+        list.className = 'task-checklist';
+        
+        const renderItems = () => {
+            const doneCount = draft.checklist.filter(item => item.done).length;
+            progress.textContent = draft.checklist.length > 0
+                ? `${doneCount}/${draft.checklist.length} done`
+                : 'No checklist items yet';
+            
+            list.innerHTML = '';
+            draft.checklist.forEach((item, index) => {
+                const listItem = document.createElement('li');
+                listItem.className = 'task-checklist__item';
+                
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.id = `checklist-item-${index}`;
+                checkbox.checked = item.done;
+                checkbox.addEventListener('change', () => {
+                    item.done = checkbox.checked;
+                    renderItems();
+                });
+                
+                const label = document.createElement('label');
+                label.htmlFor = checkbox.id;
+                label.className = item.done ? 'task-checklist__text task-checklist__text--done' : 'task-checklist__text';
+                label.textContent = item.text;
+                
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'task-checklist__remove';
+                removeBtn.setAttribute('aria-label', `Remove checklist item: ${item.text}`);
+                removeBtn.textContent = '✕';
+                removeBtn.addEventListener('click', () => {
+                    draft.checklist.splice(index, 1);
+                    renderItems();
+                });
+                
+                listItem.appendChild(checkbox);
+                listItem.appendChild(label);
+                listItem.appendChild(removeBtn);
+                list.appendChild(listItem);
+            });
+        };
+        
+        const addForm = document.createElement('form');
+        addForm.className = 'task-checklist__add';
+        
+        const addInput = document.createElement('input');
+        addInput.type = 'text';
+        addInput.className = 'form-control';
+        addInput.placeholder = 'Add a checklist item';
+        addInput.maxLength = 200;
+        addInput.setAttribute('aria-label', 'New checklist item');
+        
+        const addBtn = document.createElement('button');
+        addBtn.type = 'submit';
+        addBtn.className = 'btn btn-sm btn-outline-primary';
+        addBtn.textContent = 'Add';
+        
+        addForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const text = addInput.value.trim();
+            if (!text) return;
+            
+            draft.checklist.push({ id: generateUniqueId(), text, done: false });
+            addInput.value = '';
+            renderItems();
+            addInput.focus();
+        });
+        
+        addForm.appendChild(addInput);
+        addForm.appendChild(addBtn);
+        
+        renderItems();
+        
+        section.appendChild(progress);
+        section.appendChild(list);
+        section.appendChild(addForm);
+        return section;
+    }
+
+    /**
+     * Create the read-only status history for the task detail view
+     * @param {Object} task - Task data
+     * @returns {HTMLElement} History section
+     */
+    createHistorySection(task) {
+        const section = this.createTaskDetailSection('History');
+        const statusLabels = { todo: 'To Do', doing: 'In Progress', done: 'Done' };
+        const model = new Task(task);
+        
+        const leadTime = model.getLeadTime();
+        const cycleTime = model.getCycleTime();
+        if (leadTime !== null) {
+            const summary = document.createElement('p');
+            summary.className = 'task-history__summary';
+            summary.textContent = cycleTime !== null
+                ? `Lead time: ${formatDuration(leadTime)} · Cycle time: ${formatDuration(cycleTime)}`
+                : `Lead time: ${formatDuration(leadTime)}`;
+            section.appendChild(summary);
+        }
+        
+        const list = document.createElement('ol');
+        list.className = 'task-history';
+        
+        const created = document.createElement('li');
+        created.className = 'task-history__item';
+        created.textContent = `Created · ${new Date(model.createdDate).toLocaleString()}`;
+        list.appendChild(created);
+        
+        model.statusHistory.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'task-history__item';
+            const from = statusLabels[entry.from] || entry.from;
+            item.textContent = `${from} → ${statusLabels[entry.to]} · ${new Date(entry.at).toLocaleString()}`;
+            list.appendChild(item);
+        });
+        
+        section.appendChild(list);
+        return section;
+    }
+
+    /**
+     * Create the "Blocked by" editor for the task detail view
+     * @param {Object} draft - Draft task data holding the blocker IDs being edited
+     * @param {Object} task - Task being edited
+     * @param {Array<Object>} boardTasks - Tasks on the same board
+     * @returns {HTMLElement} Dependencies section
+     */
+    createDependenciesSection(draft, task, boardTasks) {
+        const section = this.createTaskDetailSection('Blocked by');
+        
+        const list = document.createElement('ul');
+        list.className = 'task-dependencies';
+        
+        const addForm = document.createElement('form');
+        addForm.className = 'task-dependencies__add';
+        
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        select.setAttribute('aria-label', 'Blocking task');
+        
+        const addBtn = document.createElement('button');
+        addBtn.type = 'submit';
+        addBtn.className = 'btn btn-sm btn-outline-primary';
+        addBtn.textContent = 'Add';
+        
+        const statusLabels = { todo: 'To Do', doing: 'In Progress', done: 'Done' };
+        
+        const renderBlockers = () => {
+            list.innerHTML = '';
+            
+            if (draft.blockedBy.length === 0) {
+                const empty = document.createElement('li');
+                empty.className = 'task-dependencies__empty';
+                empty.textContent = 'Not blocked by any task';
+                list.appendChild(empty);
+            }
+            
+            draft.blockedBy.forEach((blockerId, index) => {
+                const blocker = boardTasks.find(t => t.id === blockerId);
+                
+                const listItem = document.createElement('li');
+                listItem.className = blocker.status === 'done'
+                    ? 'task-dependencies__item task-dependencies__item--done'
+                    : 'task-dependencies__item';
+                
+                const text = document.createElement('span');
+                text.className = 'task-dependencies__text';
+                text.textContent = blocker.text;
+                
+                const status = document.createElement('span');
+                status.className = 'task-dependencies__status';
+                status.textContent = statusLabels[blocker.status] || blocker.status;
+                
+                const removeBtn = document.createElement('button');
+                removeBtn.type = 'button';
+                removeBtn.className = 'task-dependencies__remove';
+                removeBtn.setAttribute('aria-label', `Remove blocker: ${blocker.text}`);
+                removeBtn.textContent = '✕';
+                removeBtn.addEventListener('click', () => {
+                    draft.blockedBy.splice(index, 1);
+                    renderBlockers();
+                });
+                
+                listItem.appendChild(text);
+                listItem.appendChild(status);
+                listItem.appendChild(removeBtn);
+                list.appendChild(listItem);
+            });
+            
+            // Offer the remaining tasks on the board as blockers
+            select.innerHTML = '';
+            const candidates = boardTasks.filter(t => t.id !== task.id && !draft.blockedBy.includes(t.id));
+            candidates.forEach(candidate => {
+                const option = document.createElement('option');
+                option.value = candidate.id;
+                option.textContent = candidate.text;
+                select.appendChild(option);
+            });
+            select.disabled = candidates.length === 0;
+            addBtn.disabled = candidates.length === 0;
+        };
+        
+        addForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            if (!select.value) return;
+            
+            draft.blockedBy.push(select.value);
+            renderBlockers();
+        });
+        
+        addForm.appendChild(select);
+        addForm.appendChild(addBtn);
+        
+        renderBlockers();
+        
+        section.appendChild(list);
+        section.appendChild(addForm);
+        return section;
+    }
+
     /**
      * Show empty state for new users
      */
@@ -2850,6 +4633,8 @@ class DOMManager {
             // Update cached reference
             this.elements.todoForm = newForm;
             this.elements.todoInput = newForm.querySelector('#todo-input');
+            this.elements.taskTemplateBtn = newForm.querySelector('#task-template-btn');
+            this.elements.taskTemplateMenu = newForm.querySelector('#task-template-menu');
         }
         
         // Add form submission listener
@@ -2858,10 +4643,11 @@ class DOMManager {
                 event.preventDefault();
                 const text = this.elements.todoInput?.value?.trim();
                 if (text) {
-                    eventBus.emit('task:create', { text });
+                    eventBus.emit('task:create', { text, templateId: this.pendingTaskTemplateId });
                 }
             });
         }
+        this.setupTaskTemplatePicker();
         
         // Re-add archive button listener
         const archiveButton = document.getElementById('archive-button');
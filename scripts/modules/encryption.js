@@ -0,0 +1,202 @@
+/**
+ * Encryption
+ * Passphrase-based encryption with Web Crypto: PBKDF2 (SHA-256) derives an
+ * AES-GCM key, and every payload gets its own random IV.
+ *
+ * A key header ({ algorithm, salt, iterations, check }) is stored next to the
+ * encrypted data. It holds no secret; `check` is a known value encrypted with
+ * the key, so a wrong passphrase is reported as such instead of as bad data.
+ */
+
+export const ENCRYPTION_ALGORITHM = 'PBKDF2-SHA256/AES-GCM-256';
+export const ENCRYPTED_EXPORT_TYPE = 'cascade-encrypted-export';
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const PBKDF2_ITERATIONS = 600000;
+
+const CHECK_VALUE = 'cascade';
+
+/**
+ * Check whether the browser can encrypt
+ * @returns {boolean} True if Web Crypto and TextEncoder are available
+ */
+export function isEncryptionSupported() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle && typeof TextEncoder !== 'undefined';
+}
+
+/**
+ * Check that a new passphrase is long enough
+ * @param {string} passphrase - Passphrase to check
+ * @throws {Error} If it is too short
+ */
+export function validatePassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+function toBase64(bytes) {
+    const array = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < array.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, array.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ * @param {string} passphrase - User passphrase
+ * @param {string} salt - Base64 salt from the key header
+ * @param {number} iterations - PBKDF2 iterations from the key header
+ * @returns {Promise<CryptoKey>} Key for encryptText() and decryptText()
+ */
+export async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt text
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {string} text - Plain text
+ * @returns {Promise<Object>} { iv, data } as base64
+ */
+export async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt text
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {Object} payload - { iv, data } from encryptText()
+ * @returns {Promise<string>} Plain text
+ * @throws {Error} If the key is wrong or the data was changed
+ */
+export async function decryptText(key, payload) {
+    try {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(payload.iv) }, key, fromBase64(payload.data));
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        throw new Error('Could not decrypt data: wrong passphrase or damaged data');
+    }
+}
+
+/**
+ * Encrypt a value as JSON
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {*} value - Value to encrypt
+ * @returns {Promise<Object>} { iv, data }
+ */
+export function encryptJSON(key, value) {
+    return encryptText(key, JSON.stringify(value));
+}
+
+/**
+ * Decrypt a value encrypted with encryptJSON()
+ * @param {CryptoKey} key - Key from deriveKey()
+ * @param {Object} payload - { iv, data }
+ * @returns {Promise<*>} Decrypted value
+ */
+export async function decryptJSON(key, payload) {
+    return JSON.parse(await decryptText(key, payload));
+}
+
+/**
+ * Create a key and its header for a new passphrase
+ * @param {string} passphrase - New passphrase
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<Object>} { key, header }
+ */
+export async function createKey(passphrase, iterations = PBKDF2_ITERATIONS) {
+    validatePassphrase(passphrase);
+
+    const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    const key = await deriveKey(passphrase, salt, iterations);
+    const header = {
+        algorithm: ENCRYPTION_ALGORITHM,
+        salt,
+        iterations,
+        check: await encryptText(key, CHECK_VALUE)
+    };
+    return { key, header };
+}
+
+/**
+ * Get the key for a header, checking the passphrase
+ * @param {Object} header - Key header from createKey()
+ * @param {string} passphrase - Passphrase to try
+ * @returns {Promise<CryptoKey>} Key
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function unlockKey(header, passphrase) {
+    if (!header || header.algorithm !== ENCRYPTION_ALGORITHM) {
+        throw new Error('Unsupported encryption format');
+    }
+
+    const key = await deriveKey(passphrase, header.salt, header.iterations);
+    let check = null;
+    try {
+        check = await decryptText(key, header.check);
+    } catch (error) {
+        // Reported below
+    }
+    if (check !== CHECK_VALUE) {
+        throw new Error('Incorrect passphrase');
+    }
+    return key;
+}
+
+/**
+ * Wrap export data in an encrypted file
+ * @param {Object} data - Export data
+ * @param {CryptoKey} key - Key of the stored data
+ * @param {Object} header - Header of that key, so the file opens with the same passphrase
+ * @returns {Promise<Object>} Encrypted export file contents
+ */
+export async function encryptExport(data, key, header) {
+    return {
+        type: ENCRYPTED_EXPORT_TYPE,
+        version: 1,
+        exportDate: new Date().toISOString(),
+        encryption: header,
+        encrypted: await encryptJSON(key, data)
+    };
+}
+
+/**
+ * Check whether parsed file contents are an encrypted export
+ * @param {*} data - Parsed file contents
+ * @returns {boolean} True if decryptExport() applies
+ */
+export function isEncryptedExport(data) {
+    return !!data && data.type === ENCRYPTED_EXPORT_TYPE && !!data.encryption && !!data.encrypted;
+}
+
+/**
+ * Open an encrypted export file
+ * @param {Object} file - Encrypted export file contents
+ * @param {string} passphrase - Passphrase the data was encrypted with
+ * @returns {Promise<Object>} Export data
+ * @throws {Error} If the passphrase is wrong
+ */
+export async function decryptExport(file, passphrase) {
+    const key = await unlockKey(file.encryption, passphrase);
+    return decryptJSON(key, file.encrypted);
+}
@@ -3,10 +3,13 @@
  * Provides comprehensive keyboard shortcuts and navigation
  */
 
+import eventBus from './eventBus.js';
+
 export class KeyboardNavigator {
   constructor(app) {
     this.app = app;
     this.selectedTaskId = null;
+    this.anchorTaskId = null; // Where Shift-click and Shift+arrow ranges start
     this.shortcuts = new Map();
     this.init();
   }
@@ -55,6 +58,42 @@ export class KeyboardNavigator {
       category: 'Navigation'
     });
 
+    this.shortcuts.set('shift+ArrowUp', {
+      description: 'Add previous task to selection',
+      action: (e) => {
+        e.preventDefault();
+        this.extendSelection(-1);
+      },
+      category: 'Navigation'
+    });
+
+    this.shortcuts.set('shift+ArrowDown', {
+      description: 'Add next task to selection',
+      action: (e) => {
+        e.preventDefault();
+        this.extendSelection(1);
+      },
+      category: 'Navigation'
+    });
+
+    this.shortcuts.set('alt+ArrowUp', {
+      description: 'Move selected task up',
+      action: (e) => {
+        e.preventDefault();
+        this.reorderSelectedTask(-1);
+      },
+      category: 'Task Management'
+    });
+
+    this.shortcuts.set('alt+ArrowDown', {
+      description: 'Move selected task down',
+      action: (e) => {
+        e.preventDefault();
+        this.reorderSelectedTask(1);
+      },
+      category: 'Task Management'
+    });
+
     this.shortcuts.set('Enter', {
       description: 'Edit selected task',
       action: () => this.editSelectedTask(),
@@ -73,6 +112,18 @@ export class KeyboardNavigator {
       category: 'Task Management'
     });
 
+    this.shortcuts.set('m', {
+      description: 'Move selected task to another board',
+      action: () => this.sendSelectedTaskToBoard('move'),
+      category: 'Task Management'
+    });
+
+    this.shortcuts.set('c', {
+      description: 'Copy selected task to another board',
+      action: () => this.sendSelectedTaskToBoard('copy'),
+      category: 'Task Management'
+    });
+
     // Status change shortcuts
     this.shortcuts.set('1', {
       description: 'Move selected task to To-Do',
@@ -111,6 +162,25 @@ export class KeyboardNavigator {
       category: 'Application'
     });
 
+    this.shortcuts.set('ctrl+z', {
+      description: 'Undo last change',
+      action: (e) => {
+        e.preventDefault();
+        this.app.handleUndo();
+      },
+      category: 'Application'
+    });
+
+    // Shift+letter arrives as the capital letter, so Ctrl+Shift+Z is 'ctrl+Z'
+    this.shortcuts.set('ctrl+Z', {
+      description: 'Redo last undone change',
+      action: (e) => {
+        e.preventDefault();
+        this.app.handleRedo();
+      },
+      category: 'Application'
+    });
+
     this.shortcuts.set('?', {
       description: 'Show keyboard shortcuts',
       action: () => this.showShortcutHelp(),
@@ -150,9 +220,15 @@ export class KeyboardNavigator {
       const taskCard = e.target.closest('.task-card');
       const modalOpen = e.target.closest('.modal-overlay--visible');
       
-      if (taskCard) {
+      const selectionControl = e.target.closest('#bulk-action-bar, [data-select-column]');
+      
+      if (taskCard && (e.ctrlKey || e.metaKey)) {
+        this.toggleTaskSelection(taskCard.dataset.taskId);
+      } else if (taskCard && e.shiftKey) {
+        this.selectRange(taskCard.dataset.taskId);
+      } else if (taskCard) {
         this.selectTask(taskCard.dataset.taskId);
-      } else if (!modalOpen) {
+      } else if (!modalOpen && !selectionControl) {
         // Only clear selection if not clicking inside an open modal
         this.clearSelection();
       }
@@ -213,13 +289,9 @@ export class KeyboardNavigator {
    * Clear current selection
    */
   clearSelection() {
-    if (this.selectedTaskId) {
-      const selectedCard = document.querySelector(`[data-task-id="${this.selectedTaskId}"]`);
-      if (selectedCard) {
-        selectedCard.classList.remove('task-card--selected');
-      }
-      this.selectedTaskId = null;
-    }
+    this.selectedTaskId = null;
+    this.anchorTaskId = null;
+    this.setSelectedTaskIds([]);
 
     // Only close modals when explicitly requested (e.g., via Escape key)
     // Don't close modals automatically when clearing selection from clicks
@@ -233,11 +305,95 @@ export class KeyboardNavigator {
     
     if (taskId) {
       this.selectedTaskId = taskId;
-      const taskCard = document.querySelector(`[data-task-id="${taskId}"]`);
-      if (taskCard) {
-        taskCard.classList.add('task-card--selected');
-        taskCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      this.anchorTaskId = taskId;
+      this.setSelectedTaskIds([taskId]);
+      this.scrollToTask(taskId);
+    }
+  }
+
+  /**
+   * Add a task to the selection, or take it out if it is already selected
+   */
+  toggleTaskSelection(taskId) {
+    const selected = this.getSelectedTaskIds();
+    
+    if (selected.includes(taskId)) {
+      this.setSelectedTaskIds(selected.filter(id => id !== taskId));
+      if (this.selectedTaskId === taskId) {
+        this.selectedTaskId = null;
       }
+    } else {
+      this.setSelectedTaskIds([...selected, taskId]);
+      this.selectedTaskId = taskId;
+      this.anchorTaskId = taskId;
+    }
+  }
+
+  /**
+   * Select every visible task from the anchor task to the given task
+   */
+  selectRange(taskId) {
+    const tasks = this.getAllVisibleTasks().map(task => task.dataset.taskId);
+    const anchorIndex = tasks.indexOf(this.anchorTaskId);
+    const targetIndex = tasks.indexOf(taskId);
+    
+    if (anchorIndex === -1 || targetIndex === -1) {
+      this.selectTask(taskId);
+      return;
+    }
+    
+    const start = Math.min(anchorIndex, targetIndex);
+    const end = Math.max(anchorIndex, targetIndex);
+    this.selectedTaskId = taskId;
+    this.setSelectedTaskIds(tasks.slice(start, end + 1));
+    this.scrollToTask(taskId);
+  }
+
+  /**
+   * Grow or shrink the selected range by one task up (-1) or down (1)
+   */
+  extendSelection(direction) {
+    const tasks = this.getAllVisibleTasks();
+    if (tasks.length === 0) return;
+
+    if (!this.selectedTaskId) {
+      this.selectTask(tasks[direction < 0 ? tasks.length - 1 : 0].dataset.taskId);
+      return;
+    }
+
+    const currentIndex = tasks.findIndex(task => 
+      task.dataset.taskId === this.selectedTaskId
+    );
+    const nextTask = tasks[currentIndex + direction];
+    
+    if (currentIndex !== -1 && nextTask) {
+      this.selectRange(nextTask.dataset.taskId);
+    }
+  }
+
+  /**
+   * Get the IDs of all selected tasks
+   */
+  getSelectedTaskIds() {
+    return this.app.uiService ? this.app.uiService.getSelectedTaskIds() : [];
+  }
+
+  /**
+   * Replace the selected tasks; the UI service marks the cards and shows the bulk action bar
+   */
+  setSelectedTaskIds(taskIds) {
+    if (this.app.uiService) {
+      this.app.uiService.setSelectedTaskIds(taskIds);
+    }
+  }
+
+  /**
+   * Bring a task card into view
+   */
+  scrollToTask(taskId) {
+    const taskCard = document.querySelector(`[data-task-id="${taskId}"]`);
+    if (taskCard) {
+      taskCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
   }
 
@@ -323,6 +479,20 @@ export class KeyboardNavigator {
     }
   }
 
+  /**
+   * Move or copy selected task to another board
+   */
+  sendSelectedTaskToBoard(mode) {
+    if (!this.selectedTaskId) return;
+
+    const taskCard = document.querySelector(`[data-task-id="${this.selectedTaskId}"]`);
+    const boardButton = taskCard?.querySelector(`[data-action="${mode}-to-board"]`);
+    
+    if (boardButton) {
+      boardButton.click();
+    }
+  }
+
   /**
    * Move selected task to status
    */
@@ -337,6 +507,34 @@ export class KeyboardNavigator {
     }
   }
 
+  /**
+   * Move selected task one place up (-1) or down (1) within its column or swimlane
+   */
+  reorderSelectedTask(direction) {
+    if (!this.selectedTaskId) return;
+
+    const taskId = this.selectedTaskId;
+    const taskCard = document.querySelector(`[data-task-id="${taskId}"]`);
+    const container = taskCard?.closest('.swimlane__content, .board-column__content');
+    if (!container) return;
+
+    const cards = Array.from(container.querySelectorAll('.task-card'));
+    const targetIndex = cards.indexOf(taskCard) + direction;
+    if (targetIndex < 0 || targetIndex >= cards.length) return;
+
+    // Neighbours at the new position, once the card is taken out of the list
+    const others = cards.filter(card => card !== taskCard);
+    const previous = others[targetIndex - 1];
+    const next = others[targetIndex];
+
+    // Emitted so the reorder is recorded for undo like other task commands
+    eventBus.emit('task:reorder', {
+      taskId,
+      previousTaskId: previous ? previous.dataset.taskId : null,
+      nextTaskId: next ? next.dataset.taskId : null
+    });
+  }
+
   /**
    * Create shortcut help modal content
    */
@@ -362,6 +560,7 @@ export class KeyboardNavigator {
    */
   formatKeyForDisplay(key) {
     return key
+      .replace(/^ctrl\+([A-Z])$/, 'ctrl+shift+$1')
       .replace('ctrl+', 'Ctrl + ')
       .replace('alt+', 'Alt + ')
       .replace('shift+', 'Shift + ')
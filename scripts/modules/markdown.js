@@ -0,0 +1,150 @@
+/**
+ * Minimal Markdown to HTML converter for task notes
+ * Supports headings, paragraphs, lists, fenced code blocks, inline code,
+ * emphasis and links. All text is escaped first, so raw HTML in notes is
+ * shown as text. Output is meant to be passed through
+ * securityManager.sanitizeRichHTML() before it reaches the DOM.
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Link targets we are willing to render
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+/**
+ * Convert inline Markdown (code, links, bold, italic) to HTML
+ * @param {string} text - Single line or paragraph of Markdown
+ * @returns {string} HTML string
+ */
+function renderInline(text) {
+    const placeholders = [];
+    const hold = (html) => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    // Pull out inline code first so its content is not formatted
+    let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => hold(`<code>${code}</code>`));
+
+    // Links: [label](url) - unsafe URLs are left as plain text
+    html = html.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        if (!SAFE_LINK_PATTERN.test(url)) {
+            return label;
+        }
+        return hold(`<a href="${url}">${renderEmphasis(label)}</a>`);
+    });
+
+    html = renderEmphasis(html);
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[Number(index)]);
+}
+
+/**
+ * Convert bold and italic markers to HTML
+ * @param {string} html - Escaped text
+ * @returns {string} HTML string
+ */
+function renderEmphasis(html) {
+    return html
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+        .replace(/\b_([^_]+)_\b/g, '<em>$1</em>');
+}
+
+/**
+ * Convert Markdown text to an HTML string
+ * @param {string} markdown - Markdown source
+ * @returns {string} HTML string
+ */
+export function markdownToHTML(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null; // { type: 'ul' | 'ol', items: [] }
+    let codeLines = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const flushList = () => {
+        if (list) {
+            html.push(`<${list.type}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.type}>`);
+            list = null;
+        }
+    };
+
+    lines.forEach(line => {
+        // Inside a fenced code block everything is literal
+        if (codeLines !== null) {
+            if (/^\s*```/.test(line)) {
+                html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+                codeLines = null;
+            } else {
+                codeLines.push(line);
+            }
+            return;
+        }
+
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            codeLines = [];
+            return;
+        }
+
+        if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+            return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            // Notes live inside a modal, so start headings at h3
+            const level = Math.min(heading[1].length + 2, 6);
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            return;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            flushList();
+            html.push('<hr>');
+            return;
+        }
+
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (bullet || numbered) {
+            const type = bullet ? 'ul' : 'ol';
+            flushParagraph();
+            if (list && list.type !== type) {
+                flushList();
+            }
+            if (!list) {
+                list = { type, items: [] };
+            }
+            list.items.push((bullet || numbered)[1]);
+            return;
+        }
+
+        flushList();
+        paragraph.push(line.trim());
+    });
+
+    // Unterminated code block: render what we have
+    if (codeLines !== null) {
+        html.push(`<pre><code>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+    }
+    flushParagraph();
+    flushList();
+
+    return html.join('');
+}
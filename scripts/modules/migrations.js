@@ -0,0 +1,133 @@
+/**
+ * IndexedDB Schema Migrations
+ * Ordered steps that upgrade stored data from one database version to the next
+ */
+
+import { DEFAULT_COLUMNS } from './models.js';
+
+/**
+ * Version of the schema before migrations were tracked
+ * Databases at this version or older hold boards and settings stores only.
+ */
+export const BASE_SCHEMA_VERSION = 5;
+
+/**
+ * Migration steps, oldest first
+ * Each step upgrades the database to its version:
+ * - upgradeSchema(db, transaction) runs inside onupgradeneeded to change object stores
+ * - migrate({ boards, metadata }) returns the transformed records; it must not
+ *   change records that are already in the new format
+ * Encrypted records are not passed to migrate(); SimpleStorage migrates them
+ * from the version stored with them once they are decrypted.
+ */
+export const MIGRATIONS = [
+    {
+        version: 6,
+        description: 'Add a backups store and save the default columns on boards without columns',
+        upgradeSchema(db) {
+            if (!db.objectStoreNames.contains('backups')) {
+                db.createObjectStore('backups', { keyPath: 'id' });
+            }
+        },
+        migrate({ boards, metadata }) {
+            return {
+                boards: boards.map(board => (
+                    Array.isArray(board.columns) && board.columns.length > 0
+                        ? board
+                        : { ...board, columns: DEFAULT_COLUMNS.map(column => ({ ...column })) }
+                )),
+                metadata
+            };
+        }
+    }
+];
+
+/**
+ * Check that migration steps have ascending, unique versions above the base schema
+ * @param {Array} migrations - Migration steps
+ * @throws {Error} If the registry is out of order
+ */
+export function validateMigrations(migrations) {
+    let previous = BASE_SCHEMA_VERSION;
+    migrations.forEach(step => {
+        if (!Number.isInteger(step.version) || step.version <= previous) {
+            throw new Error(`Migration versions must be ascending integers above ${previous}`);
+        }
+        if (!step.description) {
+            throw new Error(`Migration ${step.version} needs a description`);
+        }
+        previous = step.version;
+    });
+}
+
+/**
+ * Get the database version the migrations lead to
+ * @param {Array} migrations - Migration steps
+ * @returns {number} Latest schema version
+ */
+export function getLatestVersion(migrations = MIGRATIONS) {
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : BASE_SCHEMA_VERSION;
+}
+
+/**
+ * Get the steps between two versions
+ * @param {number} fromVersion - Version the data is at
+ * @param {number} toVersion - Version to upgrade to
+ * @param {Array} migrations - Migration steps
+ * @returns {Array} Steps above fromVersion up to and including toVersion
+ */
+export function getPendingMigrations(fromVersion, toVersion, migrations = MIGRATIONS) {
+    return migrations.filter(step => step.version > fromVersion && step.version <= toVersion);
+}
+
+/**
+ * Transform stored records through the pending steps in order
+ * @param {Object} records - { boards, metadata } as stored
+ * @param {number} fromVersion - Version the records are at
+ * @param {number} toVersion - Version to upgrade to
+ * @param {Array} migrations - Migration steps
+ * @returns {Object} { records, applied: [{ version, description }] }
+ * @throws {Error} Naming the step that failed
+ */
+export function applyMigrations(records, fromVersion, toVersion, migrations = MIGRATIONS) {
+    // Steps work on a copy so a failed step leaves the originals untouched
+    const copy = JSON.parse(JSON.stringify(records));
+    const encryptedBoards = copy.boards.filter(isEncryptedRecord);
+    const encryptedMetadata = isEncryptedRecord(copy.metadata) ? copy.metadata : null;
+    let current = {
+        boards: copy.boards.filter(board => !isEncryptedRecord(board)),
+        metadata: encryptedMetadata ? null : copy.metadata
+    };
+    const applied = [];
+
+    getPendingMigrations(fromVersion, toVersion, migrations).forEach(step => {
+        if (typeof step.migrate === 'function') {
+            try {
+                current = step.migrate(current);
+            } catch (error) {
+                throw new Error(`Migration to version ${step.version} failed: ${error.message}`);
+            }
+            if (!current || !Array.isArray(current.boards)) {
+                throw new Error(`Migration to version ${step.version} did not return boards`);
+            }
+        }
+        applied.push({ version: step.version, description: step.description });
+    });
+
+    return {
+        records: {
+            boards: current.boards.concat(encryptedBoards),
+            metadata: encryptedMetadata || current.metadata
+        },
+        applied
+    };
+}
+
+/**
+ * Check whether a stored record is encrypted
+ * @param {Object|null} record - Stored board or metadata record
+ * @returns {boolean} True if the record holds its data in `encrypted`
+ */
+export function isEncryptedRecord(record) {
+    return !!record && !!record.encrypted;
+}
@@ -1,5 +1,35 @@
 import eventBus from './eventBus.js';
-import { generateUniqueId } from './utils.js';
+import {
+    generateUniqueId,
+    parseDueDateTime,
+    getDueState,
+    getOpenBlockers,
+    getNextOccurrenceDate,
+    getTrackedTime,
+    updateTimeEntriesForStatus
+} from './utils.js';
+
+// Workflow stages every task belongs to; board columns map onto these
+export const TASK_STATUSES = ['todo', 'doing', 'done'];
+
+// Columns for boards that have not configured their own workflow
+export const DEFAULT_COLUMNS = [
+    { id: 'todo', name: 'To Do', status: 'todo', color: '#e3f2fd', limit: null },
+    { id: 'doing', name: 'In Progress', status: 'doing', color: '#fff3e0', limit: null },
+    { id: 'done', name: 'Done', status: 'done', color: '#e8f5e8', limit: null }
+];
+
+// How a board treats column WIP limits: 'soft' asks before going over, 'strict' refuses
+export const WIP_MODES = ['soft', 'strict'];
+
+// What swimlanes split a board by; 'lane' uses the task's own lane field
+export const SWIMLANE_GROUPS = ['none', 'tag', 'priority', 'lane'];
+
+// Task priority levels, ordered from least to most important
+export const TASK_PRIORITIES = ['none', 'low', 'medium', 'high', 'urgent'];
+
+// Recurrence rule types: every day, given weekdays, a day of the month, every N days
+export const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly', 'interval'];
 
 /**
  * Board model for organizing tasks into projects
@@ -20,10 +50,20 @@ export class Board {
         this.color = data.color || '#6750a4';
         this.tasks = data.tasks || [];
         this.archivedTasks = data.archivedTasks || [];
+        this.deletedTasks = data.deletedTasks || []; // Trash, each with a deletedDate
         this.createdDate = data.createdDate || new Date().toISOString();
         this.lastModified = data.lastModified || new Date().toISOString();
         this.isArchived = data.isArchived || false;
         this.isDefault = data.isDefault || false;
+        this.labels = data.labels || []; // Label palette: [{ name, color }]
+        this.columns = (data.columns || DEFAULT_COLUMNS).map(column => ({ ...column })); // Ordered [{ id, name, status, color, limit }]
+        this.wipMode = data.wipMode || 'soft';
+        this.swimlanes = {
+            groupBy: 'none',
+            lanes: [], // Custom lane names, in order
+            collapsed: [], // Lane keys folded away in the UI
+            ...(data.swimlanes || {})
+        };
         
         this.validate();
         
@@ -64,6 +104,88 @@ export class Board {
         if (typeof this.isDefault !== 'boolean') {
             throw new Error('isDefault must be a boolean');
         }
+        
+        if (!Array.isArray(this.labels)) {
+            throw new Error('Board labels must be an array');
+        }
+        
+        const labelNames = new Set();
+        this.labels.forEach(label => {
+            if (!label || typeof label.name !== 'string' || label.name.trim().length === 0) {
+                throw new Error('Board label name is required');
+            }
+            if (label.name.length > 30) {
+                throw new Error('Board label name cannot exceed 30 characters');
+            }
+            if (!this.isValidHexColor(label.color)) {
+                throw new Error('Board label color must be a valid hex color');
+            }
+            
+            const key = label.name.trim().toLowerCase();
+            if (labelNames.has(key)) {
+                throw new Error('Board label names must be unique');
+            }
+            labelNames.add(key);
+        });
+        
+        if (!Array.isArray(this.columns) || this.columns.length === 0) {
+            throw new Error('Board must have at least one column');
+        }
+        
+        const columnIds = new Set();
+        this.columns.forEach(column => {
+            if (!column || typeof column.name !== 'string' || column.name.trim().length === 0) {
+                throw new Error('Board column name is required');
+            }
+            if (column.name.length > 30) {
+                throw new Error('Board column name cannot exceed 30 characters');
+            }
+            if (!TASK_STATUSES.includes(column.status)) {
+                throw new Error('Board column status must be one of: todo, doing, done');
+            }
+            
+            // Column handles id and WIP limit validation
+            new Column(column);
+            
+            if (columnIds.has(column.id)) {
+                throw new Error('Board column IDs must be unique');
+            }
+            columnIds.add(column.id);
+        });
+        
+        TASK_STATUSES.forEach(status => {
+            if (!this.columns.some(column => column.status === status)) {
+                throw new Error(`Board needs at least one column for status: ${status}`);
+            }
+        });
+        
+        if (!WIP_MODES.includes(this.wipMode)) {
+            throw new Error('Board WIP mode must be one of: soft, strict');
+        }
+        
+        if (!SWIMLANE_GROUPS.includes(this.swimlanes.groupBy)) {
+            throw new Error('Board swimlanes must group by one of: none, tag, priority, lane');
+        }
+        
+        if (!Array.isArray(this.swimlanes.lanes) || !Array.isArray(this.swimlanes.collapsed)) {
+            throw new Error('Board swimlane lanes and collapsed lanes must be arrays');
+        }
+        
+        const laneNames = new Set();
+        this.swimlanes.lanes.forEach(lane => {
+            if (typeof lane !== 'string' || lane.trim().length === 0) {
+                throw new Error('Board swimlane names must be non-empty strings');
+            }
+            if (lane.length > 30) {
+                throw new Error('Board swimlane name cannot exceed 30 characters');
+            }
+            
+            const key = lane.trim().toLowerCase();
+            if (laneNames.has(key)) {
+                throw new Error('Board swimlane names must be unique');
+            }
+            laneNames.add(key);
+        });
     }
 
     /**
@@ -126,10 +248,19 @@ export class Board {
             color: this.color,
             tasks: this.tasks,
             archivedTasks: this.archivedTasks,
+            deletedTasks: this.deletedTasks,
             createdDate: this.createdDate,
             lastModified: this.lastModified,
             isArchived: this.isArchived,
-            isDefault: this.isDefault
+            isDefault: this.isDefault,
+            labels: this.labels.map(label => ({ ...label })),
+            columns: this.columns.map(column => ({ ...column })),
+            wipMode: this.wipMode,
+            swimlanes: {
+                groupBy: this.swimlanes.groupBy,
+                lanes: [...this.swimlanes.lanes],
+                collapsed: [...this.swimlanes.collapsed]
+            }
         };
     }
 
@@ -154,6 +285,7 @@ export class Board {
             name: newName || `${this.name} (Copy)`,
             tasks: duplicatedTasks,
             archivedTasks: [], // Don't copy archived tasks to new board
+            deletedTasks: [],
             createdDate: new Date().toISOString(),
             lastModified: new Date().toISOString(),
             isDefault: false
@@ -200,6 +332,26 @@ export class Board {
         return this.tasks.filter(task => task.status === status);
     }
 
+    /**
+     * Get a label from the board palette by name (case-insensitive)
+     * @param {string} name - Label name
+     * @returns {Object|null} Label or null if not in the palette
+     */
+    getLabel(name) {
+        if (!name) return null;
+        const key = name.trim().toLowerCase();
+        return this.labels.find(label => label.name.trim().toLowerCase() === key) || null;
+    }
+
+    /**
+     * Get a workflow column by ID
+     * @param {string} columnId - Column ID
+     * @returns {Object|null} Column or null if not on this board
+     */
+    getColumn(columnId) {
+        return this.columns.find(column => column.id === columnId) || null;
+    }
+
     /**
      * Create board from plain object
      * @param {Object} data - Board data
@@ -226,9 +378,33 @@ export class Task {
         this.id = data.id || generateUniqueId();
         this.text = data.text !== undefined ? data.text : '';
         this.status = data.status || 'todo';
+        this.columnId = data.columnId || null; // Board column, null = first column for the status
+        this.lane = data.lane || null; // Custom swimlane name
+        this.rank = data.rank || null; // Manual order key, see getRankBetween()
         this.createdDate = data.createdDate || new Date().toISOString();
         this.completedDate = data.completedDate || null;
         this.lastModified = data.lastModified || new Date().toISOString();
+        this.dueDate = data.dueDate || null; // YYYY-MM-DD
+        this.dueTime = data.dueTime || null; // HH:MM (24h), requires dueDate
+        this.priority = data.priority || 'none';
+        this.tags = data.tags || [];
+        this.notes = data.notes || ''; // Markdown
+        this.blockedBy = data.blockedBy || []; // IDs of tasks that must finish first
+        this.recurrence = data.recurrence
+            ? { ...data.recurrence }
+            : null; // { type, weekdays?, dayOfMonth?, days? }
+        if (this.recurrence && Array.isArray(this.recurrence.weekdays)) {
+            this.recurrence.weekdays = [...this.recurrence.weekdays];
+        }
+        this.statusHistory = Array.isArray(data.statusHistory)
+            ? data.statusHistory.map(entry => ({ ...entry }))
+            : (data.statusHistory || []); // Append-only [{ from, to, at }]
+        this.timeEntries = Array.isArray(data.timeEntries)
+            ? data.timeEntries.map(entry => ({ ...entry, end: (entry && entry.end) || null }))
+            : (data.timeEntries || []); // [{ start, end }], end is null while the timer runs
+        this.checklist = Array.isArray(data.checklist)
+            ? data.checklist.map(item => ({ ...item, id: (item && item.id) || generateUniqueId() }))
+            : (data.checklist || []); // Ordered subtasks: [{ id, text, done }]
         
         this.validate();
         
@@ -254,9 +430,255 @@ export class Task {
             throw new Error('Task text cannot exceed 200 characters');
         }
         
-        if (!['todo', 'doing', 'done'].includes(this.status)) {
+        if (this.columnId !== null && typeof this.columnId !== 'string') {
+            throw new Error('Task column ID must be a string');
+        }
+        
+        if (this.lane !== null && (typeof this.lane !== 'string' || this.lane.length > 30)) {
+            throw new Error('Task lane must be a string of at most 30 characters');
+        }
+        
+        if (this.rank !== null && (typeof this.rank !== 'string' || !/^[0-9a-z]+$/.test(this.rank))) {
+            throw new Error('Task rank must be a base-36 string');
+        }
+        
+        if (!TASK_STATUSES.includes(this.status)) {
             throw new Error('Task status must be one of: todo, doing, done');
         }
+        
+        if (!TASK_PRIORITIES.includes(this.priority)) {
+            throw new Error('Task priority must be one of: none, low, medium, high, urgent');
+        }
+        
+        if (!Array.isArray(this.tags)) {
+            throw new Error('Task tags must be an array');
+        }
+        
+        if (this.tags.length > 10) {
+            throw new Error('Task cannot have more than 10 tags');
+        }
+        
+        this.tags.forEach(tag => {
+            if (typeof tag !== 'string' || tag.trim().length === 0) {
+                throw new Error('Task tags must be non-empty strings');
+            }
+            if (tag.length > 30) {
+                throw new Error('Task tag cannot exceed 30 characters');
+            }
+        });
+        
+        if (typeof this.notes !== 'string') {
+            throw new Error('Task notes must be a string');
+        }
+        
+        if (this.notes.length > 10000) {
+            throw new Error('Task notes cannot exceed 10000 characters');
+        }
+        
+        if (!Array.isArray(this.blockedBy)) {
+            throw new Error('Task blockedBy must be an array');
+        }
+        
+        this.blockedBy.forEach(blockerId => {
+            if (typeof blockerId !== 'string' || blockerId.trim().length === 0) {
+                throw new Error('Task blocker IDs must be non-empty strings');
+            }
+            if (blockerId === this.id) {
+                throw new Error('Task cannot be blocked by itself');
+            }
+        });
+        
+        if (this.recurrence !== null) {
+            this.validateRecurrence(this.recurrence);
+        }
+        
+        if (!Array.isArray(this.statusHistory)) {
+            throw new Error('Task status history must be an array');
+        }
+        
+        this.statusHistory.forEach(entry => {
+            if (!entry || !TASK_STATUSES.includes(entry.to) || isNaN(Date.parse(entry.at))) {
+                throw new Error('Status history entries need a valid status and timestamp');
+            }
+        });
+        
+        if (!Array.isArray(this.timeEntries)) {
+            throw new Error('Task time entries must be an array');
+        }
+        
+        let runningTimers = 0;
+        this.timeEntries.forEach(entry => {
+            const start = Date.parse(entry.start);
+            if (isNaN(start)) {
+                throw new Error('Time entry start must be a valid timestamp');
+            }
+            if (entry.end === null) {
+                runningTimers++;
+            } else if (isNaN(Date.parse(entry.end)) || Date.parse(entry.end) < start) {
+                throw new Error('Time entry end must be a valid timestamp after its start');
+            }
+        });
+        
+        if (runningTimers > 1) {
+            throw new Error('Task can only have one running timer');
+        }
+        
+        if (!Array.isArray(this.checklist)) {
+            throw new Error('Task checklist must be an array');
+        }
+        
+        this.checklist.forEach(item => {
+            if (!item.text || typeof item.text !== 'string' || item.text.trim().length === 0) {
+                throw new Error('Checklist item text is required');
+            }
+            if (item.text.length > 200) {
+                throw new Error('Checklist item text cannot exceed 200 characters');
+            }
+            if (typeof item.done !== 'boolean') {
+                throw new Error('Checklist item done flag must be a boolean');
+            }
+        });
+        
+        if (this.dueDate !== null && !this.isValidDueDate(this.dueDate)) {
+            throw new Error('Task due date must be a valid date in YYYY-MM-DD format');
+        }
+        
+        if (this.dueTime !== null) {
+            if (this.dueDate === null) {
+                throw new Error('Task due time requires a due date');
+            }
+            if (typeof this.dueTime !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(this.dueTime)) {
+                throw new Error('Task due time must be in HH:MM format');
+            }
+        }
+    }
+
+    /**
+     * Validate a recurrence rule
+     * @param {Object} recurrence - Recurrence rule to validate
+     * @throws {Error} If the rule is invalid
+     */
+    validateRecurrence(recurrence) {
+        if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+            throw new Error('Task recurrence must be an object');
+        }
+        
+        if (!RECURRENCE_TYPES.includes(recurrence.type)) {
+            throw new Error('Task recurrence type must be one of: daily, weekly, monthly, interval');
+        }
+        
+        if (recurrence.type === 'weekly') {
+            const weekdays = recurrence.weekdays;
+            if (!Array.isArray(weekdays) || weekdays.length === 0 ||
+                !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                throw new Error('Weekly recurrence needs at least one weekday (0-6)');
+            }
+        }
+        
+        if (recurrence.type === 'monthly') {
+            const day = recurrence.dayOfMonth;
+            if (!Number.isInteger(day) || day < 1 || day > 31) {
+                throw new Error('Monthly recurrence day must be between 1 and 31');
+            }
+        }
+        
+        if (recurrence.type === 'interval') {
+            const days = recurrence.days;
+            if (!Number.isInteger(days) || days < 1 || days > 365) {
+                throw new Error('Recurrence interval must be between 1 and 365 days');
+            }
+        }
+    }
+
+    /**
+     * Check if a due date string is a real calendar date
+     * @param {string} dueDate - Date string to validate
+     * @returns {boolean} True if valid YYYY-MM-DD date
+     */
+    isValidDueDate(dueDate) {
+        if (typeof dueDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+            return false;
+        }
+        
+        const [year, month, day] = dueDate.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+    }
+
+    /**
+     * Check if the task has a tag (case-insensitive)
+     * @param {string} tag - Tag to look for
+     * @returns {boolean} True if the task is tagged with it
+     */
+    hasTag(tag) {
+        if (!tag) return false;
+        const key = tag.trim().toLowerCase();
+        return this.tags.some(t => t.trim().toLowerCase() === key);
+    }
+
+    /**
+     * Get the tasks that still block this task
+     * @param {Array<Object>} tasks - Tasks on the same board
+     * @returns {Array<Object>} Blocking tasks that are not done
+     */
+    getOpenBlockers(tasks) {
+        return getOpenBlockers(this, tasks);
+    }
+
+    /**
+     * Check if the task is blocked by any unfinished task
+     * @param {Array<Object>} tasks - Tasks on the same board
+     * @returns {boolean} True if at least one blocker is not done
+     */
+    isBlocked(tasks) {
+        return this.getOpenBlockers(tasks).length > 0;
+    }
+
+    /**
+     * Get checklist completion progress
+     * @returns {Object} Progress with done and total item counts
+     */
+    getChecklistProgress() {
+        return {
+            done: this.checklist.filter(item => item.done).length,
+            total: this.checklist.length
+        };
+    }
+
+    /**
+     * Get the moment the task is due, in local time
+     * Tasks without a due time are due at the end of their due day
+     * @returns {Date|null} Due moment or null if no due date
+     */
+    getDueDateTime() {
+        return parseDueDateTime(this.dueDate, this.dueTime);
+    }
+
+    /**
+     * Check if the task is past its due moment and not yet done
+     * @param {Date} now - Reference time (defaults to current time)
+     * @returns {boolean} True if overdue
+     */
+    isOverdue(now = new Date()) {
+        return getDueState(this, now) === 'overdue';
+    }
+
+    /**
+     * Check if the task is due within the next 24 hours
+     * @param {Date} now - Reference time (defaults to current time)
+     * @returns {boolean} True if due soon
+     */
+    isDueSoon(now = new Date()) {
+        return getDueState(this, now) === 'due-soon';
+    }
+
+    /**
+     * Get the due state used for card styling
+     * @param {Date} now - Reference time (defaults to current time)
+     * @returns {string|null} 'overdue', 'due-soon' or null
+     */
+    getDueState(now = new Date()) {
+        return getDueState(this, now);
     }
 
     /**
@@ -288,7 +710,7 @@ export class Task {
      * @returns {Task} New task instance with updated status
      */
     moveTo(newStatus) {
-        if (!['todo', 'doing', 'done'].includes(newStatus)) {
+        if (!TASK_STATUSES.includes(newStatus)) {
             throw new Error(`Invalid status: ${newStatus}`);
         }
         
@@ -297,7 +719,14 @@ export class Task {
         const timestamp = new Date(Date.now() + 1).toISOString();
         const updates = {
             status: newStatus,
-            lastModified: timestamp
+            // The old column belongs to the old stage
+            columnId: oldStatus !== newStatus ? null : this.columnId,
+            lastModified: timestamp,
+            statusHistory: oldStatus !== newStatus
+                ? [...this.statusHistory, { from: oldStatus, to: newStatus, at: timestamp }]
+                : this.statusHistory,
+            // Entering "doing" starts the timer, leaving it stops the timer
+            timeEntries: updateTimeEntriesForStatus(this.timeEntries, oldStatus, newStatus)
         };
         
         // Set completedDate when task is moved to done
@@ -328,6 +757,7 @@ export class Task {
 
     /**
      * Mark task as completed
+     * For recurring tasks, pair with createNextOccurrence() to schedule the next one
      * @returns {Task} This task instance for chaining
      */
     complete() {
@@ -350,6 +780,155 @@ export class Task {
         return this.moveTo('todo');
     }
 
+    /**
+     * Get the lead time: from creation until the task was completed
+     * @returns {number|null} Lead time in milliseconds, or null if not done
+     */
+    getLeadTime() {
+        if (this.status !== 'done' || !this.completedDate) {
+            return null;
+        }
+        return new Date(this.completedDate).getTime() - new Date(this.createdDate).getTime();
+    }
+
+    /**
+     * Get the cycle time: from when work first started until the task was completed
+     * @returns {number|null} Cycle time in milliseconds, or null if not done or never started
+     */
+    getCycleTime() {
+        if (this.status !== 'done' || !this.completedDate) {
+            return null;
+        }
+        
+        const started = this.statusHistory.find(entry => entry.to === 'doing');
+        if (!started) {
+            return null;
+        }
+        return new Date(this.completedDate).getTime() - new Date(started.at).getTime();
+    }
+
+    /**
+     * Get how long the task has spent in each status
+     * Time before the first recorded transition counts towards the first status
+     * @param {Date} now - Reference time for the current status (defaults to current time)
+     * @returns {Object} Milliseconds per status: { todo, doing, done }
+     */
+    getTimeInStatus(now = new Date()) {
+        const durations = { todo: 0, doing: 0, done: 0 };
+        const firstEntry = this.statusHistory[0];
+        let status = firstEntry && firstEntry.from ? firstEntry.from : this.status;
+        let since = new Date(this.createdDate).getTime();
+        
+        this.statusHistory.forEach(entry => {
+            const at = new Date(entry.at).getTime();
+            if (durations[status] !== undefined) {
+                durations[status] += Math.max(0, at - since);
+            }
+            status = entry.to;
+            since = at;
+        });
+        
+        durations[status] += Math.max(0, now.getTime() - since);
+        return durations;
+    }
+
+    /**
+     * Check if the task's timer is running
+     * @returns {boolean} True if a time entry has no end yet
+     */
+    isTimerRunning() {
+        return this.timeEntries.some(entry => entry.end === null);
+    }
+
+    /**
+     * Get the total time tracked on the task
+     * @param {Date} now - Reference time for a running timer (defaults to current time)
+     * @returns {number} Tracked time in milliseconds
+     */
+    getTrackedTime(now = new Date()) {
+        return getTrackedTime(this.timeEntries, now);
+    }
+
+    /**
+     * Start the task's timer
+     * @param {Date} now - Start time (defaults to current time)
+     * @returns {Task} New task instance with a running time entry
+     */
+    startTimer(now = new Date()) {
+        if (this.isTimerRunning()) {
+            return this;
+        }
+        
+        return new Task({
+            ...this.toJSON(),
+            timeEntries: [...this.timeEntries, { start: now.toISOString(), end: null }],
+            lastModified: new Date(Date.now() + 1).toISOString()
+        });
+    }
+
+    /**
+     * Stop the task's timer
+     * @param {Date} now - Stop time (defaults to current time)
+     * @returns {Task} New task instance with the running time entry closed
+     */
+    stopTimer(now = new Date()) {
+        if (!this.isTimerRunning()) {
+            return this;
+        }
+        
+        return new Task({
+            ...this.toJSON(),
+            timeEntries: this.timeEntries.map(entry => entry.end === null ? { ...entry, end: now.toISOString() } : entry),
+            lastModified: new Date(Date.now() + 1).toISOString()
+        });
+    }
+
+    /**
+     * Check if the task repeats
+     * @returns {boolean} True if the task has a recurrence rule
+     */
+    isRecurring() {
+        return this.recurrence !== null;
+    }
+
+    /**
+     * Build the next occurrence of a recurring task
+     * The occurrence is due on the rule's next date after the later of the current
+     * due date and today, starts in To-Do with a fresh checklist and carries the rule
+     * @param {Date} now - Reference time (defaults to current time)
+     * @returns {Task|null} Next occurrence, or null if the task does not repeat
+     */
+    createNextOccurrence(now = new Date()) {
+        if (!this.isRecurring()) {
+            return null;
+        }
+        
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        let from = today;
+        if (this.dueDate) {
+            const [year, month, day] = this.dueDate.split('-').map(Number);
+            const dueDay = new Date(year, month - 1, day);
+            if (dueDay > today) {
+                from = dueDay;
+            }
+        }
+        
+        const timestamp = now.toISOString();
+        return new Task({
+            text: this.text,
+            status: 'todo',
+            createdDate: timestamp,
+            lastModified: timestamp,
+            dueDate: getNextOccurrenceDate(this.recurrence, from),
+            dueTime: this.dueTime,
+            priority: this.priority,
+            tags: [...this.tags],
+            notes: this.notes,
+            checklist: this.checklist.map(item => ({ text: item.text, done: false })),
+            recurrence: this.recurrence
+        });
+    }
+
     /**
      * Clone the task
      * @returns {Task} New task instance with same data
@@ -370,9 +949,22 @@ export class Task {
             id: this.id,
             text: this.text,
             status: this.status,
+            columnId: this.columnId,
+            lane: this.lane,
+            rank: this.rank,
             createdDate: this.createdDate,
             lastModified: this.lastModified,
-            completedDate: this.completedDate
+            completedDate: this.completedDate,
+            dueDate: this.dueDate,
+            dueTime: this.dueTime,
+            priority: this.priority,
+            tags: [...this.tags],
+            notes: this.notes,
+            blockedBy: [...this.blockedBy],
+            recurrence: this.recurrence ? { ...this.recurrence } : null,
+            timeEntries: this.timeEntries.map(entry => ({ ...entry })),
+            statusHistory: this.statusHistory.map(entry => ({ ...entry })),
+            checklist: this.checklist.map(item => ({ ...item }))
         };
     }
 
@@ -582,6 +1174,18 @@ export function createBoard(nameOrData, options = {}) {
     return new Board(nameOrData);
 }
 
+/**
+ * Get the ordered workflow columns of a board
+ * Boards saved before columns existed get the default three
+ * @param {Object} board - Board instance or plain board data
+ * @returns {Array<Object>} Columns
+ */
+export function getBoardColumns(board) {
+    return board && Array.isArray(board.columns) && board.columns.length > 0
+        ? board.columns
+        : DEFAULT_COLUMNS;
+}
+
 /**
  * Factory function to create task
  * @param {string|Object} textOrData - Task text or full task data
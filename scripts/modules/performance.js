@@ -16,6 +16,7 @@ class TaskIndex {
         this.dateIndex = new Map(); // date -> Set of task IDs
         this.boardIndex = new Map(); // boardId -> Set of task IDs
         this.fullTextIndex = new Map(); // word -> Set of task IDs
+        this.tagIndex = new Map(); // lowercased tag -> Set of task IDs
         this.initialized = false;
     }
 
@@ -31,6 +32,7 @@ class TaskIndex {
         this.statusIndex.clear();
         this.dateIndex.clear();
         this.fullTextIndex.clear();
+        this.tagIndex.clear();
         
         if (boardId) {
             if (!this.boardIndex.has(boardId)) {
@@ -82,6 +84,15 @@ class TaskIndex {
             this.fullTextIndex.get(word).add(task.id);
         });
 
+        // Tag index (case-insensitive)
+        (task.tags || []).forEach(tag => {
+            const tagKey = tag.toLowerCase();
+            if (!this.tagIndex.has(tagKey)) {
+                this.tagIndex.set(tagKey, new Set());
+            }
+            this.tagIndex.get(tagKey).add(task.id);
+        });
+
         // Board index
         if (boardId) {
             if (!this.boardIndex.has(boardId)) {
@@ -129,6 +140,17 @@ class TaskIndex {
             }
         });
 
+        // Remove from tag index
+        (task.tags || []).forEach(tag => {
+            const tagKey = tag.toLowerCase();
+            if (this.tagIndex.has(tagKey)) {
+                this.tagIndex.get(tagKey).delete(task.id);
+                if (this.tagIndex.get(tagKey).size === 0) {
+                    this.tagIndex.delete(tagKey);
+                }
+            }
+        });
+
         // Remove from board index
         if (boardId && this.boardIndex.has(boardId)) {
             this.boardIndex.get(boardId).delete(task.id);
@@ -172,6 +194,12 @@ class TaskIndex {
             results = results ? this.intersect(results, dateResults) : new Set(dateResults);
         }
 
+        // Tag filter
+        if (criteria.tag) {
+            const tagResults = this.tagIndex.get(criteria.tag.toLowerCase()) || new Set();
+            results = results ? this.intersect(results, tagResults) : new Set(tagResults);
+        }
+
         // Board filter
         if (criteria.boardId) {
             const boardResults = this.boardIndex.get(criteria.boardId) || new Set();
@@ -207,6 +235,7 @@ class TaskIndex {
             statusEntries: this.statusIndex.size,
             dateEntries: this.dateIndex.size,
             fullTextEntries: this.fullTextIndex.size,
+            tagEntries: this.tagIndex.size,
             boardEntries: this.boardIndex.size,
             initialized: this.initialized
         };
@@ -570,6 +599,15 @@ class PerformanceOptimizer {
         }
     }
 
+    /**
+     * Rebuild the task index for a set of tasks
+     * @param {Array} tasks - Tasks to index
+     * @param {string} boardId - Board ID the tasks belong to
+     */
+    indexTasks(tasks, boardId = null) {
+        this.taskIndex.buildIndex(tasks, boardId);
+    }
+
     /**
      * Handle board switched event
      * @param {Object} data - Event data
@@ -645,8 +683,8 @@ class PerformanceOptimizer {
      * @returns {boolean} Whether to use index
      */
     shouldUseIndex(criteria) {
-        // Use index for status, text, or date searches
-        return criteria.status || criteria.text || criteria.date || criteria.boardId;
+        // Use index for status, text, date, or tag searches
+        return criteria.status || criteria.text || criteria.date || criteria.tag || criteria.boardId;
     }
 
     /**
@@ -672,6 +710,13 @@ class PerformanceOptimizer {
                 }
             }
             
+            if (criteria.tag) {
+                const tagKey = criteria.tag.toLowerCase();
+                if (!(task.tags || []).some(tag => tag.toLowerCase() === tagKey)) {
+                    return false;
+                }
+            }
+            
             return true;
         });
     }
@@ -1,4 +1,6 @@
 
+import { markdownToHTML } from './markdown.js';
+
 /**
  * Security utilities for file validation and safe error handling
  */
@@ -19,6 +21,15 @@ class SecurityManager {
         this.DEFAULT_MAX_STRING_LENGTH = 50000; // Default increased to 50k
         this.MAX_OBJECT_KEYS = 1000;
         
+        // Rich text (Markdown notes) allowlist
+        this.ALLOWED_HTML_TAGS = [
+            'p', 'br', 'strong', 'em', 'code', 'pre', 'ul', 'ol', 'li',
+            'a', 'h3', 'h4', 'h5', 'h6', 'hr', 'blockquote'
+        ];
+        this.ALLOWED_HTML_ATTRIBUTES = { a: ['href', 'title'] };
+        this.ALLOWED_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+        // Elements whose content is dropped entirely rather than unwrapped
+        this.DROPPED_HTML_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript'];
     }
 
     /**
@@ -503,6 +514,94 @@ class SecurityManager {
         return div.innerHTML;
     }
 
+    /**
+     * Sanitize rich HTML against the tag/attribute allowlist
+     * The HTML is parsed in an inert document and rebuilt node by node, so
+     * the result never passes through innerHTML. Disallowed elements are
+     * unwrapped (their text is kept) and links must use a safe protocol.
+     * @param {string} html - HTML content to sanitize
+     * @returns {DocumentFragment} Safe fragment ready to append to the DOM
+     */
+    sanitizeRichHTML(html) {
+        const fragment = document.createDocumentFragment();
+        if (typeof html !== 'string' || html.length === 0) {
+            return fragment;
+        }
+
+        const parsed = new DOMParser().parseFromString(html, 'text/html');
+        Array.from(parsed.body.childNodes).forEach(node => {
+            this.appendSanitizedNode(node, fragment);
+        });
+
+        return fragment;
+    }
+
+    /**
+     * Copy a parsed node into the target if it passes the allowlist
+     * @param {Node} node - Node from the inert parsed document
+     * @param {Node} target - Live node to append to
+     */
+    appendSanitizedNode(node, target) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            target.appendChild(document.createTextNode(node.textContent));
+            return;
+        }
+
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            return; // Comments, processing instructions, etc.
+        }
+
+        const tagName = node.tagName.toLowerCase();
+        if (this.DROPPED_HTML_TAGS.includes(tagName)) {
+            return;
+        }
+
+        // Unknown elements are unwrapped so their text survives
+        let container = target;
+        if (this.ALLOWED_HTML_TAGS.includes(tagName)) {
+            container = document.createElement(tagName);
+            (this.ALLOWED_HTML_ATTRIBUTES[tagName] || []).forEach(attribute => {
+                const value = node.getAttribute(attribute);
+                if (value === null) return;
+                if (attribute === 'href' && !this.isSafeUrl(value)) return;
+                container.setAttribute(attribute, value);
+            });
+
+            if (tagName === 'a') {
+                container.setAttribute('target', '_blank');
+                container.setAttribute('rel', 'noopener noreferrer');
+            }
+            target.appendChild(container);
+        }
+
+        Array.from(node.childNodes).forEach(child => {
+            this.appendSanitizedNode(child, container);
+        });
+    }
+
+    /**
+     * Check that a URL is absolute and uses an allowed protocol
+     * @param {string} url - URL to check
+     * @returns {boolean} True if safe to link to
+     */
+    isSafeUrl(url) {
+        try {
+            const parsed = new URL(url.trim());
+            return this.ALLOWED_URL_PROTOCOLS.includes(parsed.protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Render Markdown as sanitized DOM nodes
+     * @param {string} markdown - Markdown source
+     * @returns {DocumentFragment} Safe fragment ready to append to the DOM
+     */
+    renderMarkdown(markdown) {
+        return this.sanitizeRichHTML(markdownToHTML(markdown));
+    }
+
     /**
      * Check if data matches expected Cascade format
      * @param {*} data - Data to check
@@ -4,8 +4,11 @@
  */
 
 import eventBus from '../eventBus.js';
-import { Board, Task, createBoard } from '../models.js';
-import { generateUniqueId } from '../utils.js';
+import { Board, Task, createBoard, getBoardColumns } from '../models.js';
+import { generateUniqueId, getTrackedTime } from '../utils.js';
+
+// Colors assigned in turn to new labels added to a board's palette
+const LABEL_COLORS = ['#6750a4', '#0b8043', '#d50000', '#f09300', '#039be5', '#8e24aa', '#616161', '#e67c73'];
 
 export class BoardService {
     constructor(state, storage) {
@@ -15,12 +18,12 @@ export class BoardService {
 
     /**
      * Create a new board
-     * @param {Object} boardData - Board data {name, description, color}
+     * @param {Object} boardData - Board data {name, description, color, tasks, labels, columns, wipMode, swimlanes}
      * @returns {Promise<Board>} Created board
      */
     async createBoard(boardData) {
         try {
-            const { name, description = '', color = '#6750a4' } = boardData;
+            const { name, description = '', color = '#6750a4', tasks = [], labels = [], columns, wipMode, swimlanes } = boardData;
 
             // Validate input
             if (!name || typeof name !== 'string') {
@@ -52,8 +55,12 @@ export class BoardService {
                 name: trimmedName,
                 description: description.trim(),
                 color: color,
-                tasks: [],
+                tasks: tasks,
                 archivedTasks: [],
+                labels: labels,
+                columns: columns,
+                wipMode: wipMode,
+                swimlanes: swimlanes,
                 isDefault: boards.length === 0, // First board is default
                 isArchived: false,
                 createdDate: new Date().toISOString(),
@@ -66,7 +73,7 @@ export class BoardService {
             this.state.setState({
                 boards: updatedBoards,
                 currentBoardId: newBoard.id,
-                tasks: []
+                tasks: newBoard.tasks.map(t => new Task(t))
             });
 
             // Save to storage
@@ -164,7 +171,7 @@ export class BoardService {
     }
 
     /**
-     * Delete a board
+     * Delete a board by moving it to the trash
      * @param {string} boardId - Board ID to delete
      * @returns {Promise<boolean>} Success status
      */
@@ -193,19 +200,27 @@ export class BoardService {
                 throw new Error('Cannot delete the only board');
             }
 
-            // Remove board from state
+            // Move board from state to the trash
             const updatedBoards = boards.filter(b => b.id !== boardId);
+            const boardData = typeof boardToDelete.toJSON === 'function' ? boardToDelete.toJSON() : { ...boardToDelete };
+            const trashedBoards = [
+                ...(this.state.getState().trashedBoards || []),
+                { ...boardData, deletedDate: new Date().toISOString() }
+            ];
             
             // If deleting current board, switch to first available
-            let newCurrentBoardId = this.state.getState().currentBoardId;
+            const previousBoardId = this.state.getState().currentBoardId;
+            let newCurrentBoardId = previousBoardId;
             if (newCurrentBoardId === boardId) {
                 newCurrentBoardId = updatedBoards[0]?.id || null;
             }
+            const newCurrentBoard = updatedBoards.find(b => b.id === newCurrentBoardId);
 
             this.state.setState({
                 boards: updatedBoards,
+                trashedBoards,
                 currentBoardId: newCurrentBoardId,
-                tasks: this.state.getTasksForBoard(this.state.getState().currentBoardId)
+                tasks: newCurrentBoard ? (newCurrentBoard.tasks || []).map(t => new Task(t)) : []
             });
 
             // Save to storage
@@ -216,7 +231,7 @@ export class BoardService {
                 board: boardToDelete 
             });
             
-            if (newCurrentBoardId !== this.state.getState().currentBoardId) {
+            if (newCurrentBoardId !== previousBoardId) {
                 eventBus.emit('board:switched', { boardId: newCurrentBoardId });
             }
             
@@ -231,6 +246,104 @@ export class BoardService {
         }
     }
 
+    /**
+     * Restore a board from the trash, with its tasks
+     * @param {string} boardId - Trashed board ID
+     * @returns {Promise<Board>} Restored board
+     */
+    async restoreBoard(boardId) {
+        try {
+            const { boards, trashedBoards = [] } = this.state.getState();
+            const trashed = trashedBoards.find(b => b.id === boardId);
+
+            if (!trashed) {
+                throw new Error('Deleted board not found');
+            }
+
+            if (boards.some(b => b.name.trim().toLowerCase() === trashed.name.trim().toLowerCase())) {
+                throw new Error('A board with this name already exists');
+            }
+
+            const boardData = { ...trashed, isDefault: false, lastModified: new Date().toISOString() };
+            delete boardData.deletedDate;
+            const restoredBoard = createBoard(boardData);
+
+            this.state.setState({
+                boards: [...boards, restoredBoard],
+                trashedBoards: trashedBoards.filter(b => b.id !== boardId)
+            });
+
+            await this.storage.save(this.state.getState());
+
+            eventBus.emit('board:restored', { board: restoredBoard });
+            eventBus.emit('data:changed');
+
+            return restoredBoard;
+
+        } catch (error) {
+            console.error('Failed to restore board:', error);
+            eventBus.emit('board:error', { operation: 'restore', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a board from the trash
+     * @param {string} boardId - Trashed board ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteBoardForever(boardId) {
+        try {
+            const { trashedBoards = [] } = this.state.getState();
+
+            if (!trashedBoards.some(b => b.id === boardId)) {
+                throw new Error('Deleted board not found');
+            }
+
+            this.state.setState({ trashedBoards: trashedBoards.filter(b => b.id !== boardId) });
+
+            await this.storage.save(this.state.getState());
+
+            eventBus.emit('board:purged', { boardIds: [boardId] });
+            eventBus.emit('data:changed');
+
+            return true;
+
+        } catch (error) {
+            console.error('Failed to permanently delete board:', error);
+            eventBus.emit('board:error', { operation: 'deleteForever', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete trashed boards that were deleted before a date
+     * @param {Date} cutoff - Boards deleted at or before this moment are removed
+     * @returns {Promise<number>} Number of removed boards
+     */
+    async purgeTrashedBoards(cutoff) {
+        try {
+            const { trashedBoards = [] } = this.state.getState();
+            const expired = trashedBoards.filter(b => new Date(b.deletedDate) <= cutoff);
+
+            if (expired.length > 0) {
+                this.state.setState({ trashedBoards: trashedBoards.filter(b => !expired.includes(b)) });
+
+                await this.storage.save(this.state.getState());
+
+                eventBus.emit('board:purged', { boardIds: expired.map(b => b.id) });
+                eventBus.emit('data:changed');
+            }
+
+            return expired.length;
+
+        } catch (error) {
+            console.error('Failed to purge deleted boards:', error);
+            eventBus.emit('board:error', { operation: 'purge', error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Switch to a different board
      * @param {string} boardId - Board ID to switch to
@@ -301,18 +414,27 @@ export class BoardService {
                 boards
             );
 
+            // Generate new IDs for tasks and point dependencies at the copies
+            const sourceTasks = sourceBoard.tasks || [];
+            const idMap = new Map(sourceTasks.map(task => [task.id, generateUniqueId()]));
+
             // Create duplicate board data
             const duplicateBoardData = {
                 name: duplicatedName,
                 description: sourceBoard.description,
                 color: sourceBoard.color,
-                tasks: sourceBoard.tasks ? sourceBoard.tasks.map(task => ({
+                tasks: sourceTasks.map(task => ({
                     ...task,
-                    id: generateUniqueId(), // Generate new IDs for tasks
+                    id: idMap.get(task.id),
+                    blockedBy: (task.blockedBy || []).filter(id => idMap.has(id)).map(id => idMap.get(id)),
                     createdDate: new Date().toISOString(),
                     lastModified: new Date().toISOString()
-                })) : [],
+                })),
                 archivedTasks: [],
+                labels: (sourceBoard.labels || []).map(label => ({ ...label })),
+                columns: getBoardColumns(sourceBoard).map(column => ({ ...column })),
+                wipMode: sourceBoard.wipMode,
+                swimlanes: sourceBoard.swimlanes,
                 isDefault: false,
                 isArchived: false
             };
@@ -326,6 +448,81 @@ export class BoardService {
         }
     }
 
+    /**
+     * Add any tags missing from a board's label palette
+     * New labels get the next color from the default palette
+     * @param {string} boardId - Board ID
+     * @param {Array<string>} tags - Tags that should have labels
+     * @returns {Promise<Board>} Board with updated palette
+     */
+    async ensureLabels(boardId, tags = []) {
+        try {
+            const board = this.state.getState().boards.find(b => b.id === boardId);
+
+            if (!board) {
+                throw new Error('Board not found');
+            }
+
+            const labels = [...(board.labels || [])];
+            tags.forEach(tag => {
+                const key = tag.trim().toLowerCase();
+                if (!labels.some(label => label.name.trim().toLowerCase() === key)) {
+                    labels.push({ name: tag.trim(), color: LABEL_COLORS[labels.length % LABEL_COLORS.length] });
+                }
+            });
+
+            if (labels.length === (board.labels || []).length) {
+                return board;
+            }
+
+            return await this.updateBoard(boardId, { labels });
+
+        } catch (error) {
+            console.error('Failed to update board labels:', error);
+            eventBus.emit('board:error', { operation: 'labels', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Replace a board's workflow columns
+     * Tasks in a removed column, or in a column that now maps to another
+     * status, fall back to the first column for their status
+     * @param {string} boardId - Board ID
+     * @param {Array<Object>} columns - Ordered columns [{ id, name, status, color, limit }]
+     * @param {string} wipMode - 'soft' or 'strict' WIP limits (unchanged when omitted)
+     * @returns {Promise<Board>} Updated board
+     */
+    async updateColumns(boardId, columns, wipMode = undefined) {
+        try {
+            const board = this.state.getState().boards.find(b => b.id === boardId);
+
+            if (!board) {
+                throw new Error('Board not found');
+            }
+
+            const columnsById = new Map((columns || []).map(column => [column.id, column]));
+            const tasks = (board.tasks || []).map(task => {
+                const column = columnsById.get(task.columnId);
+                return task.columnId && (!column || column.status !== task.status)
+                    ? { ...task, columnId: null }
+                    : task;
+            });
+
+            const updates = { columns, tasks };
+            if (wipMode !== undefined) {
+                updates.wipMode = wipMode;
+            }
+
+            return await this.updateBoard(boardId, updates);
+
+        } catch (error) {
+            console.error('Failed to update board columns:', error);
+            eventBus.emit('board:error', { operation: 'columns', error: error.message });
+            throw error;
+        }
+    }
+
     /**
      * Archive a board
      * @param {string} boardId - Board ID to archive
@@ -454,6 +651,7 @@ export class BoardService {
 
             const tasks = board.tasks || [];
             const archivedTasks = board.archivedTasks || [];
+            const now = new Date();
 
             const stats = {
                 boardId: boardId,
@@ -466,7 +664,10 @@ export class BoardService {
                 createdDate: board.createdDate,
                 lastModified: board.lastModified,
                 completionRate: tasks.length > 0 ? 
-                    Math.round((tasks.filter(t => t.status === 'done').length / tasks.length) * 100) : 0
+                    Math.round((tasks.filter(t => t.status === 'done').length / tasks.length) * 100) : 0,
+                // Time tracked on active and archived tasks, in milliseconds
+                trackedTime: [...tasks, ...archivedTasks].reduce((total, t) => total + getTrackedTime(t.timeEntries, now), 0),
+                runningTimers: tasks.filter(t => (t.timeEntries || []).some(entry => !entry.end)).length
             };
 
             return stats;
@@ -9,11 +9,16 @@ import storage from '../storage.js';
 import { settingsManager } from '../settings.js';
 import domManager from '../dom.js';
 import accessibility from '../accessibility.js';
-import { Task } from '../models.js';
+import { Task, TASK_PRIORITIES, TASK_STATUSES, SWIMLANE_GROUPS, getBoardColumns } from '../models.js';
+import { parseTags, generateUniqueId, getRankBetween, getTaskColumnId, escapeHtml } from '../utils.js';
+import { MIN_PASSPHRASE_LENGTH, isEncryptionSupported, isEncryptedExport, decryptExport } from '../encryption.js';
 
 import { TaskService } from './taskService.js';
 import { BoardService } from './boardService.js';
 import { UIService } from './uiService.js';
+import { HistoryService } from './historyService.js';
+import { TemplateService } from './templateService.js';
+import { SyncService } from './syncService.js';
 
 export class CascadeApp {
     constructor() {
@@ -26,6 +31,9 @@ export class CascadeApp {
         this.taskService = new TaskService(this.state, this.storage);
         this.boardService = new BoardService(this.state, this.storage);
         this.uiService = new UIService(this.state, this.dom);
+        this.historyService = new HistoryService(this.state, this.storage);
+        this.templateService = new TemplateService(this.state, this.storage);
+        this.syncService = new SyncService(this.state, this.storage);
         
         this.initPromise = this.init();
     }
@@ -38,6 +46,14 @@ export class CascadeApp {
             
             // Initialize DOM first
             this.dom.init();
+            // An upgrade waits while tabs running an older version keep the database open
+            const stopBlockedNotice = eventBus.on('storage:blocked', () => {
+                this.dom.showStorageBanner('Cascade is updating its storage. Close other Cascade tabs to continue.');
+            });
+            // Encrypted data needs its passphrase before it can load
+            await this.unlockStorage();
+            stopBlockedNotice();
+            this.dom.hideStorageBanner();
             // Load data from storage
             await this.loadData();
             
@@ -54,6 +70,9 @@ export class CascadeApp {
             this.uiService.init();
             this.uiService.render();
             this.uiService.renderBoardSelector();
+            this.reportMigration();
+            this.reportStorageMode();
+            this.dom.setEncryptionState(this.storage.isEncrypted());
             eventBus.emit('app:ready');
             
         } catch (error) {
@@ -62,21 +81,48 @@ export class CascadeApp {
         }
     }
 
+    /**
+     * Show the unlock screen while stored data is encrypted and locked
+     * Forgetting the passphrase leaves deleting the data as the only way in.
+     */
+    async unlockStorage() {
+        await this.storage.init();
+        if (!this.storage.isLocked()) return;
+        
+        await this.dom.showUnlockScreen(
+            (passphrase) => this.storage.unlock(passphrase),
+            () => this.storage.clear()
+        );
+    }
+
     /**
      * Load data from storage
+     * A failed read is thrown: a default board saved in its place would
+     * overwrite the stored data.
      */
     async loadData() {
+        console.log('📂 [LOAD] Loading data from storage...');
+        const data = await this.storage.load();
+        console.log('📂 [LOAD] Raw storage data:', data);
+        
         try {
-            console.log('📂 [LOAD] Loading data from storage...');
-            const data = await this.storage.load();
-            console.log('📂 [LOAD] Raw storage data:', data);
+            // Saved templates and the trash do not depend on having boards, and
+            // must be in state before a default board is saved
+            this.state.setState({
+                trashedBoards: (data && data.trashedBoards) || [],
+                boardTemplates: (data && data.boardTemplates) || [],
+                taskTemplates: (data && data.taskTemplates) || []
+            }, { silent: true });
+            this.dom.setTaskTemplates(this.templateService.getTaskTemplates());
             
             if (data && data.boards && data.boards.length > 0) {
                 console.log('📂 [LOAD] Processing multi-board format...');
                 
+                const boards = data.boards.map(board => this.rankUnrankedTasks(board));
+                
                 // Process boards and tasks
                 this.state.setState({
-                    boards: data.boards,
+                    boards: boards,
                     currentBoardId: data.currentBoardId,
                     tasks: this.state.getTasksForBoard(data.currentBoardId),
                     filter: data.filter || 'all'
@@ -88,6 +134,8 @@ export class CascadeApp {
                 await this.boardService.createDefaultBoard();
             }
             
+            await this.purgeExpiredTrash();
+            
         } catch (error) {
             console.error('Failed to load data:', error);
             // Create default board on error
@@ -95,47 +143,136 @@ export class CascadeApp {
         }
     }
 
+    /**
+     * Tell the user about a storage migration run while loading
+     */
+    reportMigration() {
+        const result = this.storage.getMigrationResult();
+        if (!result) return;
+        
+        if (result.error) {
+            this.uiService.showMessage(`Could not upgrade saved data to version ${result.toVersion}: ${result.error}`, 'error');
+        } else {
+            this.uiService.showMessage(`Saved data upgraded from version ${result.fromVersion} to ${result.toVersion}, with a backup of the old data`, 'success');
+        }
+    }
+
+    /**
+     * Warn when storage fell back to keeping data in memory only
+     */
+    reportStorageMode() {
+        if (this.storage.isPersistent()) return;
+        
+        this.dom.showStorageBanner('Your browser is blocking storage, so changes are kept only until this tab closes. Export your data to keep it.');
+    }
+
+    /**
+     * Give tasks saved before manual ordering a rank, in their stored order
+     * @param {Object} board - Board data
+     * @returns {Object} Board whose tasks all have a rank
+     */
+    rankUnrankedTasks(board) {
+        const tasks = board.tasks || [];
+        if (tasks.every(task => task.rank)) {
+            return board;
+        }
+        
+        let last = tasks.reduce((max, task) => (task.rank && task.rank > max ? task.rank : max), '');
+        return {
+            ...board,
+            tasks: tasks.map(task => {
+                if (task.rank) {
+                    return task;
+                }
+                last = getRankBetween(last, '');
+                return { ...task, rank: last };
+            })
+        };
+    }
+
     /**
      * Setup event listeners for application events
      */
     setupEventListeners() {
+        // Handlers that change tasks or boards are recorded in the undo history
+        const undoable = (label, handler) => (data) => this.historyService.record(label, () => handler(data));
+
         // Task operations
-        eventBus.on('task:create', (data) => this.handleCreateTask(data));
-        eventBus.on('task:edit', (data) => this.handleEditTask(data));
-        eventBus.on('task:edit:requested', (data) => this.handleTaskEditRequested(data));
-        eventBus.on('task:delete', (data) => this.handleDeleteTask(data));
-        eventBus.on('task:delete:requested', (data) => this.handleTaskDeleteRequested(data));
-        eventBus.on('task:move', (data) => this.handleMoveTask(data));
-        eventBus.on('task:drop', (data) => this.handleMoveTask(data)); // Handle drag and drop as move
-        eventBus.on('task:archive', (data) => this.handleArchiveTask(data));
-        eventBus.on('task:restore', (data) => this.handleRestoreTask(data));
-        eventBus.on('tasks:archiveCompleted', () => this.handleArchiveCompleted());
+        eventBus.on('task:create', undoable('Create task', (data) => this.handleCreateTask(data)));
+        eventBus.on('task:edit', undoable('Edit task', (data) => this.handleEditTask(data)));
+        eventBus.on('task:edit:requested', undoable('Edit task', (data) => this.handleTaskEditRequested(data)));
+        eventBus.on('task:details:requested', (data) => this.handleTaskDetailsRequested(data));
+        eventBus.on('task:details:save', undoable('Edit task', (data) => this.handleSaveTaskDetails(data)));
+        eventBus.on('task:timer:toggle', (data) => this.handleToggleTimer(data));
+        eventBus.on('task:delete', undoable('Delete task', (data) => this.handleDeleteTask(data)));
+        eventBus.on('task:delete:requested', undoable('Delete task', (data) => this.handleTaskDeleteRequested(data)));
+        eventBus.on('task:move', undoable('Move task', (data) => this.handleMoveTask(data)));
+        eventBus.on('task:drop', undoable('Move task', (data) => this.handleMoveTask(data))); // Handle drag and drop as move
+        eventBus.on('task:reorder', undoable('Reorder task', (data) => this.handleReorderTask(data)));
+        eventBus.on('task:moveToBoard', undoable('Move task to board', (data) => this.handleSendTaskToBoard(data, 'move')));
+        eventBus.on('task:copyToBoard', undoable('Copy task to board', (data) => this.handleSendTaskToBoard(data, 'copy')));
+        eventBus.on('task:archive', undoable('Archive task', (data) => this.handleArchiveTask(data)));
+        eventBus.on('task:restore', undoable('Restore task', (data) => this.handleRestoreTask(data)));
+        eventBus.on('tasks:archiveCompleted', undoable('Archive completed tasks', () => this.handleArchiveCompleted()));
+        eventBus.on('tasks:bulk', undoable('Change selected tasks', (data) => this.handleBulkAction(data)));
+        eventBus.on('column:select', (data) => this.uiService.selectColumn(data.columnId));
 
         // Board operations
-        eventBus.on('board:create', (data) => this.handleCreateBoard(data));
+        eventBus.on('board:create', undoable('Create board', (data) => this.handleCreateBoard(data)));
         eventBus.on('board:switch', (data) => this.handleSwitchBoard(data));
-        eventBus.on('board:edit', (data) => this.handleEditBoard(data));
-        eventBus.on('board:delete', (data) => this.handleDeleteBoard(data));
-        eventBus.on('board:duplicate', (data) => this.handleDuplicateBoard(data));
+        eventBus.on('board:showAll', () => this.handleShowAllBoards());
+        eventBus.on('board:edit', undoable('Edit board', (data) => this.handleEditBoard(data)));
+        eventBus.on('board:delete', undoable('Delete board', (data) => this.handleDeleteBoard(data)));
+        eventBus.on('board:duplicate', undoable('Duplicate board', (data) => this.handleDuplicateBoard(data)));
         eventBus.on('boards:manage', () => this.handleManageBoards());
+        eventBus.on('board:saveAsTemplate', (data) => this.handleSaveBoardAsTemplate(data));
+        eventBus.on('template:delete', (data) => this.handleDeleteTemplate(data));
+        eventBus.on('templates:export', () => this.handleExportTemplates());
+        eventBus.on('templates:import', (data) => this.handleImportTemplates(data));
+        eventBus.on('taskTemplates:manage', () => this.handleManageTaskTemplates());
+        eventBus.on('taskTemplate:save', (data) => this.handleSaveTaskTemplate(data));
+        eventBus.on('taskTemplate:delete', (data) => this.handleDeleteTaskTemplate(data));
 
         // Data operations
-        eventBus.on('tasks:import', (data) => this.handleImportTasks(data));
+        eventBus.on('tasks:import', undoable('Import tasks', (data) => this.handleImportTasks(data)));
         eventBus.on('data:import', (data) => this.handleImportData(data));
         eventBus.on('data:export', () => this.handleExportData());
         eventBus.on('data:reset', () => this.handleResetApp());
         eventBus.on('app:reset', () => this.handleResetApp());
+        eventBus.on('history:undo', () => this.handleUndo());
+        eventBus.on('history:redo', () => this.handleRedo());
+        eventBus.on('encryption:enable', () => this.handleEnableEncryption());
+        eventBus.on('encryption:changePassphrase', () => this.handleChangePassphrase());
+        eventBus.on('encryption:disable', () => this.handleDisableEncryption());
 
         // UI operations
         eventBus.on('filter:change', (data) => this.handleFilterChange(data));
+        eventBus.on('filter:tag', (data) => this.handleTagFilter(data));
+        eventBus.on('labels:manage', undoable('Edit labels', () => this.handleManageLabels()));
+        eventBus.on('columns:manage', undoable('Edit columns', () => this.handleManageColumns()));
+        eventBus.on('swimlanes:manage', undoable('Edit swimlanes', () => this.handleManageSwimlanes()));
+        eventBus.on('swimlane:toggle', (data) => this.handleToggleSwimlane(data));
         eventBus.on('settings:show', () => this.handleShowSettings());
         eventBus.on('archive:browse', () => this.handleBrowseArchive());
-        eventBus.on('archive:clearAll', () => this.handleClearAllArchived());
+        eventBus.on('archive:restore', undoable('Restore task', (data) => this.handleRestoreArchivedTask(data)));
+        eventBus.on('archive:clearAll', undoable('Clear archive', () => this.handleClearAllArchived()));
+        eventBus.on('trash:browse', () => this.handleBrowseTrash());
+        eventBus.on('trash:restore', undoable('Restore from trash', (data) => this.handleRestoreFromTrash(data)));
+        eventBus.on('trash:deleteForever', undoable('Delete forever', (data) => this.handleDeleteForever(data)));
+        eventBus.on('trash:empty', undoable('Empty trash', () => this.handleEmptyTrash()));
 
         // Error handling
         eventBus.on('task:error', (data) => this.handleServiceError(data));
         eventBus.on('board:error', (data) => this.handleServiceError(data));
+        eventBus.on('template:error', (data) => this.handleServiceError(data));
         eventBus.on('ui:error', (data) => this.handleServiceError(data));
+        eventBus.on('storage:error', (data) => this.handleServiceError(data));
+        eventBus.on('sync:error', (data) => this.handleServiceError(data));
+
+        // Changes saved in other tabs
+        eventBus.on('storage:remoteChanges', (data) => this.handleRemoteChanges(data));
+        eventBus.on('storage:encryptionChanged', () => this.promptReload('Encryption was changed in another tab.'));
+        eventBus.on('storage:versionChanged', () => this.promptReload('Cascade was updated in another tab.'));
 
         // Auto-save on data changes
         eventBus.on('data:changed', () => this.autoSave());
@@ -146,7 +283,7 @@ export class CascadeApp {
      */
     async handleCreateTask(data) {
         try {
-            const { text } = data;
+            const { text, templateId } = data;
             const currentBoardId = this.state.getState().currentBoardId;
             
             if (!currentBoardId) {
@@ -154,8 +291,18 @@ export class CascadeApp {
                 return;
             }
             
-            // Create task using service
-            await this.taskService.createTask(text, currentBoardId);
+            const currentBoard = this.state.getState().boards.find(b => b.id === currentBoardId);
+            const columnId = getTaskColumnId({ status: 'todo' }, getBoardColumns(currentBoard));
+            if (!(await this.confirmWipLimit(currentBoardId, columnId))) {
+                return;
+            }
+            
+            // Create task using service, pre-filled from the picked template
+            const attributes = templateId ? this.templateService.getTaskAttributesFromTemplate(templateId) : {};
+            await this.taskService.createTask(text, currentBoardId, attributes);
+            if (attributes.tags && attributes.tags.length > 0) {
+                await this.boardService.ensureLabels(currentBoardId, attributes.tags);
+            }
             
             // Clear input and auto-save
             this.dom.clearTaskInput();
@@ -171,8 +318,9 @@ export class CascadeApp {
      */
     async handleEditTask(data) {
         try {
-            const { taskId, newText } = data;
-            await this.taskService.updateTask(taskId, { text: newText });
+            const { taskId, newText, updates = {} } = data;
+            const changes = newText !== undefined ? { ...updates, text: newText } : updates;
+            await this.taskService.updateTask(taskId, changes);
             await this.autoSave();
         } catch (error) {
             console.error('❌ Error in handleEditTask:', error);
@@ -199,15 +347,118 @@ export class CascadeApp {
      */
     async handleMoveTask(data) {
         try {
-            const { taskId, newStatus, targetStatus } = data;
+            const { taskId, newStatus, targetStatus, targetLane, previousTaskId, nextTaskId } = data;
             const status = newStatus || targetStatus; // Handle both parameter names
-            await this.taskService.moveTaskToStatus(taskId, status);
+            // The All boards view shows one column per status, so tasks move by status on their home board
+            const allBoardsView = this.state.getState().allBoardsView;
+            const targetColumnId = allBoardsView ? null : data.targetColumnId;
+            const columnId = targetColumnId || this.taskService.getTargetColumnId(taskId, status);
+            const homeBoard = this.taskService.findTaskBoard(taskId);
+            if (!(await this.confirmWipLimit(homeBoard ? homeBoard.id : this.state.getState().currentBoardId, columnId, taskId))) {
+                return;
+            }
+            
+            // Lane and position changes are saved together with the move
+            const updates = {};
+            if (targetLane !== undefined) {
+                // Dropping into a swimlane also changes the field the lanes group by
+                Object.assign(updates, this.taskService.getLaneUpdates(taskId, targetLane));
+            }
+            
+            // A drop within the same column and lane is a reorder, which switches to manual
+            // order; a drop elsewhere keeps its position only if the order is already manual
+            const task = homeBoard ? homeBoard.tasks.find(t => t.id === taskId) : null;
+            const isReorder = !!task && Object.keys(updates).length === 0 &&
+                getTaskColumnId(task, getBoardColumns(homeBoard)) === columnId;
+            const keepsPosition = isReorder || settingsManager.get('taskSorting') === 'manual';
+            if (!allBoardsView && keepsPosition && (previousTaskId !== undefined || nextTaskId !== undefined)) {
+                updates.rank = this.taskService.getRankBetweenTasks(taskId, previousTaskId, nextTaskId);
+            }
+            
+            if (targetColumnId) {
+                await this.taskService.moveTaskToColumn(taskId, targetColumnId, updates);
+            } else {
+                await this.taskService.moveTaskToStatus(taskId, status, updates);
+            }
+            
+            if (isReorder && updates.rank) {
+                await this.useManualOrder();
+            }
             
         } catch (error) {
             this.handleError('Failed to move task', error);
         }
     }
 
+    /**
+     * Handle moving a task up or down within its column
+     */
+    async handleReorderTask(data) {
+        try {
+            const { taskId, previousTaskId, nextTaskId } = data;
+            if (this.state.getState().allBoardsView) {
+                return; // Ranks only order tasks within one board
+            }
+            await this.taskService.reorderTask(taskId, previousTaskId, nextTaskId);
+            await this.useManualOrder();
+            
+        } catch (error) {
+            this.handleError('Failed to reorder task', error);
+        }
+    }
+
+    /**
+     * Switch columns to manual order so a reordered card stays where it was put
+     */
+    async useManualOrder() {
+        if (settingsManager.get('taskSorting') === 'manual') {
+            return;
+        }
+        
+        // Saving emits settings:saved, which re-renders the sorted columns
+        await settingsManager.set('taskSorting', 'manual');
+        this.uiService.showMessage('Cards are now sorted in manual order', 'info');
+    }
+
+    /**
+     * Ask before going over a soft WIP limit
+     * Strict boards are left to TaskService, which refuses the change
+     * @param {string} boardId - Board ID
+     * @param {string} columnId - Column the task goes into
+     * @param {string|null} taskId - Task being moved, null for a new task
+     * @returns {Promise<boolean>} True if the change should go ahead
+     */
+    async confirmWipLimit(boardId, columnId, taskId = null) {
+        const violation = this.taskService.getWipLimitViolation(boardId, columnId, taskId);
+        if (!violation || violation.strict) {
+            return true;
+        }
+        
+        const confirmed = await this.dom.showModal(
+            'WIP Limit Reached',
+            `"${violation.column.name}" already has ${violation.count} of ${violation.limit} tasks. ${taskId ? 'Move' : 'Add'} this task anyway?`,
+            {
+                showInput: false,
+                confirmText: taskId ? 'Move Anyway' : 'Add Anyway',
+                cancelText: 'Cancel'
+            }
+        );
+        return !!confirmed;
+    }
+
+    /**
+     * Handle timer start/stop from a task card
+     */
+    async handleToggleTimer(data) {
+        try {
+            const { taskId } = data;
+            await this.taskService.toggleTimer(taskId);
+            
+        } catch (error) {
+            this.handleError('Failed to update timer', error);
+        }
+    }
+
     /**
      * Handle archive task event
      */
@@ -215,6 +466,7 @@ export class CascadeApp {
         try {
             const { taskId } = data;
             await this.taskService.archiveTask(taskId);
+            this.showUndoMessage('Task archived');
             
         } catch (error) {
             this.handleError('Failed to archive task', error);
@@ -240,17 +492,37 @@ export class CascadeApp {
     async handleTaskEditRequested(data) {
         try {
             const { taskId, currentText } = data;
+            const task = this.findTaskById(taskId) || { text: currentText };
             
-            // Show edit modal with current text
-            const newText = await this.dom.showModal('Edit Task', 'Enter new task text:', {
+            // Show edit modal with current text and extra task fields
+            const newText = await this.dom.showModal('Edit Task', this.getTaskEditFormHTML(task), {
                 showInput: true,
-                inputValue: currentText || '',
+                inputValue: task.text || currentText || '',
                 confirmText: 'Save Changes',
-                cancelText: 'Cancel'
+                cancelText: 'Cancel',
+                allowHTML: true
             });
             
-            if (newText && newText.trim() && newText.trim() !== currentText) {
-                await this.handleEditTask({ taskId, newText: newText.trim() });
+            if (newText === null || !newText.trim()) {
+                return;
+            }
+            
+            const updates = this.getChangedTaskFields(task, this.readTaskEditForm());
+            if (newText.trim() !== task.text) {
+                updates.text = newText.trim();
+            }
+            
+            if (Object.keys(updates).length > 0) {
+                await this.handleEditTask({ taskId, updates });
+                
+                // Make sure every tag has a color in the board's label palette
+                if (updates.tags && updates.tags.length > 0) {
+                    const board = this.state.getState().boards.find(b => (b.tasks || []).some(t => t.id === taskId));
+                    if (board) {
+                        await this.boardService.ensureLabels(board.id, updates.tags);
+                    }
+                }
+                
                 this.uiService.showMessage('Task updated successfully', 'success');
             }
         } catch (error) {
@@ -258,6 +530,212 @@ export class CascadeApp {
         }
     }
 
+    /**
+     * Handle task details request (shows the task detail view)
+     */
+    handleTaskDetailsRequested(data) {
+        try {
+            const { taskId } = data;
+            const task = this.findTaskById(taskId);
+            
+            if (!task) {
+                throw new Error('Task not found');
+            }
+            
+            const board = this.state.getState().boards.find(b => (b.tasks || []).some(t => t.id === taskId));
+            this.dom.showTaskDetail(task, board ? board.tasks : []);
+        } catch (error) {
+            this.handleError('Failed to open task details', error);
+        }
+    }
+
+    /**
+     * Handle saving changes made in the task detail view
+     */
+    async handleSaveTaskDetails(data) {
+        try {
+            const { taskId, updates } = data;
+            await this.taskService.updateTask(taskId, updates);
+            this.uiService.showMessage('Task updated successfully', 'success');
+        } catch (error) {
+            this.handleError('Failed to save task details', error);
+        }
+    }
+
+    /**
+     * Find a task on any board by ID
+     * @param {string} taskId - Task ID
+     * @returns {Object|null} Task data or null if not found
+     */
+    findTaskById(taskId) {
+        const boards = this.state.getState().boards || [];
+        for (const board of boards) {
+            const task = (board.tasks || []).find(t => t.id === taskId);
+            if (task) return task;
+        }
+        return null;
+    }
+
+    /**
+     * Build the extra fields shown in the edit task modal
+     * @param {Object} task - Task being edited
+     * @returns {string} HTML string for the modal message
+     */
+    getTaskEditFormHTML(task) {
+        const recurrence = task.recurrence || { type: 'none' };
+        const recurrenceOptions = [
+            ['none', 'Does not repeat'],
+            ['daily', 'Daily'],
+            ['weekly', 'Weekly'],
+            ['monthly', 'Monthly'],
+            ['interval', 'Every N days']
+        ];
+        const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        
+        const board = (this.state.getState().boards || []).find(b => (b.tasks || []).some(t => t.id === task.id));
+        const boardLanes = board && board.swimlanes ? board.swimlanes.lanes || [] : [];
+        
+        return `
+            <div class="task-edit-form">
+                <p>Enter new task text:</p>
+                <div class="form-group">
+                    <label for="task-priority">Priority:</label>
+                    <select id="task-priority" class="form-control">
+                        ${TASK_PRIORITIES.map(priority => `
+                            <option value="${priority}"${(task.priority || 'none') === priority ? ' selected' : ''}>${priority.charAt(0).toUpperCase() + priority.slice(1)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="task-tags">Tags (comma separated):</label>
+                    <input type="text" id="task-tags" class="form-control" value="${escapeHtml((task.tags || []).join(', '))}" placeholder="bug, errand, client-x">
+                </div>
+                <div class="form-group">
+                    <label for="task-lane">Lane (optional):</label>
+                    <input type="text" id="task-lane" class="form-control" value="${escapeHtml(task.lane)}" maxlength="30" list="task-lane-options">
+                    <datalist id="task-lane-options">
+                        ${boardLanes.map(lane => `<option value="${escapeHtml(lane)}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-group">
+                    <label for="task-due-date">Due date:</label>
+                    <input type="date" id="task-due-date" class="form-control" value="${escapeHtml(task.dueDate)}">
+                </div>
+                <div class="form-group">
+                    <label for="task-due-time">Due time (optional):</label>
+                    <input type="time" id="task-due-time" class="form-control" value="${escapeHtml(task.dueTime)}">
+                </div>
+                <div class="form-group">
+                    <label for="task-recurrence-type">Repeat:</label>
+                    <select id="task-recurrence-type" class="form-control">
+                        ${recurrenceOptions.map(([value, label]) => `
+                            <option value="${value}"${recurrence.type === value ? ' selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group task-recurrence-options">
+                    <span>Weekly on:</span>
+                    <div class="task-recurrence-weekdays">
+                        ${weekdayNames.map((name, day) => `
+                            <label for="task-recurrence-day-${day}">
+                                <input type="checkbox" id="task-recurrence-day-${day}"${(recurrence.weekdays || []).includes(day) ? ' checked' : ''}>
+                                ${name}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <label for="task-recurrence-day-of-month">Monthly on day:</label>
+                    <input type="number" id="task-recurrence-day-of-month" class="form-control" min="1" max="31" value="${escapeHtml(recurrence.dayOfMonth)}">
+                    <label for="task-recurrence-interval">Every N days:</label>
+                    <input type="number" id="task-recurrence-interval" class="form-control" min="1" max="365" value="${escapeHtml(recurrence.days)}">
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the extra task fields from the edit task modal
+     * @returns {Object} Field values from the form
+     */
+    readTaskEditForm() {
+        const prioritySelect = document.getElementById('task-priority');
+        const tagsInput = document.getElementById('task-tags');
+        const dueDateInput = document.getElementById('task-due-date');
+        const dueTimeInput = document.getElementById('task-due-time');
+        const laneInput = document.getElementById('task-lane');
+        const dueDate = dueDateInput && dueDateInput.value ? dueDateInput.value : null;
+        
+        return {
+            priority: prioritySelect ? prioritySelect.value : 'none',
+            tags: tagsInput ? parseTags(tagsInput.value) : [],
+            lane: laneInput && laneInput.value.trim() ? laneInput.value.trim() : null,
+            dueDate,
+            // A due time is meaningless without a due date
+            dueTime: dueDate && dueTimeInput && dueTimeInput.value ? dueTimeInput.value : null,
+            recurrence: this.readRecurrenceForm(dueDate)
+        };
+    }
+
+    /**
+     * Read the recurrence rule from the edit task modal
+     * Missing weekday / day-of-month choices default to the due date (or today)
+     * @param {string|null} dueDate - Due date chosen in the form
+     * @returns {Object|null} Recurrence rule or null if the task does not repeat
+     */
+    readRecurrenceForm(dueDate) {
+        const typeSelect = document.getElementById('task-recurrence-type');
+        const type = typeSelect ? typeSelect.value : 'none';
+        
+        const anchor = dueDate ? new Date(`${dueDate}T00:00:00`) : new Date();
+        
+        switch (type) {
+            case 'daily':
+                return { type };
+            case 'weekly': {
+                const weekdays = [0, 1, 2, 3, 4, 5, 6].filter(day => {
+                    const checkbox = document.getElementById(`task-recurrence-day-${day}`);
+                    return checkbox && checkbox.checked;
+                });
+                return { type, weekdays: weekdays.length > 0 ? weekdays : [anchor.getDay()] };
+            }
+            case 'monthly': {
+                const dayInput = document.getElementById('task-recurrence-day-of-month');
+                const dayOfMonth = dayInput && dayInput.value ? parseInt(dayInput.value, 10) : anchor.getDate();
+                return { type, dayOfMonth };
+            }
+            case 'interval': {
+                const intervalInput = document.getElementById('task-recurrence-interval');
+                const days = intervalInput && intervalInput.value ? parseInt(intervalInput.value, 10) : 1;
+                return { type, days };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Keep only the fields that differ from the task's current values
+     * @param {Object} task - Task being edited
+     * @param {Object} fields - Field values read from the form
+     * @returns {Object} Changed fields
+     */
+    getChangedTaskFields(task, fields) {
+        const changes = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            const currentValue = task[key] !== undefined ? task[key] : null;
+            // Compare arrays (e.g. tags) and objects (e.g. recurrence) by content
+            let changed = currentValue !== value;
+            if (Array.isArray(value)) {
+                changed = JSON.stringify(currentValue || []) !== JSON.stringify(value);
+            } else if (value !== null && typeof value === 'object') {
+                changed = JSON.stringify(currentValue) !== JSON.stringify(value);
+            }
+            if (changed) {
+                changes[key] = value;
+            }
+        });
+        return changes;
+    }
+
     /**
      * Handle task delete request (shows confirmation modal)
      */
@@ -266,7 +744,7 @@ export class CascadeApp {
             const { taskId } = data;
             
             // Show confirmation modal
-            const confirmed = await this.dom.showModal('Delete Task', 'Are you sure you want to delete this task? This action cannot be undone.', {
+            const confirmed = await this.dom.showModal('Delete Task', 'Are you sure you want to delete this task? You can restore it from the trash.', {
                 showInput: false,
                 confirmText: 'Delete',
                 cancelText: 'Cancel'
@@ -274,7 +752,7 @@ export class CascadeApp {
             
             if (confirmed) {
                 await this.handleDeleteTask({ taskId });
-                this.uiService.showMessage('Task deleted successfully', 'success');
+                this.showUndoMessage('Task deleted successfully');
             }
         } catch (error) {
             this.handleError('Failed to delete task', error);
@@ -302,25 +780,236 @@ export class CascadeApp {
                 return;
             }
             
-            // Archive each completed task
-            for (const task of completedTasks) {
-                await this.taskService.archiveTask(task.id);
-            }
+            await this.taskService.bulkArchiveTasks(completedTasks.map(task => task.id));
             
-            this.uiService.showMessage(`Archived ${completedTasks.length} completed task${completedTasks.length === 1 ? '' : 's'}`, 'success');
+            this.showUndoMessage(`Archived ${completedTasks.length} completed task${completedTasks.length === 1 ? '' : 's'}`);
             
         } catch (error) {
             this.handleError('Failed to archive completed tasks', error);
         }
     }
 
+    /**
+     * Handle an action from the bulk action bar on the selected tasks
+     */
+    async handleBulkAction(data) {
+        try {
+            const { action } = data;
+            const taskIds = this.uiService.getSelectedTaskIds();
+            
+            if (action === 'clear' || taskIds.length === 0) {
+                this.uiService.setSelectedTaskIds([]);
+                return;
+            }
+            
+            const count = `${taskIds.length} task${taskIds.length === 1 ? '' : 's'}`;
+            let message = null;
+            let undoable = false; // Destructive actions offer Undo on the toast
+            
+            switch (action) {
+                case 'move': {
+                    const status = await this.promptBulkChoice('Move Tasks', `Move ${count} to:`, this.getStatusChoices(), 'Move');
+                    if (!status || !(await this.confirmBulkWipLimit(taskIds, status))) return;
+                    await this.taskService.bulkMoveTasks(taskIds, status);
+                    message = `Moved ${count}`;
+                    break;
+                }
+                case 'archive':
+                    await this.taskService.bulkArchiveTasks(taskIds);
+                    message = `Archived ${count}`;
+                    undoable = true;
+                    break;
+                case 'delete': {
+                    const confirmed = await this.dom.showModal('Delete Tasks', `Are you sure you want to delete ${count}? You can restore them from the trash.`, {
+                        showInput: false,
+                        confirmText: 'Delete',
+                        cancelText: 'Cancel'
+                    });
+                    if (!confirmed) return;
+                    await this.taskService.bulkDeleteTasks(taskIds);
+                    message = `Deleted ${count}`;
+                    undoable = true;
+                    break;
+                }
+                case 'tag': {
+                    const input = await this.dom.showModal('Tag Tasks', `Tags to add to ${count} (comma separated):`, {
+                        showInput: true,
+                        confirmText: 'Add Tags',
+                        cancelText: 'Cancel'
+                    });
+                    const tags = parseTags(input || '');
+                    if (tags.length === 0) return;
+                    await this.taskService.bulkTagTasks(taskIds, tags);
+                    await this.boardService.ensureLabels(this.state.getState().currentBoardId, tags);
+                    message = `Tagged ${count}`;
+                    break;
+                }
+                case 'moveToBoard':
+                case 'copyToBoard': {
+                    const copy = action === 'copyToBoard';
+                    const board = await this.promptTargetBoard(copy ? 'Copy to Board' : 'Move to Board', `${copy ? 'Copy' : 'Move'} ${count} to:`, copy ? 'Copy' : 'Move');
+                    if (!board) return;
+                    if (copy) {
+                        await this.taskService.copyTasksToBoard(taskIds, board.id);
+                    } else {
+                        await this.taskService.moveTasksToBoard(taskIds, board.id);
+                    }
+                    message = `${copy ? 'Copied' : 'Moved'} ${count} to "${board.name}"`;
+                    undoable = !copy;
+                    break;
+                }
+                default:
+                    return;
+            }
+            
+            this.uiService.setSelectedTaskIds([]);
+            if (undoable) {
+                this.showUndoMessage(message);
+            } else {
+                this.uiService.showMessage(message, 'success');
+            }
+            
+        } catch (error) {
+            this.handleError('Bulk action failed', error);
+        }
+    }
+
+    /**
+     * Handle move or copy of one task to another board
+     * Without a boardId in the event data the user picks the board.
+     * @param {Object} data - { taskId, boardId }
+     * @param {string} mode - 'move' or 'copy'
+     */
+    async handleSendTaskToBoard(data, mode) {
+        try {
+            const { taskId } = data;
+            const copy = mode === 'copy';
+            const task = this.findTaskById(taskId);
+            if (!task) {
+                throw new Error('Task not found');
+            }
+            
+            let board = data.boardId ? this.state.getState().boards.find(b => b.id === data.boardId) : null;
+            if (!board) {
+                board = await this.promptTargetBoard(copy ? 'Copy to Board' : 'Move to Board', `${copy ? 'Copy' : 'Move'} "${task.text}" to:`, copy ? 'Copy' : 'Move');
+                if (!board) return;
+            }
+            
+            if (copy) {
+                await this.taskService.copyTasksToBoard([taskId], board.id);
+            } else {
+                await this.taskService.moveTasksToBoard([taskId], board.id);
+            }
+            
+            this.uiService.showMessage(`${copy ? 'Copied' : 'Moved'} task to "${board.name}"`, 'success');
+        } catch (error) {
+            this.handleError(`Failed to ${mode} task to board`, error);
+        }
+    }
+
+    /**
+     * Ask the user for another board to send tasks to
+     * @param {string} title - Modal title
+     * @param {string} label - Label for the choice
+     * @param {string} confirmText - Confirm button text
+     * @returns {Promise<Object|null>} Chosen board, or null if cancelled or there is none
+     */
+    async promptTargetBoard(title, label, confirmText) {
+        const { boards, currentBoardId } = this.state.getState();
+        const choices = boards
+            .filter(board => board.id !== currentBoardId && !board.isArchived)
+            .map(board => ({ value: board.id, label: board.name }));
+        if (choices.length === 0) {
+            this.uiService.showMessage('There is no other board to send tasks to', 'info');
+            return null;
+        }
+        
+        const boardId = await this.promptBulkChoice(title, label, choices, confirmText);
+        return boardId ? boards.find(board => board.id === boardId) : null;
+    }
+
+    /**
+     * Get the statuses tasks can move to, named after their first column on the current board
+     * @returns {Array<Object>} Choices ({ value, label })
+     */
+    getStatusChoices() {
+        const { boards, currentBoardId } = this.state.getState();
+        const columns = getBoardColumns(boards.find(board => board.id === currentBoardId));
+        return TASK_STATUSES.map(status => {
+            const column = columns.find(c => c.status === status);
+            return { value: status, label: column ? column.name : status };
+        });
+    }
+
+    /**
+     * Ask the user to pick one option for a bulk action
+     * @param {string} title - Modal title
+     * @param {string} label - Label for the choice
+     * @param {Array<Object>} choices - Options ({ value, label })
+     * @param {string} confirmText - Confirm button text
+     * @returns {Promise<string|null>} Chosen value, or null if cancelled
+     */
+    async promptBulkChoice(title, label, choices, confirmText) {
+        const content = `
+            <div class="form-group">
+                <label for="bulk-choice">${escapeHtml(label)}</label>
+                <select id="bulk-choice" class="form-control">
+                    ${choices.map(choice => `<option value="${escapeHtml(choice.value)}">${escapeHtml(choice.label)}</option>`).join('')}
+                </select>
+            </div>
+        `;
+        
+        const confirmed = await this.dom.showModal(title, content, {
+            showInput: false,
+            showCancel: true,
+            confirmText,
+            cancelText: 'Cancel',
+            allowHTML: true
+        });
+        
+        const select = document.getElementById('bulk-choice');
+        return confirmed && select ? select.value : null;
+    }
+
+    /**
+     * Ask before a bulk move takes columns over a soft WIP limit
+     * @param {Array<string>} taskIds - Selected task IDs
+     * @param {string} status - Target status
+     * @returns {Promise<boolean>} True if the move should go ahead
+     */
+    async confirmBulkWipLimit(taskIds, status) {
+        const { board, tasks } = this.taskService.getBulkTasks(taskIds);
+        const moving = tasks
+            .filter(task => task.status !== status)
+            .map(task => ({ ...task, status, columnId: null }));
+        const violations = this.taskService.getBulkWipViolations(board, moving);
+        if (violations.length === 0 || violations.some(violation => violation.strict)) {
+            return true;
+        }
+        
+        const names = violations.map(violation => `"${violation.column.name}" (${violation.count}/${violation.limit})`).join(', ');
+        const confirmed = await this.dom.showModal(
+            'WIP Limit Reached',
+            `Moving these tasks would put ${names} over the WIP limit. Move them anyway?`,
+            {
+                showInput: false,
+                confirmText: 'Move Anyway',
+                cancelText: 'Cancel'
+            }
+        );
+        return !!confirmed;
+    }
+
     /**
      * Handle create board event
      */
     async handleCreateBoard(data) {
         try {
-            const { name, description, color } = data;
-            await this.boardService.createBoard({ name, description, color });
+            const { name, description, color, templateId } = data;
+            const boardData = templateId
+                ? this.templateService.getBoardDataFromTemplate(templateId, { name, description, color })
+                : { name, description, color };
+            await this.boardService.createBoard(boardData);
             
         } catch (error) {
             this.handleError('Failed to create board', error);
@@ -333,13 +1022,35 @@ export class CascadeApp {
     async handleSwitchBoard(data) {
         try {
             const { boardId } = data;
+            const leavingAllBoards = this.state.getState().allBoardsView;
+            // Tags are board-specific, so drop any active tag filter
+            this.state.setState({ tagFilter: null, allBoardsView: false }, { silent: true });
             await this.boardService.switchToBoard(boardId);
+            if (leavingAllBoards) {
+                eventBus.emit('view:changed', { allBoardsView: false });
+            }
             
         } catch (error) {
             this.handleError('Failed to switch board', error);
         }
     }
 
+    /**
+     * Show the tasks of every active board together
+     */
+    handleShowAllBoards() {
+        try {
+            if (this.state.getState().allBoardsView) {
+                return;
+            }
+            this.state.setState({ allBoardsView: true, tagFilter: null }, { silent: true });
+            eventBus.emit('view:changed', { allBoardsView: true });
+            
+        } catch (error) {
+            this.handleError('Failed to show all boards', error);
+        }
+    }
+
     /**
      * Handle edit board event
      */
@@ -360,6 +1071,7 @@ export class CascadeApp {
         try {
             const { boardId } = data;
             await this.boardService.deleteBoard(boardId);
+            this.showUndoMessage('Board deleted');
             
         } catch (error) {
             this.handleError('Failed to delete board', error);
@@ -375,38 +1087,488 @@ export class CascadeApp {
             await this.boardService.duplicateBoard(boardId, newName);
             
         } catch (error) {
-            this.handleError('Failed to duplicate board', error);
+            this.handleError('Failed to duplicate board', error);
+        }
+    }
+
+    /**
+     * Handle manage boards event - show board management modal
+     */
+    async handleManageBoards() {
+        try {
+            const state = this.state.getState();
+            const { boards, currentBoardId } = state;
+            const currentBoard = boards.find(board => board.id === currentBoardId);
+            
+            // Show the board management modal via DOM manager
+            this.dom.showBoardManagementModal(boards, currentBoard, this.templateService.getBoardTemplates());
+            
+        } catch (error) {
+            this.handleError('Failed to show board management', error);
+        }
+    }
+
+    /**
+     * Handle saving a board's setup as a template
+     */
+    async handleSaveBoardAsTemplate(data) {
+        try {
+            const { boardId } = data;
+            const board = this.state.getState().boards.find(b => b.id === boardId);
+            if (!board) {
+                return;
+            }
+            
+            const name = await this.dom.showModal('Save as Template', 'Template name (columns, labels and swimlanes are saved, tasks are not):', {
+                showInput: true,
+                inputValue: this.templateService.getUniqueTemplateName(
+                    `${board.name.slice(0, 41)} Template`,
+                    this.templateService.getBoardTemplates().map(t => t.name)
+                ),
+                confirmText: 'Save Template'
+            });
+            if (!name) {
+                return;
+            }
+            
+            const template = await this.templateService.saveBoardAsTemplate(boardId, name);
+            this.dom.refreshBoardTemplates(this.templateService.getBoardTemplates());
+            this.uiService.showMessage(`Template "${template.name}" saved`, 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to save template', error);
+        }
+    }
+
+    /**
+     * Handle deleting a saved template
+     */
+    async handleDeleteTemplate(data) {
+        try {
+            const { templateId } = data;
+            const template = this.templateService.getBoardTemplate(templateId);
+            if (!template) {
+                return;
+            }
+            
+            const confirmed = await this.dom.showModal(
+                'Delete Template',
+                `Delete the template "${template.name}"? Boards created from it are not affected.`,
+                { confirmText: 'Delete', cancelText: 'Cancel' }
+            );
+            if (!confirmed) {
+                return;
+            }
+            
+            await this.templateService.deleteBoardTemplate(templateId);
+            this.dom.refreshBoardTemplates(this.templateService.getBoardTemplates());
+            this.uiService.showMessage('Template deleted', 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to delete template', error);
+        }
+    }
+
+    /**
+     * Handle exporting the saved templates to a file
+     */
+    handleExportTemplates() {
+        try {
+            const exportData = this.templateService.exportBoardTemplates();
+            if (exportData.templates.length === 0) {
+                this.uiService.showMessage('No saved templates to export', 'warning');
+                return;
+            }
+            
+            this.downloadJSON(exportData, `cascade-templates-${new Date().toISOString().split('T')[0]}.json`);
+            this.uiService.showMessage('Templates exported successfully', 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to export templates', error);
+        }
+    }
+
+    /**
+     * Handle importing templates from a file
+     */
+    async handleImportTemplates(data) {
+        try {
+            const { file } = data;
+            const text = await this.readFile(file);
+            const imported = await this.templateService.importBoardTemplates(JSON.parse(text));
+            
+            this.dom.refreshBoardTemplates(this.templateService.getBoardTemplates());
+            this.uiService.showMessage(`Imported ${imported.length} template${imported.length === 1 ? '' : 's'}`, 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to import templates', error);
+        }
+    }
+
+    /**
+     * Handle task templates event - show the task templates screen
+     */
+    handleManageTaskTemplates() {
+        try {
+            this.dom.closeTaskTemplates();
+            this.dom.showTaskTemplates(this.templateService.getTaskTemplates());
+            
+        } catch (error) {
+            this.handleError('Failed to show task templates', error);
+        }
+    }
+
+    /**
+     * Handle saving a task template from the templates screen
+     */
+    async handleSaveTaskTemplate(data) {
+        try {
+            const { templateId, template } = data;
+            const saved = await this.templateService.saveTaskTemplate(template, templateId);
+            
+            this.dom.setTaskTemplates(this.templateService.getTaskTemplates());
+            this.handleManageTaskTemplates();
+            this.uiService.showMessage(`Template "${saved.name}" saved`, 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to save task template', error);
+        }
+    }
+
+    /**
+     * Handle deleting a task template
+     */
+    async handleDeleteTaskTemplate(data) {
+        try {
+            const { templateId } = data;
+            const template = this.templateService.getTaskTemplate(templateId);
+            if (!template) {
+                return;
+            }
+            
+            const confirmed = await this.dom.showModal(
+                'Delete Template',
+                `Delete the task template "${template.name}"? Tasks created from it are not affected.`,
+                { confirmText: 'Delete', cancelText: 'Cancel' }
+            );
+            if (!confirmed) {
+                return;
+            }
+            
+            await this.templateService.deleteTaskTemplate(templateId);
+            this.dom.setTaskTemplates(this.templateService.getTaskTemplates());
+            this.handleManageTaskTemplates();
+            
+        } catch (error) {
+            this.handleError('Failed to delete task template', error);
+        }
+    }
+
+    /**
+     * Handle filter change event
+     */
+    handleFilterChange(data) {
+        try {
+            const { filter } = data;
+            this.state.setState({ filter });
+            eventBus.emit('filter:changed', { filter });
+            
+        } catch (error) {
+            this.handleError('Failed to change filter', error);
+        }
+    }
+
+    /**
+     * Handle tag filter event (clicking the active tag again clears it)
+     */
+    handleTagFilter(data) {
+        try {
+            const { tag } = data;
+            const currentTag = this.state.getState().tagFilter;
+            const tagFilter = tag && (!currentTag || currentTag.toLowerCase() !== tag.toLowerCase()) ? tag : null;
+            this.state.setState({ tagFilter });
+            eventBus.emit('filter:changed', { filter: this.state.getState().filter, tagFilter });
+            
+        } catch (error) {
+            this.handleError('Failed to filter by tag', error);
+        }
+    }
+
+    /**
+     * Handle manage labels event - edit the current board's label palette
+     */
+    async handleManageLabels() {
+        try {
+            const state = this.state.getState();
+            const currentBoard = state.boards.find(b => b.id === state.currentBoardId);
+            
+            if (!currentBoard) {
+                this.uiService.showMessage('No active board selected', 'error');
+                return;
+            }
+            
+            const labels = currentBoard.labels || [];
+            if (labels.length === 0) {
+                this.uiService.showMessage('This board has no labels yet. Add tags to a task to create them.', 'info');
+                return;
+            }
+            
+            const labelsContent = `
+                <div class="labels-form">
+                    ${labels.map((label, index) => `
+                        <div class="form-group labels-form__row">
+                            <input type="color" id="label-color-${index}" value="${escapeHtml(label.color)}" aria-label="Color for ${escapeHtml(label.name)}">
+                            <span class="labels-form__name">${escapeHtml(label.name)}</span>
+                            <label for="label-remove-${index}">
+                                <input type="checkbox" id="label-remove-${index}"> Remove
+                            </label>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+            
+            const confirmed = await this.dom.showModal(`🏷️ Labels for ${currentBoard.name}`, labelsContent, {
+                showInput: false,
+                showCancel: true,
+                confirmText: 'Save Labels',
+                cancelText: 'Cancel',
+                allowHTML: true
+            });
+            
+            if (!confirmed) {
+                return;
+            }
+            
+            const updatedLabels = [];
+            labels.forEach((label, index) => {
+                const colorInput = document.getElementById(`label-color-${index}`);
+                const removeToggle = document.getElementById(`label-remove-${index}`);
+                if (removeToggle && removeToggle.checked) {
+                    return;
+                }
+                updatedLabels.push({ ...label, color: colorInput ? colorInput.value : label.color });
+            });
+            
+            await this.boardService.updateBoard(currentBoard.id, { labels: updatedLabels });
+            this.uiService.render();
+            this.uiService.showMessage('Labels updated successfully', 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to update labels', error);
+        }
+    }
+
+    /**
+     * Handle manage columns event - edit the current board's workflow columns
+     */
+    async handleManageColumns() {
+        try {
+            const state = this.state.getState();
+            const currentBoard = state.boards.find(b => b.id === state.currentBoardId);
+            
+            if (!currentBoard) {
+                this.uiService.showMessage('No active board selected', 'error');
+                return;
+            }
+            
+            const columns = getBoardColumns(currentBoard);
+            const stageNames = { todo: 'To Do', doing: 'In Progress', done: 'Done' };
+            
+            const stageOptions = (selected) => TASK_STATUSES.map(status => `
+                <option value="${status}" ${status === selected ? 'selected' : ''}>${stageNames[status]}</option>
+            `).join('');
+            
+            const columnsContent = `
+                <div class="columns-form">
+                    <p class="columns-form__hint">Each column belongs to a stage. Tasks count as started in In Progress columns and as finished in Done columns.</p>
+                    ${columns.map((column, index) => `
+                        <div class="form-group columns-form__row">
+                            <input type="number" id="column-order-${index}" class="form-control columns-form__order" value="${index + 1}" min="1" aria-label="Position of ${escapeHtml(column.name)}">
+                            <input type="text" id="column-name-${index}" class="form-control" value="${escapeHtml(column.name)}" maxlength="30" aria-label="Column name">
+                            <select id="column-status-${index}" class="form-control" aria-label="Stage of ${escapeHtml(column.name)}">
+                                ${stageOptions(column.status)}
+                            </select>
+                            <input type="color" id="column-color-${index}" value="${escapeHtml(column.color || '#f5f5f5')}" aria-label="Color for ${escapeHtml(column.name)}">
+                            <input type="number" id="column-limit-${index}" class="form-control columns-form__limit" value="${column.limit || ''}" min="0" placeholder="No limit" aria-label="WIP limit for ${escapeHtml(column.name)}">
+                            <label for="column-remove-${index}">
+                                <input type="checkbox" id="column-remove-${index}"> Remove
+                            </label>
+                        </div>
+                    `).join('')}
+                    <div class="form-group columns-form__row">
+                        <input type="number" id="column-order-new" class="form-control columns-form__order" value="${columns.length + 1}" min="1" aria-label="Position of the new column">
+                        <input type="text" id="column-name-new" class="form-control" placeholder="New column" maxlength="30" aria-label="New column name">
+                        <select id="column-status-new" class="form-control" aria-label="Stage of the new column">
+                            ${stageOptions('doing')}
+                        </select>
+                        <input type="color" id="column-color-new" value="#f5f5f5" aria-label="Color for the new column">
+                        <input type="number" id="column-limit-new" class="form-control columns-form__limit" min="0" placeholder="No limit" aria-label="WIP limit for the new column">
+                    </div>
+                    <div class="form-group">
+                        <label for="column-wip-mode">When a column is over its WIP limit:</label>
+                        <select id="column-wip-mode" class="form-control">
+                            <option value="soft" ${currentBoard.wipMode !== 'strict' ? 'selected' : ''}>Ask before adding more tasks</option>
+                            <option value="strict" ${currentBoard.wipMode === 'strict' ? 'selected' : ''}>Refuse new tasks</option>
+                        </select>
+                    </div>
+                </div>
+            `;
+            
+            const confirmed = await this.dom.showModal(`🗂️ Columns for ${currentBoard.name}`, columnsContent, {
+                showInput: false,
+                showCancel: true,
+                confirmText: 'Save Columns',
+                cancelText: 'Cancel',
+                allowHTML: true
+            });
+            
+            if (!confirmed) {
+                return;
+            }
+            
+            const readRow = (suffix, column) => {
+                const nameInput = document.getElementById(`column-name-${suffix}`);
+                const statusSelect = document.getElementById(`column-status-${suffix}`);
+                const colorInput = document.getElementById(`column-color-${suffix}`);
+                const orderInput = document.getElementById(`column-order-${suffix}`);
+                const limitInput = document.getElementById(`column-limit-${suffix}`);
+                return {
+                    column: {
+                        ...column,
+                        name: nameInput ? nameInput.value.trim() : column.name,
+                        status: statusSelect ? statusSelect.value : column.status,
+                        color: colorInput ? colorInput.value : column.color,
+                        limit: limitInput ? (Number(limitInput.value) || null) : column.limit
+                    },
+                    order: orderInput ? Number(orderInput.value) : 0
+                };
+            };
+            
+            const rows = [];
+            columns.forEach((column, index) => {
+                const removeToggle = document.getElementById(`column-remove-${index}`);
+                if (!removeToggle || !removeToggle.checked) {
+                    rows.push(readRow(index, column));
+                }
+            });
+            
+            const newRow = readRow('new', { id: generateUniqueId(), name: '', status: 'doing', color: '#f5f5f5', limit: null });
+            if (newRow.column.name) {
+                rows.push(newRow);
+            }
+            
+            // Stable sort by position so unchanged rows keep their order
+            const updatedColumns = rows
+                .map((row, index) => ({ ...row, index }))
+                .sort((a, b) => (a.order - b.order) || (a.index - b.index))
+                .map(row => row.column);
+            
+            const wipModeSelect = document.getElementById('column-wip-mode');
+            await this.boardService.updateColumns(currentBoard.id, updatedColumns, wipModeSelect ? wipModeSelect.value : undefined);
+            this.uiService.render();
+            this.uiService.showMessage('Columns updated successfully', 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to update columns', error);
+        }
+    }
+
+    /**
+     * Handle manage swimlanes event - choose how the current board is split into lanes
+     */
+    async handleManageSwimlanes() {
+        try {
+            const state = this.state.getState();
+            const currentBoard = state.boards.find(b => b.id === state.currentBoardId);
+            
+            if (!currentBoard) {
+                this.uiService.showMessage('No active board selected', 'error');
+                return;
+            }
+            
+            const swimlanes = { groupBy: 'none', lanes: [], collapsed: [], ...(currentBoard.swimlanes || {}) };
+            const groupNames = { none: 'No swimlanes', tag: 'First tag', priority: 'Priority', lane: 'Custom lanes' };
+            
+            const swimlanesContent = `
+                <div class="swimlanes-form">
+                    <div class="form-group">
+                        <label for="swimlane-group-by">Split the board by:</label>
+                        <select id="swimlane-group-by" class="form-control">
+                            ${SWIMLANE_GROUPS.map(group => `
+                                <option value="${group}"${swimlanes.groupBy === group ? ' selected' : ''}>${groupNames[group]}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="swimlane-lanes">Custom lanes (comma separated):</label>
+                        <input type="text" id="swimlane-lanes" class="form-control" value="${escapeHtml(swimlanes.lanes.join(', '))}" placeholder="Frontend, Backend, Design">
+                    </div>
+                </div>
+            `;
+            
+            const confirmed = await this.dom.showModal(`🏊 Swimlanes for ${currentBoard.name}`, swimlanesContent, {
+                showInput: false,
+                showCancel: true,
+                confirmText: 'Save Swimlanes',
+                cancelText: 'Cancel',
+                allowHTML: true
+            });
+            
+            if (!confirmed) {
+                return;
+            }
+            
+            const groupBySelect = document.getElementById('swimlane-group-by');
+            const lanesInput = document.getElementById('swimlane-lanes');
+            const lanes = [];
+            (lanesInput ? lanesInput.value : '').split(',').forEach(lane => {
+                const name = lane.trim();
+                if (name && !lanes.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+                    lanes.push(name);
+                }
+            });
+            
+            await this.boardService.updateBoard(currentBoard.id, {
+                swimlanes: {
+                    groupBy: groupBySelect ? groupBySelect.value : swimlanes.groupBy,
+                    lanes,
+                    collapsed: []
+                }
+            });
+            this.uiService.render();
+            this.uiService.showMessage('Swimlanes updated successfully', 'success');
+            
+        } catch (error) {
+            this.handleError('Failed to update swimlanes', error);
         }
     }
 
     /**
-     * Handle manage boards event - show board management modal
+     * Handle swimlane toggle event - collapse or expand a lane on the current board
      */
-    async handleManageBoards() {
+    async handleToggleSwimlane(data) {
         try {
+            const { lane } = data;
             const state = this.state.getState();
-            const { boards, currentBoardId } = state;
-            const currentBoard = boards.find(board => board.id === currentBoardId);
+            const currentBoard = state.boards.find(b => b.id === state.currentBoardId);
             
-            // Show the board management modal via DOM manager
-            this.dom.showBoardManagementModal(boards, currentBoard);
+            if (!currentBoard || !currentBoard.swimlanes) {
+                return;
+            }
             
-        } catch (error) {
-            this.handleError('Failed to show board management', error);
-        }
-    }
-
-    /**
-     * Handle filter change event
-     */
-    handleFilterChange(data) {
-        try {
-            const { filter } = data;
-            this.state.setState({ filter });
-            eventBus.emit('filter:changed', { filter });
+            const collapsed = currentBoard.swimlanes.collapsed || [];
+            await this.boardService.updateBoard(currentBoard.id, {
+                swimlanes: {
+                    ...currentBoard.swimlanes,
+                    collapsed: collapsed.includes(lane)
+                        ? collapsed.filter(key => key !== lane)
+                        : [...collapsed, lane]
+                }
+            });
+            this.uiService.render();
             
         } catch (error) {
-            this.handleError('Failed to change filter', error);
+            this.handleError('Failed to toggle swimlane', error);
         }
     }
 
@@ -428,6 +1590,27 @@ export class CascadeApp {
                                 <option value="auto">Auto (System)</option>
                             </select>
                         </div>
+                        <div class="form-group">
+                            <label for="task-sorting-select">Sort tasks by:</label>
+                            <select id="task-sorting-select" class="form-control">
+                                <option value="createdDate">Created date</option>
+                                <option value="priority">Priority, then created date</option>
+                                <option value="text">Task text</option>
+                                <option value="manual">Manual order</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="task-progress-toggle">
+                                <input type="checkbox" id="task-progress-toggle"> 
+                                Show checklist progress on cards
+                            </label>
+                        </div>
+                        <div class="form-group">
+                            <label for="auto-track-time-toggle">
+                                <input type="checkbox" id="auto-track-time-toggle"> 
+                                Start and stop the timer when tasks enter or leave In Progress
+                            </label>
+                        </div>
                         <div class="form-group">
                             <label for="auto-save-toggle">
                                 <input type="checkbox" id="auto-save-toggle" checked> 
@@ -452,6 +1635,10 @@ export class CascadeApp {
                     </div>
                     <div class="settings-section">
                         <h6 class="settings-section-title">Data Management</h6>
+                        <div class="form-group">
+                            <label for="trash-retention-input">Keep deleted items in the trash for (days):</label>
+                            <input type="number" id="trash-retention-input" class="form-control" min="1" max="365">
+                        </div>
                         <div class="form-group">
                             <button type="button" class="btn btn-outline-primary btn-sm" onclick="this.closest('.modal-overlay').dispatchEvent(new CustomEvent('export-data'))">
                                 📤 Export Data
@@ -493,14 +1680,27 @@ export class CascadeApp {
         try {
             // Load settings from settings module (placeholder - would be implemented)
             const themeSelect = document.getElementById('theme-select');
+            const taskSortingSelect = document.getElementById('task-sorting-select');
+            const taskProgressToggle = document.getElementById('task-progress-toggle');
+            const autoTrackTimeToggle = document.getElementById('auto-track-time-toggle');
             const autoSaveToggle = document.getElementById('auto-save-toggle');
             const highContrastToggle = document.getElementById('high-contrast-toggle');
             const reducedMotionToggle = document.getElementById('reduced-motion-toggle');
+            const trashRetentionInput = document.getElementById('trash-retention-input');
 
             // Set current values (placeholder values for now)
             if (themeSelect) {
                 themeSelect.value = localStorage.getItem('cascade-theme') || 'light';
             }
+            if (taskSortingSelect) {
+                taskSortingSelect.value = settingsManager.get('taskSorting');
+            }
+            if (taskProgressToggle) {
+                taskProgressToggle.checked = settingsManager.get('showTaskProgress');
+            }
+            if (autoTrackTimeToggle) {
+                autoTrackTimeToggle.checked = settingsManager.get('autoTrackTime');
+            }
             if (autoSaveToggle) {
                 autoSaveToggle.checked = localStorage.getItem('cascade-auto-save') !== 'false';
             }
@@ -510,6 +1710,9 @@ export class CascadeApp {
             if (reducedMotionToggle) {
                 reducedMotionToggle.checked = localStorage.getItem('cascade-reduced-motion') === 'true';
             }
+            if (trashRetentionInput) {
+                trashRetentionInput.value = settingsManager.get('trashRetentionDays');
+            }
         } catch (error) {
             console.error('Failed to load settings into modal:', error);
         }
@@ -518,12 +1721,16 @@ export class CascadeApp {
     /**
      * Save settings from the modal form
      */
-    saveSettingsFromModal() {
+    async saveSettingsFromModal() {
         try {
             const themeSelect = document.getElementById('theme-select');
+            const taskSortingSelect = document.getElementById('task-sorting-select');
+            const taskProgressToggle = document.getElementById('task-progress-toggle');
+            const autoTrackTimeToggle = document.getElementById('auto-track-time-toggle');
             const autoSaveToggle = document.getElementById('auto-save-toggle');
             const highContrastToggle = document.getElementById('high-contrast-toggle');
             const reducedMotionToggle = document.getElementById('reduced-motion-toggle');
+            const trashRetentionInput = document.getElementById('trash-retention-input');
 
             // Save settings (placeholder - would integrate with settings module)
             if (themeSelect) {
@@ -531,6 +1738,16 @@ export class CascadeApp {
                 // Apply theme change immediately
                 document.documentElement.setAttribute('data-theme', themeSelect.value);
             }
+            if (taskSortingSelect && taskSortingSelect.value !== settingsManager.get('taskSorting')) {
+                // Saving emits settings:saved, which re-renders the sorted columns
+                await settingsManager.set('taskSorting', taskSortingSelect.value);
+            }
+            if (taskProgressToggle && taskProgressToggle.checked !== settingsManager.get('showTaskProgress')) {
+                await settingsManager.set('showTaskProgress', taskProgressToggle.checked);
+            }
+            if (autoTrackTimeToggle && autoTrackTimeToggle.checked !== settingsManager.get('autoTrackTime')) {
+                await settingsManager.set('autoTrackTime', autoTrackTimeToggle.checked);
+            }
             if (autoSaveToggle) {
                 localStorage.setItem('cascade-auto-save', autoSaveToggle.checked.toString());
             }
@@ -542,6 +1759,16 @@ export class CascadeApp {
                 localStorage.setItem('cascade-reduced-motion', reducedMotionToggle.checked.toString());
                 document.documentElement.toggleAttribute('data-reduced-motion', reducedMotionToggle.checked);
             }
+            if (trashRetentionInput) {
+                const days = parseInt(trashRetentionInput.value, 10);
+                if (!(days >= 1 && days <= 365)) {
+                    throw new Error('Trash retention must be between 1 and 365 days');
+                }
+                if (days !== settingsManager.get('trashRetentionDays')) {
+                    await settingsManager.set('trashRetentionDays', days);
+                    await this.purgeExpiredTrash();
+                }
+            }
 
             this.uiService.showMessage('Settings saved successfully', 'success');
         } catch (error) {
@@ -549,6 +1776,148 @@ export class CascadeApp {
         }
     }
 
+    /**
+     * Handle restore from the archive browser (restores to the current board)
+     */
+    async handleRestoreArchivedTask(data) {
+        try {
+            const { taskId } = data;
+            await this.taskService.restoreTask(taskId, this.state.getState().currentBoardId);
+            
+            // Refresh the archive browser so the restored task disappears from it
+            const archiveModal = document.getElementById('archive-modal');
+            if (archiveModal) {
+                document.body.removeChild(archiveModal);
+                this.handleBrowseArchive();
+            }
+            
+            this.uiService.showMessage('Task restored successfully', 'success');
+        } catch (error) {
+            this.handleError('Failed to restore task', error);
+        }
+    }
+
+    /**
+     * Handle browse trash event, purging expired items first
+     */
+    async handleBrowseTrash() {
+        try {
+            await this.purgeExpiredTrash();
+            const { boards, trashedBoards = [] } = this.state.getState();
+            const deletedTasks = [];
+            boards.forEach(board => {
+                (board.deletedTasks || []).forEach(task => {
+                    deletedTasks.push({ ...task, boardId: board.id, boardName: board.name });
+                });
+            });
+            
+            this.dom.closeTrashBrowser();
+            this.dom.showTrashBrowser(trashedBoards, deletedTasks, settingsManager.get('trashRetentionDays') || 30);
+            
+        } catch (error) {
+            this.handleError('Failed to show trash', error);
+        }
+    }
+
+    /**
+     * Redraw the trash browser if it is open
+     */
+    refreshTrashBrowser() {
+        if (document.getElementById('trash-modal')) {
+            this.handleBrowseTrash();
+        }
+    }
+
+    /**
+     * Handle restore from the trash browser
+     */
+    async handleRestoreFromTrash(data) {
+        try {
+            const { type, id, boardId } = data;
+            
+            if (type === 'board') {
+                const board = await this.boardService.restoreBoard(id);
+                this.uiService.showMessage(`Board "${board.name}" restored`, 'success');
+            } else {
+                await this.taskService.restoreDeletedTask(id, boardId);
+                this.uiService.showMessage('Task restored successfully', 'success');
+            }
+            
+            this.refreshTrashBrowser();
+        } catch (error) {
+            this.handleError('Failed to restore from trash', error);
+        }
+    }
+
+    /**
+     * Handle permanent delete from the trash browser
+     */
+    async handleDeleteForever(data) {
+        try {
+            const { type, id, boardId } = data;
+            
+            if (type === 'board') {
+                await this.boardService.deleteBoardForever(id);
+            } else {
+                await this.taskService.deleteTaskForever(id, boardId);
+            }
+            
+            this.refreshTrashBrowser();
+            this.showUndoMessage(`${type === 'board' ? 'Board' : 'Task'} permanently deleted`);
+        } catch (error) {
+            this.handleError('Failed to delete permanently', error);
+        }
+    }
+
+    /**
+     * Handle empty trash event (shows confirmation modal)
+     */
+    async handleEmptyTrash() {
+        try {
+            const { boards, trashedBoards = [] } = this.state.getState();
+            const count = trashedBoards.length + boards.reduce((total, board) => total + (board.deletedTasks || []).length, 0);
+            
+            if (count === 0) {
+                this.uiService.showMessage('The trash is already empty', 'info');
+                return;
+            }
+            
+            // The confirmation modal would open underneath the trash browser
+            this.dom.closeTrashBrowser();
+            
+            const confirmed = await this.dom.showModal('Empty Trash', `Permanently delete ${count} item${count === 1 ? '' : 's'} in the trash?`, {
+                showInput: false,
+                confirmText: 'Empty Trash',
+                cancelText: 'Cancel'
+            });
+            
+            if (confirmed) {
+                const now = new Date();
+                await this.taskService.purgeDeletedTasks(now);
+                await this.boardService.purgeTrashedBoards(now);
+                this.showUndoMessage('Trash emptied');
+            }
+            
+            this.handleBrowseTrash();
+        } catch (error) {
+            this.handleError('Failed to empty trash', error);
+        }
+    }
+
+    /**
+     * Permanently delete trashed tasks and boards older than the trashRetentionDays setting
+     */
+    async purgeExpiredTrash() {
+        try {
+            const days = settingsManager.get('trashRetentionDays') || 30;
+            const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+            await this.taskService.purgeDeletedTasks(cutoff);
+            await this.boardService.purgeTrashedBoards(cutoff);
+        } catch (error) {
+            console.error('Failed to purge expired trash:', error);
+        }
+    }
+
     /**
      * Handle browse archive event
      */
@@ -610,7 +1979,7 @@ export class CascadeApp {
                 document.body.removeChild(archiveModal);
             }
             
-            this.uiService.showMessage(`Cleared ${archivedTasks.length} archived task${archivedTasks.length === 1 ? '' : 's'}`, 'success');
+            this.showUndoMessage(`Cleared ${archivedTasks.length} archived task${archivedTasks.length === 1 ? '' : 's'}`);
             
         } catch (error) {
             this.handleError('Failed to clear archived tasks', error);
@@ -627,7 +1996,13 @@ export class CascadeApp {
             
             // Read file content
             const text = await this.readFile(file);
-            const importData = JSON.parse(text);
+            let importData = JSON.parse(text);
+            
+            if (isEncryptedExport(importData)) {
+                const passphrase = await this.promptPassphrase('Encrypted File', 'Enter the passphrase this file was exported with.', 'Decrypt');
+                if (passphrase === null) return;
+                importData = await decryptExport(importData, passphrase);
+            }
             
             console.log('📥 Parsed import data:', importData);
             
@@ -716,6 +2091,8 @@ export class CascadeApp {
                         await this.boardService.updateBoard(existingBoard.id, {
                             description: boardData.description || existingBoard.description,
                             color: boardData.color || existingBoard.color,
+                            labels: Array.isArray(boardData.labels) ? boardData.labels : (existingBoard.labels || []),
+                            ...this.extractBoardWorkflow(boardData),
                             tasks: [], // Clear existing tasks
                             archivedTasks: []
                         });
@@ -736,7 +2113,9 @@ export class CascadeApp {
                         targetBoard = await this.boardService.createBoard({
                             name: boardName,
                             description: boardData.description || '',
-                            color: boardData.color || '#6750a4'
+                            color: boardData.color || '#6750a4',
+                            labels: Array.isArray(boardData.labels) ? boardData.labels : [],
+                            ...this.extractBoardWorkflow(boardData)
                         });
                         console.log(`📥 Created new board: ${boardName}`);
                     } else {
@@ -751,12 +2130,12 @@ export class CascadeApp {
                         firstImportedBoard = targetBoard;
                     }
                     
-                    // Import tasks to this specific board
+                    // Import tasks to this specific board, in manual order so new ranks keep it
                     if (boardData.tasks && Array.isArray(boardData.tasks)) {
-                        for (const taskData of boardData.tasks) {
+                        for (const taskData of this.uiService.sortTasks(boardData.tasks, 'manual')) {
                             try {
                                 const taskText = taskData.text || 'Imported Task';
-                                await this.taskService.createTask(taskText, targetBoard.id);
+                                await this.taskService.createTask(taskText, targetBoard.id, this.extractTaskAttributes(taskData));
                                 totalTasksImported++;
                             } catch (taskError) {
                                 console.warn('Failed to import task:', taskData, taskError);
@@ -819,7 +2198,7 @@ export class CascadeApp {
                         counter++;
                     }
                     
-                    await this.taskService.createTask(uniqueText, currentBoardId);
+                    await this.taskService.createTask(uniqueText, currentBoardId, this.extractTaskAttributes(taskData));
                     importCount++;
                     
                 } catch (taskError) {
@@ -836,6 +2215,78 @@ export class CascadeApp {
         }
     }
 
+    /**
+     * Pick the workflow fields (columns, WIP mode, swimlanes) to carry over from imported board data
+     * Board validation rejects invalid values, which skips the board.
+     * @param {Object} boardData - Imported board data
+     * @returns {Object} Board fields for BoardService.createBoard and updateBoard
+     */
+    extractBoardWorkflow(boardData) {
+        const workflow = {};
+        if (Array.isArray(boardData.columns) && boardData.columns.length > 0) {
+            workflow.columns = boardData.columns;
+        }
+        if (boardData.wipMode) {
+            workflow.wipMode = boardData.wipMode;
+        }
+        if (boardData.swimlanes && typeof boardData.swimlanes === 'object') {
+            workflow.swimlanes = boardData.swimlanes;
+        }
+        return workflow;
+    }
+
+    /**
+     * Pick the optional task fields to carry over from imported task data
+     * @param {Object} taskData - Imported task data
+     * @returns {Object} Task attributes for TaskService.createTask
+     */
+    extractTaskAttributes(taskData) {
+        const attributes = {};
+        if (TASK_STATUSES.includes(taskData.status)) {
+            attributes.status = taskData.status;
+            if (typeof taskData.columnId === 'string' && taskData.columnId) {
+                attributes.columnId = taskData.columnId;
+            }
+            if (taskData.status === 'done' && taskData.completedDate) {
+                attributes.completedDate = taskData.completedDate;
+            }
+            if (Array.isArray(taskData.statusHistory)) {
+                attributes.statusHistory = taskData.statusHistory;
+            }
+        }
+        if (TASK_PRIORITIES.includes(taskData.priority)) {
+            attributes.priority = taskData.priority;
+        }
+        if (Array.isArray(taskData.tags)) {
+            attributes.tags = parseTags(taskData.tags);
+        }
+        if (typeof taskData.notes === 'string' && taskData.notes) {
+            attributes.notes = taskData.notes;
+        }
+        if (typeof taskData.lane === 'string' && taskData.lane.trim()) {
+            attributes.lane = taskData.lane.trim();
+        }
+        if (Array.isArray(taskData.checklist)) {
+            attributes.checklist = taskData.checklist
+                .filter(item => item && typeof item.text === 'string' && item.text.trim())
+                .map(item => ({ id: item.id, text: item.text.trim(), done: !!item.done }));
+        }
+        if (Array.isArray(taskData.timeEntries)) {
+            // Imported timers are never left running
+            attributes.timeEntries = taskData.timeEntries.filter(entry => entry && entry.start && entry.end);
+        }
+        if (taskData.recurrence && typeof taskData.recurrence === 'object') {
+            attributes.recurrence = taskData.recurrence;
+        }
+        if (taskData.dueDate) {
+            attributes.dueDate = taskData.dueDate;
+            if (taskData.dueTime) {
+                attributes.dueTime = taskData.dueTime;
+            }
+        }
+        return attributes;
+    }
+
     /**
      * Read file content as text
      */
@@ -884,32 +2335,48 @@ export class CascadeApp {
                 return;
             }
 
-            const exportData = {
+            let exportData = {
                 version: '2.0.0',
                 exportDate: new Date().toISOString(),
                 boards: boards
             };
+            let message = 'Data exported successfully';
 
-            const blob = new Blob([JSON.stringify(exportData, null, 2)], {
-                type: 'application/json'
-            });
+            // Exports of encrypted data stay encrypted, with the same passphrase
+            if (this.storage.isEncrypted()) {
+                exportData = await this.storage.createEncryptedExport(exportData);
+                message = 'Data exported encrypted - importing it needs your passphrase';
+            }
 
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `cascade-tasks-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadJSON(exportData, `cascade-tasks-${new Date().toISOString().split('T')[0]}.json`);
 
-            this.uiService.showMessage('Data exported successfully', 'success');
+            this.uiService.showMessage(message, 'success');
             
         } catch (error) {
             this.handleError('Failed to export data', error);
         }
     }
 
+    /**
+     * Offer data as a JSON file download
+     * @param {Object} data - Data to write
+     * @param {string} filename - Suggested file name
+     */
+    downloadJSON(data, filename) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], {
+            type: 'application/json'
+        });
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Handle reset app event
      */
@@ -922,17 +2389,13 @@ export class CascadeApp {
 
             // Clear storage first
             await this.storage.clear();
+            this.dom.setEncryptionState(false);
             console.log('🧹 Storage cleared');
 
-            // Clear application state
-            this.state.setState({
-                boards: [],
-                currentBoardId: null,
-                tasks: [],
-                filter: 'all',
-                history: [],
-                historyIndex: -1
-            });
+            // Clear application state, including trash, templates and history
+            this.state.reset();
+            this.historyService.clear();
+            this.dom.setTaskTemplates([]);
             console.log('🧹 State cleared');
 
             // Create fresh default board
@@ -952,6 +2415,190 @@ export class CascadeApp {
         }
     }
 
+    /**
+     * Ask for a passphrase
+     * @param {string} title - Modal title
+     * @param {string} message - Modal message
+     * @param {string} confirmText - Confirm button label
+     * @returns {Promise<string|null>} Passphrase, or null if cancelled
+     */
+    promptPassphrase(title, message, confirmText = 'Continue') {
+        return this.dom.showModal(title, message, { showInput: true, inputType: 'password', confirmText });
+    }
+
+    /**
+     * Ask for a new passphrase twice
+     * @param {string} title - Modal title
+     * @param {string} message - Message shown with the first prompt
+     * @returns {Promise<string|null>} Passphrase, or null if cancelled or invalid
+     */
+    async promptNewPassphrase(title, message) {
+        const passphrase = await this.promptPassphrase(title, message);
+        if (passphrase === null) return null;
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            this.uiService.showMessage(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+            return null;
+        }
+        
+        const repeated = await this.promptPassphrase(title, 'Enter the passphrase again.', 'Confirm');
+        if (repeated === null) return null;
+        if (repeated !== passphrase) {
+            this.uiService.showMessage('Passphrases do not match', 'error');
+            return null;
+        }
+        return passphrase;
+    }
+
+    /**
+     * Turn on encryption of stored data
+     */
+    async handleEnableEncryption() {
+        try {
+            if (!isEncryptionSupported()) {
+                this.uiService.showMessage('This browser cannot encrypt data', 'error');
+                return;
+            }
+            
+            const passphrase = await this.promptNewPassphrase(
+                'Encrypt Stored Data',
+                'Choose a passphrase. Cascade asks for it every time it opens, and your data cannot be recovered without it.'
+            );
+            if (!passphrase) return;
+            
+            await this.storage.enableEncryption(passphrase, this.state.getState());
+            this.dom.setEncryptionState(true);
+            this.uiService.showMessage('Stored data is now encrypted', 'success');
+        } catch (error) {
+            this.handleError('Failed to encrypt data', error);
+        }
+    }
+
+    /**
+     * Re-encrypt stored data with a new passphrase
+     */
+    async handleChangePassphrase() {
+        try {
+            const current = await this.promptPassphrase('Change Passphrase', 'Enter your current passphrase.');
+            if (current === null) return;
+            await this.storage.verifyPassphrase(current);
+            
+            const next = await this.promptNewPassphrase('Change Passphrase', 'Choose a new passphrase.');
+            if (!next) return;
+            
+            await this.storage.changePassphrase(current, next, this.state.getState());
+            this.uiService.showMessage('Passphrase changed', 'success');
+        } catch (error) {
+            this.handleError('Failed to change passphrase', error);
+        }
+    }
+
+    /**
+     * Store data unencrypted again
+     */
+    async handleDisableEncryption() {
+        try {
+            const passphrase = await this.promptPassphrase(
+                'Turn Off Encryption',
+                'Your boards will be stored unencrypted. Enter your passphrase to continue.',
+                'Turn Off'
+            );
+            if (passphrase === null) return;
+            
+            await this.storage.disableEncryption(passphrase, this.state.getState());
+            this.dom.setEncryptionState(false);
+            this.uiService.showMessage('Stored data is no longer encrypted', 'success');
+        } catch (error) {
+            this.handleError('Failed to turn off encryption', error);
+        }
+    }
+
+    /**
+     * Reload after another tab changed storage in a way this tab cannot save to
+     * @param {string} reason - What the other tab did
+     */
+    async promptReload(reason) {
+        await this.dom.showModal(
+            'Reload Needed',
+            `${reason} Reload to keep working; changes made here since then cannot be saved.`,
+            { showCancel: false, confirmText: 'Reload' }
+        );
+        window.location.reload();
+    }
+
+    /**
+     * Undo the most recent task or board change
+     */
+    async handleUndo() {
+        try {
+            const entry = await this.historyService.undo();
+            this.uiService.showMessage(entry ? `Undone: ${entry.label}` : 'Nothing to undo', 'info');
+        } catch (error) {
+            this.handleError('Failed to undo', error);
+        }
+    }
+
+    /**
+     * Redo the most recently undone change
+     */
+    async handleRedo() {
+        try {
+            const entry = await this.historyService.redo();
+            this.uiService.showMessage(entry ? `Redone: ${entry.label}` : 'Nothing to redo', 'info');
+        } catch (error) {
+            this.handleError('Failed to redo', error);
+        }
+    }
+
+    /**
+     * Show changes another tab saved
+     * Undo history is cleared when boards or the trash changed, since its entries
+     * would put them back without the other tab's changes. That includes the
+     * entry of a command still waiting on a modal (see HistoryService.record).
+     * @param {Object} data - storage:remoteChanges payload
+     */
+    handleRemoteChanges(data) {
+        try {
+            const { conflicts, needsSave } = this.syncService.applyRemoteChanges(data);
+            
+            if (data.boards.length > 0 || data.trashedBoards.length > 0 || data.deletedBoardIds.length > 0 || data.metadata) {
+                this.historyService.clear();
+            }
+            if (data.metadata) {
+                this.dom.setTaskTemplates(this.templateService.getTaskTemplates());
+            }
+            this.uiService.render();
+            this.uiService.renderBoardSelector();
+            
+            // Keep this tab's unsaved edits that survived the merge
+            if (needsSave) {
+                eventBus.emit('data:changed');
+            }
+            
+            const names = (list) => list.map(conflict => `"${conflict.name}"`).join(', ');
+            const deletedBoards = conflicts.filter(conflict => conflict.type === 'deletedBoard');
+            const edited = conflicts.filter(conflict => conflict.type !== 'deletedBoard');
+            if (deletedBoards.length > 0) {
+                this.uiService.showMessage(`Deleted in another tab, so changes made here were discarded: ${names(deletedBoards)}`, 'warning');
+            }
+            if (edited.length > 0) {
+                this.uiService.showMessage(`Also changed in another tab: ${names(edited)}. The most recent change was kept.`, 'warning');
+            }
+        } catch (error) {
+            this.handleError('Failed to apply changes from another tab', error);
+        }
+    }
+
+    /**
+     * Show a success message with an Undo button, for destructive changes
+     * @param {string} message - Message to show
+     */
+    showUndoMessage(message) {
+        this.uiService.showMessage(message, 'success', {
+            actionLabel: 'Undo',
+            onAction: () => this.handleUndo()
+        });
+    }
+
 
     /**
      * Handle service errors
@@ -964,6 +2611,7 @@ export class CascadeApp {
 
     /**
      * Auto-save data to storage with enhanced error handling
+     * Storage batches saves; write failures arrive as storage:error
      */
     async autoSave() {
         try {
@@ -0,0 +1,244 @@
+/**
+ * HistoryService - Undo/redo for task and board changes
+ * Each entry stores the boards a command changed as they were before and after it,
+ * so undo and redo swap whole boards back in instead of replaying operations.
+ * Boards in the trash are tracked the same way.
+ */
+
+import eventBus from '../eventBus.js';
+import { Task } from '../models.js';
+import { settingsManager } from '../settings.js';
+
+export class HistoryService {
+    constructor(state, storage) {
+        this.state = state;
+        this.storage = storage;
+        this.depth = 0; // Nested record() calls belong to the outermost command
+        this.interrupted = false; // Set when history is cleared while a command runs
+    }
+
+    /**
+     * Run a command and add its changes to the history as one entry
+     * Commands that change nothing (cancelled, failed) leave no entry, and neither
+     * do commands during which history was cleared: changes from another tab
+     * merged while a modal was open would otherwise be undone with the command.
+     * @param {string} label - What the command did, e.g. 'Delete task'
+     * @param {Function} command - Function that makes the change, may be async
+     * @returns {Promise<*>} What the command returned
+     */
+    async record(label, command) {
+        if (this.depth > 0) {
+            return command();
+        }
+
+        const before = this.capture();
+        this.interrupted = false;
+        this.depth++;
+        let result;
+        try {
+            result = await command();
+        } finally {
+            this.depth--;
+        }
+
+        if (this.interrupted) {
+            this.interrupted = false;
+            return result;
+        }
+
+        const after = this.capture();
+        const changedIds = this.getChangedBoardIds(before.boards, after.boards);
+        const changedTrashIds = this.getChangedBoardIds(before.trash, after.trash);
+        if (changedIds.length > 0 || changedTrashIds.length > 0) {
+            this.push({
+                label,
+                before: this.pick(before, changedIds, changedTrashIds),
+                after: this.pick(after, changedIds, changedTrashIds)
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Promise<Object|null>} Undone entry, or null if there is nothing to undo
+     */
+    async undo() {
+        const { history = [], historyIndex = -1 } = this.state.getState();
+        if (this.depth > 0 || historyIndex < 0) {
+            return null;
+        }
+
+        const entry = history[historyIndex];
+        await this.apply(entry.before, historyIndex - 1);
+        eventBus.emit('history:undone', { label: entry.label });
+        return entry;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Promise<Object|null>} Redone entry, or null if there is nothing to redo
+     */
+    async redo() {
+        const { history = [], historyIndex = -1 } = this.state.getState();
+        if (this.depth > 0 || historyIndex >= history.length - 1) {
+            return null;
+        }
+
+        const entry = history[historyIndex + 1];
+        await this.apply(entry.after, historyIndex + 1);
+        eventBus.emit('history:redone', { label: entry.label });
+        return entry;
+    }
+
+    /**
+     * Check whether there is a command to undo
+     * @returns {boolean} True if undo() would do something
+     */
+    canUndo() {
+        const { historyIndex = -1 } = this.state.getState();
+        return historyIndex >= 0;
+    }
+
+    /**
+     * Check whether there is a command to redo
+     * @returns {boolean} True if redo() would do something
+     */
+    canRedo() {
+        const { history = [], historyIndex = -1 } = this.state.getState();
+        return historyIndex < history.length - 1;
+    }
+
+    /**
+     * Forget all entries
+     */
+    clear() {
+        if (this.depth > 0) {
+            this.interrupted = true;
+        }
+        this.state.setState({ history: [], historyIndex: -1 }, { silent: true });
+        eventBus.emit('history:changed', { canUndo: false, canRedo: false });
+    }
+
+    /**
+     * Add an entry after the current one, dropping redo entries and the oldest
+     * entries beyond the maxHistoryEntries setting
+     * @param {Object} entry - { label, before, after }
+     */
+    push(entry) {
+        const { history = [], historyIndex = -1 } = this.state.getState();
+        const maxEntries = settingsManager.get('maxHistoryEntries') || 50;
+        const updated = [...history.slice(0, historyIndex + 1), entry].slice(-maxEntries);
+
+        this.state.setState({ history: updated, historyIndex: updated.length - 1 }, { silent: true });
+        eventBus.emit('history:changed', { canUndo: true, canRedo: false });
+    }
+
+    /**
+     * Take a snapshot of all boards and the trash
+     * @returns {Object} { order, boards, trash: Maps of board ID to JSON, currentBoardId }
+     */
+    capture() {
+        const { boards = [], trashedBoards = [], currentBoardId } = this.state.getState();
+        return {
+            order: boards.map(board => board.id),
+            boards: new Map(boards.map(board => [board.id, JSON.stringify(board)])),
+            trash: new Map(trashedBoards.map(board => [board.id, JSON.stringify(board)])),
+            currentBoardId
+        };
+    }
+
+    /**
+     * List the boards that differ between two snapshots
+     * @param {Map} before - Board ID to JSON, earlier
+     * @param {Map} after - Board ID to JSON, later
+     * @returns {Array<string>} Changed, added or removed board IDs
+     */
+    getChangedBoardIds(before, after) {
+        const ids = new Set([...before.keys(), ...after.keys()]);
+        return Array.from(ids).filter(id => before.get(id) !== after.get(id));
+    }
+
+    /**
+     * Keep only some boards of a snapshot; missing boards are stored as null
+     * @param {Object} snapshot - Snapshot from capture()
+     * @param {Array<string>} boardIds - Boards to keep
+     * @param {Array<string>} trashIds - Trashed boards to keep
+     * @returns {Object} { order, boards, trash: { id: JSON|null }, currentBoardId }
+     */
+    pick(snapshot, boardIds, trashIds = []) {
+        const keep = (map, ids) => {
+            const picked = {};
+            ids.forEach(id => {
+                picked[id] = map.has(id) ? map.get(id) : null;
+            });
+            return picked;
+        };
+        return {
+            order: snapshot.order,
+            boards: keep(snapshot.boards, boardIds),
+            trash: keep(snapshot.trash, trashIds),
+            currentBoardId: snapshot.currentBoardId
+        };
+    }
+
+    /**
+     * Put boards back the way a history entry recorded them
+     * Boards the entry does not cover keep their current data.
+     * @param {Object} side - before or after side of an entry
+     * @param {number} historyIndex - New history position
+     */
+    async apply(side, historyIndex) {
+        const current = new Map((this.state.getState().boards || []).map(board => [board.id, board]));
+
+        Object.keys(side.boards).forEach(id => {
+            if (side.boards[id] === null) {
+                current.delete(id);
+            } else {
+                current.set(id, JSON.parse(side.boards[id]));
+            }
+        });
+
+        // Recorded order first, then boards created since
+        const boards = side.order.filter(id => current.has(id)).map(id => current.get(id));
+        current.forEach((board, id) => {
+            if (!side.order.includes(id)) {
+                boards.push(board);
+            }
+        });
+
+        const previousBoardId = this.state.getState().currentBoardId;
+        const currentBoard = boards.find(board => board.id === side.currentBoardId) ||
+            boards.find(board => board.id === previousBoardId) ||
+            boards[0] || null;
+        const trashed = new Map((this.state.getState().trashedBoards || []).map(board => [board.id, board]));
+        Object.keys(side.trash || {}).forEach(id => {
+            if (side.trash[id] === null) {
+                trashed.delete(id);
+            } else {
+                trashed.set(id, JSON.parse(side.trash[id]));
+            }
+        });
+
+        const updates = {
+            boards,
+            trashedBoards: Array.from(trashed.values()),
+            currentBoardId: currentBoard ? currentBoard.id : null,
+            tasks: currentBoard ? (currentBoard.tasks || []).map(t => new Task(t)) : [],
+            historyIndex
+        };
+        if (updates.currentBoardId !== previousBoardId) {
+            updates.tagFilter = null; // Tags are board-specific
+        }
+
+        this.state.setState(updates);
+
+        await this.storage.save(this.state.getState());
+
+        const { history = [] } = this.state.getState();
+        eventBus.emit('history:changed', { canUndo: historyIndex >= 0, canRedo: historyIndex < history.length - 1 });
+        eventBus.emit('history:applied', { boardId: currentBoard ? currentBoard.id : null });
+        eventBus.emit('data:changed');
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * SyncService - Live updates from other tabs
+ * Merges writes that other tabs broadcast through storage into this tab's state.
+ *
+ * Conflict rule: records (tasks, trashed boards, templates) are merged one by one.
+ * A record changed in only one tab keeps that change. When both tabs changed the
+ * same record, the version with the later lastModified wins, and an edit wins
+ * over a deletion. A task is merged together with where it is (board and active,
+ * archived or trash list), so a task moved in one tab and edited in the other
+ * ends up in one place. Board settings changed in this tab win, because this
+ * tab saves them after the other tab did. Deleting a board wins over edits to it.
+ */
+
+import eventBus from '../eventBus.js';
+
+// Board lists a task can be in
+const TASK_LISTS = ['tasks', 'archivedTasks', 'deletedTasks'];
+
+/**
+ * Compare two records by content
+ * @param {*} a - First record
+ * @param {*} b - Second record
+ * @returns {boolean} True if both serialize the same
+ */
+function sameRecord(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Pick between two differing versions of a record changed in both tabs
+ * The result does not depend on which tab is local, so both tabs agree.
+ * @param {Object} local - This tab's version
+ * @param {Object} remote - The other tab's version
+ * @returns {Object} Winning version
+ */
+function pickNewer(local, remote) {
+    const localTime = local.lastModified || '';
+    const remoteTime = remote.lastModified || '';
+    if (localTime !== remoteTime) {
+        return localTime > remoteTime ? local : remote;
+    }
+    return JSON.stringify(local) > JSON.stringify(remote) ? local : remote;
+}
+
+/**
+ * Three-way merge of two lists of records with IDs
+ * @param {Array} base - List as last saved by this tab
+ * @param {Array} local - This tab's list
+ * @param {Array} remote - The other tab's list
+ * @param {Function} onConflict - Called with (kept record, 'local'|'remote') when both tabs changed a record
+ * @returns {Array} Merged list, in the other tab's order followed by records only this tab has
+ */
+function mergeRecords(base = [], local = [], remote = [], onConflict = () => {}) {
+    const byId = (list) => new Map(list.map(record => [record.id, record]));
+    const baseById = byId(base);
+    const localById = byId(local);
+    const remoteById = byId(remote);
+
+    const ids = remote.map(record => record.id)
+        .concat(local.filter(record => !remoteById.has(record.id)).map(record => record.id));
+
+    const merged = [];
+    ids.forEach(id => {
+        const baseRecord = baseById.get(id);
+        const localRecord = localById.get(id);
+        const remoteRecord = remoteById.get(id);
+        const localChanged = !sameRecord(localRecord, baseRecord);
+        const remoteChanged = !sameRecord(remoteRecord, baseRecord);
+
+        let kept;
+        if (!localRecord || !remoteRecord) {
+            // A deletion only stands if the other tab did not change the record
+            kept = localRecord ? (localChanged ? localRecord : null) : (remoteChanged ? remoteRecord : null);
+            if (localChanged && remoteChanged && kept) {
+                onConflict(kept, localRecord ? 'local' : 'remote');
+            }
+        } else if (sameRecord(localRecord, remoteRecord) || !localChanged) {
+            kept = remoteRecord;
+        } else if (!remoteChanged) {
+            kept = localRecord;
+        } else {
+            kept = pickNewer(localRecord, remoteRecord);
+            onConflict(kept, kept === localRecord ? 'local' : 'remote');
+        }
+
+        if (kept) {
+            merged.push(kept);
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * List where every task of some boards is, for merging tasks across boards
+ * @param {Array<Object>} boards - Boards
+ * @returns {Array<Object>} Placements ({ id, boardId, list, lastModified, task }) in board and list order
+ */
+function locateTasks(boards) {
+    const placements = [];
+    boards.forEach(board => {
+        TASK_LISTS.forEach(list => {
+            (board[list] || []).forEach(task => {
+                placements.push({ id: task.id, boardId: board.id, list, lastModified: task.lastModified, task });
+            });
+        });
+    });
+    return placements;
+}
+
+export class SyncService {
+    constructor(state, storage) {
+        this.state = state;
+        this.storage = storage;
+    }
+
+    /**
+     * Merge a write from another tab into state
+     * @param {Object} changes - storage:remoteChanges payload
+     * @param {Array} changes.boards - Boards the other tab wrote
+     * @param {Array} changes.trashedBoards - Trashed boards the other tab wrote
+     * @param {Array<string>} changes.deletedBoardIds - Boards the other tab deleted for good
+     * @param {Object|null} changes.metadata - Metadata the other tab wrote, if it changed
+     * @param {Object} changes.bases - Board ID to this tab's last saved version, or null
+     * @param {Object} changes.trashBases - Board ID to this tab's last saved version, for boards that were in the trash
+     * @param {Object|null} changes.baseMetadata - This tab's last saved metadata
+     * @returns {Object} { conflicts, needsSave, currentBoardChanged }; each conflict is
+     *     { type: 'task'|'board'|'template'|'deletedBoard', id, name, kept: 'local'|'remote' }
+     */
+    applyRemoteChanges(changes) {
+        try {
+            const state = this.state.getState();
+            const conflicts = [];
+            let needsSave = false;
+
+            const boardIds = (state.boards || []).map(board => board.id);
+            const boards = new Map((state.boards || []).map(board => [board.id, board]));
+            const remoteBoards = new Map();
+
+            changes.boards.forEach(remote => {
+                const local = boards.get(remote.id);
+                const base = changes.bases[remote.id] || null;
+
+                if (!local) {
+                    if (base) {
+                        // Deleted here and not saved yet: deleting a board wins
+                        needsSave = true;
+                    } else {
+                        boards.set(remote.id, remote);
+                        boardIds.push(remote.id);
+                        remoteBoards.set(remote.id, remote);
+                    }
+                    return;
+                }
+
+                boards.set(remote.id, this.mergeBoard(base || { id: remote.id }, local, remote));
+                remoteBoards.set(remote.id, remote);
+            });
+
+            // Boards moved to the trash are gone from the board list too
+            const trashedIds = changes.trashedBoards.map(board => board.id);
+            changes.deletedBoardIds.concat(trashedIds).forEach(id => {
+                const local = boards.get(id);
+                if (!local) return;
+
+                const base = changes.bases[id];
+                if (base && !sameRecord(local, base)) {
+                    conflicts.push({ type: 'deletedBoard', id, name: local.name, kept: 'remote' });
+                }
+                boards.delete(id);
+            });
+
+            // Tasks can move between lists and boards, so all of them are merged at once
+            const placed = this.mergeTasks(
+                Object.keys(changes.bases).map(id => changes.bases[id]).filter(Boolean),
+                (state.boards || []).filter(board => boards.has(board.id)),
+                Array.from(remoteBoards.values()),
+                conflicts
+            );
+
+            const updates = {
+                boards: boardIds.filter(id => boards.has(id)).map(id => {
+                    const board = { ...boards.get(id) };
+                    const lists = placed.get(id) || {};
+                    TASK_LISTS.forEach(list => {
+                        if (lists[list] || board[list]) {
+                            board[list] = lists[list] || [];
+                        }
+                    });
+
+                    // Save when the result differs from what the other tab wrote, or from this tab's board
+                    if (!sameRecord(board, remoteBoards.get(id) || boards.get(id))) {
+                        needsSave = true;
+                    }
+                    boards.set(id, board);
+                    return board;
+                })
+            };
+
+            const trash = this.mergeTrash(changes, state.trashedBoards || [], conflicts);
+            if (trash) {
+                updates.trashedBoards = trash.trashedBoards;
+                needsSave = needsSave || trash.needsSave;
+            }
+
+            if (changes.metadata) {
+                const base = changes.baseMetadata || {};
+                const mergeList = (key, type) => mergeRecords(base[key], state[key], changes.metadata[key], (record, kept) => {
+                    conflicts.push({ type, id: record.id, name: record.name, kept });
+                });
+                updates.boardTemplates = mergeList('boardTemplates', 'template');
+                updates.taskTemplates = mergeList('taskTemplates', 'template');
+                ['boardTemplates', 'taskTemplates'].forEach(key => {
+                    if (!sameRecord(updates[key], changes.metadata[key] || [])) {
+                        needsSave = true;
+                    }
+                });
+            }
+
+            // The board shown in this tab stays selected unless it is gone
+            let currentBoardId = state.currentBoardId;
+            const currentBoardChanged = !boards.has(currentBoardId);
+            if (currentBoardChanged) {
+                const next = updates.boards.find(board => !board.isArchived) || updates.boards[0];
+                currentBoardId = next ? next.id : null;
+                updates.currentBoardId = currentBoardId;
+                updates.tagFilter = null; // Tags are board-specific
+            }
+            updates.tasks = currentBoardId && boards.has(currentBoardId) ? (boards.get(currentBoardId).tasks || []) : [];
+
+            this.state.setState(updates);
+
+            return { conflicts, needsSave, currentBoardChanged };
+        } catch (error) {
+            console.error('Failed to apply changes from another tab:', error);
+            eventBus.emit('sync:error', {
+                operation: 'sync',
+                error: error.message
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Merge the trashed boards the other tab wrote, moved out of the trash or deleted
+     * Other trashed boards keep this tab's version.
+     * @param {Object} changes - storage:remoteChanges payload
+     * @param {Array} localTrash - This tab's trashed boards
+     * @param {Array} conflicts - Receives { type, id, name, kept } for boards both tabs changed
+     * @returns {Object|null} { trashedBoards, needsSave }, or null if the write did not touch the trash
+     */
+    mergeTrash(changes, localTrash, conflicts) {
+        const touchedIds = new Set(changes.boards.concat(changes.trashedBoards).map(board => board.id)
+            .concat(changes.deletedBoardIds));
+        const touched = localTrash.filter(board => touchedIds.has(board.id));
+        const baseTrash = Object.keys(changes.trashBases).map(id => changes.trashBases[id]);
+        if (changes.trashedBoards.length === 0 && touched.length === 0 && baseTrash.length === 0) {
+            return null;
+        }
+
+        const merged = mergeRecords(baseTrash, touched, changes.trashedBoards, (board, kept) => {
+            conflicts.push({ type: 'board', id: board.id, name: board.name, kept });
+        });
+        const mergedById = new Map(merged.map(board => [board.id, board]));
+        const trashedBoards = localTrash
+            .filter(board => !touchedIds.has(board.id) || mergedById.has(board.id))
+            .map(board => mergedById.get(board.id) || board)
+            .concat(merged.filter(board => !localTrash.some(local => local.id === board.id)));
+
+        return { trashedBoards, needsSave: !sameRecord(merged, changes.trashedBoards) };
+    }
+
+    /**
+     * Merge the settings of one board changed in both this tab and another
+     * Its task lists are the other tab's; mergeTasks() decides where tasks go.
+     * @param {Object} base - Board as last saved by this tab
+     * @param {Object} local - This tab's board
+     * @param {Object} remote - The other tab's board
+     * @returns {Object} Merged board
+     */
+    mergeBoard(base, local, remote) {
+        const merged = { ...remote };
+
+        // Board settings changed only here are saved after the other tab's write
+        Object.keys(local).forEach(key => {
+            if (!TASK_LISTS.includes(key) && !sameRecord(local[key], base[key])) {
+                merged[key] = local[key];
+            }
+        });
+
+        return merged;
+    }
+
+    /**
+     * Merge the tasks of all boards, each with the board and list it is in
+     * Boards the other tab did not write keep this tab's tasks, unless a task
+     * moved onto a board it did write.
+     * @param {Array<Object>} baseBoards - Boards as last saved by this tab, for boards the other tab wrote or deleted
+     * @param {Array<Object>} localBoards - This tab's boards that are kept
+     * @param {Array<Object>} remoteBoards - Boards the other tab wrote that are kept
+     * @param {Array} conflicts - Receives { type, id, name, kept } for tasks both tabs changed
+     * @returns {Map} Board ID to { tasks, archivedTasks, deletedTasks } lists that received tasks,
+     *     each in the other tab's order followed by tasks that list has only here
+     */
+    mergeTasks(baseBoards, localBoards, remoteBoards, conflicts) {
+        const remotePlacements = locateTasks(remoteBoards);
+        const merged = mergeRecords(locateTasks(baseBoards), locateTasks(localBoards), remotePlacements, (placement, kept) => {
+            conflicts.push({ type: 'task', id: placement.id, name: placement.task.text, kept });
+        });
+
+        const where = (placement) => `${placement.boardId}:${placement.list}:${placement.id}`;
+        const inRemoteList = new Set(remotePlacements.map(where));
+        const ordered = merged.filter(placement => inRemoteList.has(where(placement)))
+            .concat(merged.filter(placement => !inRemoteList.has(where(placement))));
+
+        const placed = new Map();
+        ordered.forEach(placement => {
+            if (!placed.has(placement.boardId)) {
+                placed.set(placement.boardId, {});
+            }
+            const lists = placed.get(placement.boardId);
+            lists[placement.list] = (lists[placement.list] || []).concat(placement.task);
+        });
+        return placed;
+    }
+}
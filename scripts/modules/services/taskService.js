@@ -4,8 +4,9 @@
  */
 
 import eventBus from '../eventBus.js';
-import { Task, createTask } from '../models.js';
-import { generateUniqueId } from '../utils.js';
+import { Task, Column, TASK_STATUSES, createTask, getBoardColumns } from '../models.js';
+import { settingsManager } from '../settings.js';
+import { generateUniqueId, getOpenBlockers, getRankBetween, getTaskColumnId, getTaskLane, updateTimeEntriesForStatus } from '../utils.js';
 
 export class TaskService {
     constructor(state, storage) {
@@ -15,11 +16,15 @@ export class TaskService {
 
     /**
      * Create a new task
+     * Tasks start in To Do unless attributes give a status (e.g. on import).
+     * Boards in strict WIP mode refuse new tasks when their column is full.
+     * New tasks are ranked below every other task on the board.
      * @param {string} text - Task text
      * @param {string} boardId - Board ID to add task to
+     * @param {Object} attributes - Optional task fields (e.g. dueDate, dueTime)
      * @returns {Promise<Task>} Created task
      */
-    async createTask(text, boardId) {
+    async createTask(text, boardId, attributes = {}) {
         try {
             // Validate input
             if (!text || typeof text !== 'string') {
@@ -57,10 +62,15 @@ export class TaskService {
                 }
             }
 
+            const status = TASK_STATUSES.includes(attributes.status) ? attributes.status : 'todo';
+            this.ensureWithinWipLimit(boardId, getTaskColumnId({ status, columnId: attributes.columnId }, getBoardColumns(currentBoard)));
+
             // Create new task
             const newTask = createTask({
+                ...attributes,
                 text: trimmedText,
-                status: 'todo',
+                status,
+                rank: this.getNextRank(currentBoard),
                 createdDate: new Date().toISOString(),
                 lastModified: new Date().toISOString()
             });
@@ -146,24 +156,29 @@ export class TaskService {
                 }
             }
 
-            // Create updated task
-            const updatedTaskData = {
-                ...currentTask,
-                ...updates,
-                lastModified: new Date().toISOString()
-            };
+            // Validate dependency update if provided
+            if (updates.blockedBy !== undefined) {
+                this.validateBlockers(targetBoard.tasks, taskId, updates.blockedBy);
+            }
 
-            // Handle status changes
-            if (updates.status === 'done' && currentTask.status !== 'done') {
-                updatedTaskData.completedDate = new Date().toISOString();
-            } else if (updates.status !== 'done' && currentTask.status === 'done') {
-                updatedTaskData.completedDate = null;
+            // Validate column update if provided
+            if (updates.columnId !== undefined && updates.columnId !== null) {
+                const column = getBoardColumns(targetBoard).find(c => c.id === updates.columnId);
+                if (!column) {
+                    throw new Error('Column not found on this board');
+                }
+                if (column.status !== (updates.status || currentTask.status)) {
+                    throw new Error('Column does not match the task status');
+                }
             }
 
-            const updatedTask = new Task(updatedTaskData);
+            const { updatedTask, nextOccurrence } = this.applyTaskUpdates(targetBoard, currentTask, updates);
             
             // Update in board
             targetBoard.tasks[taskIndex] = updatedTask.toJSON();
+            if (nextOccurrence) {
+                targetBoard.tasks.push(nextOccurrence.toJSON());
+            }
 
             // Update state with current board tasks
             const currentBoardId = this.state.getState().currentBoardId;
@@ -188,6 +203,9 @@ export class TaskService {
                 boardId: targetBoard.id,
                 changes: updates 
             });
+            if (nextOccurrence) {
+                eventBus.emit('task:created', { task: nextOccurrence, boardId: targetBoard.id, recurrenceOf: taskId });
+            }
             eventBus.emit('data:changed');
 
             return updatedTask;
@@ -200,7 +218,65 @@ export class TaskService {
     }
 
     /**
-     * Delete a task
+     * Build the updated version of a task without saving it
+     * Handles what a status change implies: completion date, column, status
+     * history, automatic time tracking and the next occurrence of recurring tasks.
+     * @param {Object} board - Board that holds the task
+     * @param {Object} currentTask - Current task data
+     * @param {Object} updates - Properties to update
+     * @returns {Object} { updatedTask, nextOccurrence } where nextOccurrence may be null
+     */
+    applyTaskUpdates(board, currentTask, updates) {
+        // Create updated task
+        const updatedTaskData = {
+            ...currentTask,
+            ...updates,
+            lastModified: new Date().toISOString()
+        };
+
+        // Handle status changes
+        if (updates.status === 'done' && currentTask.status !== 'done') {
+            updatedTaskData.completedDate = new Date().toISOString();
+        } else if (updates.status !== undefined && updates.status !== 'done' && currentTask.status === 'done') {
+            updatedTaskData.completedDate = null;
+        }
+
+        // A status change without a column lands in the first column for the new status
+        if (updates.status !== undefined && updates.status !== currentTask.status && updates.columnId === undefined) {
+            updatedTaskData.columnId = null;
+        }
+
+        // Status history is append-only: only status changes add to it
+        updatedTaskData.statusHistory = [...(currentTask.statusHistory || [])];
+        if (updates.status !== undefined && updates.status !== currentTask.status) {
+            updatedTaskData.statusHistory.push({
+                from: currentTask.status,
+                to: updates.status,
+                at: updatedTaskData.lastModified
+            });
+        }
+
+        // Follow status changes with the timer unless automatic time tracking is off
+        if (updates.status !== undefined && updates.status !== currentTask.status && settingsManager.get('autoTrackTime')) {
+            updatedTaskData.timeEntries = updateTimeEntriesForStatus(
+                updatedTaskData.timeEntries, currentTask.status, updates.status
+            );
+        }
+
+        // Completing a recurring task schedules its next occurrence on the same board.
+        // The rule moves to the new task so reopening and re-completing does not repeat it.
+        let nextOccurrence = null;
+        if (updates.status === 'done' && currentTask.status !== 'done' && updatedTaskData.recurrence) {
+            nextOccurrence = new Task(updatedTaskData).createNextOccurrence();
+            nextOccurrence.rank = this.getNextRank(board);
+            updatedTaskData.recurrence = null;
+        }
+
+        return { updatedTask: new Task(updatedTaskData), nextOccurrence };
+    }
+
+    /**
+     * Delete a task by moving it to its board's trash
      * @param {string} taskId - Task ID to delete
      * @returns {Promise<boolean>} Success status
      */
@@ -231,8 +307,13 @@ export class TaskService {
                 throw new Error('Task not found');
             }
 
-            // Remove task from board
+            // Move task to the trash and remove it from its dependents' blockers
             targetBoard.tasks.splice(taskIndex, 1);
+            targetBoard.deletedTasks = [
+                ...(targetBoard.deletedTasks || []),
+                { ...deletedTask, deletedDate: new Date().toISOString() }
+            ];
+            const unblockedTaskIds = this.removeBlockerReferences(targetBoard, taskId);
 
             // Update state with current board tasks
             const currentBoardId = this.state.getState().currentBoardId;
@@ -254,7 +335,8 @@ export class TaskService {
             // Emit events
             eventBus.emit('task:deleted', { 
                 task: deletedTask, 
-                boardId: targetBoard.id 
+                boardId: targetBoard.id,
+                unblockedTaskIds
             });
             eventBus.emit('data:changed');
 
@@ -269,18 +351,395 @@ export class TaskService {
 
     /**
      * Move task to different status
+     * Moving a recurring task to done also creates its next occurrence in To-Do.
+     * The task lands in the first column for the status, subject to its WIP limit.
      * @param {string} taskId - Task ID
      * @param {string} newStatus - New status ('todo', 'doing', 'done')
+     * @param {Object} updates - Other changes saved with the move (e.g. rank, lane)
      * @returns {Promise<Task>} Updated task
      */
-    async moveTaskToStatus(taskId, newStatus) {
+    async moveTaskToStatus(taskId, newStatus, updates = {}) {
         const validStatuses = ['todo', 'doing', 'done'];
         
         if (!validStatuses.includes(newStatus)) {
             throw new Error(`Invalid status: ${newStatus}`);
         }
 
-        return this.updateTask(taskId, { status: newStatus });
+        this.ensureCanMove(taskId, newStatus);
+
+        const board = this.findTaskBoard(taskId);
+        if (board) {
+            this.ensureWithinWipLimit(board.id, this.getTargetColumnId(taskId, newStatus), taskId);
+        }
+
+        return this.updateTask(taskId, { ...updates, status: newStatus });
+    }
+
+    /**
+     * Move task to a column of its board
+     * The task takes the column's status, so finishing rules apply as in moveTaskToStatus
+     * @param {string} taskId - Task ID
+     * @param {string} columnId - Target column ID
+     * @param {Object} updates - Other changes saved with the move (e.g. rank, lane)
+     * @returns {Promise<Task>} Updated task
+     */
+    async moveTaskToColumn(taskId, columnId, updates = {}) {
+        const board = this.findTaskBoard(taskId);
+        const column = board ? getBoardColumns(board).find(c => c.id === columnId) : null;
+
+        if (!column) {
+            const error = new Error(board ? 'Column not found on this board' : 'Task not found');
+            console.error('Failed to move task:', error);
+            eventBus.emit('task:error', { operation: 'move', error: error.message });
+            throw error;
+        }
+
+        this.ensureCanMove(taskId, column.status);
+        this.ensureWithinWipLimit(board.id, column.id, taskId);
+
+        return this.updateTask(taskId, { ...updates, status: column.status, columnId: column.id });
+    }
+
+    /**
+     * Move task to another swimlane of its board
+     * Depending on how the board groups lanes this sets the priority, the
+     * custom lane or replaces the tag the task is grouped by
+     * @param {string} taskId - Task ID
+     * @param {string} laneKey - Target lane key ('' for the "no lane" lane)
+     * @returns {Promise<Task>} Updated task
+     */
+    async moveTaskToLane(taskId, laneKey) {
+        const updates = this.getLaneUpdates(taskId, laneKey);
+        if (Object.keys(updates).length === 0) {
+            return new Task(this.findTaskBoard(taskId).tasks.find(t => t.id === taskId));
+        }
+
+        return this.updateTask(taskId, updates);
+    }
+
+    /**
+     * Get the task changes that put a task in a swimlane
+     * @param {string} taskId - Task ID
+     * @param {string} laneKey - Target lane key ('' for the "no lane" lane)
+     * @returns {Object} Updates for updateTask, empty if the task is already there
+     * @throws {Error} If the task is not found or its board has no swimlanes
+     */
+    getLaneUpdates(taskId, laneKey) {
+        const board = this.findTaskBoard(taskId);
+        const groupBy = board && board.swimlanes ? board.swimlanes.groupBy : 'none';
+
+        if (!board || groupBy === 'none') {
+            const error = new Error(board ? 'This board has no swimlanes' : 'Task not found');
+            console.error('Failed to move task:', error);
+            eventBus.emit('task:error', { operation: 'move', error: error.message });
+            throw error;
+        }
+
+        const task = board.tasks.find(t => t.id === taskId);
+        const currentLane = getTaskLane(task, groupBy);
+        const updates = {};
+        if (currentLane === laneKey) {
+            return updates;
+        }
+
+        if (groupBy === 'priority') {
+            updates.priority = laneKey || 'none';
+        } else if (groupBy === 'lane') {
+            const laneName = (board.swimlanes.lanes || []).find(lane => lane.trim().toLowerCase() === laneKey);
+            updates.lane = laneKey ? (laneName || laneKey) : null;
+        } else {
+            // Swap the tag that put the task in its current lane for the new one.
+            // Only a task without tags is in the "no tag" lane.
+            const label = (board.labels || []).find(l => l.name.trim().toLowerCase() === laneKey);
+            const otherTags = (task.tags || []).filter(tag => tag.trim().toLowerCase() !== currentLane && tag.trim().toLowerCase() !== laneKey);
+            updates.tags = laneKey ? [label ? label.name : laneKey, ...otherTags] : [];
+        }
+
+        return updates;
+    }
+
+    /**
+     * Place a task between two other tasks in manual order
+     * Only the moved task gets a new rank; its neighbours keep theirs
+     * @param {string} taskId - Task ID
+     * @param {string|null} previousTaskId - Task that should end up above it (null for the top)
+     * @param {string|null} nextTaskId - Task that should end up below it (null for the bottom)
+     * @returns {Promise<Task>} Updated task
+     */
+    async reorderTask(taskId, previousTaskId = null, nextTaskId = null) {
+        return this.updateTask(taskId, { rank: this.getRankBetweenTasks(taskId, previousTaskId, nextTaskId) });
+    }
+
+    /**
+     * Get the rank that puts a task between two tasks of its board
+     * Neighbours that are missing or on another board are ignored. A missing
+     * neighbour is replaced by the closest rank on the board, so ranks stay
+     * unique even when tasks in between are filtered out or in other columns.
+     * @param {string} taskId - Task ID
+     * @param {string|null} previousTaskId - Task above (null for the top)
+     * @param {string|null} nextTaskId - Task below (null for the bottom)
+     * @returns {string} Rank for the task
+     */
+    getRankBetweenTasks(taskId, previousTaskId = null, nextTaskId = null) {
+        const board = this.findTaskBoard(taskId);
+        const ranks = (board ? board.tasks : [])
+            .filter(t => t.id !== taskId && t.rank)
+            .map(t => t.rank);
+        const rankOf = (id) => {
+            const task = id && id !== taskId ? board.tasks.find(t => t.id === id) : null;
+            return task && task.rank ? task.rank : '';
+        };
+
+        let before = rankOf(previousTaskId);
+        let after = rankOf(nextTaskId);
+        if (after === '') {
+            after = ranks.filter(rank => rank > before).sort()[0] || '';
+        } else if (before === '') {
+            before = ranks.filter(rank => rank < after).sort().pop() || '';
+        }
+
+        return getRankBetween(before, after);
+    }
+
+    /**
+     * Get a rank below every task of a board
+     * @param {Object} board - Board with tasks
+     * @returns {string} Rank for a task added at the bottom
+     */
+    getNextRank(board) {
+        const last = (board.tasks || []).reduce((max, t) => (t.rank && t.rank > max ? t.rank : max), '');
+        return getRankBetween(last, '');
+    }
+
+    /**
+     * Get the column a task would land in when moved to a status
+     * @param {string} taskId - Task ID
+     * @param {string} status - Target status
+     * @returns {string|null} Column ID or null if the task is not found
+     */
+    getTargetColumnId(taskId, status) {
+        const board = this.findTaskBoard(taskId);
+        if (!board) {
+            return null;
+        }
+
+        const task = board.tasks.find(t => t.id === taskId);
+        return getTaskColumnId({ status, columnId: task.status === status ? task.columnId : null }, getBoardColumns(board));
+    }
+
+    /**
+     * Check whether one more task in a column would go over its WIP limit
+     * @param {string} boardId - Board ID
+     * @param {string} columnId - Target column ID
+     * @param {string|null} taskId - Task moving in, null for a new task
+     * @returns {Object|null} { column, count, limit, strict } or null when within the limit
+     */
+    getWipLimitViolation(boardId, columnId, taskId = null) {
+        const board = (this.state.getState().boards || []).find(b => b.id === boardId);
+        const columns = getBoardColumns(board);
+        const column = columns.find(c => c.id === columnId);
+        if (!board || !column) {
+            return null;
+        }
+
+        const tasksInColumn = (board.tasks || []).filter(t => getTaskColumnId(t, columns) === column.id);
+        if (taskId && tasksInColumn.some(t => t.id === taskId)) {
+            return null; // Already in this column
+        }
+
+        const columnModel = new Column(column);
+        columnModel.tasks = tasksInColumn;
+        if (!columnModel.isAtLimit()) {
+            return null;
+        }
+
+        return {
+            column,
+            count: tasksInColumn.length,
+            limit: columnModel.limit,
+            strict: board.wipMode === 'strict'
+        };
+    }
+
+    /**
+     * Refuse to go over a column's WIP limit on strict boards
+     * Soft boards only report it; the app asks the user before moving
+     * @param {string} boardId - Board ID
+     * @param {string} columnId - Target column ID
+     * @param {string|null} taskId - Task moving in, null for a new task
+     * @throws {Error} If the board is strict and the column is full
+     */
+    ensureWithinWipLimit(boardId, columnId, taskId = null) {
+        const violation = this.getWipLimitViolation(boardId, columnId, taskId);
+        if (!violation) {
+            return;
+        }
+
+        eventBus.emit('column:limitReached', {
+            column: violation.column,
+            boardId,
+            taskId,
+            limit: violation.limit
+        });
+
+        if (violation.strict) {
+            const error = new Error(`"${violation.column.name}" is at its WIP limit of ${violation.limit}. Finish a task there first.`);
+            // createTask reports its own errors
+            if (taskId) {
+                console.error('Failed to move task:', error);
+                eventBus.emit('task:error', { operation: 'move', error: error.message });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Find the board that holds a task
+     * @param {string} taskId - Task ID
+     * @returns {Object|null} Board or null if not found
+     */
+    findTaskBoard(taskId) {
+        const boards = this.state.getState().boards || [];
+        return boards.find(b => (b.tasks || []).some(t => t.id === taskId)) || null;
+    }
+
+    /**
+     * Refuse to start or finish a task whose blockers are not done yet
+     * Moves that keep the status (reordering, another column of the same
+     * status) are always allowed.
+     * @param {string} taskId - Task ID
+     * @param {string} newStatus - Status the task is moving to
+     * @throws {Error} If the task is blocked
+     */
+    ensureCanMove(taskId, newStatus) {
+        const board = this.findTaskBoard(taskId);
+        const task = board ? board.tasks.find(t => t.id === taskId) : null;
+        if (newStatus === 'todo' || (task && task.status === newStatus)) {
+            return;
+        }
+
+        const blockers = this.getBlockingTasks(taskId);
+        if (blockers.length > 0) {
+            const names = blockers.map(t => `"${t.text}"`).join(', ');
+            const error = new Error(`This task is blocked by ${names}. Finish ${blockers.length === 1 ? 'it' : 'them'} first.`);
+            console.error('Failed to move task:', error);
+            eventBus.emit('task:error', { operation: 'move', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Start the task's timer, or stop it if it is running
+     * @param {string} taskId - Task ID
+     * @returns {Promise<Task>} Updated task
+     */
+    async toggleTimer(taskId) {
+        const boards = this.state.getState().boards || [];
+        let taskData = null;
+        for (const board of boards) {
+            taskData = (board.tasks || []).find(t => t.id === taskId);
+            if (taskData) break;
+        }
+
+        if (!taskData) {
+            const error = new Error('Task not found');
+            console.error('Failed to toggle timer:', error);
+            eventBus.emit('task:error', { operation: 'timer', error: error.message });
+            throw error;
+        }
+
+        const task = new Task(taskData);
+        const toggledTask = task.isTimerRunning() ? task.stopTimer() : task.startTimer();
+        return this.updateTask(taskId, { timeEntries: toggledTask.timeEntries });
+    }
+
+    /**
+     * Get the unfinished tasks that block a task
+     * @param {string} taskId - Task ID
+     * @returns {Array<Task>} Blocking tasks that are not done
+     */
+    getBlockingTasks(taskId) {
+        const boards = this.state.getState().boards || [];
+        for (const board of boards) {
+            const tasks = board.tasks || [];
+            const task = tasks.find(t => t.id === taskId);
+            if (task) {
+                return getOpenBlockers(task, tasks).map(t => new Task(t));
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Validate a new blockedBy list for a task
+     * Blockers must be other tasks on the same board and must not form a cycle
+     * @param {Array<Object>} boardTasks - Tasks on the task's board
+     * @param {string} taskId - ID of the task being updated
+     * @param {Array<string>} blockedBy - Proposed blocker IDs
+     * @throws {Error} If a blocker is missing or the dependencies form a cycle
+     */
+    validateBlockers(boardTasks, taskId, blockedBy) {
+        if (!Array.isArray(blockedBy)) {
+            throw new Error('Task blockedBy must be an array');
+        }
+
+        if (blockedBy.includes(taskId)) {
+            throw new Error('Task cannot be blocked by itself');
+        }
+
+        const tasksById = new Map(boardTasks.map(t => [t.id, t]));
+        blockedBy.forEach(blockerId => {
+            if (!tasksById.has(blockerId)) {
+                throw new Error('Blocking task not found on this board');
+            }
+        });
+
+        // Walk the blockers' own dependencies looking for a path back to this task
+        const visited = new Set();
+        const pending = [...blockedBy];
+        while (pending.length > 0) {
+            const currentId = pending.pop();
+            if (currentId === taskId) {
+                throw new Error('Task dependencies cannot form a cycle');
+            }
+            if (visited.has(currentId)) continue;
+            visited.add(currentId);
+
+            const current = tasksById.get(currentId);
+            if (current && Array.isArray(current.blockedBy)) {
+                pending.push(...current.blockedBy);
+            }
+        }
+    }
+
+    /**
+     * Remove a task ID from the blockedBy lists of its dependents on a board
+     * @param {Object} board - Board containing the dependents
+     * @param {string} taskId - ID of the deleted or archived blocker
+     * @returns {Array<string>} IDs of the dependents that were updated
+     */
+    removeBlockerReferences(board, taskId) {
+        const unblockedTaskIds = [];
+        const timestamp = new Date().toISOString();
+
+        const unlink = (task) => {
+            if (!Array.isArray(task.blockedBy) || !task.blockedBy.includes(taskId)) {
+                return task;
+            }
+            unblockedTaskIds.push(task.id);
+            return {
+                ...task,
+                blockedBy: task.blockedBy.filter(id => id !== taskId),
+                lastModified: timestamp
+            };
+        };
+
+        board.tasks = (board.tasks || []).map(unlink);
+        if (board.archivedTasks) {
+            board.archivedTasks = board.archivedTasks.map(unlink);
+        }
+
+        return unblockedTaskIds;
     }
 
     /**
@@ -329,6 +788,7 @@ export class TaskService {
 
             sourceBoard.archivedTasks.push(archivedTask);
             sourceBoard.tasks.splice(taskIndex, 1);
+            const unblockedTaskIds = this.removeBlockerReferences(sourceBoard, taskId);
 
             // Update state with current board tasks
             const currentBoardId = this.state.getState().currentBoardId;
@@ -350,7 +810,8 @@ export class TaskService {
             // Emit events
             eventBus.emit('task:archived', { 
                 task: archivedTask, 
-                boardId: sourceBoard.id 
+                boardId: sourceBoard.id,
+                unblockedTaskIds
             });
             eventBus.emit('data:changed');
 
@@ -392,6 +853,7 @@ export class TaskService {
             // Remove from archived and add back to active
             const restoredTask = {
                 ...taskToRestore,
+                rank: this.getNextRank(targetBoard),
                 lastModified: new Date().toISOString()
             };
 
@@ -437,6 +899,516 @@ export class TaskService {
         }
     }
 
+    /**
+     * Restore a task from its board's trash
+     * Blockers deleted since are dropped from the task's dependencies.
+     * @param {string} taskId - Deleted task ID
+     * @param {string} boardId - Board whose trash holds the task
+     * @returns {Promise<Task>} Restored task
+     */
+    async restoreDeletedTask(taskId, boardId) {
+        try {
+            const { board, index } = this.findDeletedTask(taskId, boardId);
+            const deletedTask = board.deletedTasks[index];
+            const taskIds = new Set((board.tasks || []).map(t => t.id));
+
+            const restoredTask = {
+                ...deletedTask,
+                blockedBy: (deletedTask.blockedBy || []).filter(id => taskIds.has(id)),
+                rank: this.getNextRank(board),
+                lastModified: new Date().toISOString()
+            };
+            delete restoredTask.deletedDate;
+
+            board.tasks = [...(board.tasks || []), restoredTask];
+            board.deletedTasks = board.deletedTasks.filter((t, i) => i !== index);
+
+            await this.saveTrashChange();
+
+            eventBus.emit('task:restored', { task: restoredTask, boardId, fromTrash: true });
+            eventBus.emit('data:changed');
+
+            return new Task(restoredTask);
+
+        } catch (error) {
+            console.error('Failed to restore deleted task:', error);
+            eventBus.emit('task:error', { operation: 'restoreDeleted', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete a task from its board's trash
+     * @param {string} taskId - Deleted task ID
+     * @param {string} boardId - Board whose trash holds the task
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTaskForever(taskId, boardId) {
+        try {
+            const { board, index } = this.findDeletedTask(taskId, boardId);
+            board.deletedTasks = board.deletedTasks.filter((t, i) => i !== index);
+
+            await this.saveTrashChange();
+
+            eventBus.emit('task:purged', { taskIds: [taskId], boardId });
+            eventBus.emit('data:changed');
+
+            return true;
+
+        } catch (error) {
+            console.error('Failed to permanently delete task:', error);
+            eventBus.emit('task:error', { operation: 'deleteForever', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Permanently delete trashed tasks on all boards that were deleted before a date
+     * @param {Date} cutoff - Tasks deleted at or before this moment are removed
+     * @returns {Promise<number>} Number of removed tasks
+     */
+    async purgeDeletedTasks(cutoff) {
+        try {
+            const boards = this.state.getState().boards || [];
+            const purgedIds = [];
+
+            boards.forEach(board => {
+                const kept = (board.deletedTasks || []).filter(task => {
+                    const expired = new Date(task.deletedDate) <= cutoff;
+                    if (expired) {
+                        purgedIds.push(task.id);
+                    }
+                    return !expired;
+                });
+                if (kept.length !== (board.deletedTasks || []).length) {
+                    board.deletedTasks = kept;
+                }
+            });
+
+            if (purgedIds.length > 0) {
+                await this.saveTrashChange();
+                eventBus.emit('task:purged', { taskIds: purgedIds });
+                eventBus.emit('data:changed');
+            }
+
+            return purgedIds.length;
+
+        } catch (error) {
+            console.error('Failed to purge deleted tasks:', error);
+            eventBus.emit('task:error', { operation: 'purge', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Look up a task in a board's trash
+     * @param {string} taskId - Deleted task ID
+     * @param {string} boardId - Board whose trash holds the task
+     * @returns {Object} { board, index }
+     * @throws {Error} If the board or the deleted task does not exist
+     */
+    findDeletedTask(taskId, boardId) {
+        if (!taskId || !boardId) {
+            throw new Error('Task ID and Board ID are required');
+        }
+
+        const board = this.state.getState().boards.find(b => b.id === boardId);
+        if (!board) {
+            throw new Error('Board not found');
+        }
+
+        const index = (board.deletedTasks || []).findIndex(t => t.id === taskId);
+        if (index === -1) {
+            throw new Error('Deleted task not found');
+        }
+
+        return { board, index };
+    }
+
+    /**
+     * Update state and save after the trash of a board changed
+     */
+    async saveTrashChange() {
+        const { boards, currentBoardId } = this.state.getState();
+        const currentBoard = boards.find(b => b.id === currentBoardId);
+        this.state.setState({
+            boards: boards,
+            tasks: currentBoard && currentBoard.tasks ? currentBoard.tasks.map(t => new Task(t)) : []
+        });
+
+        await this.storage.save(this.state.getState());
+    }
+
+    /**
+     * Move several tasks to a status in one change
+     * As with moveTaskToStatus, blocked tasks and strict WIP limits stop the whole
+     * move. A blocker moving to done together with the task it blocks counts as done.
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @param {string} newStatus - New status ('todo', 'doing', 'done')
+     * @returns {Promise<Array<Task>>} Moved tasks
+     */
+    async bulkMoveTasks(taskIds, newStatus) {
+        try {
+            if (!TASK_STATUSES.includes(newStatus)) {
+                throw new Error(`Invalid status: ${newStatus}`);
+            }
+
+            const { board, tasks } = this.getBulkTasks(taskIds);
+            const moving = tasks.filter(t => t.status !== newStatus);
+            const movingIds = new Set(moving.map(t => t.id));
+
+            if (newStatus !== 'todo') {
+                const planned = board.tasks.map(t => (movingIds.has(t.id) ? { ...t, status: newStatus } : t));
+                const blocked = moving.filter(t => getOpenBlockers(t, planned).length > 0);
+                if (blocked.length > 0) {
+                    const names = blocked.map(t => `"${t.text}"`).join(', ');
+                    throw new Error(`${names} ${blocked.length === 1 ? 'is' : 'are'} blocked by unfinished tasks. Finish the blockers first.`);
+                }
+            }
+
+            this.ensureBulkWithinWipLimits(board, moving.map(t => ({ ...t, status: newStatus, columnId: null })));
+
+            const updated = new Map();
+            const occurrences = [];
+            moving.forEach(task => {
+                const { updatedTask, nextOccurrence } = this.applyTaskUpdates(board, task, { status: newStatus });
+                updated.set(task.id, updatedTask);
+                if (nextOccurrence) {
+                    occurrences.push(nextOccurrence);
+                }
+            });
+
+            board.tasks = board.tasks.map(t => (updated.has(t.id) ? updated.get(t.id).toJSON() : t));
+            occurrences.forEach(occurrence => {
+                occurrence.rank = this.getNextRank(board);
+                board.tasks.push(occurrence.toJSON());
+            });
+
+            await this.saveBulkChange('move', board, taskIds);
+            return Array.from(updated.values());
+
+        } catch (error) {
+            console.error('Failed to move tasks:', error);
+            eventBus.emit('task:error', { operation: 'bulkMove', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Archive several tasks in one change
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @returns {Promise<number>} Number of archived tasks
+     */
+    async bulkArchiveTasks(taskIds) {
+        try {
+            const { board, tasks } = this.getBulkTasks(taskIds);
+            const timestamp = new Date().toISOString();
+
+            board.archivedTasks = [
+                ...(board.archivedTasks || []),
+                ...tasks.map(t => ({ ...t, archivedDate: timestamp, lastModified: timestamp }))
+            ];
+            this.removeTasksFromBoard(board, tasks);
+
+            await this.saveBulkChange('archive', board, taskIds);
+            return tasks.length;
+
+        } catch (error) {
+            console.error('Failed to archive tasks:', error);
+            eventBus.emit('task:error', { operation: 'bulkArchive', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete several tasks in one change, moving them to the trash
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @returns {Promise<number>} Number of deleted tasks
+     */
+    async bulkDeleteTasks(taskIds) {
+        try {
+            const { board, tasks } = this.getBulkTasks(taskIds);
+            const timestamp = new Date().toISOString();
+
+            board.deletedTasks = [
+                ...(board.deletedTasks || []),
+                ...tasks.map(t => ({ ...t, deletedDate: timestamp }))
+            ];
+            this.removeTasksFromBoard(board, tasks);
+
+            await this.saveBulkChange('delete', board, taskIds);
+            return tasks.length;
+
+        } catch (error) {
+            console.error('Failed to delete tasks:', error);
+            eventBus.emit('task:error', { operation: 'bulkDelete', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Add tags to several tasks in one change
+     * Tags matching one of the board's labels use the label's spelling
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @param {Array<string>} tags - Tags to add
+     * @returns {Promise<Array<Task>>} Tasks that gained a tag
+     */
+    async bulkTagTasks(taskIds, tags) {
+        try {
+            const names = (Array.isArray(tags) ? tags : [])
+                .map(tag => (typeof tag === 'string' ? tag.trim() : ''))
+                .filter(Boolean);
+            if (names.length === 0) {
+                throw new Error('Tag is required');
+            }
+
+            const { board, tasks } = this.getBulkTasks(taskIds);
+            const labelNames = names.map(name => {
+                const label = (board.labels || []).find(l => l.name.trim().toLowerCase() === name.toLowerCase());
+                return label ? label.name : name;
+            });
+            const timestamp = new Date().toISOString();
+
+            const updated = new Map();
+            tasks.forEach(t => {
+                const current = t.tags || [];
+                const added = labelNames.filter(name =>
+                    !current.some(existing => existing.trim().toLowerCase() === name.toLowerCase())
+                );
+                if (added.length > 0) {
+                    updated.set(t.id, new Task({ ...t, tags: [...current, ...added], lastModified: timestamp }));
+                }
+            });
+
+            board.tasks = board.tasks.map(t => (updated.has(t.id) ? updated.get(t.id).toJSON() : t));
+
+            await this.saveBulkChange('tag', board, taskIds);
+            return Array.from(updated.values());
+
+        } catch (error) {
+            console.error('Failed to tag tasks:', error);
+            eventBus.emit('task:error', { operation: 'bulkTag', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Move several tasks to another board in one change
+     * Tasks keep their status and order and land in the first column for it.
+     * Dependencies between tasks that move together are kept, others are dropped.
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @param {string} targetBoardId - Board to move the tasks to
+     * @returns {Promise<Array<Task>>} Moved tasks
+     */
+    async moveTasksToBoard(taskIds, targetBoardId) {
+        try {
+            const { sourceBoard, targetBoard, tasks } = this.getBoardTransfer(taskIds, targetBoardId);
+            const idMap = new Map(tasks.map(t => [t.id, t.id]));
+            const movedTasks = this.prepareTasksForBoard(tasks, targetBoard, idMap);
+
+            this.ensureBulkWithinWipLimits(targetBoard, movedTasks);
+
+            this.removeTasksFromBoard(sourceBoard, tasks);
+            targetBoard.tasks = [...(targetBoard.tasks || []), ...movedTasks.map(t => t.toJSON())];
+
+            await this.saveBulkChange('moveToBoard', sourceBoard, taskIds, { targetBoardId });
+            return movedTasks;
+
+        } catch (error) {
+            console.error('Failed to move tasks to board:', error);
+            eventBus.emit('task:error', { operation: 'bulkMoveToBoard', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Copy several tasks to another board in one change
+     * Copies get new IDs but keep status, dates, history, time entries and
+     * checklists. Dependencies between tasks copied together point at the
+     * copies, others are dropped. A running timer is not copied.
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @param {string} targetBoardId - Board to copy the tasks to
+     * @returns {Promise<Array<Task>>} Copies
+     */
+    async copyTasksToBoard(taskIds, targetBoardId) {
+        try {
+            const { sourceBoard, targetBoard, tasks } = this.getBoardTransfer(taskIds, targetBoardId);
+            const idMap = new Map(tasks.map(t => [t.id, generateUniqueId()]));
+            const copies = this.prepareTasksForBoard(
+                tasks.map(t => ({ ...t, timeEntries: (t.timeEntries || []).filter(entry => entry.end) })),
+                targetBoard,
+                idMap
+            );
+
+            this.ensureBulkWithinWipLimits(targetBoard, copies);
+
+            targetBoard.tasks = [...(targetBoard.tasks || []), ...copies.map(t => t.toJSON())];
+
+            await this.saveBulkChange('copyToBoard', sourceBoard, taskIds, { targetBoardId });
+            return copies;
+
+        } catch (error) {
+            console.error('Failed to copy tasks to board:', error);
+            eventBus.emit('task:error', { operation: 'bulkCopyToBoard', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Look up the boards and tasks of a move or copy to another board
+     * @param {Array<string>} taskIds - IDs of tasks on one board
+     * @param {string} targetBoardId - Board the tasks go to
+     * @returns {Object} { sourceBoard, targetBoard, tasks }
+     * @throws {Error} If the target board is missing or the same board, or already has tasks with the same text
+     */
+    getBoardTransfer(taskIds, targetBoardId) {
+        const { board: sourceBoard, tasks } = this.getBulkTasks(taskIds);
+        const targetBoard = (this.state.getState().boards || []).find(b => b.id === targetBoardId);
+
+        if (!targetBoard) {
+            throw new Error('Board not found');
+        }
+        if (targetBoard.id === sourceBoard.id) {
+            throw new Error('Tasks are already on this board');
+        }
+
+        const existingTexts = new Set((targetBoard.tasks || []).map(t => t.text.trim().toLowerCase()));
+        const duplicates = tasks.filter(t => existingTexts.has(t.text.trim().toLowerCase()));
+        if (duplicates.length > 0) {
+            const names = duplicates.map(t => `"${t.text}"`).join(', ');
+            throw new Error(`${names} already ${duplicates.length === 1 ? 'exists' : 'exist'} on "${targetBoard.name}"`);
+        }
+
+        return { sourceBoard, targetBoard, tasks };
+    }
+
+    /**
+     * Build the tasks as they will be on another board, in rank order after its last task
+     * @param {Array<Object>} tasks - Tasks from the source board
+     * @param {Object} targetBoard - Board the tasks go to
+     * @param {Map} idMap - Source task ID to ID on the target board
+     * @returns {Array<Task>} Tasks for the target board
+     */
+    prepareTasksForBoard(tasks, targetBoard, idMap) {
+        const timestamp = new Date().toISOString();
+        let rank = (targetBoard.tasks || []).reduce((max, t) => (t.rank && t.rank > max ? t.rank : max), '');
+        return [...tasks]
+            .sort((a, b) => ((a.rank || '') < (b.rank || '') ? -1 : (a.rank || '') > (b.rank || '') ? 1 : 0))
+            .map(t => {
+                rank = getRankBetween(rank, '');
+                return new Task({
+                    ...t,
+                    id: idMap.get(t.id),
+                    columnId: null,
+                    blockedBy: (t.blockedBy || []).filter(id => idMap.has(id)).map(id => idMap.get(id)),
+                    rank,
+                    lastModified: timestamp
+                });
+            });
+    }
+
+    /**
+     * Look up the tasks of a bulk operation
+     * @param {Array<string>} taskIds - Task IDs
+     * @returns {Object} { board, tasks } with tasks in board order
+     * @throws {Error} If no tasks are given or they are not all on one board
+     */
+    getBulkTasks(taskIds) {
+        if (!Array.isArray(taskIds) || taskIds.length === 0) {
+            throw new Error('Select at least one task');
+        }
+
+        const board = this.findTaskBoard(taskIds[0]);
+        if (!board) {
+            throw new Error('Task not found');
+        }
+
+        const ids = new Set(taskIds);
+        const tasks = board.tasks.filter(t => ids.has(t.id));
+        if (tasks.length !== ids.size) {
+            throw new Error('Selected tasks must all be on the same board');
+        }
+
+        return { board, tasks };
+    }
+
+    /**
+     * Refuse to take several columns over their WIP limit at once on strict boards
+     * Soft boards only report it; the app asks the user first
+     * @param {Object} board - Board the tasks move into or within
+     * @param {Array<Object>} incoming - Moving tasks as they will be (status, columnId)
+     * @throws {Error} If the board is strict and a column would go over its limit
+     */
+    ensureBulkWithinWipLimits(board, incoming) {
+        this.getBulkWipViolations(board, incoming).forEach(violation => {
+            eventBus.emit('column:limitReached', {
+                column: violation.column,
+                boardId: board.id,
+                taskId: null,
+                limit: violation.limit
+            });
+
+            if (violation.strict) {
+                throw new Error(`Moving these tasks would put "${violation.column.name}" over its WIP limit of ${violation.limit}.`);
+            }
+        });
+    }
+
+    /**
+     * Find the columns that several moving tasks would take over their WIP limit
+     * @param {Object} board - Board the tasks move into or within
+     * @param {Array<Object>} incoming - Moving tasks as they will be (status, columnId)
+     * @returns {Array<Object>} [{ column, count, limit, strict }] with count after the move
+     */
+    getBulkWipViolations(board, incoming) {
+        const columns = getBoardColumns(board);
+        const incomingIds = new Set(incoming.map(t => t.id));
+
+        return columns
+            .filter(column => column.limit)
+            .map(column => {
+                const inColumn = t => getTaskColumnId(t, columns) === column.id;
+                const before = (board.tasks || []).filter(inColumn).length;
+                const after = (board.tasks || []).filter(t => !incomingIds.has(t.id) && inColumn(t)).length +
+                    incoming.filter(inColumn).length;
+                return { column, before, count: after, limit: column.limit, strict: board.wipMode === 'strict' };
+            })
+            .filter(({ before, count, limit }) => count > limit && count > before)
+            .map(({ column, count, limit, strict }) => ({ column, count, limit, strict }));
+    }
+
+    /**
+     * Take tasks off a board and drop other tasks' dependencies on them
+     * @param {Object} board - Board that holds the tasks
+     * @param {Array<Object>} tasks - Tasks to remove
+     */
+    removeTasksFromBoard(board, tasks) {
+        const ids = new Set(tasks.map(t => t.id));
+        board.tasks = board.tasks.filter(t => !ids.has(t.id));
+        ids.forEach(id => this.removeBlockerReferences(board, id));
+    }
+
+    /**
+     * Update state and save once after a bulk operation
+     * @param {string} operation - 'move', 'archive', 'delete', 'tag', 'moveToBoard' or 'copyToBoard'
+     * @param {Object} board - Board the tasks were on
+     * @param {Array<string>} taskIds - Task IDs
+     * @param {Object} details - Extra event data
+     */
+    async saveBulkChange(operation, board, taskIds, details = {}) {
+        const { boards, currentBoardId } = this.state.getState();
+        const currentBoard = boards.find(b => b.id === currentBoardId);
+        this.state.setState({
+            boards: boards,
+            tasks: currentBoard && currentBoard.tasks ? currentBoard.tasks.map(t => new Task(t)) : []
+        });
+
+        await this.storage.save(this.state.getState());
+
+        eventBus.emit('tasks:bulkChanged', { operation, taskIds, boardId: board.id, ...details });
+        eventBus.emit('data:changed');
+    }
+
     /**
      * Get tasks by status
      * @param {string} status - Status to filter by
@@ -474,17 +1446,16 @@ export class TaskService {
                 return [];
             }
 
-            const currentBoardId = boardId || this.state.getState().currentBoardId;
-            const boards = this.state.getState().boards;
-            const board = boards.find(b => b.id === currentBoardId);
-            
-            if (!board || !board.tasks) {
-                return [];
-            }
+            const { boards, currentBoardId, allBoardsView } = this.state.getState();
+            // Without a board, the All boards view searches every active board
+            const searched = !boardId && allBoardsView
+                ? boards.filter(b => !b.isArchived)
+                : boards.filter(b => b.id === (boardId || currentBoardId));
+            const tasks = searched.reduce((all, b) => all.concat(b.tasks || []), []);
 
             const lowerSearchTerm = searchTerm.toLowerCase();
             
-            return board.tasks
+            return tasks
                 .filter(t => t.text.toLowerCase().includes(lowerSearchTerm))
                 .map(t => new Task(t));
         } catch (error) {
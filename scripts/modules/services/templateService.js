@@ -0,0 +1,518 @@
+/**
+ * TemplateService - Board and task templates
+ * Built-in board templates ship with the app; templates saved from boards are
+ * kept in state.boardTemplates. Task templates pre-fill new tasks and are kept
+ * in state.taskTemplates. Both are stored with the rest of the app data.
+ */
+
+import eventBus from '../eventBus.js';
+import { Board, Task } from '../models.js';
+import { generateUniqueId, getRankBetween, parseTags } from '../utils.js';
+
+// Marks files written by exportBoardTemplates()
+const TEMPLATE_EXPORT_TYPE = 'cascade-board-templates';
+
+// Templates every user starts with; they cannot be changed or deleted
+export const BUILT_IN_BOARD_TEMPLATES = [
+    {
+        id: 'builtin-scrum-sprint',
+        name: 'Scrum Sprint',
+        description: 'Two-week sprint with review before done',
+        color: '#3f51b5',
+        labels: [
+            { name: 'story', color: '#039be5' },
+            { name: 'bug', color: '#d50000' },
+            { name: 'chore', color: '#616161' },
+            { name: 'spike', color: '#8e24aa' }
+        ],
+        columns: [
+            { id: 'backlog', name: 'Sprint Backlog', status: 'todo', color: '#e3f2fd', limit: null },
+            { id: 'doing', name: 'In Progress', status: 'doing', color: '#fff3e0', limit: 3 },
+            { id: 'review', name: 'Review', status: 'doing', color: '#f3e5f5', limit: 2 },
+            { id: 'done', name: 'Done', status: 'done', color: '#e8f5e8', limit: null }
+        ],
+        wipMode: 'soft',
+        swimlanes: { groupBy: 'none', lanes: [], collapsed: [] },
+        tasks: [
+            { text: 'Sprint planning', status: 'todo', tags: ['chore'] },
+            { text: 'Sprint review', status: 'todo', tags: ['chore'] },
+            { text: 'Sprint retrospective', status: 'todo', tags: ['chore'] }
+        ]
+    },
+    {
+        id: 'builtin-personal-weekly',
+        name: 'Personal Weekly',
+        description: 'Plan the week, pick today\'s tasks',
+        color: '#009688',
+        labels: [
+            { name: 'home', color: '#0b8043' },
+            { name: 'work', color: '#039be5' },
+            { name: 'health', color: '#e67c73' },
+            { name: 'errands', color: '#f09300' }
+        ],
+        columns: [
+            { id: 'week', name: 'This Week', status: 'todo', color: '#e3f2fd', limit: null },
+            { id: 'today', name: 'Today', status: 'doing', color: '#fff3e0', limit: 5 },
+            { id: 'done', name: 'Done', status: 'done', color: '#e8f5e8', limit: null }
+        ],
+        wipMode: 'soft',
+        swimlanes: { groupBy: 'none', lanes: [], collapsed: [] },
+        tasks: [
+            { text: 'Plan the week', status: 'todo', priority: 'high' },
+            { text: 'Weekly review', status: 'todo' }
+        ]
+    },
+    {
+        id: 'builtin-bug-triage',
+        name: 'Bug Triage',
+        description: 'Sort incoming reports by priority and track fixes',
+        color: '#f44336',
+        labels: [
+            { name: 'needs-info', color: '#f09300' },
+            { name: 'regression', color: '#d50000' },
+            { name: 'ui', color: '#8e24aa' },
+            { name: 'backend', color: '#616161' }
+        ],
+        columns: [
+            { id: 'new', name: 'New', status: 'todo', color: '#ffebee', limit: null },
+            { id: 'triaged', name: 'Triaged', status: 'todo', color: '#e3f2fd', limit: null },
+            { id: 'fixing', name: 'Fixing', status: 'doing', color: '#fff3e0', limit: 3 },
+            { id: 'verifying', name: 'Verifying', status: 'doing', color: '#f3e5f5', limit: null },
+            { id: 'closed', name: 'Closed', status: 'done', color: '#e8f5e8', limit: null }
+        ],
+        wipMode: 'soft',
+        swimlanes: { groupBy: 'priority', lanes: [], collapsed: [] },
+        tasks: [
+            { text: 'Review new reports', status: 'todo', columnId: 'new', priority: 'high' }
+        ]
+    },
+    {
+        id: 'builtin-content-calendar',
+        name: 'Content Calendar',
+        description: 'Take posts from idea to published',
+        color: '#e91e63',
+        labels: [
+            { name: 'blog', color: '#6750a4' },
+            { name: 'social', color: '#039be5' },
+            { name: 'newsletter', color: '#0b8043' }
+        ],
+        columns: [
+            { id: 'ideas', name: 'Ideas', status: 'todo', color: '#e3f2fd', limit: null },
+            { id: 'drafting', name: 'Drafting', status: 'doing', color: '#fff3e0', limit: null },
+            { id: 'editing', name: 'Editing', status: 'doing', color: '#f3e5f5', limit: null },
+            { id: 'published', name: 'Published', status: 'done', color: '#e8f5e8', limit: null }
+        ],
+        wipMode: 'soft',
+        swimlanes: { groupBy: 'tag', lanes: [], collapsed: [] },
+        tasks: []
+    }
+];
+
+export class TemplateService {
+    constructor(state, storage) {
+        this.state = state;
+        this.storage = storage;
+    }
+
+    /**
+     * Get all board templates, built-in ones first
+     * @returns {Array<Object>} Templates, each with a builtIn flag
+     */
+    getBoardTemplates() {
+        const saved = this.state.getState().boardTemplates || [];
+        return [
+            ...BUILT_IN_BOARD_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+            ...saved.map(template => ({ ...template, builtIn: false }))
+        ];
+    }
+
+    /**
+     * Get a board template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object|null} Template or null
+     */
+    getBoardTemplate(templateId) {
+        return this.getBoardTemplates().find(t => t.id === templateId) || null;
+    }
+
+    /**
+     * Build the data for a new board from a template
+     * Starter tasks get fresh IDs and ranks in template order.
+     * @param {string} templateId - Template ID
+     * @param {Object} overrides - Board fields to use instead of the template's {name, description, color}
+     * @returns {Object} Board data for boardService.createBoard()
+     * @throws {Error} If the template does not exist
+     */
+    getBoardDataFromTemplate(templateId, overrides = {}) {
+        const template = this.getBoardTemplate(templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        let rank = '';
+        const tasks = (template.tasks || []).map(starter => {
+            rank = getRankBetween(rank, '');
+            return new Task({ ...starter, id: generateUniqueId(), rank }).toJSON();
+        });
+
+        return {
+            name: overrides.name || template.name,
+            description: overrides.description || template.description || '',
+            color: overrides.color || template.color,
+            tasks,
+            labels: template.labels.map(label => ({ ...label })),
+            columns: template.columns.map(column => ({ ...column })),
+            wipMode: template.wipMode,
+            swimlanes: {
+                groupBy: template.swimlanes.groupBy,
+                lanes: [...template.swimlanes.lanes],
+                collapsed: []
+            }
+        };
+    }
+
+    /**
+     * Save a board's setup as a template
+     * Columns, labels, WIP mode and swimlanes are kept; tasks are not.
+     * @param {string} boardId - Board to save
+     * @param {string} name - Template name
+     * @returns {Promise<Object>} Saved template
+     */
+    async saveBoardAsTemplate(boardId, name) {
+        try {
+            const board = (this.state.getState().boards || []).find(b => b.id === boardId);
+            if (!board) {
+                throw new Error('Board not found');
+            }
+
+            const templateName = this.validateTemplateName(name);
+            const { description, color, labels, columns, wipMode, swimlanes } = new Board({ ...board, tasks: [] }).duplicate(templateName).toJSON();
+            const template = {
+                id: generateUniqueId(),
+                name: templateName,
+                description,
+                color,
+                labels,
+                columns,
+                wipMode,
+                swimlanes: { ...swimlanes, collapsed: [] },
+                tasks: [],
+                createdDate: new Date().toISOString()
+            };
+
+            await this.saveTemplates([...(this.state.getState().boardTemplates || []), template]);
+            eventBus.emit('template:saved', { template });
+
+            return template;
+
+        } catch (error) {
+            console.error('Failed to save board template:', error);
+            eventBus.emit('template:error', { operation: 'save', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a saved template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteBoardTemplate(templateId) {
+        try {
+            const saved = this.state.getState().boardTemplates || [];
+            if (!saved.some(t => t.id === templateId)) {
+                throw new Error(BUILT_IN_BOARD_TEMPLATES.some(t => t.id === templateId)
+                    ? 'Built-in templates cannot be deleted'
+                    : 'Template not found');
+            }
+
+            await this.saveTemplates(saved.filter(t => t.id !== templateId));
+            eventBus.emit('template:deleted', { templateId });
+
+            return true;
+
+        } catch (error) {
+            console.error('Failed to delete board template:', error);
+            eventBus.emit('template:error', { operation: 'delete', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the saved templates in export format
+     * @returns {Object} { type, version, exportDate, templates }
+     */
+    exportBoardTemplates() {
+        return {
+            type: TEMPLATE_EXPORT_TYPE,
+            version: 1,
+            exportDate: new Date().toISOString(),
+            templates: (this.state.getState().boardTemplates || []).map(template => ({ ...template }))
+        };
+    }
+
+    /**
+     * Add templates from an export
+     * Imported templates get new IDs; clashing names get a number appended.
+     * @param {Object|Array} data - Export from exportBoardTemplates() or an array of templates
+     * @returns {Promise<Array<Object>>} Imported templates
+     */
+    async importBoardTemplates(data) {
+        try {
+            const incoming = Array.isArray(data) ? data : (data && data.type === TEMPLATE_EXPORT_TYPE && data.templates);
+            if (!Array.isArray(incoming)) {
+                throw new Error('Unrecognized template file');
+            }
+
+            const names = this.getBoardTemplates().map(t => t.name);
+            const imported = incoming.map(raw => {
+                const template = this.normalizeTemplate(raw);
+                template.name = this.getUniqueTemplateName(template.name, names);
+                names.push(template.name);
+                return template;
+            });
+
+            if (imported.length === 0) {
+                throw new Error('No templates to import');
+            }
+
+            await this.saveTemplates([...(this.state.getState().boardTemplates || []), ...imported]);
+            eventBus.emit('templates:imported', { templates: imported });
+
+            return imported;
+
+        } catch (error) {
+            console.error('Failed to import board templates:', error);
+            eventBus.emit('template:error', { operation: 'import', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Check a template from outside the app and copy its known fields
+     * @param {Object} raw - Template data
+     * @returns {Object} Template with a new ID
+     * @throws {Error} If the template would not make a valid board
+     */
+    normalizeTemplate(raw) {
+        if (!raw || typeof raw !== 'object') {
+            throw new Error('Invalid template');
+        }
+
+        // Board validation covers name, color, labels, columns, WIP mode and swimlanes
+        const board = new Board({
+            name: typeof raw.name === 'string' ? raw.name.trim() : raw.name,
+            description: raw.description,
+            color: raw.color,
+            labels: raw.labels,
+            columns: raw.columns,
+            wipMode: raw.wipMode,
+            swimlanes: raw.swimlanes
+        }).toJSON();
+        const columnIds = board.columns.map(column => column.id);
+        const tasks = (Array.isArray(raw.tasks) ? raw.tasks : []).map(starter => {
+            const task = new Task({
+                text: starter.text,
+                notes: starter.notes,
+                status: starter.status,
+                priority: starter.priority,
+                tags: starter.tags
+            }).toJSON();
+            const starterData = { text: task.text, status: task.status };
+            if (task.notes) starterData.notes = task.notes;
+            if (task.priority && task.priority !== 'none') starterData.priority = task.priority;
+            if (task.tags && task.tags.length > 0) starterData.tags = task.tags;
+            if (columnIds.includes(starter.columnId)) starterData.columnId = starter.columnId;
+            return starterData;
+        });
+
+        return {
+            id: generateUniqueId(),
+            name: board.name,
+            description: board.description,
+            color: board.color,
+            labels: board.labels,
+            columns: board.columns,
+            wipMode: board.wipMode,
+            swimlanes: { ...board.swimlanes, collapsed: [] },
+            tasks,
+            createdDate: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check a template name against the other templates
+     * @param {string} name - Proposed name
+     * @returns {string} Trimmed name
+     * @throws {Error} If the name is empty, too long or taken
+     */
+    validateTemplateName(name) {
+        const trimmedName = typeof name === 'string' ? name.trim() : '';
+        if (trimmedName.length === 0) {
+            throw new Error('Template name is required');
+        }
+        if (trimmedName.length > 50) {
+            throw new Error('Template name cannot exceed 50 characters');
+        }
+        if (this.getBoardTemplates().some(t => t.name.toLowerCase() === trimmedName.toLowerCase())) {
+            throw new Error('A template with this name already exists');
+        }
+        return trimmedName;
+    }
+
+    /**
+     * Append a number to a template name until no other template uses it
+     * @param {string} baseName - Name to make unique
+     * @param {Array<string>} names - Names already in use
+     * @returns {string} Unique name
+     */
+    getUniqueTemplateName(baseName, names) {
+        const taken = name => names.some(n => n.toLowerCase() === name.toLowerCase());
+        let counter = 1;
+        let testName = baseName;
+        while (taken(testName)) {
+            counter++;
+            const suffix = ` ${counter}`;
+            testName = `${baseName.slice(0, 50 - suffix.length)}${suffix}`;
+        }
+        return testName;
+    }
+
+    /**
+     * Replace the saved templates and store them
+     * @param {Array<Object>} boardTemplates - Saved templates
+     */
+    async saveTemplates(boardTemplates) {
+        this.state.setState({ boardTemplates });
+        await this.storage.save(this.state.getState());
+    }
+
+    /**
+     * Get all task templates
+     * @returns {Array<Object>} Templates ({ id, name, text, notes, checklist, tags, priority })
+     */
+    getTaskTemplates() {
+        return this.state.getState().taskTemplates || [];
+    }
+
+    /**
+     * Get a task template by ID
+     * @param {string} templateId - Template ID
+     * @returns {Object|null} Template or null
+     */
+    getTaskTemplate(templateId) {
+        return this.getTaskTemplates().find(t => t.id === templateId) || null;
+    }
+
+    /**
+     * Create or update a task template
+     * @param {Object} data - { name, text, notes, checklist, tags, priority }; checklist items may be strings
+     * @param {string|null} templateId - Template to update, null to create one
+     * @returns {Promise<Object>} Saved template
+     */
+    async saveTaskTemplate(data, templateId = null) {
+        try {
+            const templates = this.getTaskTemplates();
+            const existing = templateId ? templates.find(t => t.id === templateId) : null;
+            if (templateId && !existing) {
+                throw new Error('Template not found');
+            }
+
+            const name = typeof data.name === 'string' ? data.name.trim() : '';
+            if (name.length === 0) {
+                throw new Error('Template name is required');
+            }
+            if (name.length > 50) {
+                throw new Error('Template name cannot exceed 50 characters');
+            }
+            if (templates.some(t => t.id !== templateId && t.name.toLowerCase() === name.toLowerCase())) {
+                throw new Error('A template with this name already exists');
+            }
+
+            // Task validation covers text, notes, tags, priority and checklist
+            const task = new Task({
+                text: typeof data.text === 'string' ? data.text.trim() : data.text,
+                notes: data.notes || '',
+                tags: parseTags(data.tags),
+                priority: data.priority || 'none',
+                checklist: (data.checklist || [])
+                    .map(item => (typeof item === 'string' ? item : (item && item.text) || '').trim())
+                    .filter(text => text.length > 0)
+                    .map(text => ({ text, done: false }))
+            });
+
+            const now = new Date().toISOString();
+            const template = {
+                id: existing ? existing.id : generateUniqueId(),
+                name,
+                text: task.text,
+                notes: task.notes,
+                checklist: task.checklist.map(item => ({ text: item.text })),
+                tags: [...task.tags],
+                priority: task.priority,
+                createdDate: existing ? existing.createdDate : now,
+                lastModified: now
+            };
+
+            const taskTemplates = existing
+                ? templates.map(t => (t.id === templateId ? template : t))
+                : [...templates, template];
+            this.state.setState({ taskTemplates });
+            await this.storage.save(this.state.getState());
+            eventBus.emit('taskTemplate:saved', { template });
+
+            return template;
+
+        } catch (error) {
+            console.error('Failed to save task template:', error);
+            eventBus.emit('template:error', { operation: 'saveTask', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a task template
+     * @param {string} templateId - Template ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async deleteTaskTemplate(templateId) {
+        try {
+            const templates = this.getTaskTemplates();
+            if (!templates.some(t => t.id === templateId)) {
+                throw new Error('Template not found');
+            }
+
+            this.state.setState({ taskTemplates: templates.filter(t => t.id !== templateId) });
+            await this.storage.save(this.state.getState());
+            eventBus.emit('taskTemplate:deleted', { templateId });
+
+            return true;
+
+        } catch (error) {
+            console.error('Failed to delete task template:', error);
+            eventBus.emit('template:error', { operation: 'deleteTask', error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Get the fields a task template pre-fills, for taskService.createTask()
+     * Checklist items get fresh IDs and start unchecked.
+     * @param {string} templateId - Template ID
+     * @returns {Object} { notes, checklist, tags, priority }
+     * @throws {Error} If the template does not exist
+     */
+    getTaskAttributesFromTemplate(templateId) {
+        const template = this.getTaskTemplate(templateId);
+        if (!template) {
+            throw new Error('Template not found');
+        }
+
+        return {
+            notes: template.notes,
+            checklist: template.checklist.map(item => ({ id: generateUniqueId(), text: item.text, done: false })),
+            tags: [...template.tags],
+            priority: template.priority
+        };
+    }
+}
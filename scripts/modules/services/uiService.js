@@ -4,14 +4,33 @@
  */
 
 import eventBus from '../eventBus.js';
-import { Task } from '../models.js';
+import { Task, TASK_PRIORITIES, DEFAULT_COLUMNS, getBoardColumns } from '../models.js';
 import performanceOptimizer from '../performance.js';
+import { settingsManager } from '../settings.js';
+import {
+    getDueState,
+    formatDueDate,
+    getOpenBlockers,
+    describeRecurrence,
+    getTrackedTime,
+    formatDuration,
+    getTaskColumnId,
+    getTaskLane,
+    escapeHtml
+} from '../utils.js';
+
+// How often running timers on cards are refreshed
+const TIMER_REFRESH_MS = 30000;
 
 export class UIService {
     constructor(state, domManager) {
         this.state = state;
         this.dom = domManager;
         this._showingEmptyState = false;
+        this._timerTicker = null;
+        this._columnsKey = this.getColumnsKey(DEFAULT_COLUMNS); // index.html ships the default columns
+        this.selectedTaskIds = new Set(); // Multi-selection for bulk actions
+        this.taskBoards = null; // Task ID to home board while the All boards view is shown
     }
 
     /**
@@ -32,17 +51,34 @@ export class UIService {
         eventBus.on('task:deleted', () => this.render());
         eventBus.on('task:archived', () => this.render());
         eventBus.on('task:restored', () => this.render());
+        eventBus.on('tasks:bulkChanged', () => this.render());
         
         eventBus.on('board:created', () => this.renderBoardSelector());
         eventBus.on('board:updated', () => this.renderBoardSelector());
         eventBus.on('board:deleted', () => this.renderBoardSelector());
+        eventBus.on('board:restored', () => this.renderBoardSelector());
+        eventBus.on('view:changed', () => {
+            this.selectedTaskIds.clear();
+            this.render();
+            this.renderBoardSelector();
+        });
         eventBus.on('board:switched', () => {
+            this.selectedTaskIds.clear();
             this.render();
             this.renderBoardSelector();
         });
 
         // Filter change events
         eventBus.on('filter:changed', () => this.render());
+
+        // Re-sort columns when settings such as taskSorting change
+        eventBus.on('settings:saved', () => this.render());
+
+        // Undo and redo can change any board, including which one is current
+        eventBus.on('history:applied', () => {
+            this.render();
+            this.renderBoardSelector();
+        });
     }
 
     /**
@@ -51,15 +87,20 @@ export class UIService {
     render() {
         try {
             const state = this.state.getState();
-            const { tasks, filter, currentBoardId } = state;
+            const { tasks, filter, currentBoardId, tagFilter } = state;
             
             console.log('🎨 Rendering UI. Tasks:', tasks ? tasks.length : 0, 'Filter:', filter);
             console.log('🎨 Full state:', state);
             console.log('🎨 Boards:', state.boards.map(b => ({id: b.id, name: b.name, taskCount: b.tasks ? b.tasks.length : 0})));
             
+            this.ensureColumnElements(this.getCurrentColumns());
+            
             // Get current board tasks if not available in state
             let currentTasks = tasks;
-            if ((!currentTasks || currentTasks.length === 0) && currentBoardId) {
+            this.taskBoards = null;
+            if (this.isAllBoardsView()) {
+                currentTasks = this.getAllBoardsTasks();
+            } else if ((!currentTasks || currentTasks.length === 0) && currentBoardId) {
                 const currentBoard = state.boards.find(b => b.id === currentBoardId);
                 if (currentBoard && currentBoard.tasks) {
                     currentTasks = currentBoard.tasks.map(t => typeof t.toJSON === 'function' ? t : new Task(t));
@@ -67,6 +108,9 @@ export class UIService {
                 }
             }
             
+            // Forget selected tasks that were deleted, archived or moved away
+            this.pruneSelection(currentTasks || []);
+            
             if (!currentTasks || currentTasks.length === 0) {
                 console.log('🎨 Showing empty state');
                 this.showEmptyState();
@@ -75,14 +119,20 @@ export class UIService {
 
             this.hideEmptyState();
 
+            // Narrow down to the active tag filter using the task index
+            if (tagFilter) {
+                currentTasks = this.filterByTag(currentTasks, tagFilter, this.taskBoards ? null : currentBoardId);
+            }
+
             // Performance optimization for large task lists
             if (currentTasks.length > 1000) {
                 return this.renderLargeTaskList(currentTasks, filter);
             }
 
             this.renderTaskColumns(currentTasks, filter);
+            this.updateTimerTicker(currentTasks);
             this.updateTaskCounters();
-            this.updateBoardTitle(filter);
+            this.updateBoardTitle(filter, tagFilter);
 
         } catch (error) {
             console.error('Failed to render UI:', error);
@@ -91,52 +141,448 @@ export class UIService {
     }
 
     /**
-     * Render task columns (todo, doing, done)
+     * Check whether the All boards view is shown instead of the current board
+     * @returns {boolean} True for the All boards view
+     */
+    isAllBoardsView() {
+        return !!(this.state.getState() || {}).allBoardsView;
+    }
+
+    /**
+     * Collect the tasks of every active board and remember each task's home board
+     * @returns {Array<Task>} Tasks of all active boards
+     */
+    getAllBoardsTasks() {
+        this.taskBoards = new Map();
+        return this.state.getTasksForAllBoards().map(({ task, board }) => {
+            this.taskBoards.set(task.id, board);
+            return typeof task.toJSON === 'function' ? task : new Task(task);
+        });
+    }
+
+    /**
+     * Get the IDs of the selected tasks
+     * @returns {Array<string>} Selected task IDs
+     */
+    getSelectedTaskIds() {
+        return Array.from(this.selectedTaskIds);
+    }
+
+    /**
+     * Replace the task selection and update the cards and bulk action bar
+     * @param {Array<string>} taskIds - Task IDs to select
+     */
+    setSelectedTaskIds(taskIds) {
+        this.selectedTaskIds = new Set(taskIds);
+        
+        document.querySelectorAll('.task-card').forEach(card => {
+            card.classList.toggle('task-card--selected', this.selectedTaskIds.has(card.dataset.taskId));
+        });
+        this.renderBulkActionBar();
+    }
+
+    /**
+     * Select every task shown in a column
+     * @param {string} columnId - Column ID
+     */
+    selectColumn(columnId) {
+        const list = document.getElementById(`${columnId}-list`);
+        if (!list) {
+            return;
+        }
+        
+        const taskIds = Array.from(list.querySelectorAll('.task-card'))
+            .map(card => card.dataset.taskId)
+            .filter(Boolean);
+        this.setSelectedTaskIds(taskIds);
+    }
+
+    /**
+     * Drop selected tasks that are no longer on the board
+     * @param {Array<Task>} tasks - Tasks on the current board
+     */
+    pruneSelection(tasks) {
+        const taskIds = new Set(tasks.map(task => task.id));
+        this.selectedTaskIds.forEach(id => {
+            if (!taskIds.has(id)) {
+                this.selectedTaskIds.delete(id);
+            }
+        });
+        this.renderBulkActionBar();
+    }
+
+    /**
+     * Show the bulk action bar while more than one task is selected
+     */
+    renderBulkActionBar() {
+        const bar = document.getElementById('bulk-action-bar');
+        if (!bar) {
+            return;
+        }
+        
+        const count = this.selectedTaskIds.size;
+        bar.hidden = count < 2;
+        const label = document.getElementById('bulk-action-count');
+        if (label) {
+            label.textContent = `${count} selected`;
+        }
+    }
+
+    /**
+     * Render task columns of the current board
      * @param {Array<Task>} tasks - Tasks to render
      * @param {string} filter - Current filter
      */
     renderTaskColumns(tasks, filter) {
-        const columns = ['todo', 'doing', 'done'];
+        const columns = this.getCurrentColumns();
+        const swimlanes = this.getCurrentSwimlanes();
+        const lanes = swimlanes.groupBy !== 'none' ? this.getSwimlanes(tasks) : null;
         
-        columns.forEach(status => {
-            const columnElement = document.getElementById(`${status}-list`);
+        columns.forEach(column => {
+            const columnElement = document.getElementById(`${column.id}-list`);
             if (!columnElement) {
-                console.warn(`⚠️ UI Service: Column element not found: ${status}-list`);
+                console.warn(`⚠️ UI Service: Column element not found: ${column.id}-list`);
                 return;
             }
 
-            const filteredTasks = this.optimizedFilter(tasks, filter, status);
+            const filteredTasks = this.sortTasks(
+                this.optimizedFilter(tasks, filter, column.status)
+                    .filter(task => getTaskColumnId(task, columns) === column.id)
+            );
             
             // Performance optimization for columns with many tasks
-            if (filteredTasks.length > 100) {
-                this.renderColumnVirtualized(columnElement, filteredTasks, status);
+            if (lanes) {
+                this.renderColumnLanes(columnElement, filteredTasks, column, lanes);
+            } else if (filteredTasks.length > 100) {
+                this.renderColumnVirtualized(columnElement, filteredTasks, column);
             } else {
-                this.renderColumnStandard(columnElement, filteredTasks, status);
+                this.renderColumnStandard(columnElement, filteredTasks, column);
             }
         });
+        
+        if (lanes) {
+            this.alignSwimlanes();
+        }
+    }
+
+    /**
+     * Get the swimlane settings of the current board
+     * @returns {Object} Swimlanes ({ groupBy, lanes, collapsed })
+     */
+    getCurrentSwimlanes() {
+        const { boards = [], currentBoardId } = this.state.getState() || {};
+        const currentBoard = this.isAllBoardsView() ? null : boards.find(b => b.id === currentBoardId);
+        return {
+            groupBy: 'none',
+            lanes: [],
+            collapsed: [],
+            ...((currentBoard && currentBoard.swimlanes) || {})
+        };
+    }
+
+    /**
+     * List the swimlanes of the current board in display order
+     * Lanes in use that the board does not list (e.g. tags without a label) come
+     * after the listed ones, and the "no lane" lane comes last
+     * @param {Array<Task>} tasks - Tasks on the board
+     * @returns {Array<Object>} Lanes ({ key, label })
+     */
+    getSwimlanes(tasks) {
+        const { groupBy, lanes: customLanes } = this.getCurrentSwimlanes();
+        
+        if (groupBy === 'priority') {
+            return [...TASK_PRIORITIES].reverse().map(priority => ({
+                key: priority,
+                label: priority === 'none' ? 'No priority' : priority.charAt(0).toUpperCase() + priority.slice(1)
+            }));
+        }
+        
+        const listedNames = groupBy === 'tag'
+            ? this.getBoardLabels().map(label => label.name)
+            : customLanes;
+        const lanes = listedNames.map(name => ({ key: name.trim().toLowerCase(), label: name }));
+        
+        tasks.forEach(task => {
+            const key = getTaskLane(task, groupBy);
+            if (key && !lanes.some(lane => lane.key === key)) {
+                lanes.push({ key, label: groupBy === 'tag' ? task.tags[0].trim() : task.lane.trim() });
+            }
+        });
+        
+        lanes.push({ key: '', label: groupBy === 'tag' ? 'No tag' : 'No lane' });
+        return lanes;
+    }
+
+    /**
+     * Render a column split into swimlanes
+     * @param {HTMLElement} columnElement - Column container
+     * @param {Array<Task>} tasks - Tasks in the column
+     * @param {Object} column - Board column
+     * @param {Array<Object>} lanes - Lanes ({ key, label })
+     */
+    renderColumnLanes(columnElement, tasks, column, lanes) {
+        const { groupBy, collapsed } = this.getCurrentSwimlanes();
+        
+        columnElement.innerHTML = lanes.map(lane => {
+            const laneTasks = tasks.filter(task => getTaskLane(task, groupBy) === lane.key);
+            const isCollapsed = collapsed.includes(lane.key);
+            return `
+                <section class="swimlane${isCollapsed ? ' swimlane--collapsed' : ''}" data-lane="${this.escapeHtml(lane.key)}">
+                    <button type="button" class="swimlane__header" data-lane-toggle="${this.escapeHtml(lane.key)}" aria-expanded="${!isCollapsed}">
+                        <span class="swimlane__title">${this.escapeHtml(lane.label)}</span>
+                        <span class="swimlane__count">${laneTasks.length}</span>
+                    </button>
+                    <div class="swimlane__content">
+                        ${isCollapsed ? '' : laneTasks.map(task => this.generateTaskHTML(task)).join('')}
+                    </div>
+                </section>
+            `;
+        }).join('');
+        
+        this.updateColumnCounter(column.id, tasks.length, column.limit);
+    }
+
+    /**
+     * Give each swimlane the same height in every column so lanes line up across the board
+     */
+    alignSwimlanes() {
+        const lanesByKey = new Map();
+        document.querySelectorAll('.swimlane').forEach(lane => {
+            lane.style.minHeight = '';
+            const group = lanesByKey.get(lane.dataset.lane) || [];
+            group.push(lane);
+            lanesByKey.set(lane.dataset.lane, group);
+        });
+        
+        lanesByKey.forEach(group => {
+            const height = Math.max(...group.map(lane => lane.offsetHeight));
+            if (height > 0) {
+                group.forEach(lane => { lane.style.minHeight = `${height}px`; });
+            }
+        });
+    }
+
+    /**
+     * Get the workflow columns of the current board
+     * The All boards view uses the default one-column-per-status layout.
+     * @returns {Array<Object>} Columns in display order
+     */
+    getCurrentColumns() {
+        if (this.isAllBoardsView()) {
+            return DEFAULT_COLUMNS;
+        }
+        const { boards = [], currentBoardId } = this.state.getState() || {};
+        return getBoardColumns(boards.find(b => b.id === currentBoardId));
+    }
+
+    /**
+     * Build a key that changes whenever the column markup has to change
+     * @param {Array<Object>} columns - Board columns
+     * @returns {string} Columns key
+     */
+    getColumnsKey(columns) {
+        return JSON.stringify(columns.map(column => [column.id, column.name, column.status, column.color]));
+    }
+
+    /**
+     * Rebuild the board's column elements when the current board uses other columns
+     * The archive buttons move to the first Done column
+     * @param {Array<Object>} columns - Board columns in display order
+     */
+    ensureColumnElements(columns) {
+        const taskBoard = document.querySelector('.task-board');
+        const key = this.getColumnsKey(columns);
+        if (!taskBoard || key === this._columnsKey) {
+            return;
+        }
+
+        const archiveButtons = ['archive-button', 'view-archived-tasks-btn']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+        const archiveColumnId = (columns.find(column => column.status === 'done') || {}).id;
+
+        taskBoard.innerHTML = '';
+        columns.forEach(column => {
+            const columnElement = document.createElement('div');
+            columnElement.className = `board-column board-column--${column.status}`;
+            columnElement.id = `${column.id}-column`;
+            columnElement.dataset.columnId = column.id;
+
+            const header = document.createElement('div');
+            header.className = 'board-column__header';
+            if (column.color) {
+                header.style.backgroundColor = column.color;
+            }
+
+            const title = document.createElement('h3');
+            title.className = 'board-column__title';
+            title.textContent = column.name;
+
+            const actions = document.createElement('div');
+            actions.className = 'board-column__actions d-flex align-items-center gap-2';
+
+            const count = document.createElement('span');
+            count.className = 'board-column__count';
+            count.id = `${column.id}-count`;
+            count.textContent = '0';
+            actions.appendChild(count);
+
+            const selectButton = document.createElement('button');
+            selectButton.type = 'button';
+            selectButton.className = 'btn btn-sm btn-outline-secondary board-column__select';
+            selectButton.dataset.selectColumn = column.id;
+            selectButton.title = 'Select all tasks in this column';
+            selectButton.setAttribute('aria-label', selectButton.title);
+            selectButton.textContent = '☑';
+            actions.appendChild(selectButton);
+
+            if (column.id === archiveColumnId) {
+                archiveButtons.forEach(button => actions.appendChild(button));
+            }
+
+            header.appendChild(title);
+            header.appendChild(actions);
+
+            const content = document.createElement('div');
+            content.className = 'board-column__content';
+            content.id = `${column.id}-list`;
+            content.dataset.status = column.status;
+            content.dataset.columnId = column.id;
+
+            columnElement.appendChild(header);
+            columnElement.appendChild(content);
+            taskBoard.appendChild(columnElement);
+        });
+
+        taskBoard.style.setProperty('--board-column-count', columns.length);
+        this._columnsKey = key;
+
+        // New column elements need drop handlers
+        if (this.dom && typeof this.dom.setupDropZones === 'function') {
+            this.dom.setupDropZones();
+        }
+    }
+
+    /**
+     * Filter tasks by tag using the performance task index
+     * @param {Array<Task>} tasks - Tasks to filter
+     * @param {string} tag - Tag to filter by
+     * @param {string} boardId - Board the tasks belong to
+     * @returns {Array<Task>} Tasks with the tag
+     */
+    filterByTag(tasks, tag, boardId = null) {
+        // Only rebuild the index when the task list has changed
+        if (this._indexedTasks !== tasks) {
+            performanceOptimizer.indexTasks(tasks, boardId);
+            this._indexedTasks = tasks;
+        }
+        return performanceOptimizer.searchTasks(tasks, { tag });
+    }
+
+    /**
+     * Keep the tracked time on cards current while any timer is running
+     * @param {Array<Task>} tasks - Rendered tasks
+     */
+    updateTimerTicker(tasks) {
+        const hasRunningTimer = tasks.some(task => (task.timeEntries || []).some(entry => !entry.end));
+        
+        if (hasRunningTimer && !this._timerTicker) {
+            this._timerTicker = setInterval(() => this.refreshRunningTimers(), TIMER_REFRESH_MS);
+        } else if (!hasRunningTimer && this._timerTicker) {
+            clearInterval(this._timerTicker);
+            this._timerTicker = null;
+        }
+    }
+
+    /**
+     * Update the tracked time shown on cards with a running timer
+     */
+    refreshRunningTimers() {
+        document.querySelectorAll('.task-card__time--running').forEach(element => {
+            const runningMs = Date.now() - new Date(element.dataset.runningSince).getTime();
+            element.textContent = `⏱ ${formatDuration(Number(element.dataset.trackedMs) + runningMs)}`;
+        });
+    }
+
+    /**
+     * Get the label palette of the current board
+     * @param {Object} board - Board to use instead of the current one
+     * @returns {Array<Object>} Labels ({ name, color })
+     */
+    getBoardLabels(board = null) {
+        const { boards = [], currentBoardId } = this.state.getState();
+        const currentBoard = board || boards.find(b => b.id === currentBoardId);
+        return (currentBoard && currentBoard.labels) || [];
+    }
+
+    /**
+     * Sort tasks within a column according to the taskSorting setting
+     * @param {Array<Task>} tasks - Tasks to sort
+     * @param {string} sortBy - Sort mode (defaults to the taskSorting setting)
+     * @returns {Array<Task>} Sorted copy of the tasks
+     */
+    sortTasks(tasks, sortBy = settingsManager.get('taskSorting')) {
+        const byCreatedDate = (a, b) => new Date(a.createdDate) - new Date(b.createdDate);
+        const statusOrder = ['todo', 'doing', 'done'];
+        
+        switch (sortBy) {
+            case 'priority':
+                // Most important first, oldest first within the same priority
+                return [...tasks].sort((a, b) =>
+                    TASK_PRIORITIES.indexOf(b.priority || 'none') - TASK_PRIORITIES.indexOf(a.priority || 'none') ||
+                    byCreatedDate(a, b)
+                );
+            case 'text':
+                return [...tasks].sort((a, b) => a.text.localeCompare(b.text));
+            case 'status':
+                return [...tasks].sort((a, b) =>
+                    statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) || byCreatedDate(a, b)
+                );
+            case 'createdDate':
+                return [...tasks].sort(byCreatedDate);
+            default: {
+                // Manual sorting follows task ranks; unranked tasks keep their stored order at the end
+                if (!tasks.some(task => task.rank)) {
+                    return tasks;
+                }
+                const byRank = (a, b) => {
+                    if (a.task.rank !== b.task.rank) {
+                        if (!a.task.rank || !b.task.rank) {
+                            return a.task.rank ? -1 : 1;
+                        }
+                        return a.task.rank < b.task.rank ? -1 : 1;
+                    }
+                    return a.index - b.index;
+                };
+                return tasks
+                    .map((task, index) => ({ task, index }))
+                    .sort(byRank)
+                    .map(entry => entry.task);
+            }
+        }
     }
 
     /**
      * Standard column rendering for smaller lists
      * @param {HTMLElement} columnElement - Column container
      * @param {Array<Task>} tasks - Tasks to render
-     * @param {string} status - Column status
+     * @param {Object} column - Board column
      */
-    renderColumnStandard(columnElement, tasks, status) {
+    renderColumnStandard(columnElement, tasks, column) {
         const taskHTML = tasks.map(task => this.generateTaskHTML(task)).join('');
-        columnElement.innerHTML = taskHTML || this.getEmptyColumnMessage(status);
+        columnElement.innerHTML = taskHTML || this.getEmptyColumnMessage(column.status);
         
         // Update counter
-        this.updateColumnCounter(status, tasks.length);
+        this.updateColumnCounter(column.id, tasks.length, column.limit);
     }
 
     /**
      * Virtualized column rendering for large lists
      * @param {HTMLElement} columnElement - Column container
      * @param {Array<Task>} tasks - Tasks to render
-     * @param {string} status - Column status
+     * @param {Object} column - Board column
      */
-    renderColumnVirtualized(columnElement, tasks, status) {
+    renderColumnVirtualized(columnElement, tasks, column) {
         
         // Render only first 50 tasks initially
         const visibleTasks = tasks.slice(0, 50);
@@ -147,12 +593,12 @@ export class UIService {
         // Add "show more" button if needed
         if (tasks.length > 50) {
             const showMoreBtn = this.createShowMoreButton(tasks.length - 50, () => {
-                this.renderColumnStandard(columnElement, tasks, status);
+                this.renderColumnStandard(columnElement, tasks, column);
             });
             columnElement.appendChild(showMoreBtn);
         }
         
-        this.updateColumnCounter(status, tasks.length);
+        this.updateColumnCounter(column.id, tasks.length, column.limit);
     }
 
     /**
@@ -167,14 +613,9 @@ export class UIService {
             return '';
         }
 
-        // Escape HTML to prevent XSS
-        const escapeHtml = (str) => str.replace(/[&<>"']/g, (match) => {
-            const escapeMap = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
-            return escapeMap[match];
-        });
-
         const taskText = escapeHtml(task.text);
         const taskId = escapeHtml(task.id);
+        const homeBoard = this.taskBoards ? this.taskBoards.get(task.id) : null; // Only set in the All boards view
         
         // Format date using same logic as original
         const formatDate = (dateString) => {
@@ -227,8 +668,79 @@ export class UIService {
         const textClass = task.status === 'done' ? 'task-card__text task-card__text--completed' : 'task-card__text';
         const statusButtons = getStatusButtons(task.status, taskId, taskText);
         
+        // Due date badge with overdue / due soon highlighting
+        const dueState = getDueState(task);
+        const dueLabel = task.dueDate ? escapeHtml(formatDueDate(task.dueDate, task.dueTime)) : '';
+        const dueClass = dueState ? `task-card__due task-card__due--${dueState}` : 'task-card__due';
+        const dueBadge = dueLabel ? `<span class="${dueClass}">Due: ${dueLabel}</span>` : '';
+        // Priority badge (hidden for tasks without a priority)
+        const priority = task.priority || 'none';
+        const priorityLabel = priority.charAt(0).toUpperCase() + priority.slice(1);
+        const priorityBadge = priority !== 'none'
+            ? `<span class="task-card__priority task-card__priority--${priority}" title="Priority: ${priorityLabel}">${priorityLabel}</span>`
+            : '';
+        
+        // Tag chips colored from the board's label palette
+        const tags = task.tags || [];
+        let tagChips = '';
+        if (tags.length > 0) {
+            const labels = this.getBoardLabels(homeBoard);
+            tagChips = `<div class="task-card__tags">${tags.map(tag => {
+                const label = labels.find(l => l.name.toLowerCase() === tag.toLowerCase());
+                const style = label ? ` style="--tag-color: ${escapeHtml(label.color)}"` : '';
+                const safeTag = escapeHtml(tag);
+                return `<button type="button" class="task-tag" data-action="filter-tag" data-tag="${safeTag}"${style} title="Show only tasks tagged ${safeTag}">${safeTag}</button>`;
+            }).join('')}</div>`;
+        }
+        
+        // Checklist progress (x/y), controlled by the showTaskProgress setting
+        const checklist = task.checklist || [];
+        let progressBadge = '';
+        if (checklist.length > 0 && settingsManager.get('showTaskProgress')) {
+            const doneCount = checklist.filter(item => item.done).length;
+            const progressClass = doneCount === checklist.length ? 'task-card__progress task-card__progress--complete' : 'task-card__progress';
+            progressBadge = `<span class="${progressClass}" title="Checklist: ${doneCount} of ${checklist.length} done">☑ ${doneCount}/${checklist.length}</span>`;
+        }
+        
+        // Tracked time and timer control
+        const timeEntries = task.timeEntries || [];
+        const runningEntry = timeEntries.find(entry => !entry.end);
+        const stoppedTime = getTrackedTime(timeEntries.filter(entry => entry.end));
+        let timeBadge = '';
+        if (runningEntry) {
+            timeBadge = `<span class="task-card__time task-card__time--running" title="Timer running" data-tracked-ms="${stoppedTime}" data-running-since="${escapeHtml(runningEntry.start)}">⏱ ${formatDuration(getTrackedTime(timeEntries))}</span>`;
+        } else if (stoppedTime > 0) {
+            timeBadge = `<span class="task-card__time" title="Tracked time">⏱ ${formatDuration(stoppedTime)}</span>`;
+        }
+        const timerAction = runningEntry ? 'Stop timer' : 'Start timer';
+        
+        // Recurrence indicator
+        const recurrenceLabel = escapeHtml(describeRecurrence(task.recurrence));
+        const recurrenceBadge = recurrenceLabel
+            ? `<span class="task-card__recurrence" title="Repeats: ${recurrenceLabel}" aria-label="Repeats: ${recurrenceLabel}">🔁</span>`
+            : '';
+        
+        // Blocked indicator while any blocking task is unfinished
+        const openBlockers = (task.blockedBy || []).length > 0
+            ? getOpenBlockers(task, homeBoard ? homeBoard.tasks || [] : this.state.getState().tasks || [])
+            : [];
+        const blockedBadge = openBlockers.length > 0
+            ? `<span class="task-card__blocked" title="Blocked by: ${escapeHtml(openBlockers.map(t => t.text).join(', '))}">⛔ Blocked</span>`
+            : '';
+        
+        // Home board chip in the All boards view
+        const boardChip = homeBoard
+            ? `<span class="task-card__board" style="--board-color: ${escapeHtml(homeBoard.color || '#6750a4')}" title="Board: ${escapeHtml(homeBoard.name)}">${escapeHtml(homeBoard.name)}</span>`
+            : '';
+        
+        const cardClasses = ['task-card', `task-card--${task.status}`];
+        if (dueState) cardClasses.push(`task-card--${dueState}`);
+        if (blockedBadge) cardClasses.push('task-card--blocked');
+        if (this.selectedTaskIds.has(task.id)) cardClasses.push('task-card--selected');
+        const cardClass = cardClasses.join(' ');
+        
         return `
-            <div class="task-card task-card--${task.status}" 
+            <div class="${cardClass}" 
                  draggable="true" 
                  data-task-id="${taskId}" 
                  id="task-${taskId}"
@@ -238,16 +750,40 @@ export class UIService {
                  tabindex="0">
                 
                 <div class="task-card__content">
+                    ${boardChip}
+                    ${priorityBadge}
+                    ${blockedBadge}
                     <div class="${textClass}">${taskText}</div>
+                    ${tagChips}
                     
                     <div class="task-card__meta">
                         <span class="task-card__date">Created: ${formattedDate}</span>
+                        ${dueBadge}
+                        ${timeBadge}
+                        ${recurrenceBadge}
+                        ${progressBadge}
+                        ${task.notes ? '<span class="task-card__notes" title="Has notes" aria-label="Has notes">🗒</span>' : ''}
                         <span class="task-card__id">#${taskIdShort}</span>
                     </div>
                 </div>
                 
                 <div class="task-card__actions">
                     <div class="task-card__actions-primary">
+                        <button class="task-timer-btn${runningEntry ? ' task-timer-btn--running' : ''}" 
+                                data-action="timer" 
+                                data-task-id="${taskId}" 
+                                title="${timerAction}"
+                                aria-pressed="${runningEntry ? 'true' : 'false'}"
+                                aria-label="${timerAction} for task: ${taskText}">
+                            ${runningEntry ? '⏸️' : '▶️'}
+                        </button>
+                        <button class="task-details-btn" 
+                                data-action="details" 
+                                data-task-id="${taskId}" 
+                                title="Task details"
+                                aria-label="Open details for task: ${taskText}">
+                            📝
+                        </button>
                         <button class="task-edit-btn" 
                                 data-action="edit" 
                                 data-task-id="${taskId}" 
@@ -255,6 +791,20 @@ export class UIService {
                                 aria-label="Edit task: ${taskText}">
                             ✏️
                         </button>
+                        <button class="task-board-btn" 
+                                data-action="move-to-board" 
+                                data-task-id="${taskId}" 
+                                title="Move to board…"
+                                aria-label="Move task to another board: ${taskText}">
+                            📤
+                        </button>
+                        <button class="task-board-btn" 
+                                data-action="copy-to-board" 
+                                data-task-id="${taskId}" 
+                                title="Copy to board…"
+                                aria-label="Copy task to another board: ${taskText}">
+                            📑
+                        </button>
                         <button class="task-delete-btn" 
                                 data-action="delete" 
                                 data-task-id="${taskId}" 
@@ -280,7 +830,7 @@ export class UIService {
             const currentBoard = boards.find(b => b.id === currentBoardId);
             
             // Use domManager's renderBoardSelector method which handles the proper styling
-            this.dom.renderBoardSelector(boards, currentBoard);
+            this.dom.renderBoardSelector(boards, currentBoard, this.isAllBoardsView());
 
         } catch (error) {
             console.error('Failed to render board selector:', error);
@@ -294,9 +844,8 @@ export class UIService {
     showEmptyState() {
         this._showingEmptyState = true;
         
-        const containers = ['todo-list', 'doing-list', 'done-list'];
-        containers.forEach(containerId => {
-            const container = document.getElementById(containerId);
+        this.getCurrentColumns().forEach(column => {
+            const container = document.getElementById(`${column.id}-list`);
             if (container) {
                 container.innerHTML = `
                     <div class="empty-state">
@@ -313,7 +862,7 @@ export class UIService {
             createFirstTaskBtn.style.display = 'block';
         }
 
-        this.updateTaskCounters(0, 0, 0);
+        this.updateTaskCounters([]);
     }
 
     /**
@@ -332,34 +881,34 @@ export class UIService {
 
     /**
      * Update task counters in UI
-     * @param {number} todoCount - Todo task count (optional)
-     * @param {number} doingCount - Doing task count (optional)
-     * @param {number} doneCount - Done task count (optional)
-     */
-    updateTaskCounters(todoCount = null, doingCount = null, doneCount = null) {
-        if (todoCount === null) {
-            const tasks = this.state.getState().tasks || [];
-            todoCount = tasks.filter(t => t.status === 'todo').length;
-            doingCount = tasks.filter(t => t.status === 'doing').length;
-            doneCount = tasks.filter(t => t.status === 'done').length;
-        }
+     * @param {Array<Task>} tasks - Tasks to count (defaults to the current board's tasks)
+     */
+    updateTaskCounters(tasks = null) {
+        const countedTasks = tasks || this.state.getState().tasks || [];
+        const columns = this.getCurrentColumns();
 
-        this.updateColumnCounter('todo', todoCount);
-        this.updateColumnCounter('doing', doingCount);
-        this.updateColumnCounter('done', doneCount);
+        columns.forEach(column => {
+            const count = countedTasks.filter(task => getTaskColumnId(task, columns) === column.id).length;
+            this.updateColumnCounter(column.id, count, column.limit);
+        });
     }
 
     /**
      * Update counter for a specific column
-     * @param {string} status - Column status
+     * Columns with a WIP limit show the count against the limit
+     * @param {string} columnId - Column ID
      * @param {number} count - Task count
+     * @param {number|null} limit - WIP limit, null for none
      */
-    updateColumnCounter(status, count) {
-        const counter = document.getElementById(`${status}-count`);
+    updateColumnCounter(columnId, count, limit = null) {
+        const counter = document.getElementById(`${columnId}-count`);
         if (counter) {
-            counter.textContent = count;
+            counter.textContent = limit ? `${count}/${limit}` : count;
+            counter.classList.toggle('board-column__count--at-limit', !!limit && count === limit);
+            counter.classList.toggle('board-column__count--over-limit', !!limit && count > limit);
+            counter.title = limit ? `WIP limit: ${limit}` : '';
         } else {
-            console.warn(`⚠️ UI Service: Counter element not found: ${status}-count`);
+            console.warn(`⚠️ UI Service: Counter element not found: ${columnId}-count`);
         }
     }
 
@@ -367,15 +916,18 @@ export class UIService {
      * Update board title based on current filter
      * @param {string} filter - Current filter
      */
-    updateBoardTitle(filter) {
+    updateBoardTitle(filter, tagFilter = null) {
         const currentBoardNameEl = document.getElementById('current-board-name');
         if (currentBoardNameEl) {
-            const currentBoard = this.state.getCurrentBoard();
+            const currentBoard = this.isAllBoardsView() ? { name: 'All Boards' } : this.state.getCurrentBoard();
             if (currentBoard) {
                 let displayName = currentBoard.name;
                 if (filter && filter !== 'all') {
                     displayName += ` (${filter})`;
                 }
+                if (tagFilter) {
+                    displayName += ` #${tagFilter}`;
+                }
                 currentBoardNameEl.textContent = displayName;
             }
         }
@@ -521,12 +1073,27 @@ export class UIService {
      * Show error message
      * @param {string} message - Error message
      * @param {string} type - Error type (error, warning, info)
+     * @param {Object} options - Optional action button: { actionLabel, onAction }
      */
-    showMessage(message, type = 'info') {
+    showMessage(message, type = 'info', options = {}) {
         const messageEl = document.createElement('div');
         messageEl.className = `message-toast message-${type}`;
         messageEl.textContent = message;
         
+        if (options.actionLabel && typeof options.onAction === 'function') {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'message-toast__action';
+            actionButton.textContent = options.actionLabel;
+            actionButton.addEventListener('click', () => {
+                if (messageEl.parentNode) {
+                    messageEl.parentNode.removeChild(messageEl);
+                }
+                options.onAction();
+            });
+            messageEl.appendChild(actionButton);
+        }
+        
         document.body.appendChild(messageEl);
         
         // Auto-remove after 5 seconds
@@ -543,9 +1110,7 @@ export class UIService {
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeHtml(text);
     }
 
     /**
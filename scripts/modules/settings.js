@@ -106,11 +106,13 @@ class SettingsManager {
             backupEnabled: true,
             maxHistoryEntries: 50,
             archiveAfterDays: 30,
+            trashRetentionDays: 30,
             confirmTaskDeletion: true,
             showCompletedTasks: true,
             autoArchiveCompleted: false,
             compactMode: false,
             showTaskProgress: true,
+            autoTrackTime: true,
             enableDragDrop: true,
             soundEnabled: false,
             language: 'en'
@@ -262,7 +264,7 @@ class SettingsManager {
     validateSettings(settings = this.currentSettings) {
         try {
             const validThemes = ['light', 'dark', 'auto'];
-            const validSorting = ['createdDate', 'text', 'status', 'manual'];
+            const validSorting = ['createdDate', 'text', 'status', 'priority', 'manual'];
             const validDensity = ['compact', 'comfortable', 'spacious'];
             const validLanguages = ['en', 'es', 'fr', 'de'];
 
@@ -298,6 +300,11 @@ class SettingsManager {
                 return false;
             }
 
+            if (settings.trashRetentionDays < 1 || settings.trashRetentionDays > 365) {
+                console.warn('Invalid trash retention days:', settings.trashRetentionDays);
+                return false;
+            }
+
             return true;
 
         } catch (error) {
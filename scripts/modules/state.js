@@ -8,9 +8,16 @@ export class AppState {
     constructor() {
         this.state = {
             boards: [],
+            trashedBoards: [], // deleted boards, each with a deletedDate
+            boardTemplates: [], // templates saved by the user, see TemplateService
+            taskTemplates: [], // named presets for new tasks, see TemplateService
             currentBoardId: null,
             tasks: [], // tasks for current board (computed)
-            filter: 'all' // all, todo, doing, done
+            filter: 'all', // all, todo, doing, done
+            tagFilter: null, // show only tasks with this tag
+            allBoardsView: false, // show tasks of every active board instead of the current one
+            history: [], // undo/redo entries, see HistoryService
+            historyIndex: -1 // last applied history entry
         };
         
         this.listeners = new Map();
@@ -134,6 +141,16 @@ export class AppState {
         return board ? (board.tasks || []) : [];
     }
 
+    /**
+     * Get tasks of every active (not archived) board, for the All boards view
+     * @returns {Array<Object>} { task, board } pairs in board order
+     */
+    getTasksForAllBoards() {
+        return (this.state.boards || [])
+            .filter(board => !board.isArchived)
+            .reduce((all, board) => all.concat((board.tasks || []).map(task => ({ task, board }))), []);
+    }
+
     /**
      * Add board to state
      * @param {Object} board - Board data
@@ -260,9 +277,16 @@ export class AppState {
     reset() {
         this.state = {
             boards: [],
+            trashedBoards: [],
+            boardTemplates: [],
+            taskTemplates: [],
             currentBoardId: null,
             tasks: [],
-            filter: 'all'
+            filter: 'all',
+            tagFilter: null,
+            allBoardsView: false,
+            history: [],
+            historyIndex: -1
         };
         
         eventBus.emit('state:reset');
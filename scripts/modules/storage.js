@@ -1,129 +1,670 @@
 /**
- * Simple IndexedDB Storage
+ * Simple Storage
  * Simplified storage without complex abstractions
+ *
+ * Records live in the first storage adapter that works: IndexedDB, then
+ * localStorage, then memory (see storageAdapters.js).
+ *
+ * Saves are incremental: save() only remembers the latest data, and a debounced
+ * flush writes the boards that changed since the last write (tasks live inside
+ * their board's record) plus the metadata if it changed. Boards in the trash
+ * keep their own record, marked trashed: true, so the metadata stays small.
+ * Each committed write is broadcast to other open tabs, which get it as a
+ * storage:remoteChanges event.
+ *
+ * With encryption on, each record is stored as { id|key, version, encrypted },
+ * sealed with a key derived from the user's passphrase (see encryption.js). The
+ * metadata record also holds the key header, so init() can tell that stored
+ * data is locked until unlock() gets the passphrase.
  */
 
+import eventBus from './eventBus.js';
+import { generateUniqueId } from './utils.js';
+import { MIGRATIONS, validateMigrations, getLatestVersion, applyMigrations, isEncryptedRecord } from './migrations.js';
+import { createDefaultAdapters } from './storageAdapters.js';
+import { PBKDF2_ITERATIONS, createKey, unlockKey, encryptText, decryptText, encryptExport } from './encryption.js';
+
 /**
- * Simple IndexedDB Storage Class
+ * Turn a trashed board record back into a board
+ * @param {Object} record - Board record marked trashed: true
+ * @returns {Object} Board without the marker
  */
-class SimpleStorage {
-    constructor() {
+function fromTrashRecord(record) {
+    const board = { ...record };
+    delete board.trashed;
+    return board;
+}
+
+/**
+ * Simple Storage Class
+ */
+export class SimpleStorage {
+    /**
+     * @param {Object} options - Storage options
+     * @param {Array} options.migrations - Migration steps, defaults to MIGRATIONS
+     * @param {Array} options.adapters - Adapters to try in order, defaults to createDefaultAdapters()
+     */
+    constructor(options = {}) {
         this.dbName = 'cascade-app';
-        this.version = 5;
-        this.db = null;
+        this.migrations = options.migrations || MIGRATIONS;
+        validateMigrations(this.migrations);
+        this.version = getLatestVersion(this.migrations);
+        this.adapters = options.adapters || createDefaultAdapters({
+            dbName: this.dbName,
+            migrations: this.migrations,
+            onBlocked: () => eventBus.emit('storage:blocked'),
+            onVersionChange: () => {
+                this.outdated = true;
+                eventBus.emit('storage:versionChanged');
+            }
+        });
+        this.adapter = null; // adapter in use after init()
         this.isInitialized = false;
+        this.migrationResult = null; // result of the migration run by init(), if any
+
+        this.saveDelay = 300; // ms of quiet before a burst of edits is written
+        this.maxSaveDelay = 2000; // ms a save may wait while edits keep coming
+        this.pendingData = null; // latest data not written yet
+        this.pendingSince = null;
+        this.saveTimer = null;
+        this.writing = Promise.resolve(); // writes run one after another
+        this.savedBoards = new Map(); // board ID -> JSON as last written or loaded
+        this.savedMeta = null; // metadata JSON as last written or loaded
+
+        this.tabId = generateUniqueId(); // tells this tab's broadcasts from others'
+        this.channel = null; // BroadcastChannel shared by all tabs of the app
+        this.outdated = false; // set when another tab changed the encryption key or upgraded the database
+        this.loadFailed = false; // set when stored data could not be read, so nothing is saved over it
+
+        this.encryptionHeader = null; // key header of encrypted data, null when not encrypted
+        this.encryptionKey = null; // set once encrypted data is unlocked
+        this.keyIterations = PBKDF2_ITERATIONS; // for new passphrases
+
+        // Write pending edits before the page may be discarded
+        if (typeof document !== 'undefined' && typeof window !== 'undefined') {
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    this.flush().catch(() => {}); // Reported through storage:error
+                }
+            });
+            window.addEventListener('pagehide', () => {
+                this.flush().catch(() => {});
+            });
+        }
     }
 
     /**
      * Initialize storage
+     * Uses the first adapter that opens; the in-memory adapter always does.
+     * Only a backend the browser blocks is skipped: any other failure is thrown,
+     * since data stored there would otherwise look lost.
      */
     async init() {
         if (this.isInitialized) return true;
 
-        if (!window.indexedDB) {
-            throw new Error('IndexedDB not supported');
+        for (const adapter of this.adapters) {
+            try {
+                await adapter.open();
+                this.adapter = adapter;
+                break;
+            } catch (error) {
+                if (!error || !error.unavailable) {
+                    console.error(`${adapter.type} storage failed to open:`, error);
+                    throw error;
+                }
+                console.warn(`${adapter.type} storage unavailable:`, error);
+            }
         }
 
-        try {
-            this.db = await this.openDatabase();
-            this.isInitialized = true;
-            return true;
-        } catch (error) {
+        if (!this.adapter) {
+            const error = new Error('No storage available');
             console.error('Storage init failed:', error);
             throw error;
         }
+
+        this.reportMigration(this.adapter.migrationResult || null);
+
+        const { metadata } = await this.adapter.read();
+        this.encryptionHeader = metadata && metadata.encryption ? metadata.encryption : null;
+
+        if (this.adapter.persistent) {
+            // Tabs only share data that is stored
+            this.openSyncChannel();
+        }
+        this.isInitialized = true;
+        return true;
     }
 
     /**
-     * Open IndexedDB database
+     * Keep and announce the result of the migration the adapter ran on open
+     * @param {Object|null} result - { fromVersion, toVersion, applied, backupId, error }
      */
-    openDatabase() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.version);
+    reportMigration(result) {
+        this.migrationResult = result;
+        if (!result) return;
 
-            request.onerror = () => reject(new Error('Failed to open database'));
-            request.onsuccess = () => resolve(request.result);
+        if (result.error) {
+            eventBus.emit('storage:error', { operation: 'migrate', error: result.error });
+        } else {
+            eventBus.emit('storage:migrated', result);
+        }
+    }
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+    /**
+     * Get pre-migration backups
+     * @returns {Promise<Array>} Backups, newest first
+     */
+    async getBackups() {
+        await this.ensureInitialized();
+        return this.adapter.getBackups ? this.adapter.getBackups() : [];
+    }
 
-                // Create boards store
-                if (!db.objectStoreNames.contains('boards')) {
-                    const boardStore = db.createObjectStore('boards', { keyPath: 'id' });
-                    boardStore.createIndex('name', 'name', { unique: false });
-                }
+    /**
+     * Get the result of the migration run when storage was opened
+     * @returns {Object|null} Migration result, or null if no migration ran
+     */
+    getMigrationResult() {
+        return this.migrationResult;
+    }
 
-                // Create settings store
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
-            };
-        });
+    /**
+     * Check whether saved data survives a reload
+     * @returns {boolean} False when only the in-memory adapter worked
+     */
+    isPersistent() {
+        return !this.adapter || this.adapter.persistent;
+    }
+
+    /**
+     * Check whether stored data is encrypted
+     * @returns {boolean} True if encryption is on
+     */
+    isEncrypted() {
+        return !!this.encryptionHeader;
+    }
+
+    /**
+     * Check whether stored data waits for its passphrase
+     * @returns {boolean} True if data is encrypted and unlock() has not succeeded yet
+     */
+    isLocked() {
+        return !!this.encryptionHeader && !this.encryptionKey;
+    }
+
+    /**
+     * Unlock encrypted data
+     * @param {string} passphrase - Passphrase the data was encrypted with
+     * @throws {Error} If the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        await this.ensureInitialized();
+        if (!this.isLocked()) return;
+
+        this.encryptionKey = await unlockKey(this.encryptionHeader, passphrase);
+    }
+
+    /**
+     * Check a passphrase against the encrypted data
+     * @param {string} passphrase - Passphrase to check
+     * @throws {Error} If the passphrase is wrong
+     */
+    async verifyPassphrase(passphrase) {
+        await this.ensureInitialized();
+        if (!this.encryptionHeader) {
+            throw new Error('Data is not encrypted');
+        }
+
+        await unlockKey(this.encryptionHeader, passphrase);
+    }
+
+    /**
+     * Turn on encryption
+     * Every record is rewritten encrypted, and plaintext backups are removed.
+     * @param {string} passphrase - New passphrase
+     * @param {Object} data - Current application data
+     */
+    async enableEncryption(passphrase, data) {
+        await this.ensureInitialized();
+        if (this.encryptionHeader) {
+            throw new Error('Data is already encrypted');
+        }
+
+        const { key, header } = await createKey(passphrase, this.keyIterations);
+        await this.rewriteAll(data, key, header);
+        if (this.adapter.clearBackups) {
+            await this.adapter.clearBackups();
+        }
+    }
+
+    /**
+     * Re-encrypt every record with a new passphrase
+     * @param {string} currentPassphrase - Passphrase the data is encrypted with
+     * @param {string} newPassphrase - Passphrase to use from now on
+     * @param {Object} data - Current application data
+     * @throws {Error} If the current passphrase is wrong
+     */
+    async changePassphrase(currentPassphrase, newPassphrase, data) {
+        await this.verifyPassphrase(currentPassphrase);
+        const { key, header } = await createKey(newPassphrase, this.keyIterations);
+        await this.rewriteAll(data, key, header);
+    }
+
+    /**
+     * Turn off encryption and rewrite every record in plaintext
+     * @param {string} passphrase - Passphrase the data is encrypted with
+     * @param {Object} data - Current application data
+     * @throws {Error} If the passphrase is wrong
+     */
+    async disableEncryption(passphrase, data) {
+        await this.verifyPassphrase(passphrase);
+        await this.rewriteAll(data, null, null);
+    }
+
+    /**
+     * Write every record again with another key
+     * The old key stays in use if the write fails, so stored data stays readable.
+     * Other tabs are told to reload instead of getting the records.
+     * @param {Object} data - Current application data
+     * @param {CryptoKey|null} key - New key, or null to store plaintext
+     * @param {Object|null} header - Header of the new key
+     */
+    async rewriteAll(data, key, header) {
+        await this.waitForWrites();
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pendingData = null;
+        this.pendingSince = null;
+
+        const previous = { key: this.encryptionKey, header: this.encryptionHeader };
+        this.encryptionKey = key;
+        this.encryptionHeader = header;
+        // Without a baseline every record counts as changed
+        this.savedBoards = new Map(Array.from(this.savedBoards.keys()).map(id => [id, null]));
+        this.savedMeta = null;
+
+        const write = this.writeChanges(data, { broadcast: false });
+        this.writing = write;
+        try {
+            await write;
+        } catch (error) {
+            console.error('Failed to rewrite data:', error);
+            this.encryptionKey = previous.key;
+            this.encryptionHeader = previous.header;
+            // With no baseline left, the next flush rewrites every record with the old key
+            if (!this.pendingData) {
+                this.pendingData = data;
+                this.pendingSince = Date.now();
+            }
+            throw error;
+        }
+
+        if (this.channel) {
+            this.channel.postMessage({ type: 'encryption', tabId: this.tabId, encrypted: !!header });
+        }
+    }
+
+    /**
+     * Wait until no write is running, including writes queued meanwhile
+     */
+    async waitForWrites() {
+        let writing;
+        do {
+            writing = this.writing;
+            await writing.catch(() => {});
+        } while (writing !== this.writing);
+    }
+
+    /**
+     * Encrypt export data with the passphrase of the stored data
+     * @param {Object} data - Export data
+     * @returns {Promise<Object>} Encrypted export file contents
+     */
+    async createEncryptedExport(data) {
+        if (!this.encryptionKey) {
+            throw new Error('Data is not encrypted');
+        }
+        return encryptExport(data, this.encryptionKey, this.encryptionHeader);
     }
 
     /**
      * Save application data
+     * Only the latest data is kept; it is written after saveDelay ms without
+     * another save, or maxSaveDelay ms after the first unwritten save.
+     * Use flush() to wait for the write.
      * @param {Object} data - Data to save
      */
     async save(data) {
+        this.pendingData = data;
+        if (this.pendingSince === null) {
+            this.pendingSince = Date.now();
+        }
+
+        clearTimeout(this.saveTimer);
+        const delay = Math.min(this.saveDelay, Math.max(0, this.pendingSince + this.maxSaveDelay - Date.now()));
+        this.saveTimer = setTimeout(() => {
+            this.flush().catch(() => {}); // Reported through storage:error
+        }, delay);
+    }
+
+    /**
+     * Write pending data now
+     * Failed data stays pending, so the next save or flush retries it.
+     * @returns {Promise<Object>} { boards, deletedBoards, metadata } counts of written records
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const data = this.pendingData;
+        this.pendingData = null;
+        this.pendingSince = null;
+
+        const write = this.writing
+            .catch(() => {}) // An earlier failure was already reported
+            .then(() => (data ? this.writeChanges(data) : { boards: 0, deletedBoards: 0, metadata: 0 }))
+            .catch(error => {
+                console.error('Save failed:', error);
+                if (!this.pendingData) {
+                    this.pendingData = data;
+                    this.pendingSince = Date.now();
+                }
+                eventBus.emit('storage:error', { operation: 'save', error: error.message });
+                throw error;
+            });
+        this.writing = write;
+        return write;
+    }
+
+    /**
+     * Check whether data is waiting to be written
+     * @returns {boolean} True if a flush would write something
+     */
+    hasPendingChanges() {
+        return this.pendingData !== null;
+    }
+
+    /**
+     * Write the boards and metadata that differ from the last write
+     * @param {Object} data - Data to save
+     * @param {Object} options - { broadcast: false } keeps other tabs from getting the records
+     * @returns {Promise<Object>} { boards, deletedBoards, metadata } counts of written records
+     */
+    async writeChanges(data, options = {}) {
+        const changes = this.getChanges(data);
+        const result = {
+            boards: changes.boards.length,
+            deletedBoards: changes.deletedBoardIds.length,
+            metadata: changes.meta ? 1 : 0
+        };
+        if (result.boards + result.deletedBoards + result.metadata === 0) {
+            return result;
+        }
+
         await this.ensureInitialized();
+        if (this.isLocked()) {
+            throw new Error('Storage is locked');
+        }
+        if (this.outdated) {
+            throw new Error('Storage was changed by another tab, reload the page to save');
+        }
+        if (this.loadFailed) {
+            throw new Error('Saved data could not be read, so changes are not saved over it');
+        }
+
+        await this.adapter.write(await this.sealChanges(changes));
+
+        // Only a committed write counts as written
+        changes.boards.forEach(({ board, json }) => this.savedBoards.set(board.id, json));
+        changes.deletedBoardIds.forEach(id => this.savedBoards.delete(id));
+        if (changes.meta) {
+            this.savedMeta = changes.meta.json;
+        }
+
+        if (options.broadcast !== false) {
+            this.broadcastChanges(changes);
+        }
+
+        return result;
+    }
+
+    /**
+     * Turn changes into the records the adapter stores
+     * @param {Object} changes - Changes from getChanges()
+     * @returns {Promise<Object>} { boards, deletedBoardIds, metadata }, encrypted if encryption is on
+     */
+    async sealChanges(changes) {
+        const key = this.encryptionKey;
+        const header = this.encryptionHeader;
+
+        if (!header) {
+            return {
+                boards: changes.boards.map(({ board }) => board),
+                deletedBoardIds: changes.deletedBoardIds,
+                metadata: changes.meta ? changes.meta.record : null
+            };
+        }
+
+        const boards = await Promise.all(changes.boards.map(async ({ board, json }) => ({
+            id: board.id,
+            version: this.version,
+            encrypted: await encryptText(key, json)
+        })));
+        const metadata = changes.meta ? {
+            key: 'appData',
+            version: this.version,
+            encryption: header,
+            encrypted: await encryptText(key, changes.meta.json)
+        } : null;
+
+        return { boards, deletedBoardIds: changes.deletedBoardIds, metadata };
+    }
+
+    /**
+     * Turn a stored record back into a board or metadata record
+     * Encrypted records are decrypted and migrated from the version they were written at.
+     * @param {Object|null} record - Stored record
+     * @returns {Promise<Object|null>} Record, or null if a migration removed it
+     */
+    async openRecord(record) {
+        if (!isEncryptedRecord(record)) {
+            return record;
+        }
+        if (!this.encryptionKey) {
+            throw new Error('Storage is locked');
+        }
+
+        const value = JSON.parse(await decryptText(this.encryptionKey, record.encrypted));
+        if (!(record.version < this.version)) {
+            return value;
+        }
+
+        const isMetadata = record.key === 'appData';
+        const { records } = applyMigrations(
+            isMetadata ? { boards: [], metadata: value } : { boards: [value], metadata: null },
+            record.version,
+            this.version,
+            this.migrations
+        );
+        return (isMetadata ? records.metadata : records.boards[0]) || null;
+    }
+
+    /**
+     * Listen for writes made by other tabs
+     * Browsers without BroadcastChannel keep working without live updates.
+     */
+    openSyncChannel() {
+        if (this.channel || typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel('cascade-sync');
+        this.channel.onmessage = (event) => this.handleSyncMessage(event.data);
+    }
+
+    /**
+     * Tell other tabs about a committed write
+     * @param {Object} changes - Changes from getChanges()
+     */
+    broadcastChanges(changes) {
+        if (!this.channel) return;
 
         try {
-            const transaction = this.db.transaction(['boards', 'settings'], 'readwrite');
-            const boardStore = transaction.objectStore('boards');
-            const settingsStore = transaction.objectStore('settings');
-
-            // Clear and save boards
-            await this.clearStore(boardStore);
-            if (data.boards && data.boards.length > 0) {
-                for (const board of data.boards) {
-                    await this.putData(boardStore, board);
-                }
+            this.channel.postMessage({
+                type: 'changes',
+                tabId: this.tabId,
+                boards: changes.boards.map(({ json }) => json),
+                deletedBoardIds: changes.deletedBoardIds,
+                metadata: changes.meta ? changes.meta.json : null
+            });
+        } catch (error) {
+            console.error('Failed to broadcast changes:', error);
+        }
+    }
+
+    /**
+     * Take in a write another tab committed
+     * The written records become the baseline for this tab's next save, and
+     * storage:remoteChanges carries them with the baseline they replace, so the
+     * app can tell its own unsaved edits from the other tab's.
+     * @param {Object} message - Message from broadcastChanges()
+     */
+    handleSyncMessage(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        if (message.type === 'encryption') {
+            // Stored records now use a key this tab does not have
+            this.outdated = true;
+            eventBus.emit('storage:encryptionChanged', { encrypted: message.encrypted });
+            return;
+        }
+        if (message.type !== 'changes') return;
+
+        const parse = (json) => (json ? JSON.parse(json) : null);
+        const bases = {};
+        const trashBases = {};
+        const boards = [];
+        const trashedBoards = [];
+
+        // A board moved to or from the trash keeps its record, so its baseline may be either kind
+        const takeBase = (id) => {
+            const base = parse(this.savedBoards.get(id));
+            if (base && base.trashed) {
+                trashBases[id] = fromTrashRecord(base);
+            } else {
+                bases[id] = base;
             }
+        };
 
-            // Save metadata
-            await this.putData(settingsStore, {
-                key: 'appData',
-                currentBoardId: data.currentBoardId,
-                filter: data.filter || 'all'
-            });
+        message.boards.forEach(json => {
+            const record = JSON.parse(json);
+            takeBase(record.id);
+            this.savedBoards.set(record.id, json);
+            if (record.trashed) {
+                trashedBoards.push(fromTrashRecord(record));
+            } else {
+                boards.push(record);
+            }
+        });
+        message.deletedBoardIds.forEach(id => {
+            takeBase(id);
+            this.savedBoards.delete(id);
+        });
 
-            await this.waitForTransaction(transaction);
-        } catch (error) {
-            console.error('Save failed:', error);
-            throw error;
+        const baseMetadata = parse(this.savedMeta);
+        if (message.metadata) {
+            this.savedMeta = message.metadata;
         }
+
+        eventBus.emit('storage:remoteChanges', {
+            boards,
+            trashedBoards,
+            deletedBoardIds: message.deletedBoardIds,
+            metadata: parse(message.metadata),
+            bases,
+            trashBases,
+            baseMetadata
+        });
+    }
+
+    /**
+     * Compare data with the last write
+     * @param {Object} data - Data to save
+     * @returns {Object} { boards: [{ board, json }], deletedBoardIds, meta: { record, json }|null }
+     */
+    getChanges(data) {
+        const boards = [];
+        const currentIds = new Set();
+        const trashed = (data.trashedBoards || []).map(board => ({ ...board, trashed: true }));
+        (data.boards || []).concat(trashed).forEach(board => {
+            const json = JSON.stringify(board);
+            currentIds.add(board.id);
+            if (this.savedBoards.get(board.id) !== json) {
+                boards.push({ board, json });
+            }
+        });
+
+        const deletedBoardIds = Array.from(this.savedBoards.keys()).filter(id => !currentIds.has(id));
+
+        const record = this.getMetadataRecord(data);
+        const json = JSON.stringify(record);
+
+        return {
+            boards,
+            deletedBoardIds,
+            meta: json !== this.savedMeta ? { record, json } : null
+        };
+    }
+
+    /**
+     * Build the metadata record stored next to the boards
+     * @param {Object} data - Data to save
+     * @returns {Object} Settings store record
+     */
+    getMetadataRecord(data) {
+        return {
+            key: 'appData',
+            currentBoardId: data.currentBoardId,
+            filter: data.filter || 'all',
+            boardTemplates: data.boardTemplates || [],
+            taskTemplates: data.taskTemplates || []
+        };
     }
 
     /**
      * Load application data
+     * A failed read or decrypt is thrown, and saves are refused until a load
+     * succeeds, so data that could not be read is never overwritten.
      */
     async load() {
         await this.ensureInitialized();
+        if (this.isLocked()) {
+            throw new Error('Storage is locked');
+        }
 
         try {
-            const transaction = this.db.transaction(['boards', 'settings'], 'readonly');
-            const boardStore = transaction.objectStore('boards');
-            const settingsStore = transaction.objectStore('settings');
+            const stored = await this.adapter.read();
+            const records = (await Promise.all((stored.boards || []).map(record => this.openRecord(record)))).filter(Boolean);
+            const metadata = await this.openRecord(stored.metadata);
 
-            // Load boards
-            const boards = await this.getAllData(boardStore);
-            
-            // Load metadata
-            const metadata = await this.getData(settingsStore, 'appData');
+            this.loadFailed = false;
+            // What is stored now is the baseline for the next incremental save
+            this.savedBoards = new Map(records.map(record => [record.id, JSON.stringify(record)]));
+            this.savedMeta = metadata ? JSON.stringify(metadata) : null;
+
+            // Older saves kept trashed boards in the metadata; the next save gives them records
+            const trashedBoards = records.filter(record => record.trashed).map(fromTrashRecord)
+                .concat(metadata?.trashedBoards || []);
 
             return {
-                boards: boards || [],
+                boards: records.filter(record => !record.trashed),
                 currentBoardId: metadata?.currentBoardId || null,
-                filter: metadata?.filter || 'all'
+                filter: metadata?.filter || 'all',
+                trashedBoards,
+                boardTemplates: metadata?.boardTemplates || [],
+                taskTemplates: metadata?.taskTemplates || []
             };
         } catch (error) {
             console.error('Load failed:', error);
-            return {
-                boards: [],
-                currentBoardId: null,
-                filter: 'all'
-            };
+            this.loadFailed = true;
+            throw error;
         }
     }
 
@@ -131,13 +672,21 @@ class SimpleStorage {
      * Clear all data
      */
     async clear() {
+        // Drop unwritten edits and let a running write finish first
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        this.pendingData = null;
+        this.pendingSince = null;
+        await this.writing.catch(() => {});
+
         await this.ensureInitialized();
 
         try {
-            const transaction = this.db.transaction(['boards', 'settings'], 'readwrite');
-            await this.clearStore(transaction.objectStore('boards'));
-            await this.clearStore(transaction.objectStore('settings'));
-            await this.waitForTransaction(transaction);
+            await this.adapter.clear();
+            this.savedBoards = new Map();
+            this.savedMeta = null;
+            this.encryptionHeader = null;
+            this.encryptionKey = null;
         } catch (error) {
             console.error('Clear failed:', error);
             throw error;
@@ -149,8 +698,10 @@ class SimpleStorage {
      */
     async getStorageInfo() {
         return {
-            type: 'IndexedDB',
-            available: !!window.indexedDB,
+            type: this.adapter ? this.adapter.type : 'IndexedDB',
+            available: !!this.adapter || !!window.indexedDB,
+            persistent: this.isPersistent(),
+            encrypted: this.isEncrypted(),
             initialized: this.isInitialized,
             database: this.dbName,
             version: this.version
@@ -163,45 +714,6 @@ class SimpleStorage {
             await this.init();
         }
     }
-
-    putData(store, data) {
-        return new Promise((resolve, reject) => {
-            const request = store.put(data);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('Put operation failed'));
-        });
-    }
-
-    getData(store, key) {
-        return new Promise((resolve, reject) => {
-            const request = store.get(key);
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('Get operation failed'));
-        });
-    }
-
-    getAllData(store) {
-        return new Promise((resolve, reject) => {
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(new Error('GetAll operation failed'));
-        });
-    }
-
-    clearStore(store) {
-        return new Promise((resolve, reject) => {
-            const request = store.clear();
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(new Error('Clear operation failed'));
-        });
-    }
-
-    waitForTransaction(transaction) {
-        return new Promise((resolve, reject) => {
-            transaction.oncomplete = () => resolve();
-            transaction.onerror = () => reject(new Error('Transaction failed'));
-        });
-    }
 }
 
 // Export singleton instance
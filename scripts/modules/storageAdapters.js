@@ -0,0 +1,512 @@
+/**
+ * Storage Adapters
+ * Backends SimpleStorage keeps its records in: boards by ID plus one metadata record.
+ *
+ * Every adapter has a `type` name, a `persistent` flag telling whether data
+ * survives a reload, and these methods:
+ * - open(): connect and migrate stored data, throwing if the backend is unusable;
+ *   errors marked `unavailable` mean this browser blocks the backend, so
+ *   SimpleStorage tries the next one, while other errors mean stored data may be
+ *   there and must not be hidden behind another backend
+ * - read(): resolve to { boards, metadata }
+ * - write({ boards, deletedBoardIds, metadata }): put boards, delete boards and
+ *   replace the metadata when one is given
+ * - clear(): remove every record
+ * Adapters that migrated data on open set `migrationResult` (see runMigrations()),
+ * and adapters that keep backups also have getBackups() and clearBackups().
+ */
+
+import { MIGRATIONS, getLatestVersion, getPendingMigrations, applyMigrations } from './migrations.js';
+
+/**
+ * Mark an error as meaning the backend cannot be used in this browser
+ * @param {Error} error - Error from opening the backend
+ * @returns {Error} The same error
+ */
+function unavailable(error) {
+    error.unavailable = true;
+    return error;
+}
+
+/**
+ * IndexedDB adapter, the default backend
+ * Each write is one transaction, so it is saved completely or not at all.
+ */
+export class IndexedDBAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.dbName - Database name
+     * @param {Array} options.migrations - Migration steps, defaults to MIGRATIONS
+     * @param {Function} options.onBlocked - Called while an upgrade waits for other tabs to close the database
+     * @param {Function} options.onVersionChange - Called after another tab's upgrade made this connection close
+     */
+    constructor(options = {}) {
+        this.type = 'IndexedDB';
+        this.persistent = true;
+        this.dbName = options.dbName || 'cascade-app';
+        this.migrations = options.migrations || MIGRATIONS;
+        this.version = getLatestVersion(this.migrations);
+        this.db = null;
+        this.maxBackups = 3; // pre-migration backups kept
+        this.migrationResult = null;
+        this.onBlocked = options.onBlocked || (() => {});
+        this.onVersionChange = options.onVersionChange || (() => {});
+    }
+
+    /**
+     * Open the database and bring stored records up to the current version
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            throw unavailable(new Error('IndexedDB not supported'));
+        }
+
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            // Private modes and sandboxed pages refuse IndexedDB with these
+            if (error && (error.name === 'SecurityError' || error.name === 'InvalidStateError')) {
+                throw unavailable(error);
+            }
+            throw error;
+        }
+        this.migrationResult = await this.runMigrations();
+    }
+
+    /**
+     * Open IndexedDB database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onerror = () => reject(request.error || new Error('Failed to open database'));
+            // Another tab still has an older version open; the upgrade waits for it to close
+            request.onblocked = () => this.onBlocked();
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade instead of blocking it
+                db.onversionchange = () => {
+                    db.close();
+                    this.onVersionChange();
+                };
+                resolve(db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const transaction = event.target.transaction;
+                const oldVersion = event.oldVersion || 0;
+
+                // Create boards store
+                if (!db.objectStoreNames.contains('boards')) {
+                    const boardStore = db.createObjectStore('boards', { keyPath: 'id' });
+                    boardStore.createIndex('name', 'name', { unique: false });
+                }
+
+                // Create settings store
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+
+                getPendingMigrations(oldVersion, this.version, this.migrations).forEach(step => {
+                    if (typeof step.upgradeSchema === 'function') {
+                        step.upgradeSchema(db, transaction);
+                    }
+                });
+
+                // Records keep their old format until runMigrations() transforms them
+                const settingsStore = transaction.objectStore('settings');
+                if (oldVersion === 0) {
+                    settingsStore.put({ key: 'schema', version: this.version });
+                } else {
+                    const schemaRequest = settingsStore.get('schema');
+                    schemaRequest.onsuccess = () => {
+                        if (!schemaRequest.result) {
+                            settingsStore.put({ key: 'schema', version: oldVersion });
+                        }
+                    };
+                }
+            };
+        });
+    }
+
+    /**
+     * Bring stored records up to the current schema version
+     * Backs up the records first and writes the migrated records in one
+     * transaction, so a failure leaves the stored data as it was.
+     * @returns {Promise<Object|null>} { fromVersion, toVersion, applied, backupId, error }, or null if already current
+     */
+    async runMigrations() {
+        const readTransaction = this.db.transaction(['boards', 'settings'], 'readonly');
+        const settingsStore = readTransaction.objectStore('settings');
+        const schema = await this.getData(settingsStore, 'schema');
+        const fromVersion = schema ? schema.version : this.version; // Cleared databases hold no old records
+
+        if (fromVersion >= this.version) {
+            return null;
+        }
+
+        const result = { fromVersion, toVersion: this.version, applied: [], backupId: null, error: null };
+
+        try {
+            const records = {
+                boards: (await this.getAllData(readTransaction.objectStore('boards'))) || [],
+                metadata: (await this.getData(settingsStore, 'appData')) || null
+            };
+
+            result.backupId = await this.createBackup(records, fromVersion);
+
+            const migrated = applyMigrations(records, fromVersion, this.version, this.migrations);
+
+            const transaction = this.db.transaction(['boards', 'settings'], 'readwrite');
+            const boardStore = transaction.objectStore('boards');
+            boardStore.clear();
+            migrated.records.boards.forEach(board => boardStore.put(board));
+            if (migrated.records.metadata) {
+                transaction.objectStore('settings').put(migrated.records.metadata);
+            }
+            transaction.objectStore('settings').put({ key: 'schema', version: this.version });
+            await this.waitForTransaction(transaction);
+
+            result.applied = migrated.applied;
+            console.log(`Migrated data from version ${fromVersion} to ${this.version}:`, result.applied);
+        } catch (error) {
+            console.error('Migration failed:', error);
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Store a copy of the records before they are migrated
+     * Only the newest maxBackups backups are kept.
+     * @param {Object} records - { boards, metadata } as stored
+     * @param {number} fromVersion - Version the records are at
+     * @returns {Promise<string>} Backup ID
+     */
+    async createBackup(records, fromVersion) {
+        if (!this.db.objectStoreNames.contains('backups')) {
+            throw new Error('Backups store is missing, data was not migrated');
+        }
+
+        const backup = {
+            id: `backup-v${fromVersion}-${Date.now()}`,
+            fromVersion,
+            toVersion: this.version,
+            createdDate: new Date().toISOString(),
+            boards: records.boards,
+            metadata: records.metadata
+        };
+
+        const transaction = this.db.transaction(['backups'], 'readwrite');
+        const backupStore = transaction.objectStore('backups');
+        backupStore.put(backup);
+        const older = (await this.getAllData(backupStore))
+            .filter(existing => existing.id !== backup.id)
+            .sort((a, b) => b.createdDate.localeCompare(a.createdDate));
+        older.slice(this.maxBackups - 1).forEach(existing => backupStore.delete(existing.id));
+        await this.waitForTransaction(transaction);
+
+        return backup.id;
+    }
+
+    /**
+     * Get pre-migration backups
+     * @returns {Promise<Array>} Backups, newest first
+     */
+    async getBackups() {
+        if (!this.db.objectStoreNames.contains('backups')) {
+            return [];
+        }
+
+        const transaction = this.db.transaction(['backups'], 'readonly');
+        const backups = await this.getAllData(transaction.objectStore('backups'));
+        return (backups || []).sort((a, b) => b.createdDate.localeCompare(a.createdDate));
+    }
+
+    /**
+     * Remove pre-migration backups
+     */
+    async clearBackups() {
+        if (!this.db.objectStoreNames.contains('backups')) return;
+
+        const transaction = this.db.transaction(['backups'], 'readwrite');
+        transaction.objectStore('backups').clear();
+        await this.waitForTransaction(transaction);
+    }
+
+    /**
+     * Read all boards and the metadata
+     * @returns {Promise<Object>} { boards, metadata }
+     */
+    async read() {
+        const transaction = this.db.transaction(['boards', 'settings'], 'readonly');
+        const boards = await this.getAllData(transaction.objectStore('boards'));
+        const metadata = await this.getData(transaction.objectStore('settings'), 'appData');
+        return { boards: boards || [], metadata: metadata || null };
+    }
+
+    /**
+     * Write changed records in one transaction
+     * @param {Object} changes - { boards, deletedBoardIds, metadata }
+     */
+    async write(changes) {
+        const transaction = this.db.transaction(['boards', 'settings'], 'readwrite');
+        const boardStore = transaction.objectStore('boards');
+        changes.boards.forEach(board => boardStore.put(board));
+        changes.deletedBoardIds.forEach(id => boardStore.delete(id));
+        if (changes.metadata) {
+            transaction.objectStore('settings').put(changes.metadata);
+        }
+        await this.waitForTransaction(transaction);
+    }
+
+    /**
+     * Remove all records
+     * Backups hold copies of the boards, so they go too.
+     */
+    async clear() {
+        const storeNames = ['boards', 'settings', 'backups'].filter(name => this.db.objectStoreNames.contains(name));
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        storeNames.forEach(name => transaction.objectStore(name).clear());
+        await this.waitForTransaction(transaction);
+    }
+
+    // Helper methods
+    getData(store, key) {
+        return new Promise((resolve, reject) => {
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Get operation failed'));
+        });
+    }
+
+    getAllData(store) {
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('GetAll operation failed'));
+        });
+    }
+
+    waitForTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error || new Error('Transaction failed'));
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+/**
+ * localStorage adapter, for browsers that block IndexedDB
+ * Each board is its own key, so a write only replaces the boards that changed.
+ * A write that runs out of quota part way can leave some boards unsaved.
+ */
+export class LocalStorageAdapter {
+    /**
+     * @param {Object} options - Adapter options
+     * @param {string} options.prefix - Prefix of every key the adapter uses
+     * @param {Array} options.migrations - Migration steps, defaults to MIGRATIONS
+     */
+    constructor(options = {}) {
+        this.type = 'localStorage';
+        this.persistent = true;
+        this.prefix = options.prefix || 'cascade-app:';
+        this.migrations = options.migrations || MIGRATIONS;
+        this.version = getLatestVersion(this.migrations);
+        this.storage = null;
+        this.migrationResult = null;
+    }
+
+    /**
+     * Check that localStorage can be written and migrate stored records
+     */
+    async open() {
+        let storage = null;
+        try {
+            storage = typeof window !== 'undefined' ? window.localStorage : null;
+            if (!storage) {
+                throw new Error('localStorage not supported');
+            }
+
+            // Some private modes expose localStorage but refuse writes
+            const probe = `${this.prefix}probe`;
+            storage.setItem(probe, '1');
+            storage.removeItem(probe);
+        } catch (error) {
+            throw unavailable(error);
+        }
+        this.storage = storage;
+
+        const schema = this.getItem('schema');
+        if (!schema) {
+            this.setItem('schema', { version: this.version });
+        } else if (schema.version < this.version) {
+            this.migrationResult = await this.runMigrations(schema.version);
+        }
+    }
+
+    /**
+     * Bring stored records up to the current schema version
+     * The records are copied to a backup key first.
+     * @param {number} fromVersion - Version the records are at
+     * @returns {Promise<Object>} { fromVersion, toVersion, applied, backupId, error }
+     */
+    async runMigrations(fromVersion) {
+        const result = { fromVersion, toVersion: this.version, applied: [], backupId: null, error: null };
+
+        try {
+            const records = await this.read();
+            result.backupId = `backup-v${fromVersion}-${Date.now()}`;
+            this.setItem('backup', {
+                id: result.backupId,
+                fromVersion,
+                toVersion: this.version,
+                createdDate: new Date().toISOString(),
+                boards: records.boards,
+                metadata: records.metadata
+            });
+
+            const migrated = applyMigrations(records, fromVersion, this.version, this.migrations);
+            await this.write({
+                boards: migrated.records.boards,
+                deletedBoardIds: records.boards
+                    .map(board => board.id)
+                    .filter(id => !migrated.records.boards.some(board => board.id === id)),
+                metadata: migrated.records.metadata
+            });
+            this.setItem('schema', { version: this.version });
+            result.applied = migrated.applied;
+        } catch (error) {
+            console.error('Migration failed:', error);
+            result.error = error.message;
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the pre-migration backup, if any
+     * @returns {Promise<Array>} Backups, newest first
+     */
+    async getBackups() {
+        const backup = this.getItem('backup');
+        return backup ? [backup] : [];
+    }
+
+    /**
+     * Remove the pre-migration backup
+     */
+    async clearBackups() {
+        this.storage.removeItem(`${this.prefix}backup`);
+    }
+
+    /**
+     * Read all boards and the metadata
+     * @returns {Promise<Object>} { boards, metadata }
+     */
+    async read() {
+        const ids = this.getItem('boardIds') || [];
+        return {
+            boards: ids.map(id => this.getItem(`board:${id}`)).filter(Boolean),
+            metadata: this.getItem('appData')
+        };
+    }
+
+    /**
+     * Write changed records
+     * @param {Object} changes - { boards, deletedBoardIds, metadata }
+     */
+    async write(changes) {
+        const ids = (this.getItem('boardIds') || []).filter(id => !changes.deletedBoardIds.includes(id));
+
+        changes.boards.forEach(board => {
+            this.setItem(`board:${board.id}`, board);
+            if (!ids.includes(board.id)) {
+                ids.push(board.id);
+            }
+        });
+        changes.deletedBoardIds.forEach(id => this.storage.removeItem(`${this.prefix}board:${id}`));
+        this.setItem('boardIds', ids);
+
+        if (changes.metadata) {
+            this.setItem('appData', changes.metadata);
+        }
+    }
+
+    /**
+     * Remove every key the adapter wrote
+     */
+    async clear() {
+        const keys = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (key && key.indexOf(this.prefix) === 0) {
+                keys.push(key);
+            }
+        }
+        keys.forEach(key => this.storage.removeItem(key));
+    }
+
+    // Helper methods
+    getItem(name) {
+        const value = this.storage.getItem(`${this.prefix}${name}`);
+        return value ? JSON.parse(value) : null;
+    }
+
+    setItem(name, value) {
+        this.storage.setItem(`${this.prefix}${name}`, JSON.stringify(value));
+    }
+}
+
+/**
+ * In-memory adapter, the last resort
+ * Works everywhere, but everything is lost when the page closes.
+ */
+export class MemoryAdapter {
+    constructor() {
+        this.type = 'memory';
+        this.persistent = false;
+        this.boards = new Map();
+        this.metadata = null;
+        this.migrationResult = null;
+    }
+
+    async open() {}
+
+    async read() {
+        return {
+            boards: Array.from(this.boards.values()).map(board => JSON.parse(JSON.stringify(board))),
+            metadata: this.metadata ? JSON.parse(JSON.stringify(this.metadata)) : null
+        };
+    }
+
+    async write(changes) {
+        changes.boards.forEach(board => this.boards.set(board.id, JSON.parse(JSON.stringify(board))));
+        changes.deletedBoardIds.forEach(id => this.boards.delete(id));
+        if (changes.metadata) {
+            this.metadata = JSON.parse(JSON.stringify(changes.metadata));
+        }
+    }
+
+    async clear() {
+        this.boards.clear();
+        this.metadata = null;
+    }
+}
+
+/**
+ * Create the adapters SimpleStorage tries, best first
+ * @param {Object} options - { dbName, migrations, onBlocked, onVersionChange } passed to persistent adapters
+ * @returns {Array} IndexedDB, localStorage and in-memory adapters
+ */
+export function createDefaultAdapters(options = {}) {
+    return [
+        new IndexedDBAdapter(options),
+        new LocalStorageAdapter(options),
+        new MemoryAdapter()
+    ];
+}
@@ -66,6 +66,20 @@ export function safeJSONParse(jsonString, defaultValue = null) {
     }
 }
 
+/**
+ * Escape HTML special characters, quotes included, so the result is safe in
+ * element content and in quoted attribute values
+ * @param {*} value - Value to escape; null and undefined become ''
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, (match) => {
+        const escapeMap = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return escapeMap[match];
+    });
+}
+
 /**
  * Debounce function to limit rapid function calls
  * @param {Function} func - Function to debounce
@@ -87,6 +101,318 @@ export function debounce(func, wait, immediate) {
     };
 }
 
+// Tasks due within this window are flagged as "due soon"
+const DUE_SOON_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a task's due date and optional due time into a local Date
+ * Dates without a time are due at the end of that day
+ * @param {string|null} dueDate - Due date in YYYY-MM-DD format
+ * @param {string|null} dueTime - Due time in HH:MM format
+ * @returns {Date|null} Due moment or null if no due date
+ */
+export function parseDueDateTime(dueDate, dueTime = null) {
+    if (!dueDate || typeof dueDate !== 'string') return null;
+    
+    const [year, month, day] = dueDate.split('-').map(Number);
+    if (dueTime) {
+        const [hours, minutes] = dueTime.split(':').map(Number);
+        return new Date(year, month - 1, day, hours, minutes);
+    }
+    return new Date(year, month - 1, day, 23, 59, 59, 999);
+}
+
+/**
+ * Determine whether a task is overdue or due soon
+ * Completed tasks are never flagged
+ * @param {Object} task - Task or plain task data with dueDate, dueTime and status
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {string|null} 'overdue', 'due-soon' or null
+ */
+export function getDueState(task, now = new Date()) {
+    if (!task || task.status === 'done') return null;
+    
+    const due = parseDueDateTime(task.dueDate, task.dueTime);
+    if (!due || isNaN(due.getTime())) return null;
+    
+    const remaining = due.getTime() - now.getTime();
+    if (remaining < 0) return 'overdue';
+    if (remaining <= DUE_SOON_WINDOW_MS) return 'due-soon';
+    return null;
+}
+
+/**
+ * Format a due date (and optional time) for display on task cards
+ * @param {string|null} dueDate - Due date in YYYY-MM-DD format
+ * @param {string|null} dueTime - Due time in HH:MM format
+ * @returns {string} Formatted due label or empty string
+ */
+export function formatDueDate(dueDate, dueTime = null) {
+    const due = parseDueDateTime(dueDate, dueTime);
+    if (!due || isNaN(due.getTime())) return '';
+    
+    const options = { month: 'short', day: 'numeric', year: 'numeric' };
+    if (dueTime) {
+        options.hour = 'numeric';
+        options.minute = '2-digit';
+    }
+    return new Intl.DateTimeFormat('en-US', options).format(due);
+}
+
+/**
+ * Parse tags from a comma-separated string or array
+ * Trims whitespace and drops empty and duplicate (case-insensitive) tags
+ * @param {string|Array<string>} input - Tags to parse
+ * @returns {Array<string>} Normalized tags
+ */
+export function parseTags(input) {
+    const rawTags = Array.isArray(input) ? input : String(input || '').split(',');
+    const seen = new Set();
+    
+    return rawTags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD key
+ * @param {Date} date - Date to format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function toDateKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Calculate the next date a recurrence rule fires, strictly after a given day
+ * Monthly rules on days a month does not have (e.g. the 31st) fall on its last day
+ * @param {Object} recurrence - Rule: { type: 'daily' | 'weekly' | 'monthly' | 'interval', weekdays, dayOfMonth, days }
+ * @param {Date} after - Day to start from (time of day is ignored)
+ * @returns {string|null} Next occurrence in YYYY-MM-DD format, or null for an unknown rule
+ */
+export function getNextOccurrenceDate(recurrence, after = new Date()) {
+    if (!recurrence) return null;
+    
+    const start = new Date(after.getFullYear(), after.getMonth(), after.getDate());
+    const addDays = (days) => new Date(start.getFullYear(), start.getMonth(), start.getDate() + days);
+    
+    switch (recurrence.type) {
+        case 'daily':
+            return toDateKey(addDays(1));
+        case 'interval':
+            return toDateKey(addDays(recurrence.days));
+        case 'weekly': {
+            for (let offset = 1; offset <= 7; offset++) {
+                const candidate = addDays(offset);
+                if (recurrence.weekdays.includes(candidate.getDay())) {
+                    return toDateKey(candidate);
+                }
+            }
+            return null;
+        }
+        case 'monthly': {
+            const dayInMonth = (year, month) => {
+                const lastDay = new Date(year, month + 1, 0).getDate();
+                return new Date(year, month, Math.min(recurrence.dayOfMonth, lastDay));
+            };
+            let candidate = dayInMonth(start.getFullYear(), start.getMonth());
+            if (candidate <= start) {
+                candidate = dayInMonth(start.getFullYear(), start.getMonth() + 1);
+            }
+            return toDateKey(candidate);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Describe a recurrence rule for display on task cards
+ * @param {Object} recurrence - Recurrence rule
+ * @returns {string} Human readable description or empty string
+ */
+export function describeRecurrence(recurrence) {
+    if (!recurrence) return '';
+    
+    const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    
+    switch (recurrence.type) {
+        case 'daily':
+            return 'Daily';
+        case 'weekly':
+            return `Weekly on ${recurrence.weekdays.map(day => weekdayNames[day]).join(', ')}`;
+        case 'monthly':
+            return `Monthly on day ${recurrence.dayOfMonth}`;
+        case 'interval':
+            return recurrence.days === 1 ? 'Every day' : `Every ${recurrence.days} days`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Sum the time recorded in a task's time entries
+ * A running entry (no end) counts up to now
+ * @param {Array<Object>} timeEntries - Entries: { start, end } ISO timestamps
+ * @param {Date} now - Reference time (defaults to current time)
+ * @returns {number} Tracked time in milliseconds
+ */
+export function getTrackedTime(timeEntries, now = new Date()) {
+    if (!Array.isArray(timeEntries)) return 0;
+    
+    return timeEntries.reduce((total, entry) => {
+        const start = new Date(entry.start).getTime();
+        const end = entry.end ? new Date(entry.end).getTime() : now.getTime();
+        return isNaN(start) || isNaN(end) || end < start ? total : total + (end - start);
+    }, 0);
+}
+
+/**
+ * Format a duration for display, e.g. "45m", "2h 5m" or "3d 4h"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+    const totalMinutes = Math.floor(Math.max(0, ms) / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    
+    if (days > 0) return `${days}d ${hours}h`;
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+/**
+ * Start or stop the timer to follow a status change
+ * Entering "doing" opens a time entry, leaving it closes the running one
+ * @param {Array<Object>} timeEntries - Current time entries
+ * @param {string} oldStatus - Status before the move
+ * @param {string} newStatus - Status after the move
+ * @param {Date} now - Time of the move (defaults to current time)
+ * @returns {Array<Object>} Updated copy of the time entries
+ */
+export function updateTimeEntriesForStatus(timeEntries, oldStatus, newStatus, now = new Date()) {
+    const entries = (timeEntries || []).map(entry => ({ ...entry }));
+    const running = entries.find(entry => !entry.end);
+    
+    if (newStatus === 'doing' && oldStatus !== 'doing' && !running) {
+        entries.push({ start: now.toISOString(), end: null });
+    } else if (oldStatus === 'doing' && newStatus !== 'doing' && running) {
+        running.end = now.toISOString();
+    }
+    
+    return entries;
+}
+
+/**
+ * Get the tasks that still block a task (listed in its blockedBy and not done)
+ * Blocker IDs that are not in the given task list are ignored
+ * @param {Object} task - Task or plain task data with blockedBy
+ * @param {Array<Object>} tasks - Tasks to resolve blocker IDs against
+ * @returns {Array<Object>} Open blocking tasks
+ */
+export function getOpenBlockers(task, tasks = []) {
+    if (!task || !Array.isArray(task.blockedBy) || task.blockedBy.length === 0) return [];
+    
+    return task.blockedBy
+        .map(id => tasks.find(t => t.id === id))
+        .filter(blocker => blocker && blocker.status !== 'done');
+}
+
+/**
+ * Get the board column a task is shown in
+ * Falls back to the first column for the task's status when the task has no
+ * column or its column was removed or belongs to another status
+ * @param {Object} task - Task or plain task data with status and columnId
+ * @param {Array<Object>} columns - Board columns in display order
+ * @returns {string|null} Column ID or null if no column matches
+ */
+export function getTaskColumnId(task, columns = []) {
+    const current = columns.find(column => column.id === task.columnId && column.status === task.status);
+    if (current) {
+        return current.id;
+    }
+    
+    const fallback = columns.find(column => column.status === task.status);
+    return fallback ? fallback.id : null;
+}
+
+// Digits used by task ranks, in sort order
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Get a rank that sorts between two ranks
+ * Ranks are base-36 fractions compared as plain strings, so a task can be
+ * placed between any two neighbours without renumbering the rest of the column.
+ * Ranks at either end step by one digit instead of halving the gap, so adding
+ * cards to the top or bottom keeps ranks short. Ranks never end in '0'.
+ * @param {string} before - Rank of the task above ('' for the start)
+ * @param {string} after - Rank of the task below ('' for the end)
+ * @returns {string} Rank strictly between before and after
+ */
+export function getRankBetween(before = '', after = '') {
+    before = before || '';
+    after = after || '';
+    if (after !== '' && before >= after) {
+        // Out-of-order neighbours: just place after 'before'
+        after = '';
+    }
+    
+    const atEnd = before !== '' && after === '';
+    const atStart = before === '' && after !== '';
+    let bounded = after !== '';
+    let rank = '';
+    
+    for (let i = 0; ; i++) {
+        const low = i < before.length ? RANK_DIGITS.indexOf(before[i]) : 0;
+        const high = bounded && i < after.length ? RANK_DIGITS.indexOf(after[i]) : RANK_DIGITS.length;
+        
+        if (high - low > 1) {
+            let digit = Math.floor((low + high) / 2);
+            if (atEnd) {
+                digit = low + 1;
+            } else if (atStart) {
+                digit = high - 1;
+            }
+            return rank + RANK_DIGITS[digit];
+        }
+        
+        rank += RANK_DIGITS[low];
+        if (high - low === 1) {
+            // The prefix is now below 'after', any suffix keeps it there
+            bounded = false;
+        }
+    }
+}
+
+/**
+ * Get the swimlane key of a task
+ * Tag lanes use the first tag (lowercased), priority lanes the priority and
+ * custom lanes the task's lane field. An empty string is the "no lane" lane.
+ * @param {Object} task - Task or plain task data
+ * @param {string} groupBy - 'tag', 'priority' or 'lane'
+ * @returns {string} Lane key
+ */
+export function getTaskLane(task, groupBy) {
+    switch (groupBy) {
+        case 'tag':
+            return task.tags && task.tags.length > 0 ? task.tags[0].trim().toLowerCase() : '';
+        case 'priority':
+            return task.priority || 'none';
+        case 'lane':
+            return task.lane ? task.lane.trim().toLowerCase() : '';
+        default:
+            return '';
+    }
+}
+
 /**
  * Model factory registry for dependency injection
  * Resolves circular dependencies between modules
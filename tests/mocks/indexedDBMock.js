@@ -1,46 +1,68 @@
 /**
  * IndexedDB Mock for Testing
  * Provides comprehensive IndexedDB mocking without localStorage dependencies
+ *
+ * Follows the IndexedDB request model: open() and store methods return request
+ * objects whose callbacks fire asynchronously, opening at a higher version fires
+ * onupgradeneeded with oldVersion and a versionchange transaction, and a
+ * transaction completes once its requests have settled.
  */
 
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
 export class MockIndexedDB {
     constructor() {
         this.databases = new Map();
         this.version = 1;
     }
 
-    open(name, version = 1) {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                if (!this.databases.has(name)) {
-                    this.databases.set(name, new MockDatabase(name, version));
-                    // Trigger upgrade needed
-                    request.triggerUpgradeNeeded();
-                }
-                
-                const db = this.databases.get(name);
-                request.triggerSuccess(db);
-                resolve(request);
-            }, 0);
+    open(name, version) {
+        const request = new MockDBRequest();
 
-            return request;
-        });
+        setTimeout(() => {
+            let db = this.databases.get(name);
+            const oldVersion = db ? db.version : 0;
+            const newVersion = version || oldVersion || 1;
+
+            if (newVersion < oldVersion) {
+                request.triggerError(new Error('VersionError'));
+                return;
+            }
+
+            if (!db) {
+                db = new MockDatabase(name, newVersion);
+                this.databases.set(name, db);
+            }
+
+            request.result = db;
+            if (newVersion > oldVersion) {
+                // Success waits for the upgrade transaction, as in browsers
+                db.version = newVersion;
+                const transaction = new MockTransaction(db, Array.from(db.stores.keys()), 'versionchange');
+                transaction.oncomplete = () => {
+                    request.transaction = null;
+                    request.triggerSuccess(db);
+                };
+                request.transaction = transaction;
+                request.triggerUpgradeNeeded(oldVersion, newVersion);
+                return;
+            }
+
+            request.triggerSuccess(db);
+        }, 0);
+
+        return request;
     }
 
     deleteDatabase(name) {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                this.databases.delete(name);
-                request.triggerSuccess();
-                resolve(request);
-            }, 0);
-
-            return request;
-        });
+        const request = new MockDBRequest();
+
+        setTimeout(() => {
+            this.databases.delete(name);
+            request.triggerSuccess();
+        }, 0);
+
+        return request;
     }
 }
 
@@ -69,6 +91,11 @@ export class MockDatabase {
         if (typeof storeNames === 'string') {
             storeNames = [storeNames];
         }
+        storeNames.forEach(name => {
+            if (!this.objectStoreNames.contains(name)) {
+                throw new Error(`Object store '${name}' not found`);
+            }
+        });
         return new MockTransaction(this, storeNames, mode);
     }
 
@@ -86,6 +113,7 @@ export class MockObjectStore {
         this.data = new Map();
         this.indexes = new Map();
         this.nextKey = 1;
+        this.transaction = null; // Set on the views MockTransaction.objectStore() returns
     }
 
     createIndex(name, keyPath, options = {}) {
@@ -100,82 +128,69 @@ export class MockObjectStore {
         this.indexNames.remove(name);
     }
 
+    request(operation, writes = false) {
+        const request = new MockDBRequest();
+        const transaction = this.transaction;
+
+        if (writes && transaction && transaction.mode === 'readonly') {
+            throw new Error('ReadOnlyError');
+        }
+        if (transaction) {
+            transaction.pending++;
+        }
+
+        setTimeout(() => {
+            if (transaction && transaction.aborted) {
+                return;
+            }
+            if (transaction && transaction.failure) {
+                request.triggerError(transaction.failure);
+                transaction.abort(transaction.failure);
+                return;
+            }
+            request.triggerSuccess(operation());
+            if (transaction) {
+                transaction.pending--;
+                transaction.scheduleComplete();
+            }
+        }, 0);
+
+        return request;
+    }
+
     put(value, key) {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                let finalKey = key;
-                
-                if (this.keyPath && typeof value === 'object') {
-                    finalKey = value[this.keyPath];
-                } else if (!finalKey && this.autoIncrement) {
-                    finalKey = this.nextKey++;
-                }
+        return this.request(() => {
+            let finalKey = key;
 
-                this.data.set(finalKey, value);
-                request.triggerSuccess(finalKey);
-                resolve(request);
-            }, 0);
+            if (this.keyPath && typeof value === 'object') {
+                finalKey = value[this.keyPath];
+            } else if (!finalKey && this.autoIncrement) {
+                finalKey = this.nextKey++;
+            }
 
-            return request;
-        });
+            this.data.set(finalKey, clone(value));
+            return finalKey;
+        }, true);
     }
 
     get(key) {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                const value = this.data.get(key);
-                request.triggerSuccess(value);
-                resolve(request);
-            }, 0);
-
-            return request;
-        });
+        return this.request(() => clone(this.data.get(key)));
     }
 
     getAll() {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                const values = Array.from(this.data.values());
-                request.triggerSuccess(values);
-                resolve(request);
-            }, 0);
-
-            return request;
-        });
+        return this.request(() => Array.from(this.data.values()).map(clone));
     }
 
     delete(key) {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                const deleted = this.data.delete(key);
-                request.triggerSuccess(deleted);
-                resolve(request);
-            }, 0);
-
-            return request;
-        });
+        return this.request(() => {
+            this.data.delete(key);
+        }, true);
     }
 
     clear() {
-        return new Promise((resolve) => {
-            const request = new MockDBRequest();
-            
-            setTimeout(() => {
-                this.data.clear();
-                request.triggerSuccess();
-                resolve(request);
-            }, 0);
-
-            return request;
-        });
+        return this.request(() => {
+            this.data.clear();
+        }, true);
     }
 }
 
@@ -186,13 +201,35 @@ export class MockTransaction {
         this.mode = mode;
         this.completed = false;
         this.aborted = false;
+        this.error = null;
+        this.failure = null; // Set with failWith() to make the next request fail
+        this.pending = 0;
         this.oncomplete = null;
         this.onerror = null;
         this.onabort = null;
 
-        // Auto-complete after current execution context
+        // Transactions without requests complete after the current execution context
+        this.scheduleComplete();
+    }
+
+    objectStore(name) {
+        if (this.mode !== 'versionchange' && !this.objectStoreNames.contains(name)) {
+            throw new Error(`Object store '${name}' not found`);
+        }
+        const store = this.db.stores.get(name);
+        if (!store) {
+            throw new Error(`Object store '${name}' not found`);
+        }
+        // Each transaction gets its own view of the shared store
+        const view = Object.create(store);
+        view.transaction = this;
+        return view;
+    }
+
+    scheduleComplete() {
+        // Requests made from success callbacks keep the transaction open
         setTimeout(() => {
-            if (!this.aborted && !this.completed) {
+            if (this.pending === 0 && !this.aborted && !this.completed) {
                 this.completed = true;
                 if (this.oncomplete) {
                     this.oncomplete();
@@ -201,17 +238,19 @@ export class MockTransaction {
         }, 0);
     }
 
-    objectStore(name) {
-        if (!this.objectStoreNames.contains(name)) {
-            throw new Error(`Object store '${name}' not found`);
-        }
-        return this.db.stores.get(name);
+    failWith(error) {
+        this.failure = error;
     }
 
-    abort() {
+    abort(error = null) {
+        if (this.aborted || this.completed) return;
         this.aborted = true;
+        this.error = error;
+        if (error && this.onerror) {
+            this.onerror({ target: this, type: 'error' });
+        }
         if (this.onabort) {
-            this.onabort();
+            this.onabort({ target: this, type: 'abort' });
         }
     }
 }
@@ -230,8 +269,10 @@ export class MockDBRequest {
         this.result = undefined;
         this.error = null;
         this.readyState = 'pending';
+        this.transaction = null;
         this.onsuccess = null;
         this.onerror = null;
+        this.onupgradeneeded = null;
     }
 
     triggerSuccess(result) {
@@ -252,9 +293,9 @@ export class MockDBRequest {
         }
     }
 
-    triggerUpgradeNeeded() {
+    triggerUpgradeNeeded(oldVersion = 0, newVersion = 1) {
         if (this.onupgradeneeded) {
-            const event = { target: this, type: 'upgradeneeded' };
+            const event = { target: this, type: 'upgradeneeded', oldVersion, newVersion };
             this.onupgradeneeded(event);
         }
     }
@@ -297,7 +338,7 @@ export class MockDOMStringList {
 // Setup function for tests
 export function setupIndexedDBMock() {
     const mockIDB = new MockIndexedDB();
-    
+
     global.indexedDB = mockIDB;
     global.IDBKeyRange = {
         bound: (lower, upper, lowerOpen, upperOpen) => ({ lower, upper, lowerOpen, upperOpen }),
@@ -336,4 +377,4 @@ export function createTestData() {
         currentBoardId: 'test-board-1',
         filter: 'all'
     };
-}
\ No newline at end of file
+}
@@ -131,4 +131,126 @@ describe('DOM Manager', () => {
         expect(handler).not.toHaveBeenCalled();
     });
   });
-});
\ No newline at end of file
+
+  describe('Task Detail View', () => {
+    afterEach(() => {
+        domManager.closeTaskDetail();
+    });
+
+    test('should render the checklist with progress', () => {
+        domManager.showTaskDetail({
+            id: 'task-1',
+            text: 'Plan launch',
+            checklist: [
+                { id: 'item-1', text: 'Write copy', done: true },
+                { id: 'item-2', text: 'Book venue', done: false }
+            ]
+        });
+
+        const modal = document.getElementById('task-detail-modal');
+        expect(modal).not.toBeNull();
+        expect(modal.querySelectorAll('.task-checklist__item')).toHaveLength(2);
+        expect(modal.querySelector('.task-checklist__progress').textContent).toBe('1/2 done');
+    });
+
+    test('should emit the edited checklist on save', () => {
+        domManager.showTaskDetail({ id: 'task-1', text: 'Plan launch', checklist: [] });
+
+        const modal = document.getElementById('task-detail-modal');
+        modal.querySelector('.task-checklist__add input').value = 'Send invites';
+        modal.querySelector('.task-checklist__add').dispatchEvent(new Event('submit', { cancelable: true }));
+        modal.querySelector('.task-detail__footer .btn-primary').click();
+
+        expect(mockEventBus.emit).toHaveBeenCalledWith('task:details:save', {
+            taskId: 'task-1',
+            updates: { notes: '', checklist: [expect.objectContaining({ text: 'Send invites', done: false })], blockedBy: [] }
+        });
+        expect(document.getElementById('task-detail-modal')).toBeNull();
+    });
+
+    test('should render notes as sanitized Markdown in the preview', () => {
+        domManager.showTaskDetail({ id: 'task-1', text: 'Plan launch', notes: '**Agenda** <img src=x onerror="alert(1)">', checklist: [] });
+
+        const preview = document.querySelector('#task-detail-modal .task-notes__preview');
+        expect(preview.querySelector('strong').textContent).toBe('Agenda');
+        expect(preview.querySelector('img')).toBeNull();
+
+        document.querySelector('#task-detail-modal .task-notes__toggle').click();
+        const editor = document.querySelector('#task-detail-modal .task-notes__editor');
+        editor.value = 'Updated notes';
+        editor.dispatchEvent(new Event('input'));
+        document.querySelector('#task-detail-modal .task-detail__footer .btn-primary').click();
+
+        expect(mockEventBus.emit).toHaveBeenCalledWith('task:details:save', {
+            taskId: 'task-1',
+            updates: { notes: 'Updated notes', checklist: [], blockedBy: [] }
+        });
+    });
+
+    test('should add blockers from the tasks on the board', () => {
+        const boardTasks = [
+            { id: 'task-1', text: 'Plan launch', status: 'todo' },
+            { id: 'task-2', text: 'Book venue', status: 'doing' }
+        ];
+        domManager.showTaskDetail({ ...boardTasks[0], checklist: [] }, boardTasks);
+
+        const modal = document.getElementById('task-detail-modal');
+        const select = modal.querySelector('.task-dependencies__add select');
+        expect(Array.from(select.options).map(option => option.value)).toEqual(['task-2']);
+
+        modal.querySelector('.task-dependencies__add').dispatchEvent(new Event('submit', { cancelable: true }));
+        expect(modal.querySelector('.task-dependencies__text').textContent).toBe('Book venue');
+
+        modal.querySelector('.task-detail__footer .btn-primary').click();
+        expect(mockEventBus.emit).toHaveBeenCalledWith('task:details:save', expect.objectContaining({
+            updates: expect.objectContaining({ blockedBy: ['task-2'] })
+        }));
+    });
+  });
+
+  describe('Task Template Picker', () => {
+    const templates = [
+      { id: 'tpl-1', name: 'Release checklist', text: 'Release vX.Y', notes: '', checklist: [], tags: [], priority: 'none' },
+      { id: 'tpl-2', name: 'Onboard new client', text: 'Onboard client', notes: '', checklist: [], tags: [], priority: 'none' }
+    ];
+
+    beforeEach(() => {
+      document.body.innerHTML = `
+        <form id="todo-form">
+          <input type="text" id="todo-input" />
+          <ul id="task-template-menu" hidden></ul>
+          <button type="button" id="task-template-btn"></button>
+        </form>
+      `;
+      domManager.initialized = false;
+      domManager.elements = {};
+      domManager.init();
+      domManager.setTaskTemplates(templates);
+    });
+
+    test('should list matching templates after typing a slash', () => {
+      const input = document.getElementById('todo-input');
+      input.value = '/onb';
+      input.dispatchEvent(new Event('input'));
+
+      const menu = document.getElementById('task-template-menu');
+      expect(menu.hidden).toBe(false);
+      expect(Array.from(menu.querySelectorAll('.task-template-menu__name')).map(el => el.textContent)).toEqual(['Onboard new client']);
+    });
+
+    test('should create the task from the picked template', () => {
+      const input = document.getElementById('todo-input');
+      input.value = '/rel';
+      input.dispatchEvent(new Event('input'));
+      input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', cancelable: true }));
+
+      expect(input.value).toBe('Release vX.Y');
+      expect(document.getElementById('task-template-menu').hidden).toBe(true);
+
+      input.value = 'Release v2.3';
+      document.getElementById('todo-form').dispatchEvent(new Event('submit', { cancelable: true }));
+
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:create', { text: 'Release v2.3', templateId: 'tpl-1' });
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for Encryption
+ * Tests passphrase-based encryption helpers and how SimpleStorage keeps
+ * encrypted records, using Node's Web Crypto with few PBKDF2 iterations.
+ */
+
+import { jest } from '@jest/globals';
+import { webcrypto } from 'node:crypto';
+
+const mockEventBus = {
+  emit: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn()
+};
+
+jest.unstable_mockModule('../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+const { SimpleStorage } = await import('../../scripts/modules/storage.js');
+const { LocalStorageAdapter } = await import('../../scripts/modules/storageAdapters.js');
+const {
+  createKey,
+  unlockKey,
+  encryptJSON,
+  decryptJSON,
+  encryptExport,
+  isEncryptedExport,
+  decryptExport
+} = await import('../../scripts/modules/encryption.js');
+
+const ITERATIONS = 1000;
+
+describe('Encryption', () => {
+  let originalCrypto;
+
+  beforeAll(() => {
+    originalCrypto = global.crypto;
+    global.crypto = webcrypto;
+  });
+
+  afterAll(() => {
+    global.crypto = originalCrypto;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  describe('helpers', () => {
+    test('should encrypt and decrypt with a key from the passphrase', async () => {
+      const { key, header } = await createKey('correct horse', ITERATIONS);
+      const payload = await encryptJSON(key, { name: 'Client A' });
+
+      expect(payload.data).not.toContain('Client A');
+      expect(header).toEqual(expect.objectContaining({ iterations: ITERATIONS, salt: expect.any(String) }));
+
+      const unlocked = await unlockKey(header, 'correct horse');
+      expect(await decryptJSON(unlocked, payload)).toEqual({ name: 'Client A' });
+    });
+
+    test('should reject a wrong or too short passphrase', async () => {
+      const { header } = await createKey('correct horse', ITERATIONS);
+
+      await expect(unlockKey(header, 'wrong horse')).rejects.toThrow('Incorrect passphrase');
+      await expect(createKey('short', ITERATIONS)).rejects.toThrow('at least 8 characters');
+    });
+
+    test('should round-trip encrypted export files', async () => {
+      const { key, header } = await createKey('correct horse', ITERATIONS);
+      const data = { version: '2.0.0', boards: [{ id: 'b', name: 'Clients', tasks: [] }] };
+
+      const file = JSON.parse(JSON.stringify(await encryptExport(data, key, header)));
+
+      expect(isEncryptedExport(file)).toBe(true);
+      expect(isEncryptedExport(data)).toBe(false);
+      expect(JSON.stringify(file)).not.toContain('Clients');
+      expect(await decryptExport(file, 'correct horse')).toEqual(data);
+      await expect(decryptExport(file, 'wrong horse')).rejects.toThrow('Incorrect passphrase');
+    });
+  });
+
+  describe('SimpleStorage', () => {
+    const data = {
+      boards: [{ id: 'board-1', name: 'Clients', tasks: [{ id: 'task-1', text: 'Call Client A' }] }],
+      currentBoardId: 'board-1',
+      filter: 'all'
+    };
+    const stored = () => JSON.stringify(Object.assign({}, localStorage));
+
+    const createStorage = () => {
+      const storage = new SimpleStorage({ adapters: [new LocalStorageAdapter()] });
+      storage.keyIterations = ITERATIONS;
+      return storage;
+    };
+
+    const createEncryptedStorage = async () => {
+      const storage = createStorage();
+      await storage.init();
+      await storage.save(data);
+      await storage.flush();
+      await storage.enableEncryption('correct horse', data);
+      return storage;
+    };
+
+    test('should rewrite stored records encrypted', async () => {
+      const storage = await createEncryptedStorage();
+
+      expect(storage.isEncrypted()).toBe(true);
+      expect(stored()).not.toContain('Client A');
+      expect(stored()).not.toContain('Clients');
+      expect(await storage.load()).toEqual(expect.objectContaining({ boards: data.boards, currentBoardId: 'board-1' }));
+    });
+
+    test('should stay locked until unlocked with the passphrase', async () => {
+      await createEncryptedStorage();
+
+      const storage = createStorage();
+      await storage.init();
+
+      expect(storage.isLocked()).toBe(true);
+      await expect(storage.load()).rejects.toThrow('Storage is locked');
+      await expect(storage.unlock('wrong horse')).rejects.toThrow('Incorrect passphrase');
+
+      await storage.unlock('correct horse');
+      expect(storage.isLocked()).toBe(false);
+      expect((await storage.load()).boards).toEqual(data.boards);
+    });
+
+    test('should encrypt later saves', async () => {
+      const storage = await createEncryptedStorage();
+      const edited = { ...data, boards: [{ ...data.boards[0], tasks: [{ id: 'task-2', text: 'Email Client B' }] }] };
+
+      await storage.save(edited);
+      await storage.flush();
+
+      expect(stored()).not.toContain('Client B');
+      expect((await storage.load()).boards).toEqual(edited.boards);
+    });
+
+    test('should change the passphrase', async () => {
+      const storage = await createEncryptedStorage();
+
+      await expect(storage.changePassphrase('wrong horse', 'battery staple', data)).rejects.toThrow('Incorrect passphrase');
+      await storage.changePassphrase('correct horse', 'battery staple', data);
+
+      const reopened = createStorage();
+      await reopened.init();
+      await expect(reopened.unlock('correct horse')).rejects.toThrow('Incorrect passphrase');
+      await reopened.unlock('battery staple');
+      expect((await reopened.load()).boards).toEqual(data.boards);
+    });
+
+    test('should store plaintext again when encryption is turned off', async () => {
+      const storage = await createEncryptedStorage();
+
+      await storage.disableEncryption('correct horse', data);
+
+      const reopened = createStorage();
+      await reopened.init();
+      expect(reopened.isEncrypted()).toBe(false);
+      expect(stored()).toContain('Client A');
+      expect((await reopened.load()).boards).toEqual(data.boards);
+    });
+
+    test('should refuse to save over data it could not decrypt', async () => {
+      await createEncryptedStorage();
+      const damaged = JSON.parse(localStorage.getItem('cascade-app:board:board-1'));
+      damaged.encrypted.data = damaged.encrypted.data.split('').reverse().join('');
+      localStorage.setItem('cascade-app:board:board-1', JSON.stringify(damaged));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const storage = createStorage();
+        await storage.init();
+        await storage.unlock('correct horse');
+
+        await expect(storage.load()).rejects.toThrow('Could not decrypt data');
+        await storage.save({ boards: [], currentBoardId: null });
+        await expect(storage.flush()).rejects.toThrow('could not be read');
+        expect(JSON.parse(localStorage.getItem('cascade-app:board:board-1'))).toEqual(damaged);
+      } finally {
+        console.error.mockRestore();
+      }
+    });
+
+    test('should encrypt exports with the stored passphrase', async () => {
+      const storage = await createEncryptedStorage();
+
+      const file = await storage.createEncryptedExport({ boards: data.boards });
+
+      expect(await decryptExport(file, 'correct horse')).toEqual({ boards: data.boards });
+    });
+  });
+});
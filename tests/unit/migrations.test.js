@@ -0,0 +1,201 @@
+/**
+ * Unit Tests for Schema Migrations
+ * Tests the migration registry and how SimpleStorage upgrades stored data,
+ * against the IndexedDB mock.
+ */
+
+import { jest } from '@jest/globals';
+import { setupIndexedDBMock } from '../mocks/indexedDBMock.js';
+
+const mockEventBus = {
+  emit: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn()
+};
+
+jest.unstable_mockModule('../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+const { SimpleStorage } = await import('../../scripts/modules/storage.js');
+const { MIGRATIONS, validateMigrations, getLatestVersion, applyMigrations } = await import('../../scripts/modules/migrations.js');
+
+describe('Schema migrations', () => {
+  let idb;
+
+  const legacyBoards = [
+    { id: 'board-1', name: 'Old board', tasks: [{ id: 'task-1', text: 'Old task', status: 'todo' }] },
+    {
+      id: 'board-2',
+      name: 'Columns board',
+      columns: [{ id: 'todo', name: 'To Do', status: 'todo' }, { id: 'done', name: 'Done', status: 'done' }],
+      tasks: []
+    }
+  ];
+  const legacyMetadata = { key: 'appData', currentBoardId: 'board-1', filter: 'all' };
+
+  // Writes data the way version 5 of the app stored it
+  const seedLegacyDatabase = () => new Promise((resolve, reject) => {
+    const request = idb.open('cascade-app', 5);
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      db.createObjectStore('boards', { keyPath: 'id' }).createIndex('name', 'name', { unique: false });
+      db.createObjectStore('settings', { keyPath: 'key' });
+    };
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const transaction = request.result.transaction(['boards', 'settings'], 'readwrite');
+      legacyBoards.forEach(board => transaction.objectStore('boards').put(board));
+      transaction.objectStore('settings').put(legacyMetadata);
+      transaction.oncomplete = () => resolve();
+    };
+  });
+
+  const storedData = (storeName) => Array.from(idb.databases.get('cascade-app').stores.get(storeName).data.values());
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idb = setupIndexedDBMock();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('should keep registry versions ascending', () => {
+    expect(() => validateMigrations(MIGRATIONS)).not.toThrow();
+    expect(() => validateMigrations([{ version: 7, description: 'b' }, { version: 6, description: 'a' }])).toThrow('ascending');
+    expect(() => validateMigrations([{ version: 6 }])).toThrow('needs a description');
+    expect(getLatestVersion()).toBe(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  test('should apply steps in order without changing the input', () => {
+    const records = { boards: [{ id: 'b', tasks: [] }], metadata: null };
+    const steps = [
+      { version: 6, description: 'first', migrate: ({ boards, metadata }) => ({ boards: boards.map(b => ({ ...b, trail: ['6'] })), metadata }) },
+      { version: 7, description: 'second', migrate: ({ boards, metadata }) => ({ boards: boards.map(b => ({ ...b, trail: [...b.trail, '7'] })), metadata }) },
+      { version: 8, description: 'third', migrate: () => ({ boards: [] }) }
+    ];
+
+    const result = applyMigrations(records, 5, 7, steps);
+
+    expect(result.records.boards[0].trail).toEqual(['6', '7']);
+    expect(result.applied.map(step => step.version)).toEqual([6, 7]);
+    expect(records.boards[0].trail).toBeUndefined();
+  });
+
+  test('should pass encrypted records through unchanged', () => {
+    const encryptedBoard = { id: 'secret', version: 5, encrypted: { iv: 'aXY=', data: 'ZGF0YQ==' } };
+    const metadata = { key: 'appData', version: 5, encryption: {}, encrypted: { iv: 'aXY=', data: 'ZGF0YQ==' } };
+    const migrate = jest.fn(({ boards, metadata: meta }) => ({ boards: boards.map(b => ({ ...b, migrated: true })), metadata: meta }));
+
+    const result = applyMigrations({ boards: [{ id: 'plain' }, encryptedBoard], metadata }, 5, 6, [{ version: 6, description: 'step', migrate }]);
+
+    expect(migrate).toHaveBeenCalledWith({ boards: [{ id: 'plain' }], metadata: null });
+    expect(result.records.boards).toEqual([{ id: 'plain', migrated: true }, encryptedBoard]);
+    expect(result.records.metadata).toEqual(metadata);
+  });
+
+  test('should open a new database at the latest version without migrating', async () => {
+    const storage = new SimpleStorage();
+    await storage.init();
+
+    expect(idb.databases.get('cascade-app').version).toBe(getLatestVersion());
+    expect(storedData('settings')).toEqual([{ key: 'schema', version: getLatestVersion() }]);
+    expect(storage.getMigrationResult()).toBeNull();
+  });
+
+  test('should back up and migrate data from version 5', async () => {
+    await seedLegacyDatabase();
+
+    const storage = new SimpleStorage();
+    await storage.init();
+    const result = storage.getMigrationResult();
+
+    expect(result).toEqual(expect.objectContaining({ fromVersion: 5, toVersion: 6, error: null }));
+    expect(result.applied).toEqual([{ version: 6, description: MIGRATIONS[0].description }]);
+    expect(mockEventBus.emit).toHaveBeenCalledWith('storage:migrated', result);
+
+    const data = await storage.load();
+    expect(data.boards.find(board => board.id === 'board-1').columns.map(column => column.id)).toEqual(['todo', 'doing', 'done']);
+    expect(data.boards.find(board => board.id === 'board-2').columns).toEqual(legacyBoards[1].columns);
+    expect(data.currentBoardId).toBe('board-1');
+
+    const backups = await storage.getBackups();
+    expect(backups).toHaveLength(1);
+    expect(backups[0]).toEqual(expect.objectContaining({ id: result.backupId, fromVersion: 5, toVersion: 6, boards: legacyBoards, metadata: legacyMetadata }));
+  });
+
+  test('should not migrate the same data twice', async () => {
+    await seedLegacyDatabase();
+    await new SimpleStorage().init();
+
+    const storage = new SimpleStorage();
+    await storage.init();
+
+    expect(storage.getMigrationResult()).toBeNull();
+    expect(await storage.getBackups()).toHaveLength(1);
+  });
+
+  test('should run every pending step of a custom registry', async () => {
+    await seedLegacyDatabase();
+    const migrations = [
+      MIGRATIONS[0],
+      {
+        version: 7,
+        description: 'Add an archive index',
+        upgradeSchema: (db, transaction) => transaction.objectStore('boards').createIndex('archived', 'archived'),
+        migrate: ({ boards, metadata }) => ({ boards: boards.map(board => ({ ...board, archived: false })), metadata })
+      },
+      {
+        version: 8,
+        description: 'Rename filter to taskFilter',
+        migrate: ({ boards, metadata }) => ({ boards, metadata: { ...metadata, taskFilter: metadata.filter } })
+      }
+    ];
+
+    const storage = new SimpleStorage({ migrations });
+    await storage.init();
+
+    expect(storage.getMigrationResult().applied.map(step => step.version)).toEqual([6, 7, 8]);
+    expect(idb.databases.get('cascade-app').stores.get('boards').indexNames.contains('archived')).toBe(true);
+    expect(storedData('boards').every(board => board.archived === false && board.columns)).toBe(true);
+    expect(storedData('settings')).toEqual(expect.arrayContaining([
+      expect.objectContaining({ key: 'appData', taskFilter: 'all' }),
+      { key: 'schema', version: 8 }
+    ]));
+  });
+
+  test('should leave stored data unchanged and report a failed step', async () => {
+    await seedLegacyDatabase();
+    const migrations = [
+      MIGRATIONS[0],
+      { version: 7, description: 'Broken step', migrate: () => { throw new Error('bad record'); } }
+    ];
+
+    const storage = new SimpleStorage({ migrations });
+    await storage.init();
+    const result = storage.getMigrationResult();
+
+    expect(result.error).toBe('Migration to version 7 failed: bad record');
+    expect(result.applied).toEqual([]);
+    expect(mockEventBus.emit).toHaveBeenCalledWith('storage:error', { operation: 'migrate', error: result.error });
+    expect(storedData('boards')).toEqual(legacyBoards);
+    expect(storedData('settings')).toEqual(expect.arrayContaining([{ key: 'schema', version: 5 }]));
+    expect(await storage.getBackups()).toHaveLength(1);
+  });
+
+  test('should clear backups with the rest of the data', async () => {
+    await seedLegacyDatabase();
+    const storage = new SimpleStorage();
+    await storage.init();
+
+    await storage.clear();
+
+    expect(await storage.getBackups()).toEqual([]);
+    expect(storedData('boards')).toEqual([]);
+  });
+});
@@ -4,7 +4,17 @@
  */
 
 import { jest } from '@jest/globals';
-import { Task, Board, Column, createTask, createBoard, createColumn } from 'scripts/modules/models.js';
+import {
+  Task,
+  Board,
+  Column,
+  createTask,
+  createBoard,
+  createColumn,
+  getBoardColumns,
+  TASK_PRIORITIES,
+  DEFAULT_COLUMNS
+} from 'scripts/modules/models.js';
 
 describe('Task Model', () => {
   describe('Constructor and Validation', () => {
@@ -166,6 +176,287 @@ describe('Task Model', () => {
       expect(task.text).toBe('Test task');
       expect(task.status).toBe('done');
     });
+
+    test('should round-trip due date and time through JSON', () => {
+      const task = new Task({ text: 'Due task', dueDate: '2024-03-15', dueTime: '09:30' });
+      const restored = Task.fromJSON(task.toJSON());
+
+      expect(task.toJSON()).toHaveProperty('dueDate', '2024-03-15');
+      expect(task.toJSON()).toHaveProperty('dueTime', '09:30');
+      expect(restored.dueDate).toBe('2024-03-15');
+      expect(restored.dueTime).toBe('09:30');
+    });
+  });
+
+  describe('Priority', () => {
+    test('should default priority to none', () => {
+      const task = new Task({ text: 'Test task' });
+
+      expect(task.priority).toBe('none');
+      expect(task.toJSON()).toHaveProperty('priority', 'none');
+    });
+
+    test('should accept all priority levels', () => {
+      TASK_PRIORITIES.forEach(priority => {
+        expect(new Task({ text: 'Test task', priority }).priority).toBe(priority);
+      });
+    });
+
+    test('should reject unknown priorities', () => {
+      expect(() => new Task({ text: 'Test task', priority: 'critical' })).toThrow('Task priority must be one of: none, low, medium, high, urgent');
+    });
+  });
+
+  describe('Tags', () => {
+    test('should default tags to an empty array', () => {
+      const task = new Task({ text: 'Test task' });
+
+      expect(task.tags).toEqual([]);
+      expect(task.toJSON()).toHaveProperty('tags', []);
+    });
+
+    test('should match tags case-insensitively', () => {
+      const task = new Task({ text: 'Test task', tags: ['Bug', 'client-x'] });
+
+      expect(task.hasTag('bug')).toBe(true);
+      expect(task.hasTag('errand')).toBe(false);
+    });
+
+    test('should reject invalid tags', () => {
+      expect(() => new Task({ text: 'Test', tags: 'bug' })).toThrow('Task tags must be an array');
+      expect(() => new Task({ text: 'Test', tags: ['  '] })).toThrow('Task tags must be non-empty strings');
+      expect(() => new Task({ text: 'Test', tags: ['a'.repeat(31)] })).toThrow('Task tag cannot exceed 30 characters');
+    });
+  });
+
+  describe('Checklist', () => {
+    test('should default to an empty checklist', () => {
+      const task = new Task({ text: 'Test task' });
+
+      expect(task.checklist).toEqual([]);
+      expect(task.getChecklistProgress()).toEqual({ done: 0, total: 0 });
+    });
+
+    test('should assign IDs to checklist items and report progress', () => {
+      const task = new Task({
+        text: 'Test task',
+        checklist: [{ text: 'First', done: true }, { text: 'Second', done: false }]
+      });
+
+      expect(task.checklist[0].id).toBeDefined();
+      expect(task.checklist[0].id).not.toBe(task.checklist[1].id);
+      expect(task.getChecklistProgress()).toEqual({ done: 1, total: 2 });
+    });
+
+    test('should keep checklist order through JSON', () => {
+      const task = new Task({
+        text: 'Test task',
+        checklist: [{ id: 'a', text: 'First', done: false }, { id: 'b', text: 'Second', done: true }]
+      });
+
+      const restored = Task.fromJSON(task.toJSON());
+
+      expect(restored.checklist.map(item => item.id)).toEqual(['a', 'b']);
+    });
+
+    test('should reject invalid checklist items', () => {
+      expect(() => new Task({ text: 'Test', checklist: [{ text: '', done: false }] })).toThrow('Checklist item text is required');
+      expect(() => new Task({ text: 'Test', checklist: [{ text: 'Item', done: 'yes' }] })).toThrow('Checklist item done flag must be a boolean');
+    });
+  });
+
+  describe('Notes', () => {
+    test('should default to empty notes and keep them through JSON', () => {
+      expect(new Task({ text: 'Test task' }).notes).toBe('');
+
+      const task = new Task({ text: 'Test task', notes: '# Plan\n- step one' });
+
+      expect(Task.fromJSON(task.toJSON()).notes).toBe('# Plan\n- step one');
+    });
+
+    test('should reject notes that are too long', () => {
+      expect(() => new Task({ text: 'Test', notes: 'a'.repeat(10001) })).toThrow('Task notes cannot exceed 10000 characters');
+    });
+  });
+
+  describe('Dependencies', () => {
+    test('should report open blockers from the board tasks', () => {
+      const blocker = new Task({ id: 'blocker', text: 'Blocker' });
+      const task = new Task({ text: 'Dependent', blockedBy: ['blocker', 'missing'] });
+
+      expect(task.isBlocked([blocker, task])).toBe(true);
+      expect(task.isBlocked([new Task({ id: 'blocker', text: 'Blocker', status: 'done' }), task])).toBe(false);
+      expect(Task.fromJSON(task.toJSON()).blockedBy).toEqual(['blocker', 'missing']);
+    });
+
+    test('should not allow a task to block itself', () => {
+      expect(() => new Task({ id: 'self', text: 'Test', blockedBy: ['self'] })).toThrow('Task cannot be blocked by itself');
+    });
+  });
+
+  describe('Recurrence', () => {
+    // Wednesday, 10 January 2024
+    const now = new Date(2024, 0, 10, 9, 0);
+
+    test('should validate recurrence rules', () => {
+      expect(() => new Task({ text: 'Test', recurrence: { type: 'yearly' } })).toThrow('Task recurrence type must be one of: daily, weekly, monthly, interval');
+      expect(() => new Task({ text: 'Test', recurrence: { type: 'weekly', weekdays: [] } })).toThrow('Weekly recurrence needs at least one weekday (0-6)');
+      expect(() => new Task({ text: 'Test', recurrence: { type: 'monthly', dayOfMonth: 32 } })).toThrow('Monthly recurrence day must be between 1 and 31');
+      expect(() => new Task({ text: 'Test', recurrence: { type: 'interval', days: 0 } })).toThrow('Recurrence interval must be between 1 and 365 days');
+    });
+
+    test('should schedule the next occurrence for each rule type', () => {
+      const nextDue = (recurrence, dueDate = null) => new Task({ text: 'Repeat', recurrence, dueDate }).createNextOccurrence(now).dueDate;
+
+      expect(nextDue({ type: 'daily' })).toBe('2024-01-11');
+      expect(nextDue({ type: 'weekly', weekdays: [1, 3] })).toBe('2024-01-15');
+      expect(nextDue({ type: 'monthly', dayOfMonth: 31 }, '2024-01-31')).toBe('2024-02-29');
+      expect(nextDue({ type: 'interval', days: 14 }, '2024-01-05')).toBe('2024-01-24');
+    });
+
+    test('should start the next occurrence fresh in To-Do', () => {
+      const task = new Task({
+        text: 'Weekly report',
+        status: 'done',
+        tags: ['reports'],
+        checklist: [{ text: 'Collect numbers', done: true }],
+        recurrence: { type: 'weekly', weekdays: [5] }
+      });
+
+      const next = task.createNextOccurrence(now);
+
+      expect(next.id).not.toBe(task.id);
+      expect(next.status).toBe('todo');
+      expect(next.tags).toEqual(['reports']);
+      expect(next.checklist[0].done).toBe(false);
+      expect(next.recurrence).toEqual({ type: 'weekly', weekdays: [5] });
+      expect(new Task({ text: 'One-off' }).createNextOccurrence(now)).toBeNull();
+    });
+  });
+
+  describe('Time Tracking', () => {
+    test('should add up stopped and running time entries', () => {
+      const task = new Task({
+        text: 'Test task',
+        timeEntries: [
+          { start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T09:45:00.000Z' },
+          { start: '2024-01-01T10:00:00.000Z', end: null }
+        ]
+      });
+
+      expect(task.isTimerRunning()).toBe(true);
+      expect(task.getTrackedTime(new Date('2024-01-01T10:30:00.000Z'))).toBe(75 * 60 * 1000);
+    });
+
+    test('should start and stop the timer', () => {
+      const started = new Task({ text: 'Test task' }).startTimer(new Date('2024-01-01T09:00:00.000Z'));
+      const stopped = started.stopTimer(new Date('2024-01-01T09:20:00.000Z'));
+
+      expect(started.isTimerRunning()).toBe(true);
+      expect(stopped.timeEntries).toEqual([{ start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T09:20:00.000Z' }]);
+      expect(stopped.getTrackedTime()).toBe(20 * 60 * 1000);
+    });
+
+    test('should follow start() and complete() with the timer', () => {
+      const started = new Task({ text: 'Test task' }).start();
+      const completed = started.complete();
+
+      expect(started.isTimerRunning()).toBe(true);
+      expect(completed.isTimerRunning()).toBe(false);
+      expect(completed.timeEntries).toHaveLength(1);
+    });
+
+    test('should reject a second running timer', () => {
+      expect(() => new Task({
+        text: 'Test task',
+        timeEntries: [{ start: '2024-01-01T09:00:00.000Z' }, { start: '2024-01-01T10:00:00.000Z' }]
+      })).toThrow('Task can only have one running timer');
+    });
+  });
+
+  describe('Status History', () => {
+    test('should record each status transition', () => {
+      const task = new Task({ text: 'Test task' }).start().complete();
+
+      expect(task.statusHistory.map(entry => [entry.from, entry.to])).toEqual([['todo', 'doing'], ['doing', 'done']]);
+      expect(Task.fromJSON(task.toJSON()).statusHistory).toHaveLength(2);
+    });
+
+    test('should calculate lead time, cycle time and time in status', () => {
+      const task = new Task({
+        text: 'Test task',
+        status: 'done',
+        createdDate: '2024-01-01T09:00:00.000Z',
+        completedDate: '2024-01-03T09:00:00.000Z',
+        statusHistory: [
+          { from: 'todo', to: 'doing', at: '2024-01-02T09:00:00.000Z' },
+          { from: 'doing', to: 'done', at: '2024-01-03T09:00:00.000Z' }
+        ]
+      });
+      const day = 24 * 60 * 60 * 1000;
+
+      expect(task.getLeadTime()).toBe(2 * day);
+      expect(task.getCycleTime()).toBe(day);
+      expect(task.getTimeInStatus(new Date('2024-01-04T09:00:00.000Z'))).toEqual({ todo: day, doing: day, done: day });
+    });
+
+    test('should not report lead or cycle time for unfinished tasks', () => {
+      const task = new Task({ text: 'Test task' }).start();
+
+      expect(task.getLeadTime()).toBeNull();
+      expect(task.getCycleTime()).toBeNull();
+    });
+  });
+
+  describe('Due Dates', () => {
+    test('should default due date and time to null', () => {
+      const task = new Task({ text: 'Test task' });
+
+      expect(task.dueDate).toBeNull();
+      expect(task.dueTime).toBeNull();
+      expect(task.getDueDateTime()).toBeNull();
+      expect(task.getDueState()).toBeNull();
+    });
+
+    test('should reject invalid due dates', () => {
+      expect(() => new Task({ text: 'Test', dueDate: '15/03/2024' })).toThrow('Task due date must be a valid date in YYYY-MM-DD format');
+      expect(() => new Task({ text: 'Test', dueDate: '2024-02-30' })).toThrow('Task due date must be a valid date in YYYY-MM-DD format');
+    });
+
+    test('should reject invalid due times', () => {
+      expect(() => new Task({ text: 'Test', dueDate: '2024-03-15', dueTime: '25:00' })).toThrow('Task due time must be in HH:MM format');
+      expect(() => new Task({ text: 'Test', dueTime: '09:30' })).toThrow('Task due time requires a due date');
+    });
+
+    test('should treat a date without time as due at the end of the day', () => {
+      const task = new Task({ text: 'Test', dueDate: '2024-03-15' });
+      const due = task.getDueDateTime();
+
+      expect(due.getDate()).toBe(15);
+      expect(due.getHours()).toBe(23);
+      expect(due.getMinutes()).toBe(59);
+    });
+
+    test('should flag overdue and due soon tasks', () => {
+      const now = new Date(2024, 2, 15, 12, 0);
+      const overdue = new Task({ text: 'Late', dueDate: '2024-03-15', dueTime: '08:00' });
+      const dueSoon = new Task({ text: 'Soon', dueDate: '2024-03-16', dueTime: '08:00' });
+      const later = new Task({ text: 'Later', dueDate: '2024-03-20' });
+
+      expect(overdue.isOverdue(now)).toBe(true);
+      expect(overdue.getDueState(now)).toBe('overdue');
+      expect(dueSoon.isDueSoon(now)).toBe(true);
+      expect(dueSoon.getDueState(now)).toBe('due-soon');
+      expect(later.getDueState(now)).toBeNull();
+    });
+
+    test('should never flag completed tasks', () => {
+      const now = new Date(2024, 2, 15, 12, 0);
+      const task = new Task({ text: 'Done', status: 'done', dueDate: '2024-03-01' });
+
+      expect(task.isOverdue(now)).toBe(false);
+      expect(task.getDueState(now)).toBeNull();
+    });
   });
 });
 
@@ -369,6 +660,137 @@ describe('Board Model', () => {
   });
 });
 
+describe('Board Labels', () => {
+  test('should default labels to an empty array', () => {
+    const board = new Board({ name: 'Test Board' });
+
+    expect(board.labels).toEqual([]);
+    expect(board.toJSON()).toHaveProperty('labels', []);
+  });
+
+  test('should look up labels by name case-insensitively', () => {
+    const board = new Board({ name: 'Test Board', labels: [{ name: 'Bug', color: '#d50000' }] });
+
+    expect(board.getLabel('bug')).toEqual({ name: 'Bug', color: '#d50000' });
+    expect(board.getLabel('errand')).toBeNull();
+  });
+
+  test('should reject invalid labels', () => {
+    expect(() => new Board({ name: 'Test', labels: [{ name: 'Bug', color: 'red' }] })).toThrow('Board label color must be a valid hex color');
+    expect(() => new Board({ name: 'Test', labels: [{ name: '', color: '#d50000' }] })).toThrow('Board label name is required');
+    expect(() => new Board({
+      name: 'Test',
+      labels: [{ name: 'Bug', color: '#d50000' }, { name: 'bug', color: '#0b8043' }]
+    })).toThrow('Board label names must be unique');
+  });
+
+  test('should keep tags and labels when duplicating', () => {
+    const board = new Board({
+      name: 'Test Board',
+      labels: [{ name: 'bug', color: '#d50000' }],
+      tasks: [new Task({ text: 'Tagged task', tags: ['bug'] }).toJSON()]
+    });
+
+    const duplicate = board.duplicate('Copy');
+
+    expect(duplicate.labels).toEqual([{ name: 'bug', color: '#d50000' }]);
+    expect(duplicate.tasks[0].tags).toEqual(['bug']);
+    expect(duplicate.tasks[0].id).not.toBe(board.tasks[0].id);
+  });
+});
+
+describe('Board Columns', () => {
+  const workflow = [
+    { id: 'backlog', name: 'Backlog', status: 'todo', color: '#eeeeee', limit: null },
+    { id: 'ready', name: 'Ready', status: 'todo', color: '#e3f2fd', limit: null },
+    { id: 'progress', name: 'In Progress', status: 'doing', color: '#fff3e0', limit: null },
+    { id: 'review', name: 'Review', status: 'doing', color: '#f3e5f5', limit: null },
+    { id: 'done', name: 'Done', status: 'done', color: '#e8f5e8', limit: null }
+  ];
+
+  test('should default to the three standard columns', () => {
+    const board = new Board({ name: 'Test Board' });
+
+    expect(board.columns).toEqual(DEFAULT_COLUMNS);
+    expect(board.toJSON().columns).toEqual(DEFAULT_COLUMNS);
+    expect(getBoardColumns({ name: 'Saved before columns' })).toBe(DEFAULT_COLUMNS);
+  });
+
+  test('should keep a custom workflow in order', () => {
+    const board = new Board({ name: 'Test Board', columns: workflow });
+
+    expect(board.columns.map(column => column.id)).toEqual(['backlog', 'ready', 'progress', 'review', 'done']);
+    expect(board.getColumn('review')).toEqual(workflow[3]);
+    expect(board.getColumn('missing')).toBeNull();
+  });
+
+  test('should reject invalid columns', () => {
+    expect(() => new Board({ name: 'Test', columns: [] })).toThrow('Board must have at least one column');
+    expect(() => new Board({
+      name: 'Test',
+      columns: [...workflow, { id: 'done', name: 'Shipped', status: 'done' }]
+    })).toThrow('Board column IDs must be unique');
+    expect(() => new Board({
+      name: 'Test',
+      columns: workflow.filter(column => column.status !== 'doing')
+    })).toThrow('Board needs at least one column for status: doing');
+    expect(() => new Board({
+      name: 'Test',
+      columns: [...workflow, { id: 'qa', name: 'QA', status: 'testing' }]
+    })).toThrow('Board column status must be one of: todo, doing, done');
+  });
+
+  test('should default to soft WIP limits and validate the mode', () => {
+    expect(new Board({ name: 'Test' }).wipMode).toBe('soft');
+    expect(new Board({ name: 'Test', wipMode: 'strict' }).toJSON().wipMode).toBe('strict');
+    expect(() => new Board({ name: 'Test', wipMode: 'hard' })).toThrow('Board WIP mode must be one of: soft, strict');
+    expect(() => new Board({
+      name: 'Test',
+      columns: DEFAULT_COLUMNS.map(column => ({ ...column, limit: -1 }))
+    })).toThrow('Column limit must be null or a positive number');
+  });
+
+  test('should store the column on tasks and drop it when the status changes', () => {
+    const task = new Task({ text: 'In review', status: 'doing', columnId: 'review' });
+
+    expect(task.toJSON().columnId).toBe('review');
+    expect(task.moveTo('doing').columnId).toBe('review');
+    expect(task.moveTo('done').columnId).toBeNull();
+  });
+});
+
+describe('Swimlanes', () => {
+  test('should default to no swimlanes and keep custom lanes through JSON', () => {
+    expect(new Board({ name: 'Test' }).swimlanes).toEqual({ groupBy: 'none', lanes: [], collapsed: [] });
+
+    const board = new Board({ name: 'Test', swimlanes: { groupBy: 'lane', lanes: ['Frontend', 'Backend'] } });
+    expect(board.toJSON().swimlanes).toEqual({ groupBy: 'lane', lanes: ['Frontend', 'Backend'], collapsed: [] });
+  });
+
+  test('should reject invalid swimlane settings', () => {
+    expect(() => new Board({ name: 'Test', swimlanes: { groupBy: 'assignee' } }))
+      .toThrow('Board swimlanes must group by one of: none, tag, priority, lane');
+    expect(() => new Board({ name: 'Test', swimlanes: { groupBy: 'lane', lanes: ['Web', 'web'] } }))
+      .toThrow('Board swimlane names must be unique');
+  });
+
+  test('should store a custom lane on tasks', () => {
+    const task = new Task({ text: 'Lane task', lane: 'Backend' });
+
+    expect(task.toJSON().lane).toBe('Backend');
+    expect(new Task({ text: 'No lane' }).lane).toBeNull();
+    expect(() => new Task({ text: 'Bad lane', lane: 'x'.repeat(31) })).toThrow('Task lane must be a string of at most 30 characters');
+  });
+});
+
+describe('Manual order', () => {
+  test('should store a base-36 rank on tasks', () => {
+    expect(new Task({ text: 'Ranked', rank: 'i5' }).toJSON().rank).toBe('i5');
+    expect(new Task({ text: 'Unranked' }).rank).toBeNull();
+    expect(() => new Task({ text: 'Bad rank', rank: 'A-1' })).toThrow('Task rank must be a base-36 string');
+  });
+});
+
 describe('Factory Functions', () => {
   describe('createTask', () => {
     test('should create task with text only', () => {
@@ -398,6 +398,55 @@ describe('SecurityManager', () => {
         });
     });
     
+    describe('Markdown Rendering', () => {
+        
+        const renderToHTML = (markdown) => {
+            const container = document.createElement('div');
+            container.appendChild(securityManager.renderMarkdown(markdown));
+            return container;
+        };
+        
+        test('should render headings, lists, emphasis and code', () => {
+            const container = renderToHTML('# Plan\n- **first**\n- `second`\n\n```\nconst a = 1;\n```');
+            
+            expect(container.querySelector('h3').textContent).toBe('Plan');
+            expect(container.querySelectorAll('ul li')).toHaveLength(2);
+            expect(container.querySelector('strong').textContent).toBe('first');
+            expect(container.querySelector('pre code').textContent).toBe('const a = 1;');
+        });
+        
+        test('should show raw HTML as text', () => {
+            const container = renderToHTML('<script>alert(1)</script><img src=x onerror="alert(1)">');
+            
+            expect(container.querySelector('script')).toBeNull();
+            expect(container.querySelector('img')).toBeNull();
+            expect(container.textContent).toContain('<script>');
+        });
+        
+        test('should only render links with safe protocols', () => {
+            const container = renderToHTML('[safe](https://example.com) [unsafe](javascript:alert(1))');
+            const links = container.querySelectorAll('a');
+            
+            expect(links).toHaveLength(1);
+            expect(links[0].getAttribute('href')).toBe('https://example.com');
+            expect(links[0].getAttribute('rel')).toBe('noopener noreferrer');
+            expect(container.textContent).toContain('unsafe');
+        });
+        
+        test('should strip disallowed elements and attributes from HTML', () => {
+            const container = document.createElement('div');
+            container.appendChild(securityManager.sanitizeRichHTML(
+                '<p onclick="x()">Hi <iframe src="x"></iframe><span style="color:red">there</span> <a href="javascript:x()">link</a></p>'
+            ));
+            
+            expect(container.querySelector('iframe')).toBeNull();
+            expect(container.querySelector('span')).toBeNull();
+            expect(container.querySelector('p').hasAttribute('onclick')).toBe(false);
+            expect(container.querySelector('a').hasAttribute('href')).toBe(false);
+            expect(container.textContent).toBe('Hi there link');
+        });
+    });
+    
     describe('Error Message Sanitization', () => {
         
         test('should return generic messages for different contexts', () => {
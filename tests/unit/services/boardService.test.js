@@ -128,5 +128,155 @@ describe('BoardService', () => {
       expect(mockStorage.save).toHaveBeenCalled();
       expect(mockEventBus.emit).toHaveBeenCalledWith('board:deleted', expect.any(Object));
     });
+
+    test('should move the deleted board to the trash and switch away from it', async () => {
+      const board1 = createBoard({ name: 'Board 1', isDefault: true });
+      const board2 = createBoard({ name: 'Board 2', tasks: [{ id: 'task-1', text: 'Kept', status: 'todo' }] });
+      mockState.getState.mockReturnValue({ boards: [board1, board2], trashedBoards: [], currentBoardId: board2.id });
+
+      await boardService.deleteBoard(board2.id);
+
+      const updates = mockState.setState.mock.calls[0][0];
+      expect(updates.currentBoardId).toBe(board1.id);
+      expect(updates.trashedBoards).toHaveLength(1);
+      expect(updates.trashedBoards[0].tasks).toHaveLength(1);
+      expect(updates.trashedBoards[0].deletedDate).toEqual(expect.any(String));
+      expect(mockEventBus.emit).toHaveBeenCalledWith('board:switched', { boardId: board1.id });
+    });
+  });
+
+  describe('trash', () => {
+    test('should restore a board from the trash', async () => {
+      const board1 = createBoard({ name: 'Board 1', isDefault: true });
+      const trashed = { ...createBoard({ name: 'Old Board' }).toJSON(), deletedDate: '2024-01-01T00:00:00.000Z' };
+      mockState.getState.mockReturnValue({ boards: [board1], trashedBoards: [trashed] });
+
+      const restored = await boardService.restoreBoard(trashed.id);
+
+      expect(restored.name).toBe('Old Board');
+      expect(restored.deletedDate).toBeUndefined();
+      expect(mockState.setState).toHaveBeenCalledWith({ boards: [board1, restored], trashedBoards: [] });
+      expect(mockEventBus.emit).toHaveBeenCalledWith('board:restored', { board: restored });
+    });
+
+    test('should not restore a board over one with the same name', async () => {
+      const board1 = createBoard({ name: 'Board 1', isDefault: true });
+      const trashed = { ...createBoard({ name: 'board 1' }).toJSON(), deletedDate: '2024-01-01T00:00:00.000Z' };
+      mockState.getState.mockReturnValue({ boards: [board1], trashedBoards: [trashed] });
+
+      await expect(boardService.restoreBoard(trashed.id)).rejects.toThrow('A board with this name already exists');
+    });
+
+    test('should purge boards deleted before the cutoff', async () => {
+      const old = { id: 'old', name: 'Old', deletedDate: '2024-01-01T00:00:00.000Z' };
+      const recent = { id: 'recent', name: 'Recent', deletedDate: '2024-03-01T00:00:00.000Z' };
+      mockState.getState.mockReturnValue({ boards: [], trashedBoards: [old, recent] });
+
+      const purged = await boardService.purgeTrashedBoards(new Date('2024-02-01T00:00:00.000Z'));
+
+      expect(purged).toBe(1);
+      expect(mockState.setState).toHaveBeenCalledWith({ trashedBoards: [recent] });
+      expect(mockEventBus.emit).toHaveBeenCalledWith('board:purged', { boardIds: ['old'] });
+    });
+  });
+  describe('duplicateBoard', () => {
+    test('should copy tasks with their tags and the label palette', async () => {
+      const source = createBoard({
+        name: 'Source',
+        labels: [{ name: 'bug', color: '#d50000' }],
+        tasks: [{ id: 'task-1', text: 'Tagged task', status: 'todo', tags: ['bug'] }]
+      });
+      mockState.getState.mockReturnValue({ boards: [source] });
+
+      const duplicate = await boardService.duplicateBoard(source.id);
+
+      expect(duplicate.name).toBe('Source (Copy)');
+      expect(duplicate.labels).toEqual([{ name: 'bug', color: '#d50000' }]);
+      expect(duplicate.tasks).toHaveLength(1);
+      expect(duplicate.tasks[0].tags).toEqual(['bug']);
+      expect(duplicate.tasks[0].id).not.toBe('task-1');
+    });
+  });
+
+  describe('ensureLabels', () => {
+    test('should add missing tags to the label palette', async () => {
+      const board = createBoard({ name: 'Board', labels: [{ name: 'bug', color: '#d50000' }] });
+      mockState.getState.mockReturnValue({ boards: [board] });
+
+      const updatedBoard = await boardService.ensureLabels(board.id, ['Bug', 'errand']);
+
+      expect(updatedBoard.labels).toHaveLength(2);
+      expect(updatedBoard.labels[1]).toEqual({ name: 'errand', color: expect.stringMatching(/^#[0-9a-f]{6}$/i) });
+    });
+
+    test('should not save when all tags already have labels', async () => {
+      const board = createBoard({ name: 'Board', labels: [{ name: 'bug', color: '#d50000' }] });
+      mockState.getState.mockReturnValue({ boards: [board] });
+
+      const result = await boardService.ensureLabels(board.id, ['BUG']);
+
+      expect(result).toBe(board);
+      expect(mockStorage.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateColumns', () => {
+    test('should save the workflow and move tasks out of removed columns', async () => {
+      const board = createBoard({
+        name: 'Board',
+        columns: [
+          { id: 'todo', name: 'To Do', status: 'todo' },
+          { id: 'doing', name: 'In Progress', status: 'doing' },
+          { id: 'review', name: 'Review', status: 'doing' },
+          { id: 'done', name: 'Done', status: 'done' }
+        ],
+        tasks: [
+          { id: 't1', text: 'In review', status: 'doing', columnId: 'review' },
+          { id: 't2', text: 'Started', status: 'doing', columnId: 'doing' }
+        ]
+      });
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: board.id });
+
+      const updatedBoard = await boardService.updateColumns(board.id, [
+        { id: 'backlog', name: 'Backlog', status: 'todo' },
+        { id: 'doing', name: 'Doing', status: 'doing' },
+        { id: 'done', name: 'Done', status: 'done' }
+      ]);
+
+      expect(updatedBoard.columns.map(column => column.name)).toEqual(['Backlog', 'Doing', 'Done']);
+      expect(updatedBoard.tasks.map(task => task.columnId)).toEqual([null, 'doing']);
+      expect(mockStorage.save).toHaveBeenCalled();
+    });
+
+    test('should refuse a workflow without a column for every status', async () => {
+      const board = createBoard({ name: 'Board' });
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: board.id });
+
+      await expect(boardService.updateColumns(board.id, [{ id: 'todo', name: 'To Do', status: 'todo' }]))
+        .rejects.toThrow('Board needs at least one column for status: doing');
+      expect(mockEventBus.emit).toHaveBeenCalledWith('board:error', expect.objectContaining({ operation: 'columns' }));
+    });
+  });
+
+  describe('getBoardStatistics', () => {
+    test('should include time tracked on active and archived tasks', () => {
+      const board = {
+        id: 'board-1',
+        name: 'Board',
+        tasks: [
+          { id: 't1', text: 'Write report', status: 'done', timeEntries: [{ start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T10:30:00.000Z' }] },
+          { id: 't2', text: 'Review', status: 'todo' }
+        ],
+        archivedTasks: [
+          { id: 't3', text: 'Old task', status: 'done', timeEntries: [{ start: '2024-01-02T09:00:00.000Z', end: '2024-01-02T09:15:00.000Z' }] }
+        ]
+      };
+      mockState.getState.mockReturnValue({ boards: [board] });
+
+      const stats = boardService.getBoardStatistics('board-1');
+
+      expect(stats.trackedTime).toBe(105 * 60 * 1000);
+      expect(stats.runningTimers).toBe(0);
+    });
   });
-});
\ No newline at end of file
+});
@@ -30,6 +30,8 @@ const mockTaskServiceInstance = {
     createTask: jest.fn().mockResolvedValue(true),
     deleteTask: jest.fn().mockResolvedValue(true),
     moveTaskToStatus: jest.fn().mockResolvedValue(true),
+    getTargetColumnId: jest.fn().mockReturnValue('todo'),
+    getWipLimitViolation: jest.fn().mockReturnValue(null),
 };
 const mockBoardServiceInstance = {
     createDefaultBoard: jest.fn().mockResolvedValue(true),
@@ -206,4 +208,89 @@ describe('CascadeApp Orchestrator', () => {
         expect(mockBoardServiceInstance.switchToBoard).toHaveBeenCalledWith('board-2');
     });
   });
+
+  describe('Moving tasks', () => {
+    const board = {
+      id: 'board-1',
+      tasks: [{ id: 't1', text: 'Write spec', status: 'todo' }, { id: 't2', text: 'Review', status: 'doing' }]
+    };
+    let context;
+
+    beforeEach(() => {
+      context = {
+        state: { getState: () => ({ currentBoardId: 'board-1', allBoardsView: false }) },
+        taskService: {
+          findTaskBoard: jest.fn(() => board),
+          getTargetColumnId: jest.fn((taskId, status) => status),
+          getRankBetweenTasks: jest.fn(() => 'm'),
+          moveTaskToStatus: jest.fn().mockResolvedValue(true)
+        },
+        confirmWipLimit: jest.fn().mockResolvedValue(true),
+        useManualOrder: jest.fn().mockResolvedValue(),
+        handleError: jest.fn()
+      };
+    });
+
+    test('should switch to manual order when a task is dropped elsewhere in its column', async () => {
+      await CascadeApp.prototype.handleMoveTask.call(context, { taskId: 't1', newStatus: 'todo', previousTaskId: null, nextTaskId: 't3' });
+
+      expect(context.taskService.moveTaskToStatus).toHaveBeenCalledWith('t1', 'todo', { rank: 'm' });
+      expect(context.useManualOrder).toHaveBeenCalled();
+    });
+
+    test('should keep the chosen sort order when a task moves to another column', async () => {
+      await CascadeApp.prototype.handleMoveTask.call(context, { taskId: 't1', newStatus: 'doing', previousTaskId: 't2', nextTaskId: null });
+
+      expect(context.taskService.moveTaskToStatus).toHaveBeenCalledWith('t1', 'doing', {});
+      expect(context.useManualOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Trash', () => {
+    test('should purge expired items before showing the trash browser', async () => {
+      const calls = [];
+      const context = {
+        state: { getState: () => ({ boards: [{ id: 'board-1', name: 'Work', deletedTasks: [{ id: 't1' }] }], trashedBoards: [] }) },
+        purgeExpiredTrash: jest.fn(async () => { calls.push('purge'); }),
+        dom: {
+          closeTrashBrowser: jest.fn(),
+          showTrashBrowser: jest.fn(() => { calls.push('show'); })
+        },
+        handleError: jest.fn()
+      };
+
+      await CascadeApp.prototype.handleBrowseTrash.call(context);
+
+      expect(calls).toEqual(['purge', 'show']);
+      expect(context.dom.showTrashBrowser).toHaveBeenCalledWith([], [expect.objectContaining({ id: 't1', boardId: 'board-1' })], expect.any(Number));
+    });
+  });
+
+  describe('Import', () => {
+    test('should carry the board workflow and task status through an export and import', () => {
+      const board = {
+        name: 'Release',
+        columns: [
+          { id: 'todo', name: 'To Do', status: 'todo' },
+          { id: 'review', name: 'Review', status: 'doing', limit: 2 },
+          { id: 'done', name: 'Done', status: 'done' }
+        ],
+        wipMode: 'strict',
+        swimlanes: { groupBy: 'priority', lanes: [], collapsed: ['low'] }
+      };
+      const task = { text: 'Ship it', status: 'done', columnId: 'done', completedDate: '2024-03-15T10:00:00.000Z' };
+
+      expect(CascadeApp.prototype.extractBoardWorkflow(board)).toEqual({
+        columns: board.columns,
+        wipMode: 'strict',
+        swimlanes: board.swimlanes
+      });
+      expect(CascadeApp.prototype.extractTaskAttributes(task)).toEqual(expect.objectContaining({
+        status: 'done',
+        columnId: 'done',
+        completedDate: '2024-03-15T10:00:00.000Z'
+      }));
+      expect(CascadeApp.prototype.extractTaskAttributes({ text: 'Old', status: 'bogus' }).status).toBeUndefined();
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,189 @@
+/**
+ * Unit Tests for HistoryService
+ * Tests recording, undoing and redoing task and board changes.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockEventBus = {
+  emit: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn()
+};
+
+const mockSettings = {
+  get: jest.fn()
+};
+
+jest.unstable_mockModule('../../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+jest.unstable_mockModule('../../../scripts/modules/settings.js', () => ({
+  settingsManager: mockSettings
+}));
+
+const { HistoryService } = await import('../../../scripts/modules/services/historyService.js');
+
+describe('HistoryService', () => {
+  let historyService;
+  let mockState;
+  let mockStorage;
+  let current;
+
+  const addTask = (boardId, task) => {
+    const boards = current.boards.map(board =>
+      board.id === boardId ? { ...board, tasks: [...board.tasks, task] } : board
+    );
+    mockState.setState({ boards });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSettings.get.mockReturnValue(50);
+
+    current = {
+      boards: [
+        { id: 'board-1', name: 'Main', tasks: [] },
+        { id: 'board-2', name: 'Other', tasks: [] }
+      ],
+      currentBoardId: 'board-1',
+      history: [],
+      historyIndex: -1
+    };
+    mockState = {
+      getState: jest.fn(() => current),
+      setState: jest.fn((updates) => {
+        current = { ...current, ...updates };
+      })
+    };
+    mockStorage = {
+      save: jest.fn().mockResolvedValue(true)
+    };
+
+    historyService = new HistoryService(mockState, mockStorage);
+  });
+
+  test('should record only the boards a command changed', async () => {
+    const result = await historyService.record('Create task', () => {
+      addTask('board-1', { id: 'task-1', text: 'Write tests' });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(current.history).toHaveLength(1);
+    expect(current.historyIndex).toBe(0);
+    expect(Object.keys(current.history[0].before.boards)).toEqual(['board-1']);
+    expect(historyService.canUndo()).toBe(true);
+    expect(historyService.canRedo()).toBe(false);
+  });
+
+  test('should not record commands that change nothing', async () => {
+    await historyService.record('Edit task', () => {});
+
+    expect(current.history).toHaveLength(0);
+    expect(historyService.canUndo()).toBe(false);
+  });
+
+  test('should undo and redo a change', async () => {
+    await historyService.record('Create task', () => addTask('board-1', { id: 'task-1', text: 'Write tests' }));
+
+    const undone = await historyService.undo();
+
+    expect(undone.label).toBe('Create task');
+    expect(current.boards[0].tasks).toHaveLength(0);
+    expect(current.tasks).toHaveLength(0);
+    expect(current.historyIndex).toBe(-1);
+    expect(mockStorage.save).toHaveBeenCalled();
+    expect(mockEventBus.emit).toHaveBeenCalledWith('history:undone', { label: 'Create task' });
+
+    await historyService.redo();
+
+    expect(current.boards[0].tasks).toHaveLength(1);
+    expect(current.tasks[0].text).toBe('Write tests');
+    expect(current.historyIndex).toBe(0);
+    expect(await historyService.redo()).toBeNull();
+  });
+
+  test('should restore a deleted board in its old position', async () => {
+    await historyService.record('Delete board', () => {
+      mockState.setState({ boards: current.boards.slice(1), currentBoardId: 'board-2' });
+    });
+
+    await historyService.undo();
+
+    expect(current.boards.map(board => board.id)).toEqual(['board-1', 'board-2']);
+    expect(current.currentBoardId).toBe('board-1');
+  });
+
+  test('should take a deleted board back out of the trash on undo', async () => {
+    await historyService.record('Delete board', () => {
+      mockState.setState({ boards: current.boards.slice(0, 1), trashedBoards: [{ ...current.boards[1], deletedDate: '2024-01-01' }] });
+    });
+
+    await historyService.undo();
+
+    expect(current.boards.map(board => board.id)).toEqual(['board-1', 'board-2']);
+    expect(current.trashedBoards).toEqual([]);
+
+    await historyService.redo();
+
+    expect(current.boards.map(board => board.id)).toEqual(['board-1']);
+    expect(current.trashedBoards.map(board => board.id)).toEqual(['board-2']);
+  });
+
+  test('should keep changes to boards an entry does not cover', async () => {
+    await historyService.record('Create task', () => addTask('board-1', { id: 'task-1', text: 'First' }));
+    addTask('board-2', { id: 'task-2', text: 'Untracked' });
+
+    await historyService.undo();
+
+    expect(current.boards[0].tasks).toHaveLength(0);
+    expect(current.boards[1].tasks).toHaveLength(1);
+  });
+
+  test('should record nested commands as one entry', async () => {
+    await historyService.record('Delete task', async () => {
+      addTask('board-1', { id: 'task-1', text: 'First' });
+      await historyService.record('Inner', () => addTask('board-1', { id: 'task-2', text: 'Second' }));
+    });
+
+    expect(current.history).toHaveLength(1);
+    expect(current.history[0].label).toBe('Delete task');
+  });
+
+  test('should not record a command during which history was cleared', async () => {
+    await historyService.record('Edit board', async () => {
+      // Another tab's change merged while a modal was open
+      addTask('board-2', { id: 'remote-task', text: 'From another tab' });
+      historyService.clear();
+      addTask('board-1', { id: 'task-1', text: 'Write tests' });
+    });
+
+    expect(current.history).toEqual([]);
+    expect(historyService.canUndo()).toBe(false);
+
+    await historyService.record('Create task', () => addTask('board-1', { id: 'task-2', text: 'Next' }));
+    expect(current.history).toHaveLength(1);
+  });
+
+  test('should drop redo entries when a new command is recorded', async () => {
+    await historyService.record('First', () => addTask('board-1', { id: 'task-1', text: 'First' }));
+    await historyService.undo();
+    await historyService.record('Second', () => addTask('board-1', { id: 'task-2', text: 'Second' }));
+
+    expect(current.history.map(entry => entry.label)).toEqual(['Second']);
+    expect(historyService.canRedo()).toBe(false);
+  });
+
+  test('should cap entries at the maxHistoryEntries setting', async () => {
+    mockSettings.get.mockReturnValue(2);
+
+    for (let i = 1; i <= 3; i++) {
+      await historyService.record(`Task ${i}`, () => addTask('board-1', { id: `task-${i}`, text: `Task ${i}` }));
+    }
+
+    expect(current.history.map(entry => entry.label)).toEqual(['Task 2', 'Task 3']);
+    expect(current.historyIndex).toBe(1);
+  });
+});
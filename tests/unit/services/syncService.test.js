@@ -0,0 +1,228 @@
+/**
+ * Unit Tests for SyncService
+ * Tests merging writes from other tabs into state, including conflicting edits.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockEventBus = {
+  emit: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn()
+};
+
+jest.unstable_mockModule('../../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+const { SyncService } = await import('../../../scripts/modules/services/syncService.js');
+
+describe('SyncService', () => {
+  let syncService;
+  let mockState;
+  let current;
+
+  const task = (id, text, lastModified = '2025-01-01T00:00:00.000Z') => ({ id, text, status: 'todo', lastModified });
+  const board = (id, tasks, extra = {}) => ({ id, name: `Board ${id}`, tasks, archivedTasks: [], ...extra });
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+
+  // Board as both tabs last saved it
+  const base = board('board-1', [task('t1', 'Write spec'), task('t2', 'Review'), task('t3', 'Ship')]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    current = {
+      boards: [copy(base), board('board-2', [])],
+      currentBoardId: 'board-1',
+      tasks: copy(base.tasks),
+      trashedBoards: [],
+      boardTemplates: [],
+      taskTemplates: []
+    };
+    mockState = {
+      getState: jest.fn(() => current),
+      setState: jest.fn((updates) => {
+        current = { ...current, ...updates };
+      })
+    };
+
+    syncService = new SyncService(mockState, {});
+  });
+
+  const remoteWrite = (boards, extra = {}) => ({
+    boards,
+    trashedBoards: [],
+    deletedBoardIds: [],
+    metadata: null,
+    bases: { 'board-1': copy(base) },
+    trashBases: {},
+    baseMetadata: null,
+    ...extra
+  });
+
+  test('should take boards from another tab when this tab has no unsaved edits', () => {
+    const remote = board('board-1', [task('t1', 'Write spec v2', '2025-01-02T00:00:00.000Z'), task('t2', 'Review')]);
+
+    const result = syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0]).toEqual(remote);
+    expect(current.tasks.map(t => t.text)).toEqual(['Write spec v2', 'Review']);
+    expect(result).toEqual({ conflicts: [], needsSave: false, currentBoardChanged: false });
+  });
+
+  test('should keep unsaved edits to other tasks of the same board', () => {
+    current.boards[0].tasks[1] = task('t2', 'Review carefully', '2025-01-03T00:00:00.000Z');
+    current.boards[0].tasks.push(task('t4', 'Added here'));
+    const remote = board('board-1', [task('t1', 'Write spec v2', '2025-01-02T00:00:00.000Z'), task('t2', 'Review'), task('t3', 'Ship')]);
+
+    const result = syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0].tasks.map(t => t.text)).toEqual(['Write spec v2', 'Review carefully', 'Ship', 'Added here']);
+    expect(result.conflicts).toEqual([]);
+    expect(result.needsSave).toBe(true);
+  });
+
+  test('should keep the most recent edit when both tabs changed a task', () => {
+    current.boards[0].tasks[0] = task('t1', 'Local edit', '2025-01-05T00:00:00.000Z');
+    current.boards[0].tasks[1] = task('t2', 'Local older edit', '2025-01-02T00:00:00.000Z');
+    const remote = board('board-1', [
+      task('t1', 'Remote older edit', '2025-01-04T00:00:00.000Z'),
+      task('t2', 'Remote edit', '2025-01-06T00:00:00.000Z'),
+      task('t3', 'Ship')
+    ]);
+
+    const result = syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0].tasks.map(t => t.text)).toEqual(['Local edit', 'Remote edit', 'Ship']);
+    expect(result.conflicts).toEqual([
+      { type: 'task', id: 't1', name: 'Local edit', kept: 'local' },
+      { type: 'task', id: 't2', name: 'Remote edit', kept: 'remote' }
+    ]);
+  });
+
+  test('should resolve same-time edits the same way in both tabs', () => {
+    const a = task('t1', 'Edit A', '2025-01-05T00:00:00.000Z');
+    const b = task('t1', 'Edit B', '2025-01-05T00:00:00.000Z');
+
+    current.boards[0].tasks[0] = a;
+    syncService.applyRemoteChanges(remoteWrite([board('board-1', [b, task('t2', 'Review'), task('t3', 'Ship')])]));
+    const keptHere = current.boards[0].tasks[0].text;
+
+    current.boards[0] = board('board-1', [b, task('t2', 'Review'), task('t3', 'Ship')]);
+    syncService.applyRemoteChanges(remoteWrite([board('board-1', [a, task('t2', 'Review'), task('t3', 'Ship')])]));
+
+    expect(current.boards[0].tasks[0].text).toBe(keptHere);
+  });
+
+  test('should let an edit win over a deletion', () => {
+    current.boards[0].tasks[2] = task('t3', 'Ship it today', '2025-01-02T00:00:00.000Z');
+    const remote = board('board-1', [task('t1', 'Write spec'), task('t2', 'Review')]);
+
+    syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0].tasks.map(t => t.id)).toEqual(['t1', 't2', 't3']);
+  });
+
+  test('should keep tasks trashed in either tab', () => {
+    const trashed = (t) => ({ ...t, deletedDate: '2025-01-02T00:00:00.000Z' });
+    // This tab trashed t2, the other tab trashed t3
+    current.boards[0].tasks = [task('t1', 'Write spec'), task('t3', 'Ship')];
+    current.boards[0].deletedTasks = [trashed(task('t2', 'Review'))];
+    const remote = board('board-1', [task('t1', 'Write spec'), task('t2', 'Review')], {
+      deletedTasks: [trashed(task('t3', 'Ship'))]
+    });
+
+    const result = syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0].tasks.map(t => t.id)).toEqual(['t1']);
+    expect(current.boards[0].deletedTasks.map(t => t.id)).toEqual(['t3', 't2']);
+    expect(result.needsSave).toBe(true);
+  });
+
+  test('should keep a task in one list when one tab archives it and the other edits it', () => {
+    current.boards[0].tasks[0] = task('t1', 'Write spec v2', '2025-01-02T00:00:00.000Z');
+    const remote = board('board-1', [task('t2', 'Review'), task('t3', 'Ship')], {
+      archivedTasks: [{ ...task('t1', 'Write spec', '2025-01-03T00:00:00.000Z'), archivedDate: '2025-01-03T00:00:00.000Z' }]
+    });
+
+    const result = syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0].tasks.map(t => t.id)).toEqual(['t2', 't3']);
+    expect(current.boards[0].archivedTasks.map(t => t.id)).toEqual(['t1']);
+    expect(result.conflicts).toEqual([{ type: 'task', id: 't1', name: 'Write spec', kept: 'remote' }]);
+  });
+
+  test('should keep a task on one board when one tab moves it and the other edits it', () => {
+    // This tab moved t3 to board-2 after the other tab edited it
+    current.boards[0].tasks = [task('t1', 'Write spec'), task('t2', 'Review')];
+    current.boards[1].tasks = [task('t3', 'Ship', '2025-01-03T00:00:00.000Z')];
+    const remote = board('board-1', [task('t1', 'Write spec'), task('t2', 'Review'), task('t3', 'Ship it', '2025-01-02T00:00:00.000Z')]);
+
+    const result = syncService.applyRemoteChanges(remoteWrite([remote]));
+
+    expect(current.boards[0].tasks.map(t => t.id)).toEqual(['t1', 't2']);
+    expect(current.boards[1].tasks.map(t => t.text)).toEqual(['Ship']);
+    expect(result.conflicts).toEqual([{ type: 'task', id: 't3', name: 'Ship', kept: 'local' }]);
+    expect(result.needsSave).toBe(true);
+  });
+
+  test('should remove boards deleted in another tab and select another board', () => {
+    current.boards[0].name = 'Renamed here';
+
+    const result = syncService.applyRemoteChanges(remoteWrite([], { deletedBoardIds: ['board-1'] }));
+
+    expect(current.boards.map(b => b.id)).toEqual(['board-2']);
+    expect(current.currentBoardId).toBe('board-2');
+    expect(result.currentBoardChanged).toBe(true);
+    expect(result.conflicts).toEqual([{ type: 'deletedBoard', id: 'board-1', name: 'Renamed here', kept: 'remote' }]);
+  });
+
+  test('should not switch to an archived board when the current one is deleted', () => {
+    current.boards = [copy(base), board('board-2', [], { isArchived: true }), board('board-3', [])];
+
+    syncService.applyRemoteChanges(remoteWrite([], { deletedBoardIds: ['board-1'] }));
+
+    expect(current.currentBoardId).toBe('board-3');
+  });
+
+  test('should move boards the other tab trashed or restored', () => {
+    const trashed = { ...board('board-3', [task('t9', 'Old plan')]), deletedDate: '2025-01-02T00:00:00.000Z' };
+    current.trashedBoards = [copy(trashed)];
+
+    // The other tab trashed board-1 and restored board-3
+    const restored = board('board-3', [task('t9', 'Old plan')]);
+    const result = syncService.applyRemoteChanges(remoteWrite([restored], {
+      trashedBoards: [{ ...copy(base), deletedDate: '2025-01-03T00:00:00.000Z' }],
+      trashBases: { 'board-3': copy(trashed) }
+    }));
+
+    expect(current.boards.map(b => b.id)).toEqual(['board-2', 'board-3']);
+    expect(current.trashedBoards.map(b => b.id)).toEqual(['board-1']);
+    expect(current.boards[1].tasks.map(t => t.id)).toEqual(['t9']);
+    expect(result).toEqual({ conflicts: [], needsSave: false, currentBoardChanged: true });
+  });
+
+  test('should add boards created in another tab and merge templates', () => {
+    current.taskTemplates = [{ id: 'tt-local', name: 'Local template' }];
+    const metadata = {
+      key: 'appData',
+      currentBoardId: 'board-3',
+      trashedBoards: [],
+      boardTemplates: [{ id: 'bt-1', name: 'Sprint' }],
+      taskTemplates: []
+    };
+
+    const result = syncService.applyRemoteChanges(remoteWrite([board('board-3', [])], {
+      metadata,
+      bases: {},
+      baseMetadata: { key: 'appData', trashedBoards: [], boardTemplates: [], taskTemplates: [] }
+    }));
+
+    expect(current.boards.map(b => b.id)).toEqual(['board-1', 'board-2', 'board-3']);
+    expect(current.currentBoardId).toBe('board-1');
+    expect(current.boardTemplates).toEqual([{ id: 'bt-1', name: 'Sprint' }]);
+    expect(current.taskTemplates).toEqual([{ id: 'tt-local', name: 'Local template' }]);
+    expect(result.needsSave).toBe(true);
+  });
+});
@@ -73,6 +73,34 @@ describe('TaskService', () => {
       expect(mockEventBus.emit).toHaveBeenCalledWith('data:changed');
     });
 
+    test('should create a task with optional attributes', async () => {
+      const board = { id: 'board-1', name: 'Test Board', tasks: [] };
+      mockState.getState.mockReturnValue({ boards: [board] });
+
+      const createdTask = await taskService.createTask('Task with due date', 'board-1', { dueDate: '2024-03-15', dueTime: '09:30' });
+
+      expect(createdTask.dueDate).toBe('2024-03-15');
+      expect(createdTask.dueTime).toBe('09:30');
+      expect(board.tasks[0].dueDate).toBe('2024-03-15');
+    });
+
+    test('should create a task in the status and column given by its attributes', async () => {
+      const columns = [
+        { id: 'todo', name: 'To Do', status: 'todo' },
+        { id: 'review', name: 'Review', status: 'doing' },
+        { id: 'testing', name: 'Testing', status: 'doing' },
+        { id: 'done', name: 'Done', status: 'done' }
+      ];
+      const board = { id: 'board-1', name: 'Test Board', columns, tasks: [] };
+      mockState.getState.mockReturnValue({ boards: [board] });
+
+      const createdTask = await taskService.createTask('Imported task', 'board-1', { status: 'doing', columnId: 'testing' });
+
+      expect(createdTask.status).toBe('doing');
+      expect(createdTask.columnId).toBe('testing');
+      expect((await taskService.createTask('Other task', 'board-1', { status: 'bogus' })).status).toBe('todo');
+    });
+
     test('should throw an error for empty task text', async () => {
       mockState.getState.mockReturnValue({ boards: [{ id: 'board-1', name: 'Test Board', tasks: [] }] });
       await expect(taskService.createTask('  ', 'board-1')).rejects.toThrow('Task text cannot be empty');
@@ -138,4 +166,527 @@ describe('TaskService', () => {
       expect(mockEventBus.emit).toHaveBeenCalledWith('task:deleted', expect.any(Object));
     });
   });
-});
\ No newline at end of file
+
+  describe('trash', () => {
+    test('should keep deleted tasks in the board trash and restore them', async () => {
+      const blocker = createTask({ text: 'Blocker' });
+      const task = createTask({ text: 'To be deleted', blockedBy: [blocker.id] });
+      const board = { id: 'board-1', name: 'Test Board', tasks: [blocker.toJSON(), task.toJSON()] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      await taskService.deleteTask(task.id);
+      expect(board.deletedTasks).toHaveLength(1);
+      expect(board.deletedTasks[0].deletedDate).toEqual(expect.any(String));
+
+      await taskService.deleteTask(blocker.id);
+      const restored = await taskService.restoreDeletedTask(task.id, 'board-1');
+
+      expect(restored.text).toBe('To be deleted');
+      expect(restored.blockedBy).toEqual([]);
+      expect(board.tasks.map(t => t.id)).toEqual([task.id]);
+      expect(board.tasks[0].deletedDate).toBeUndefined();
+      expect(board.deletedTasks.map(t => t.id)).toEqual([blocker.id]);
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:restored', expect.objectContaining({ fromTrash: true }));
+    });
+
+    test('should delete trashed tasks forever', async () => {
+      const board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [],
+        deletedTasks: [{ id: 'task-1', text: 'Gone', status: 'todo', deletedDate: '2024-01-01T00:00:00.000Z' }]
+      };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      await taskService.deleteTaskForever('task-1', 'board-1');
+
+      expect(board.deletedTasks).toHaveLength(0);
+      await expect(taskService.deleteTaskForever('task-1', 'board-1')).rejects.toThrow('Deleted task not found');
+    });
+
+    test('should purge only tasks deleted before the cutoff', async () => {
+      const board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [],
+        deletedTasks: [
+          { id: 'old', text: 'Old', status: 'todo', deletedDate: '2024-01-01T00:00:00.000Z' },
+          { id: 'recent', text: 'Recent', status: 'todo', deletedDate: '2024-03-01T00:00:00.000Z' }
+        ]
+      };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      const purged = await taskService.purgeDeletedTasks(new Date('2024-02-01T00:00:00.000Z'));
+
+      expect(purged).toBe(1);
+      expect(board.deletedTasks.map(t => t.id)).toEqual(['recent']);
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:purged', { taskIds: ['old'] });
+    });
+  });
+
+  describe('archiveTask and restoreTask', () => {
+    test('should keep the checklist through archive and restore', async () => {
+      const task = createTask({
+        text: 'Small project',
+        checklist: [{ id: 'item-1', text: 'Step one', done: true }]
+      });
+      const board = { id: 'board-1', name: 'Test Board', tasks: [task.toJSON()], archivedTasks: [] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      await taskService.archiveTask(task.id);
+      expect(board.archivedTasks[0].checklist).toEqual([{ id: 'item-1', text: 'Step one', done: true }]);
+
+      await taskService.restoreTask(task.id, 'board-1');
+      expect(board.archivedTasks).toHaveLength(0);
+      expect(board.tasks[0].checklist).toEqual([{ id: 'item-1', text: 'Step one', done: true }]);
+    });
+  });
+
+  describe('dependencies', () => {
+    let blocker;
+    let dependent;
+    let board;
+
+    beforeEach(() => {
+      blocker = createTask({ text: 'Design schema' });
+      dependent = createTask({ text: 'Write migrations', blockedBy: [blocker.id] });
+      board = { id: 'board-1', name: 'Test Board', tasks: [blocker.toJSON(), dependent.toJSON()], archivedTasks: [] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+    });
+
+    test('should refuse to start a task while a blocker is unfinished', async () => {
+      await expect(taskService.moveTaskToStatus(dependent.id, 'doing'))
+        .rejects.toThrow('This task is blocked by "Design schema". Finish it first.');
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:error', expect.objectContaining({ operation: 'move' }));
+      expect(mockStorage.save).not.toHaveBeenCalled();
+    });
+
+    test('should allow the move once the blocker is done', async () => {
+      await taskService.moveTaskToStatus(blocker.id, 'done');
+      const moved = await taskService.moveTaskToStatus(dependent.id, 'doing');
+
+      expect(moved.status).toBe('doing');
+    });
+
+    test('should let a blocked task that already started move within its status', async () => {
+      // Started before the blocker was added
+      board.tasks[1].status = 'doing';
+      board.columns = [
+        { id: 'todo', name: 'To Do', status: 'todo' },
+        { id: 'doing', name: 'Doing', status: 'doing' },
+        { id: 'review', name: 'Review', status: 'doing' },
+        { id: 'done', name: 'Done', status: 'done' }
+      ];
+
+      const reordered = await taskService.moveTaskToStatus(dependent.id, 'doing', { rank: 'm' });
+      const moved = await taskService.moveTaskToColumn(dependent.id, 'review');
+
+      expect(reordered.rank).toBe('m');
+      expect(moved.columnId).toBe('review');
+      await expect(taskService.moveTaskToStatus(dependent.id, 'done')).rejects.toThrow('This task is blocked');
+    });
+
+    test('should reject dependency cycles', async () => {
+      await expect(taskService.updateTask(blocker.id, { blockedBy: [dependent.id] }))
+        .rejects.toThrow('Task dependencies cannot form a cycle');
+    });
+
+    test('should unblock dependents when a blocker is deleted or archived', async () => {
+      await taskService.archiveTask(blocker.id);
+
+      expect(board.tasks[0].blockedBy).toEqual([]);
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:archived', expect.objectContaining({ unblockedTaskIds: [dependent.id] }));
+    });
+  });
+
+  describe('recurring tasks', () => {
+    test('should create the next occurrence when a recurring task is done', async () => {
+      const task = createTask({ text: 'Daily standup prep', status: 'doing', recurrence: { type: 'daily' } });
+      const board = { id: 'board-1', name: 'Test Board', tasks: [task.toJSON()] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      const completed = await taskService.moveTaskToStatus(task.id, 'done');
+
+      expect(completed.recurrence).toBeNull();
+      expect(board.tasks).toHaveLength(2);
+      expect(board.tasks[1]).toEqual(expect.objectContaining({
+        text: 'Daily standup prep',
+        status: 'todo',
+        recurrence: { type: 'daily' }
+      }));
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:created', expect.objectContaining({ boardId: 'board-1', recurrenceOf: task.id }));
+
+      // Reopening and completing the old occurrence does not schedule another one
+      await taskService.moveTaskToStatus(task.id, 'todo');
+      await taskService.moveTaskToStatus(task.id, 'done');
+      expect(board.tasks).toHaveLength(2);
+    });
+  });
+
+  describe('time tracking', () => {
+    test('should start the timer when a task moves into doing and stop it when it leaves', async () => {
+      const task = createTask({ text: 'Prepare invoice' });
+      const board = { id: 'board-1', name: 'Test Board', tasks: [task.toJSON()] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      const started = await taskService.moveTaskToStatus(task.id, 'doing');
+      expect(started.isTimerRunning()).toBe(true);
+
+      const finished = await taskService.moveTaskToStatus(task.id, 'done');
+      expect(finished.isTimerRunning()).toBe(false);
+      expect(finished.timeEntries).toHaveLength(1);
+    });
+
+    test('should toggle the timer from the card control', async () => {
+      const task = createTask({ text: 'Prepare invoice' });
+      const board = { id: 'board-1', name: 'Test Board', tasks: [task.toJSON()] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      expect((await taskService.toggleTimer(task.id)).isTimerRunning()).toBe(true);
+      expect((await taskService.toggleTimer(task.id)).isTimerRunning()).toBe(false);
+      await expect(taskService.toggleTimer('missing')).rejects.toThrow('Task not found');
+    });
+  });
+
+  describe('status history', () => {
+    test('should append transitions and ignore direct history edits', async () => {
+      const task = createTask({ text: 'Ship release' });
+      const board = { id: 'board-1', name: 'Test Board', tasks: [task.toJSON()], archivedTasks: [] };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+
+      await taskService.moveTaskToStatus(task.id, 'doing');
+      await taskService.moveTaskToStatus(task.id, 'done');
+      const updated = await taskService.updateTask(task.id, { notes: 'Shipped', statusHistory: [] });
+
+      expect(updated.statusHistory.map(entry => entry.to)).toEqual(['doing', 'done']);
+      expect(updated.completedDate).not.toBeNull();
+      expect(updated.getCycleTime()).not.toBeNull();
+
+      await taskService.archiveTask(task.id);
+      await taskService.restoreTask(task.id, 'board-1');
+      expect(board.tasks[0].statusHistory).toHaveLength(2);
+    });
+  });
+
+  describe('custom columns', () => {
+    let board;
+    let task;
+
+    beforeEach(() => {
+      task = createTask({ text: 'Write release notes' });
+      board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [task.toJSON()],
+        archivedTasks: [],
+        columns: [
+          { id: 'backlog', name: 'Backlog', status: 'todo' },
+          { id: 'ready', name: 'Ready', status: 'todo' },
+          { id: 'progress', name: 'In Progress', status: 'doing' },
+          { id: 'review', name: 'Review', status: 'doing' },
+          { id: 'done', name: 'Done', status: 'done' }
+        ]
+      };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+    });
+
+    test('should move a task between columns and take the column status', async () => {
+      const ready = await taskService.moveTaskToColumn(task.id, 'ready');
+      expect(ready.status).toBe('todo');
+      expect(ready.columnId).toBe('ready');
+
+      const review = await taskService.moveTaskToColumn(task.id, 'review');
+      expect(review.status).toBe('doing');
+      expect(review.columnId).toBe('review');
+      expect(review.isTimerRunning()).toBe(true);
+    });
+
+    test('should reset the column when only the status changes', async () => {
+      await taskService.moveTaskToColumn(task.id, 'review');
+      const done = await taskService.moveTaskToStatus(task.id, 'done');
+
+      expect(done.columnId).toBeNull();
+    });
+
+    test('should reject unknown columns and columns of another status', async () => {
+      await expect(taskService.moveTaskToColumn(task.id, 'qa')).rejects.toThrow('Column not found on this board');
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:error', expect.objectContaining({ operation: 'move' }));
+
+      await expect(taskService.updateTask(task.id, { columnId: 'review' }))
+        .rejects.toThrow('Column does not match the task status');
+    });
+  });
+
+  describe('swimlanes', () => {
+    let board;
+    let task;
+
+    beforeEach(() => {
+      task = createTask({ text: 'Fix login', priority: 'low', tags: ['bug', 'client-x'], lane: 'Frontend' });
+      board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [task.toJSON()],
+        archivedTasks: [],
+        labels: [{ name: 'Feature', color: '#0b8043' }],
+        swimlanes: { groupBy: 'priority', lanes: ['Frontend', 'Backend'], collapsed: [] }
+      };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+    });
+
+    test('should change the priority when lanes group by priority', async () => {
+      expect((await taskService.moveTaskToLane(task.id, 'urgent')).priority).toBe('urgent');
+    });
+
+    test('should change the custom lane when lanes group by lane', async () => {
+      board.swimlanes.groupBy = 'lane';
+
+      expect((await taskService.moveTaskToLane(task.id, 'backend')).lane).toBe('Backend');
+      expect((await taskService.moveTaskToLane(task.id, '')).lane).toBeNull();
+    });
+
+    test('should swap the grouping tag when lanes group by tag', async () => {
+      board.swimlanes.groupBy = 'tag';
+
+      const moved = await taskService.moveTaskToLane(task.id, 'feature');
+
+      expect(moved.tags).toEqual(['Feature', 'client-x']);
+    });
+
+    test('should refuse lane moves on boards without swimlanes', async () => {
+      board.swimlanes.groupBy = 'none';
+
+      await expect(taskService.moveTaskToLane(task.id, 'urgent')).rejects.toThrow('This board has no swimlanes');
+    });
+  });
+
+  describe('manual ordering', () => {
+    let board;
+    let first;
+    let second;
+    let third;
+
+    beforeEach(() => {
+      first = createTask({ text: 'First', rank: 'i' });
+      second = createTask({ text: 'Second', rank: 'j' });
+      third = createTask({ text: 'Third', rank: 'k' });
+      board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [first.toJSON(), second.toJSON(), third.toJSON()],
+        archivedTasks: []
+      };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+    });
+
+    test('should rank new tasks below every other task', async () => {
+      const created = await taskService.createTask('Fourth', 'board-1');
+
+      expect(created.rank > 'k').toBe(true);
+    });
+
+    test('should place a task between its new neighbours without renumbering them', async () => {
+      const moved = await taskService.reorderTask(third.id, first.id, second.id);
+
+      expect(moved.rank > 'i' && moved.rank < 'j').toBe(true);
+      expect(board.tasks.find(t => t.id === first.id).rank).toBe('i');
+      expect(board.tasks.find(t => t.id === second.id).rank).toBe('j');
+    });
+
+    test('should keep ranks unique when moving to the end of a filtered list', async () => {
+      // Only "First" was visible above the drop; "Second" and "Third" still rank after it
+      const rank = taskService.getRankBetweenTasks(third.id, first.id, null);
+
+      expect(rank > 'i' && rank < 'j').toBe(true);
+    });
+
+    test('should move a task to the top', async () => {
+      const moved = await taskService.reorderTask(third.id, null, first.id);
+
+      expect(moved.rank < 'i').toBe(true);
+    });
+
+    test('should save a new rank together with a column move', async () => {
+      const moved = await taskService.moveTaskToStatus(third.id, 'doing', { rank: 'a' });
+
+      expect(moved.status).toBe('doing');
+      expect(moved.rank).toBe('a');
+      expect(mockStorage.save).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('bulk operations', () => {
+    let board;
+    let otherBoard;
+    let first;
+    let second;
+    let third;
+
+    beforeEach(() => {
+      first = createTask({ text: 'First', rank: 'i' });
+      second = createTask({ text: 'Second', rank: 'j', blockedBy: [] });
+      third = createTask({ text: 'Third', rank: 'k' });
+      second.blockedBy = [first.id];
+      board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [first.toJSON(), second.toJSON(), third.toJSON()],
+        archivedTasks: [],
+        labels: [{ name: 'Urgent', color: '#d93025' }]
+      };
+      otherBoard = { id: 'board-2', name: 'Other Board', tasks: [], archivedTasks: [] };
+      mockState.getState.mockReturnValue({ boards: [board, otherBoard], currentBoardId: 'board-1' });
+    });
+
+    test('should move several tasks with a single save', async () => {
+      const moved = await taskService.bulkMoveTasks([first.id, third.id], 'doing');
+
+      expect(moved.map(t => t.status)).toEqual(['doing', 'doing']);
+      expect(board.tasks.find(t => t.id === second.id).status).toBe('todo');
+      expect(mockState.setState).toHaveBeenCalledTimes(1);
+      expect(mockStorage.save).toHaveBeenCalledTimes(1);
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tasks:bulkChanged', expect.objectContaining({ operation: 'move', boardId: 'board-1' }));
+    });
+
+    test('should refuse to finish a blocked task unless its blocker moves along', async () => {
+      await expect(taskService.bulkMoveTasks([second.id, third.id], 'done')).rejects.toThrow('"Second" is blocked by unfinished tasks');
+      expect(mockStorage.save).not.toHaveBeenCalled();
+
+      const moved = await taskService.bulkMoveTasks([first.id, second.id], 'done');
+      expect(moved.every(t => t.completedDate)).toBe(true);
+    });
+
+    test('should refuse bulk moves over a strict WIP limit', async () => {
+      board.wipMode = 'strict';
+      board.columns = [
+        { id: 'todo', name: 'To Do', status: 'todo', color: null, limit: null },
+        { id: 'doing', name: 'In Progress', status: 'doing', color: null, limit: 1 },
+        { id: 'done', name: 'Done', status: 'done', color: null, limit: null }
+      ];
+
+      await expect(taskService.bulkMoveTasks([first.id, third.id], 'doing'))
+        .rejects.toThrow('Moving these tasks would put "In Progress" over its WIP limit of 1.');
+    });
+
+    test('should archive and delete several tasks and drop their dependencies', async () => {
+      await taskService.bulkArchiveTasks([first.id]);
+
+      expect(board.archivedTasks.map(t => t.id)).toEqual([first.id]);
+      expect(board.tasks.find(t => t.id === second.id).blockedBy).toEqual([]);
+
+      await taskService.bulkDeleteTasks([second.id, third.id]);
+
+      expect(board.tasks).toEqual([]);
+      expect(mockStorage.save).toHaveBeenCalledTimes(2);
+    });
+
+    test('should add tags using the board label spelling', async () => {
+      board.tasks[0].tags = ['urgent'];
+
+      const tagged = await taskService.bulkTagTasks([first.id, third.id], ['URGENT', 'client']);
+
+      expect(board.tasks.find(t => t.id === first.id).tags).toEqual(['urgent', 'client']);
+      expect(board.tasks.find(t => t.id === third.id).tags).toEqual(['Urgent', 'client']);
+      expect(tagged).toHaveLength(2);
+    });
+
+    test('should move tasks to another board in manual order', async () => {
+      await taskService.moveTasksToBoard([third.id, second.id], 'board-2');
+
+      expect(board.tasks.map(t => t.id)).toEqual([first.id]);
+      expect(otherBoard.tasks.map(t => t.text)).toEqual(['Second', 'Third']);
+      expect(otherBoard.tasks[0].blockedBy).toEqual([]);
+      expect(otherBoard.tasks[0].rank < otherBoard.tasks[1].rank).toBe(true);
+      expect(mockStorage.save).toHaveBeenCalledTimes(1);
+    });
+
+    test('should copy tasks to another board with their history', async () => {
+      board.tasks[0].timeEntries = [
+        { start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T10:00:00.000Z' },
+        { start: '2024-01-02T09:00:00.000Z', end: null }
+      ];
+
+      const copies = await taskService.copyTasksToBoard([first.id, second.id], 'board-2');
+
+      expect(board.tasks).toHaveLength(3);
+      expect(otherBoard.tasks.map(t => t.text)).toEqual(['First', 'Second']);
+      expect(copies[0].id).not.toBe(first.id);
+      expect(copies[0].createdDate).toBe(first.createdDate);
+      expect(copies[0].timeEntries).toEqual([{ start: '2024-01-01T09:00:00.000Z', end: '2024-01-01T10:00:00.000Z' }]);
+      expect(copies[1].blockedBy).toEqual([copies[0].id]);
+      expect(mockEventBus.emit).toHaveBeenCalledWith('tasks:bulkChanged', expect.objectContaining({ operation: 'copyToBoard', targetBoardId: 'board-2' }));
+    });
+
+    test('should refuse to copy tasks onto a board that already has them', async () => {
+      otherBoard.tasks = [createTask({ text: 'first' }).toJSON()];
+
+      await expect(taskService.copyTasksToBoard([first.id], 'board-2'))
+        .rejects.toThrow('"First" already exists on "Other Board"');
+    });
+
+    test('should refuse tasks from different boards', async () => {
+      otherBoard.tasks = [createTask({ text: 'Elsewhere' }).toJSON()];
+
+      await expect(taskService.bulkArchiveTasks([first.id, otherBoard.tasks[0].id]))
+        .rejects.toThrow('Selected tasks must all be on the same board');
+    });
+  });
+
+  describe('WIP limits', () => {
+    let board;
+    let started;
+    let waiting;
+
+    beforeEach(() => {
+      started = createTask({ text: 'Started', status: 'doing' });
+      waiting = createTask({ text: 'Waiting' });
+      board = {
+        id: 'board-1',
+        name: 'Test Board',
+        tasks: [started.toJSON(), waiting.toJSON()],
+        archivedTasks: [],
+        wipMode: 'strict',
+        columns: [
+          { id: 'todo', name: 'To Do', status: 'todo', limit: null },
+          { id: 'doing', name: 'In Progress', status: 'doing', limit: 1 },
+          { id: 'done', name: 'Done', status: 'done', limit: null }
+        ]
+      };
+      mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
+    });
+
+    test('should report a full column', () => {
+      expect(taskService.getWipLimitViolation('board-1', 'doing', waiting.id)).toEqual(expect.objectContaining({
+        count: 1,
+        limit: 1,
+        strict: true
+      }));
+      expect(taskService.getWipLimitViolation('board-1', 'doing', started.id)).toBeNull();
+      expect(taskService.getWipLimitViolation('board-1', 'done', waiting.id)).toBeNull();
+    });
+
+    test('should refuse to go over the limit on strict boards', async () => {
+      await expect(taskService.moveTaskToStatus(waiting.id, 'doing'))
+        .rejects.toThrow('"In Progress" is at its WIP limit of 1. Finish a task there first.');
+      await expect(taskService.moveTaskToColumn(waiting.id, 'doing')).rejects.toThrow('WIP limit');
+      expect(mockEventBus.emit).toHaveBeenCalledWith('column:limitReached', expect.objectContaining({ limit: 1, taskId: waiting.id }));
+      expect(mockStorage.save).not.toHaveBeenCalled();
+    });
+
+    test('should allow going over the limit on soft boards', async () => {
+      board.wipMode = 'soft';
+
+      const moved = await taskService.moveTaskToStatus(waiting.id, 'doing');
+
+      expect(moved.status).toBe('doing');
+      expect(mockEventBus.emit).toHaveBeenCalledWith('column:limitReached', expect.objectContaining({ limit: 1 }));
+    });
+
+    test('should refuse new tasks when the first To-Do column is full on strict boards', async () => {
+      board.columns[0].limit = 1;
+
+      await expect(taskService.createTask('One too many', 'board-1')).rejects.toThrow('"To Do" is at its WIP limit of 1');
+      expect(mockEventBus.emit).toHaveBeenCalledWith('task:error', expect.objectContaining({ operation: 'create' }));
+    });
+  });
+});
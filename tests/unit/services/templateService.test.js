@@ -0,0 +1,204 @@
+/**
+ * Unit Tests for TemplateService
+ * Tests built-in and saved board templates, their import and export, and task templates.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockEventBus = {
+  emit: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn()
+};
+
+jest.unstable_mockModule('../../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+const { TemplateService, BUILT_IN_BOARD_TEMPLATES } = await import('../../../scripts/modules/services/templateService.js');
+const { Board } = await import('../../../scripts/modules/models.js');
+
+describe('TemplateService', () => {
+  let templateService;
+  let mockState;
+  let mockStorage;
+  let current;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    current = {
+      boards: [
+        new Board({
+          id: 'board-1',
+          name: 'Team',
+          color: '#009688',
+          labels: [{ name: 'bug', color: '#d50000' }],
+          columns: [
+            { id: 'todo', name: 'To Do', status: 'todo' },
+            { id: 'doing', name: 'Doing', status: 'doing', limit: 2 },
+            { id: 'qa', name: 'QA', status: 'doing' },
+            { id: 'done', name: 'Done', status: 'done' }
+          ],
+          swimlanes: { groupBy: 'tag', lanes: [], collapsed: ['bug'] },
+          tasks: [{ id: 'task-1', text: 'Existing work', status: 'todo' }]
+        }).toJSON()
+      ],
+      boardTemplates: [],
+      taskTemplates: []
+    };
+    mockState = {
+      getState: jest.fn(() => current),
+      setState: jest.fn((updates) => {
+        current = { ...current, ...updates };
+      })
+    };
+    mockStorage = {
+      save: jest.fn().mockResolvedValue(true)
+    };
+
+    templateService = new TemplateService(mockState, mockStorage);
+  });
+
+  test('should list built-in templates that make valid boards', () => {
+    const templates = templateService.getBoardTemplates();
+
+    expect(templates).toHaveLength(BUILT_IN_BOARD_TEMPLATES.length);
+    expect(templates.every(template => template.builtIn)).toBe(true);
+    templates.forEach(template => {
+      expect(() => new Board(templateService.getBoardDataFromTemplate(template.id))).not.toThrow();
+    });
+  });
+
+  test('should build board data with starter tasks in template order', () => {
+    const data = templateService.getBoardDataFromTemplate('builtin-scrum-sprint', { name: 'Sprint 12' });
+
+    expect(data.name).toBe('Sprint 12');
+    expect(data.columns.map(column => column.id)).toEqual(['backlog', 'doing', 'review', 'done']);
+    expect(data.tasks.map(task => task.text)).toEqual(['Sprint planning', 'Sprint review', 'Sprint retrospective']);
+    expect(new Set(data.tasks.map(task => task.id)).size).toBe(3);
+    expect(data.tasks[0].rank < data.tasks[1].rank).toBe(true);
+    expect(data.labels).not.toBe(BUILT_IN_BOARD_TEMPLATES[0].labels);
+  });
+
+  test('should throw for an unknown template', () => {
+    expect(() => templateService.getBoardDataFromTemplate('missing')).toThrow('Template not found');
+  });
+
+  test('should save a board as a template without its tasks', async () => {
+    const template = await templateService.saveBoardAsTemplate('board-1', ' Team Setup ');
+
+    expect(template.name).toBe('Team Setup');
+    expect(template.tasks).toEqual([]);
+    expect(template.columns.map(column => column.id)).toEqual(['todo', 'doing', 'qa', 'done']);
+    expect(template.labels).toEqual([{ name: 'bug', color: '#d50000' }]);
+    expect(template.swimlanes).toEqual({ groupBy: 'tag', lanes: [], collapsed: [] });
+    expect(current.boardTemplates).toEqual([template]);
+    expect(mockStorage.save).toHaveBeenCalled();
+    expect(mockEventBus.emit).toHaveBeenCalledWith('template:saved', { template });
+  });
+
+  test('should refuse a template name that is already used', async () => {
+    await expect(templateService.saveBoardAsTemplate('board-1', 'bug triage')).rejects.toThrow('A template with this name already exists');
+    expect(mockEventBus.emit).toHaveBeenCalledWith('template:error', { operation: 'save', error: 'A template with this name already exists' });
+  });
+
+  test('should delete saved templates but not built-in ones', async () => {
+    const template = await templateService.saveBoardAsTemplate('board-1', 'Team Setup');
+
+    await expect(templateService.deleteBoardTemplate('builtin-bug-triage')).rejects.toThrow('Built-in templates cannot be deleted');
+    await templateService.deleteBoardTemplate(template.id);
+
+    expect(current.boardTemplates).toEqual([]);
+  });
+
+  test('should import exported templates with new IDs and unique names', async () => {
+    const template = await templateService.saveBoardAsTemplate('board-1', 'Team Setup');
+    const exported = JSON.parse(JSON.stringify(templateService.exportBoardTemplates()));
+
+    const imported = await templateService.importBoardTemplates(exported);
+
+    expect(imported).toHaveLength(1);
+    expect(imported[0].id).not.toBe(template.id);
+    expect(imported[0].name).toBe('Team Setup 2');
+    expect(imported[0].columns).toEqual(template.columns);
+    expect(current.boardTemplates).toHaveLength(2);
+  });
+
+  test('should reject templates that would not make a valid board', async () => {
+    const data = {
+      type: 'cascade-board-templates',
+      templates: [{ name: 'Broken', columns: [{ id: 'todo', name: 'To Do', status: 'todo' }] }]
+    };
+
+    await expect(templateService.importBoardTemplates(data)).rejects.toThrow('Board needs at least one column for status: doing');
+    await expect(templateService.importBoardTemplates({ boards: [] })).rejects.toThrow('Unrecognized template file');
+    expect(current.boardTemplates).toEqual([]);
+  });
+
+  describe('task templates', () => {
+    const release = {
+      name: 'Release checklist',
+      text: ' Release vX.Y ',
+      notes: 'Follow the **release guide**',
+      checklist: ['Tag the build', '', { text: 'Publish notes' }],
+      tags: 'release, Release, ops',
+      priority: 'high'
+    };
+
+    test('should save a task template with normalized fields', async () => {
+      const template = await templateService.saveTaskTemplate(release);
+
+      expect(template).toEqual(expect.objectContaining({
+        name: 'Release checklist',
+        text: 'Release vX.Y',
+        notes: 'Follow the **release guide**',
+        checklist: [{ text: 'Tag the build' }, { text: 'Publish notes' }],
+        tags: ['release', 'ops'],
+        priority: 'high'
+      }));
+      expect(current.taskTemplates).toEqual([template]);
+      expect(mockStorage.save).toHaveBeenCalled();
+      expect(mockEventBus.emit).toHaveBeenCalledWith('taskTemplate:saved', { template });
+    });
+
+    test('should update a task template in place', async () => {
+      const template = await templateService.saveTaskTemplate(release);
+
+      const updated = await templateService.saveTaskTemplate({ ...release, priority: 'urgent' }, template.id);
+
+      expect(updated.id).toBe(template.id);
+      expect(current.taskTemplates).toHaveLength(1);
+      expect(current.taskTemplates[0].priority).toBe('urgent');
+    });
+
+    test('should refuse invalid task templates', async () => {
+      await templateService.saveTaskTemplate(release);
+
+      await expect(templateService.saveTaskTemplate({ ...release, name: 'release CHECKLIST' })).rejects.toThrow('A template with this name already exists');
+      await expect(templateService.saveTaskTemplate({ ...release, name: 'Other', priority: 'asap' })).rejects.toThrow('Task priority must be one of');
+      expect(current.taskTemplates).toHaveLength(1);
+    });
+
+    test('should give each new task its own unchecked checklist', async () => {
+      const template = await templateService.saveTaskTemplate(release);
+
+      const first = templateService.getTaskAttributesFromTemplate(template.id);
+      const second = templateService.getTaskAttributesFromTemplate(template.id);
+
+      expect(first.checklist.map(item => item.text)).toEqual(['Tag the build', 'Publish notes']);
+      expect(first.checklist.every(item => item.done === false)).toBe(true);
+      expect(first.checklist[0].id).not.toBe(second.checklist[0].id);
+      expect(first).toEqual(expect.objectContaining({ notes: 'Follow the **release guide**', tags: ['release', 'ops'], priority: 'high' }));
+    });
+
+    test('should delete a task template', async () => {
+      const template = await templateService.saveTaskTemplate(release);
+
+      await templateService.deleteTaskTemplate(template.id);
+
+      expect(current.taskTemplates).toEqual([]);
+      expect(() => templateService.getTaskAttributesFromTemplate(template.id)).toThrow('Template not found');
+    });
+  });
+});
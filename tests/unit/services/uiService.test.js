@@ -121,6 +121,99 @@ describe('UIService', () => {
         expect(emptyStateSpy).toHaveBeenCalled();
     });
 
+    test('should render tasks in their board columns', () => {
+        document.getElementById('todo-list').insertAdjacentHTML('afterend', '<div id="review-list"></div><div id="review-count">0</div>');
+        const columns = [
+          { id: 'todo', name: 'To Do', status: 'todo' },
+          { id: 'doing', name: 'In Progress', status: 'doing' },
+          { id: 'review', name: 'Review', status: 'doing' },
+          { id: 'done', name: 'Done', status: 'done' }
+        ];
+        const tasks = [
+          createTask({ text: 'Started', status: 'doing' }),
+          createTask({ text: 'In review', status: 'doing', columnId: 'review' }),
+          createTask({ text: 'Removed column', status: 'doing', columnId: 'qa' })
+        ];
+        mockState.getState.mockReturnValue({ tasks, boards: [{ id: 'b1', tasks, columns }], currentBoardId: 'b1' });
+
+        uiService.render();
+
+        const cardTexts = (listId) => Array.from(document.querySelectorAll(`#${listId} .task-card__text`))
+          .map(el => el.textContent.trim());
+        expect(cardTexts('doing-list')).toEqual(['Started', 'Removed column']);
+        expect(cardTexts('review-list')).toEqual(['In review']);
+        expect(document.getElementById('review-count').textContent).toBe('1');
+        expect(document.getElementById('doing-count').textContent).toBe('2');
+    });
+
+    test('should show the count against the WIP limit', () => {
+        const columns = [
+          { id: 'todo', name: 'To Do', status: 'todo', limit: null },
+          { id: 'doing', name: 'In Progress', status: 'doing', limit: 1 },
+          { id: 'done', name: 'Done', status: 'done', limit: 5 }
+        ];
+        const tasks = [
+          createTask({ text: 'Task 1', status: 'doing' }),
+          createTask({ text: 'Task 2', status: 'doing' })
+        ];
+        mockState.getState.mockReturnValue({ tasks, boards: [{ id: 'b1', tasks, columns }], currentBoardId: 'b1' });
+
+        uiService.updateTaskCounters();
+
+        const doingCount = document.getElementById('doing-count');
+        expect(doingCount.textContent).toBe('2/1');
+        expect(doingCount.classList.contains('board-column__count--over-limit')).toBe(true);
+        expect(document.getElementById('done-count').textContent).toBe('0/5');
+        expect(document.getElementById('todo-count').textContent).toBe('0');
+    });
+
+    test('should split columns into swimlanes with their own counts', () => {
+        const tasks = [
+          createTask({ text: 'Urgent fix', status: 'todo', priority: 'urgent' }),
+          createTask({ text: 'Someday', status: 'todo' }),
+          createTask({ text: 'Urgent review', status: 'doing', priority: 'urgent' })
+        ];
+        const board = {
+          id: 'b1',
+          tasks,
+          swimlanes: { groupBy: 'priority', lanes: [], collapsed: ['none'] }
+        };
+        mockState.getState.mockReturnValue({ tasks, boards: [board], currentBoardId: 'b1' });
+
+        uiService.render();
+
+        const todoLanes = document.querySelectorAll('#todo-list .swimlane');
+        expect(Array.from(todoLanes).map(lane => lane.dataset.lane)).toEqual(['urgent', 'high', 'medium', 'low', 'none']);
+        expect(todoLanes[0].querySelector('.swimlane__count').textContent).toBe('1');
+        expect(todoLanes[0].querySelector('.task-card__text').textContent.trim()).toBe('Urgent fix');
+        expect(todoLanes[4].classList.contains('swimlane--collapsed')).toBe(true);
+        expect(todoLanes[4].querySelector('.swimlane__count').textContent).toBe('1');
+        expect(todoLanes[4].querySelector('.task-card')).toBeNull();
+        expect(document.getElementById('todo-count').textContent).toBe('2');
+    });
+
+    test('should render tasks of every active board with a board chip', () => {
+        const boards = [
+          { id: 'b1', name: 'Work', color: '#ff0000', tasks: [createTask({ text: 'Report', status: 'todo' })] },
+          { id: 'b2', name: 'Home', color: '#00ff00', tasks: [createTask({ text: 'Groceries', status: 'doing' })] },
+          { id: 'b3', name: 'Old', isArchived: true, tasks: [createTask({ text: 'Hidden', status: 'todo' })] }
+        ];
+        mockState.getState.mockReturnValue({ tasks: boards[0].tasks, boards, currentBoardId: 'b1', allBoardsView: true });
+        mockState.getTasksForAllBoards = jest.fn(() => boards
+          .filter(board => !board.isArchived)
+          .reduce((all, board) => all.concat(board.tasks.map(task => ({ task, board }))), []));
+
+        uiService.render();
+
+        const chip = document.querySelector('#doing-list .task-card__board');
+        expect(document.querySelector('#todo-list .task-card__text').textContent.trim()).toBe('Report');
+        expect(document.querySelector('#doing-list .task-card__text').textContent.trim()).toBe('Groceries');
+        expect(chip.textContent).toBe('Home');
+        expect(chip.getAttribute('style')).toContain('#00ff00');
+        expect(document.body.textContent).not.toContain('Hidden');
+        expect(document.getElementById('current-board-name').textContent).toBe('All Boards');
+    });
+
     test('should update the board title', () => {
         const board = { id: 'board-1', name: 'My Awesome Board', tasks: [] };
         mockState.getState.mockReturnValue({ boards: [board], currentBoardId: 'board-1' });
@@ -132,6 +225,133 @@ describe('UIService', () => {
     });
   });
 
+  describe('filterByTag', () => {
+    test('should return only tasks with the tag', () => {
+        const tasks = [
+            createTask({ text: 'Fix login', tags: ['bug'] }),
+            createTask({ text: 'Buy milk', tags: ['errand'] }),
+            createTask({ text: 'Fix logout', tags: ['Bug', 'client-x'] }),
+        ];
+
+        const result = uiService.filterByTag(tasks, 'BUG', 'b1');
+
+        expect(result.map(t => t.text)).toEqual(['Fix login', 'Fix logout']);
+    });
+  });
+
+  describe('sortTasks', () => {
+    test('should sort by priority and then by created date', () => {
+        const tasks = [
+            createTask({ text: 'Low', priority: 'low', createdDate: '2024-01-01T00:00:00.000Z' }),
+            createTask({ text: 'Urgent', priority: 'urgent', createdDate: '2024-01-03T00:00:00.000Z' }),
+            createTask({ text: 'Low newer', priority: 'low', createdDate: '2024-01-02T00:00:00.000Z' }),
+            createTask({ text: 'None', createdDate: '2023-12-31T00:00:00.000Z' }),
+        ];
+
+        const sorted = uiService.sortTasks(tasks, 'priority');
+
+        expect(sorted.map(t => t.text)).toEqual(['Urgent', 'Low', 'Low newer', 'None']);
+    });
+
+    test('should keep the stored order for manual sorting', () => {
+        const tasks = [
+            createTask({ text: 'B', createdDate: '2024-01-02T00:00:00.000Z' }),
+            createTask({ text: 'A', createdDate: '2024-01-01T00:00:00.000Z' }),
+        ];
+
+        expect(uiService.sortTasks(tasks, 'manual')).toBe(tasks);
+        expect(uiService.sortTasks(tasks, 'createdDate').map(t => t.text)).toEqual(['A', 'B']);
+    });
+
+    test('should sort by rank for manual sorting with unranked tasks last', () => {
+        const tasks = [
+            createTask({ text: 'Unranked' }),
+            createTask({ text: 'Second', rank: 'r' }),
+            createTask({ text: 'First', rank: 'i' }),
+            createTask({ text: 'Between', rank: 'ii' }),
+        ];
+
+        expect(uiService.sortTasks(tasks, 'manual').map(t => t.text)).toEqual(['First', 'Between', 'Second', 'Unranked']);
+    });
+  });
+
+  describe('selection', () => {
+    test('should show the bulk action bar while several tasks are selected', () => {
+        document.body.insertAdjacentHTML('beforeend', '<div id="bulk-action-bar" hidden><span id="bulk-action-count"></span></div>');
+        document.getElementById('todo-list').innerHTML = `
+            <div class="task-card" data-task-id="a"></div>
+            <div class="task-card" data-task-id="b"></div>
+        `;
+
+        uiService.selectColumn('todo');
+
+        expect(uiService.getSelectedTaskIds()).toEqual(['a', 'b']);
+        expect(document.querySelectorAll('.task-card--selected')).toHaveLength(2);
+        expect(document.getElementById('bulk-action-bar').hidden).toBe(false);
+        expect(document.getElementById('bulk-action-count').textContent).toBe('2 selected');
+
+        uiService.pruneSelection([{ id: 'a' }]);
+
+        expect(uiService.getSelectedTaskIds()).toEqual(['a']);
+        expect(document.getElementById('bulk-action-bar').hidden).toBe(true);
+    });
+
+    test('should mark selected tasks when rendering cards', () => {
+        const task = createTask({ text: 'Picked' });
+        mockState.getState.mockReturnValue({ boards: [], currentBoardId: null });
+        uiService.setSelectedTaskIds([task.id]);
+
+        expect(uiService.generateTaskHTML(task)).toContain('task-card--selected');
+    });
+  });
+
+  describe('generateTaskHTML', () => {
+    test('should render tag chips colored from the board palette', () => {
+        const task = createTask({ text: 'Tagged', status: 'todo', tags: ['bug', 'errand'] });
+        mockState.getState.mockReturnValue({
+            boards: [{ id: 'b1', labels: [{ name: 'bug', color: '#d50000' }] }],
+            currentBoardId: 'b1'
+        });
+
+        const html = uiService.generateTaskHTML(task);
+
+        expect(html).toContain('data-action="filter-tag" data-tag="bug" style="--tag-color: #d50000"');
+        expect(html).toContain('data-tag="errand" title=');
+    });
+
+    test('should render checklist progress on the card', () => {
+        const task = createTask({
+            text: 'With checklist',
+            status: 'todo',
+            checklist: [{ text: 'One', done: true }, { text: 'Two', done: false }]
+        });
+
+        expect(uiService.generateTaskHTML(task)).toContain('☑ 1/2');
+    });
+
+    test('should render a priority badge for prioritized tasks', () => {
+        const task = createTask({ text: 'Important', status: 'todo', priority: 'high' });
+
+        expect(uiService.generateTaskHTML(task)).toContain('task-card__priority task-card__priority--high');
+    });
+
+    test('should render a due badge with overdue styling', () => {
+        const task = createTask({ text: 'Late task', status: 'todo', dueDate: '2000-01-01' });
+
+        const html = uiService.generateTaskHTML(task);
+
+        expect(html).toContain('task-card--overdue');
+        expect(html).toContain('task-card__due task-card__due--overdue');
+        expect(html).toContain('Due: Jan 1, 2000');
+    });
+
+    test('should not render a due badge when the task has no due date', () => {
+        const task = createTask({ text: 'No due date', status: 'todo' });
+
+        expect(uiService.generateTaskHTML(task)).not.toContain('task-card__due');
+    });
+  });
+
   describe('renderBoardSelector', () => {
     test('should call domManager to render the board selector', () => {
         const boards = [{ id: 'b1', name: 'Board 1' }];
@@ -141,7 +361,7 @@ describe('UIService', () => {
 
         uiService.renderBoardSelector();
 
-        expect(mockDomManager.renderBoardSelector).toHaveBeenCalledWith(boards, currentBoard);
+        expect(mockDomManager.renderBoardSelector).toHaveBeenCalledWith(boards, currentBoard, false);
     });
   });
 
@@ -148,5 +148,15 @@ describe('AppState', () => {
         const currentBoard = state.getCurrentBoard();
         expect(currentBoard.name).toBe('Board 1');
     });
+
+    test('should get tasks of every active board with their home board', () => {
+        state.addBoard({ id: 'board-1', name: 'Board 1', tasks: [{ id: 'task-1', text: 'One' }] });
+        state.addBoard({ id: 'board-2', name: 'Board 2', tasks: [{ id: 'task-2', text: 'Two' }] });
+        state.addBoard({ id: 'board-3', name: 'Old', isArchived: true, tasks: [{ id: 'task-3', text: 'Three' }] });
+
+        const entries = state.getTasksForAllBoards();
+        expect(entries.map(entry => entry.task.id)).toEqual(['task-1', 'task-2']);
+        expect(entries[1].board.name).toBe('Board 2');
+    });
   });
 });
\ No newline at end of file
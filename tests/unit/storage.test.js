@@ -15,6 +15,12 @@ const mockEventBus = {
 
 // Mock the eventBus module
 global.createModuleMock('scripts/modules/eventBus.js', mockEventBus);
+jest.unstable_mockModule('../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+const { SimpleStorage } = await import('../../scripts/modules/storage.js');
+const { IndexedDBAdapter } = await import('../../scripts/modules/storageAdapters.js');
 
 describe('SimpleStorage', () => {
   let storage;
@@ -180,4 +186,236 @@ describe('SimpleStorage', () => {
       });
     });
   });
-});
\ No newline at end of file
+});
+
+describe('SimpleStorage incremental saves', () => {
+  let storage;
+  let db;
+
+  // Records every request so tests can see exactly what a flush wrote
+  const createFakeDB = () => {
+    const stores = { boards: new Map(), settings: new Map() };
+    const requests = [];
+    const request = (result) => {
+      const req = { result, onsuccess: null, onerror: null };
+      setTimeout(() => req.onsuccess && req.onsuccess({ target: req }), 0);
+      return req;
+    };
+
+    return {
+      stores,
+      requests,
+      failNext: false,
+      transaction: jest.fn(function () {
+        const transaction = { oncomplete: null, onerror: null, error: null };
+        const failed = this.failNext;
+        this.failNext = false;
+        transaction.objectStore = (name) => ({
+          put: (value) => {
+            requests.push(['put', name, value.id || value.key]);
+            if (!failed) stores[name].set(value.id || value.key, value);
+            return request();
+          },
+          delete: (key) => {
+            requests.push(['delete', name, key]);
+            if (!failed) stores[name].delete(key);
+            return request();
+          },
+          get: (key) => request(stores[name].get(key)),
+          getAll: () => request(Array.from(stores[name].values())),
+          clear: () => {
+            stores[name].clear();
+            return request();
+          }
+        });
+        setTimeout(() => {
+          if (failed) {
+            transaction.error = new Error('Quota exceeded');
+            transaction.onerror && transaction.onerror();
+          } else {
+            transaction.oncomplete && transaction.oncomplete();
+          }
+        }, 0);
+        return transaction;
+      })
+    };
+  };
+
+  const board = (id, text) => ({ id, name: `Board ${id}`, tasks: [{ id: `${id}-task`, text }] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db = createFakeDB();
+    storage = new SimpleStorage();
+    storage.adapter = Object.assign(new IndexedDBAdapter(), { db });
+    storage.isInitialized = true;
+    storage.saveDelay = 10000; // Tests flush explicitly
+  });
+
+  test('should coalesce saves and write only changed boards', async () => {
+    await storage.save({ boards: [board('a', 'One'), board('b', 'Two')], currentBoardId: 'a' });
+    await storage.flush();
+    db.requests.length = 0;
+
+    await storage.save({ boards: [board('a', 'One edited'), board('b', 'Two')], currentBoardId: 'a' });
+    await storage.save({ boards: [board('a', 'One edited again'), board('b', 'Two')], currentBoardId: 'a' });
+    expect(storage.hasPendingChanges()).toBe(true);
+
+    const result = await storage.flush();
+
+    expect(result).toEqual({ boards: 1, deletedBoards: 0, metadata: 0 });
+    expect(db.requests).toEqual([['put', 'boards', 'a']]);
+    expect(db.stores.boards.get('a').tasks[0].text).toBe('One edited again');
+    expect(db.transaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('should delete removed boards and write changed metadata', async () => {
+    await storage.save({ boards: [board('a', 'One'), board('b', 'Two')], currentBoardId: 'a' });
+    await storage.flush();
+    db.requests.length = 0;
+
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a' });
+    await storage.flush();
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: null });
+    await storage.flush();
+
+    expect(db.requests).toEqual([['delete', 'boards', 'b'], ['put', 'settings', 'appData']]);
+  });
+
+  test('should keep trashed boards in their own records', async () => {
+    await storage.save({ boards: [board('a', 'One'), board('b', 'Two')], currentBoardId: 'a' });
+    await storage.flush();
+    db.requests.length = 0;
+
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a', trashedBoards: [board('b', 'Two')] });
+    await storage.flush();
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a', filter: 'done', trashedBoards: [board('b', 'Two')] });
+    await storage.flush();
+
+    expect(db.requests).toEqual([['put', 'boards', 'b'], ['put', 'settings', 'appData']]);
+    expect(db.stores.boards.get('b')).toEqual({ ...board('b', 'Two'), trashed: true });
+    expect(db.stores.settings.get('appData').trashedBoards).toBeUndefined();
+
+    const loaded = await storage.load();
+    expect(loaded.boards).toEqual([board('a', 'One')]);
+    expect(loaded.trashedBoards).toEqual([board('b', 'Two')]);
+  });
+
+  test('should move trashed boards out of metadata saved by older versions', async () => {
+    db.stores.boards.set('a', board('a', 'One'));
+    db.stores.settings.set('appData', { key: 'appData', currentBoardId: 'a', filter: 'all', trashedBoards: [board('b', 'Two')] });
+
+    const loaded = await storage.load();
+    expect(loaded.trashedBoards).toEqual([board('b', 'Two')]);
+
+    await storage.save(loaded);
+    await storage.flush();
+
+    expect(db.stores.boards.get('b')).toEqual({ ...board('b', 'Two'), trashed: true });
+    expect(db.stores.settings.get('appData').trashedBoards).toBeUndefined();
+  });
+
+  test('should not open a transaction when nothing changed since load', async () => {
+    db.stores.boards.set('a', board('a', 'One'));
+    const loaded = await storage.load();
+    db.transaction.mockClear();
+
+    await storage.save({ boards: loaded.boards, currentBoardId: null });
+    await storage.flush();
+
+    expect(db.transaction).toHaveBeenCalledTimes(1); // metadata did not exist yet
+    expect(db.requests).toEqual([['put', 'settings', 'appData']]);
+  });
+
+  test('should report a failed write and retry it on the next flush', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.failNext = true;
+
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a' });
+    await expect(storage.flush()).rejects.toThrow('Quota exceeded');
+
+    expect(mockEventBus.emit).toHaveBeenCalledWith('storage:error', { operation: 'save', error: 'Quota exceeded' });
+    expect(storage.hasPendingChanges()).toBe(true);
+
+    await storage.flush();
+    expect(db.stores.boards.has('a')).toBe(true);
+    console.error.mockRestore();
+  });
+
+  test('should broadcast committed changes to other tabs', async () => {
+    storage.channel = { postMessage: jest.fn() };
+
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a' });
+    await storage.flush();
+
+    expect(storage.channel.postMessage).toHaveBeenCalledWith({
+      type: 'changes',
+      tabId: storage.tabId,
+      boards: [JSON.stringify(board('a', 'One'))],
+      deletedBoardIds: [],
+      metadata: expect.stringContaining('"currentBoardId":"a"')
+    });
+  });
+
+  test('should adopt writes from other tabs as the saved baseline', async () => {
+    await storage.save({ boards: [board('a', 'One'), board('b', 'Two')], currentBoardId: 'a' });
+    await storage.flush();
+    db.requests.length = 0;
+
+    storage.handleSyncMessage({
+      type: 'changes',
+      tabId: 'other-tab',
+      boards: [JSON.stringify(board('a', 'Edited elsewhere'))],
+      deletedBoardIds: ['b'],
+      metadata: null
+    });
+
+    expect(mockEventBus.emit).toHaveBeenCalledWith('storage:remoteChanges', expect.objectContaining({
+      boards: [board('a', 'Edited elsewhere')],
+      deletedBoardIds: ['b'],
+      bases: { a: board('a', 'One'), b: board('b', 'Two') }
+    }));
+
+    // Saving the other tab's data writes nothing
+    await storage.save({ boards: [board('a', 'Edited elsewhere')], currentBoardId: 'a' });
+    await storage.flush();
+    expect(db.requests).toEqual([]);
+
+    mockEventBus.emit.mockClear();
+    storage.handleSyncMessage({ type: 'changes', tabId: storage.tabId, boards: [], deletedBoardIds: [], metadata: null });
+    expect(mockEventBus.emit).not.toHaveBeenCalled();
+  });
+
+  test('should pass trashed boards from other tabs on separately', async () => {
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a', trashedBoards: [board('b', 'Two')] });
+    await storage.flush();
+
+    // The other tab trashed a and restored b
+    storage.handleSyncMessage({
+      type: 'changes',
+      tabId: 'other-tab',
+      boards: [JSON.stringify({ ...board('a', 'One'), trashed: true }), JSON.stringify(board('b', 'Two'))],
+      deletedBoardIds: [],
+      metadata: null
+    });
+
+    expect(mockEventBus.emit).toHaveBeenCalledWith('storage:remoteChanges', expect.objectContaining({
+      boards: [board('b', 'Two')],
+      trashedBoards: [board('a', 'One')],
+      bases: { a: board('a', 'One') },
+      trashBases: { b: board('b', 'Two') }
+    }));
+  });
+
+  test('should flush pending saves when the page is hidden', async () => {
+    await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a' });
+
+    Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+    await storage.writing;
+
+    expect(storage.hasPendingChanges()).toBe(false);
+    expect(db.stores.boards.has('a')).toBe(true);
+    delete document.visibilityState;
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Unit Tests for Storage Adapters
+ * Tests the localStorage and in-memory backends and how SimpleStorage falls
+ * back to them when IndexedDB cannot be used.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockEventBus = {
+  emit: jest.fn(),
+  on: jest.fn(),
+  off: jest.fn()
+};
+
+jest.unstable_mockModule('../../scripts/modules/eventBus.js', () => ({
+  default: mockEventBus
+}));
+
+const { SimpleStorage } = await import('../../scripts/modules/storage.js');
+const { IndexedDBAdapter, LocalStorageAdapter, MemoryAdapter } = await import('../../scripts/modules/storageAdapters.js');
+
+describe('Storage adapters', () => {
+  const board = (id, text) => ({ id, name: `Board ${id}`, tasks: [{ id: `${id}-task`, text }] });
+  const metadata = { key: 'appData', currentBoardId: 'a', filter: 'all' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  describe.each([
+    ['LocalStorageAdapter', () => new LocalStorageAdapter()],
+    ['MemoryAdapter', () => new MemoryAdapter()]
+  ])('%s', (name, createAdapter) => {
+    test('should write, read and clear records', async () => {
+      const adapter = createAdapter();
+      await adapter.open();
+
+      await adapter.write({ boards: [board('a', 'One'), board('b', 'Two')], deletedBoardIds: [], metadata });
+      await adapter.write({ boards: [board('a', 'One edited')], deletedBoardIds: ['b'], metadata: null });
+
+      expect(await adapter.read()).toEqual({ boards: [board('a', 'One edited')], metadata });
+
+      await adapter.clear();
+      expect(await adapter.read()).toEqual({ boards: [], metadata: null });
+    });
+  });
+
+  test('should keep localStorage records between adapter instances', async () => {
+    const first = new LocalStorageAdapter();
+    await first.open();
+    await first.write({ boards: [board('a', 'One')], deletedBoardIds: [], metadata });
+
+    const second = new LocalStorageAdapter();
+    await second.open();
+
+    expect((await second.read()).boards).toEqual([board('a', 'One')]);
+    expect(localStorage.getItem('cascade-app:schema')).toBe(JSON.stringify({ version: second.version }));
+  });
+
+  test('should migrate older localStorage records and keep a backup', async () => {
+    localStorage.setItem('cascade-app:schema', JSON.stringify({ version: 5 }));
+    localStorage.setItem('cascade-app:boardIds', JSON.stringify(['a']));
+    localStorage.setItem('cascade-app:board:a', JSON.stringify(board('a', 'One')));
+
+    const adapter = new LocalStorageAdapter();
+    await adapter.open();
+
+    expect(adapter.migrationResult).toEqual(expect.objectContaining({ fromVersion: 5, error: null }));
+    expect((await adapter.read()).boards[0].columns.map(column => column.id)).toEqual(['todo', 'doing', 'done']);
+    expect((await adapter.getBackups())[0].boards).toEqual([board('a', 'One')]);
+  });
+
+  describe('IndexedDBAdapter', () => {
+    let originalIndexedDB;
+
+    beforeEach(() => {
+      originalIndexedDB = global.indexedDB;
+    });
+
+    afterEach(() => {
+      global.indexedDB = originalIndexedDB;
+    });
+
+    test('should report an upgrade blocked by another tab and finish once it is unblocked', async () => {
+      const request = {};
+      global.indexedDB = { open: jest.fn(() => request) };
+      const onBlocked = jest.fn();
+      const adapter = new IndexedDBAdapter({ onBlocked });
+
+      const opening = adapter.openDatabase();
+      request.onblocked();
+      expect(onBlocked).toHaveBeenCalled();
+
+      const db = { close: jest.fn() };
+      request.result = db;
+      request.onsuccess();
+      await expect(opening).resolves.toBe(db);
+    });
+
+    test('should close its connection when another tab upgrades the database', async () => {
+      const request = {};
+      global.indexedDB = { open: jest.fn(() => request) };
+      const onVersionChange = jest.fn();
+      const adapter = new IndexedDBAdapter({ onVersionChange });
+
+      const opening = adapter.openDatabase();
+      const db = { close: jest.fn() };
+      request.result = db;
+      request.onsuccess();
+      await opening;
+
+      db.onversionchange();
+      expect(db.close).toHaveBeenCalled();
+      expect(onVersionChange).toHaveBeenCalled();
+    });
+  });
+
+  test('should fall back to localStorage when IndexedDB is missing', async () => {
+    const original = global.indexedDB;
+    global.indexedDB = undefined;
+
+    try {
+      const storage = new SimpleStorage();
+      await storage.init();
+
+      expect(storage.adapter.type).toBe('localStorage');
+      expect(storage.isPersistent()).toBe(true);
+      expect(console.warn).toHaveBeenCalledWith('IndexedDB storage unavailable:', expect.any(Error));
+
+      await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a' });
+      await storage.flush();
+
+      const reloaded = new SimpleStorage();
+      await reloaded.init();
+      expect((await reloaded.load()).boards).toEqual([board('a', 'One')]);
+    } finally {
+      global.indexedDB = original;
+    }
+  });
+
+  test('should fall back to memory when nothing persistent works', async () => {
+    const blocked = new LocalStorageAdapter();
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+    // IndexedDB that refuses to open, as in some private browsing modes
+    const failing = new IndexedDBAdapter();
+    const originalIndexedDB = global.indexedDB;
+    global.indexedDB = {
+      open: () => {
+        throw Object.assign(new Error('The operation is insecure'), { name: 'SecurityError' });
+      }
+    };
+
+    try {
+      const storage = new SimpleStorage({ adapters: [failing, blocked, new MemoryAdapter()] });
+      await storage.init();
+
+      expect(storage.adapter.type).toBe('memory');
+      expect(storage.isPersistent()).toBe(false);
+      expect(storage.channel).toBeNull();
+      expect(await storage.getStorageInfo()).toEqual(expect.objectContaining({ type: 'memory', persistent: false }));
+
+      await storage.save({ boards: [board('a', 'One')], currentBoardId: 'a' });
+      await storage.flush();
+      expect((await storage.load()).boards).toEqual([board('a', 'One')]);
+    } finally {
+      Storage.prototype.setItem.mockRestore();
+      global.indexedDB = originalIndexedDB;
+    }
+  });
+
+  test('should not fall back when IndexedDB fails for another reason', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = new IndexedDBAdapter();
+    failing.openDatabase = jest.fn().mockRejectedValue(Object.assign(new Error('Version mismatch'), { name: 'VersionError' }));
+    const fallback = new LocalStorageAdapter();
+    jest.spyOn(fallback, 'open');
+
+    try {
+      const storage = new SimpleStorage({ adapters: [failing, fallback, new MemoryAdapter()] });
+
+      await expect(storage.init()).rejects.toThrow('Version mismatch');
+      expect(fallback.open).not.toHaveBeenCalled();
+      expect(storage.adapter).toBeNull();
+    } finally {
+      console.error.mockRestore();
+    }
+  });
+});